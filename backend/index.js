@@ -3,13 +3,127 @@ const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
 const multer = require("multer");
 const path = require("path");
-const { uploadToFtp } = require("./services/ftpUploader");
+const { testFtpConnection } = require("./services/cpanelValidator");
 const {
-  validateCpanelCredentials,
-  getFtpCredentials,
-  testFtpConnection,
-} = require("./services/cpanelValidator");
-const { createWordPressDatabase } = require("./services/cpanelDbManager");
+  normalizeProvider,
+  getCredentialProvider,
+  getProvider,
+} = require("./services/providers");
+const {
+  sealCredential,
+  unsealCredential,
+  toPublicCredential,
+  migratePlaintextCredentials,
+  migratePlaintextJobSecrets,
+  decryptSecret,
+} = require("./services/credentialVault");
+const {
+  normalizeTransport,
+  getCredentialTransport,
+  assertTransportLogin,
+  getTransportConfig,
+  connectTransport,
+} = require("./services/fileTransport");
+const {
+  ROLES,
+  getSessionTtlMs,
+  toPublicUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  createApiKey,
+  revokeApiKey,
+  login,
+  logout,
+  getSessionToken,
+  buildSessionCookie,
+  authenticate,
+  requireRole,
+  bootstrapAdmin,
+} = require("./services/auth");
+const { initStorage } = require("./services/storage");
+const {
+  getJob,
+  saveJob,
+  listJobs,
+  deleteJob,
+  toPublicJob,
+} = require("./services/jobStore");
+const {
+  getCredentialRecord,
+  saveCredentialRecord,
+  listCredentialRecords,
+  deleteCredentialRecord,
+} = require("./services/credentialStore");
+const {
+  getTemplatesPath,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+} = require("./services/templateStore");
+const {
+  queueEvents,
+  getQueuePosition,
+  listQueue,
+  enqueue,
+  removeFromQueue,
+  startQueueWorkers,
+} = require("./services/jobQueue");
+const { runDeployment } = require("./services/deployPipeline");
+const { runPreflight, assertPreflightPassed } = require("./services/preflight");
+const {
+  INSTALL_MODES,
+  getInstallMode,
+  assertSshTransport,
+} = require("./services/sshInstaller");
+const {
+  verifyInstallReport,
+  applyInstallReport,
+  runInstaller,
+  watchPendingInstalls,
+  failInstall,
+} = require("./services/httpInstaller");
+const {
+  getBackupArchivePath,
+  restoreBackup,
+} = require("./services/siteBackup");
+const {
+  ROLLBACK_STATES,
+  isRollingBack,
+  rollbackJob,
+} = require("./services/jobRollback");
+const { isTearingDown, teardownSite } = require("./services/siteTeardown");
+const { recordAudit, listAudit } = require("./services/auditLog");
+const { validateCoreRelease } = require("./services/wordpressReleases");
+const {
+  CREATABLE_DOMAINS,
+  normalizeRemotePath,
+} = require("./services/cpanelDomains");
+const { listArtifacts, purgeArtifacts } = require("./services/artifactCache");
+const {
+  isOfflineMode,
+  listMirror,
+  importMirrorArtifact,
+  deleteMirrorArtifact,
+} = require("./services/artifactMirror");
+const {
+  ACTIVE_STATES,
+  getJobState,
+  canTransition,
+  assertTransition,
+  transitionJob,
+} = require("./services/jobStateMachine");
+const {
+  publishJobEvent,
+  getJobEvents,
+  getJobLog,
+  formatLogLine,
+  subscribeToJob,
+  clearJobEvents,
+  createLogger,
+  createJobLogger,
+} = require("./services/jobEvents");
 require("dotenv").config();
 
 const app = express();
@@ -22,13 +136,35 @@ process.on("uncaughtException", (err) => {
   console.error("Uncaught Exception:", err);
 });
 
+// Origins allowed to call the API with credentials (comma-separated)
+const allowedOrigins = (
+  process.env.CORS_ORIGINS ||
+  "http://localhost:5500,http://127.0.0.1:5500,http://localhost:8080"
+)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Routes reachable without logging in; install.php signs its reports
+// with the job's install token instead
+const publicRoutes = [
+  "/health",
+  "/auth/login",
+  /^\/jobs\/[^/]+\/install-report$/,
+];
+
 // CORS middleware
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
+  const origin = req.headers.origin;
+  if (origin && allowedOrigins.includes(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Access-Control-Allow-Credentials", "true");
+  }
+  res.header("Vary", "Origin");
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept, Authorization"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Last-Event-ID"
   );
 
   if (req.method === "OPTIONS") {
@@ -38,11 +174,34 @@ app.use((req, res, next) => {
   }
 });
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Install reports are signed over the body as it was sent
+    verify: (req, res, body) => {
+      req.rawBody = body;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
+// Every route except the public ones requires a session or API key
+app.use((req, res, next) => {
+  if (
+    publicRoutes.some((route) =>
+      typeof route === "string" ? route === req.path : route.test(req.path)
+    )
+  ) {
+    return next();
+  }
+  authenticate(req, res, next);
+});
+
 // Serve uploaded logos statically
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+app.use(
+  "/uploads",
+  requireRole("viewer"),
+  express.static(path.join(__dirname, "../uploads"))
+);
 
 // Multer setup
 const storage = multer.diskStorage({
@@ -57,159 +216,498 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// Helper function to get jobs directory
-const getJobsPath = () => path.join(__dirname, "../jobs");
-
-// Helper function to get credentials directory
-const getCredentialsPath = () => path.join(__dirname, "../credentials");
+// Helper function to validate job exists
+const validateJob = (jobId) => getJob(jobId);
+
+// Flags may come from JSON or form bodies
+const isTrue = (value) => value === true || value === "true";
+
+// Adapter of the hosting provider a credential request names (cPanel if
+// none); throws INVALID_PROVIDER for an unknown one
+const getRequestProvider = (body) =>
+  getProvider(normalizeProvider(body.provider));
+
+// Helper function to add a deployment to the queue and mark the job queued
+const queueDeployment = (jobId, credentialId, options = {}) => {
+  const jobData = validateJob(jobId);
+  const credentialRecord = getCredentialRecord(credentialId);
+  assertTransition(jobData, "queued");
+  if (isRollingBack(jobId)) {
+    const error = new Error(`Job ${jobId} is being rolled back`);
+    error.code = "ROLLBACK_IN_PROGRESS";
+    throw error;
+  }
+  if (isTearingDown(jobId)) {
+    const error = new Error(`Job ${jobId} is being torn down`);
+    error.code = "TEARDOWN_IN_PROGRESS";
+    throw error;
+  }
+  if (getInstallMode(jobData) === "ssh") {
+    assertSshTransport(getCredentialTransport(credentialRecord));
+  }
+  if (!options.resume && !options.force) {
+    assertPreflightPassed(jobData, credentialId);
+  }
 
-// Helper function to get templates directory
-const getTemplatesPath = () => path.join(__dirname, "./templates");
+  const entry = enqueue({
+    jobId,
+    credentialId,
+    accountKey: `${credentialRecord.username}@${credentialRecord.host}`,
+    resume: options.resume || false,
+    requestedBy: options.requestedBy,
+  });
 
-// Helper function to validate job exists
-const validateJob = (jobId) => {
-  const jobFile = path.join(getJobsPath(), `${jobId}.json`);
-  if (!fs.existsSync(jobFile)) {
-    throw new Error("Job not found");
+  transitionJob(jobData, "queued", {
+    actor: options.requestedBy,
+    reason: options.resume
+      ? "Resume requested after manual DB setup"
+      : options.force
+      ? "Deployment requested, overriding pre-flight checks"
+      : "Deployment requested",
+  });
+  jobData.credentialId = credentialId;
+  jobData.queuedAt = entry.enqueuedAt;
+  // A resume keeps the choice made when the deployment was requested
+  if (!options.resume) {
+    jobData.backupExisting = options.backupExisting || false;
   }
-  return JSON.parse(fs.readFileSync(jobFile));
+  saveJob(jobData);
+
+  return entry;
 };
 
-// Ensure directories exist
-const ensureDirectories = () => {
-  const dirs = [getJobsPath(), getCredentialsPath()];
-  dirs.forEach((dir) => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  });
+// Helper function to map queueing errors to HTTP status codes
+const getQueueErrorStatus = (error) => {
+  if (error.message.endsWith("not found")) return 404;
+  if (error.message.includes("already queued")) return 409;
+  if (error.code === "ILLEGAL_TRANSITION") return 409;
+  if (error.code === "PREFLIGHT_FAILED") return 409;
+  if (error.code === "SSH_REQUIRED") return 409;
+  if (error.code === "INSTALL_NOT_PENDING") return 409;
+  if (error.code === "INVALID_INSTALL_SIGNATURE") return 401;
+  if (error.code === "INVALID_INSTALL_REPORT") return 400;
+  if (error.code === "ROLLBACK_IN_PROGRESS") return 409;
+  if (error.code === "TEARDOWN_IN_PROGRESS") return 409;
+  return 500;
 };
 
-ensureDirectories();
+// Mirror queue lifecycle events onto each job's event stream
+queueEvents.on("queued", ({ jobId, position }) =>
+  publishJobEvent(jobId, { type: "queued", position })
+);
+queueEvents.on("started", ({ jobId }) =>
+  publishJobEvent(jobId, { type: "started" })
+);
+// The result leaves out the database password of a manual setup, like
+// GET /jobs/:jobId: job events are stored and replayed to every viewer
+queueEvents.on("completed", ({ jobId, result }) =>
+  publishJobEvent(jobId, { type: "completed", result: toPublicJob(result) })
+);
+queueEvents.on("failed", ({ jobId, error }) =>
+  publishJobEvent(jobId, { type: "failed", error: error.message })
+);
+
+// Open the database, importing the old jobs/ and credentials/ files once
+const {
+  storage: dataStore,
+  imported,
+  templates: syncedTemplates,
+} = initStorage();
+if (imported) {
+  console.log(
+    `💾 Imported ${imported.jobs} job(s) and ${imported.credentials} credential(s) into ${dataStore.location}`
+  );
+}
+if (syncedTemplates.added > 0 || syncedTemplates.removed > 0) {
+  console.log(
+    `🎨 Template metadata synced: ${syncedTemplates.added} added, ${syncedTemplates.removed} removed`
+  );
+}
+
+bootstrapAdmin();
 
-// POST /deploy - Create a new deployment job
-app.post("/deploy", upload.single("logo"), (req, res) => {
+// Encrypt any credentials and job secrets saved before the vault held them
+if (process.env.CREDENTIAL_MASTER_KEY) {
+  const migrated = migratePlaintextCredentials();
+  if (migrated > 0) {
+    console.log(`🔐 Encrypted ${migrated} plaintext credential(s)`);
+  }
+  const migratedJobs = migratePlaintextJobSecrets();
+  if (migratedJobs > 0) {
+    console.log(`🔐 Encrypted the secrets of ${migratedJobs} job(s)`);
+  }
+} else {
+  console.warn(
+    "⚠️ CREDENTIAL_MASTER_KEY is not set. Saving and using credentials will fail."
+  );
+}
+
+// POST /auth/login - Log in with username and password
+app.post("/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({
+      error: "Missing required fields",
+      required: ["username", "password"],
+    });
+  }
+
+  const session = login(username, password);
+  if (!session) {
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  res.setHeader(
+    "Set-Cookie",
+    buildSessionCookie(session.token, Math.floor(getSessionTtlMs() / 1000))
+  );
+  res.json({
+    message: "Logged in successfully",
+    user: toPublicUser(session.user),
+    token: session.token,
+    expiresAt: session.expiresAt,
+  });
+});
+
+// POST /auth/logout - End the current session
+app.post("/auth/logout", (req, res) => {
+  const authorization = req.headers.authorization || "";
+  const token = authorization.startsWith("Bearer ")
+    ? authorization.slice(7).trim()
+    : getSessionToken(req);
+  logout(token);
+  res.setHeader("Set-Cookie", buildSessionCookie("", 0));
+  res.json({ message: "Logged out successfully" });
+});
+
+// GET /auth/me - Current user
+app.get("/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+// GET /users - List users
+app.get("/users", requireRole("admin"), (req, res) => {
+  try {
+    res.json({ users: listUsers().map(toPublicUser) });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list users", details: error.message });
+  }
+});
+
+// POST /users - Create a user
+app.post("/users", requireRole("admin"), (req, res) => {
   try {
-    const { template, domain, email, phone, address, title } = req.body;
-    const logo = req.file ? req.file.filename : null;
+    const { username, password, role } = req.body;
 
-    // Validate required fields
-    if (
-      !template ||
-      !domain ||
-      !email ||
-      !phone ||
-      !address ||
-      !logo ||
-      !title
-    ) {
+    if (!username || !password || !role) {
       return res.status(400).json({
         error: "Missing required fields",
-        required: [
-          "template",
-          "domain",
-          "email",
-          "phone",
-          "address",
-          "logo",
-          title,
-        ],
-        received: {
-          template,
-          domain,
-          email,
-          phone,
-          address,
-          logo: !!logo,
-          title,
-        },
+        required: ["username", "password", "role"],
+        roles: ROLES,
       });
     }
 
-    // Validate domain format
-    const domainRegex =
-      /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
-    if (!domainRegex.test(domain)) {
-      return res.status(400).json({ error: "Invalid domain format" });
-    }
+    const user = createUser({ username, password, role });
+    res.json({
+      message: "User created successfully",
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    res
+      .status(400)
+      .json({ error: "Failed to create user", details: error.message });
+  }
+});
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: "Invalid email format" });
-    }
+// PUT /users/:id - Change a user's role or password
+app.put("/users/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { role, password } = req.body;
+    const user = updateUser(req.params.id, { role, password });
+    res.json({
+      message: "User updated successfully",
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    const status = error.message === "User not found" ? 404 : 400;
+    res
+      .status(status)
+      .json({ error: "Failed to update user", details: error.message });
+  }
+});
 
-    const jobId = uuidv4();
-    const jobData = {
-      id: jobId,
-      template,
-      domain,
-      email,
-      phone,
-      address,
-      logo,
-      title,
-      status: "created",
-      timestamp: new Date().toISOString(),
-    };
+// DELETE /users/:id - Delete a user
+app.delete("/users/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id === req.user.id) {
+      return res.status(400).json({ error: "You cannot delete yourself" });
+    }
+    deleteUser(id);
+    res.json({ message: "User deleted successfully", id });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-    const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-    fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+// POST /users/:id/api-keys - Create an API key (shown only once)
+app.post("/users/:id/api-keys", requireRole("viewer"), (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
 
+    const { key, apiKey } = createApiKey(id, req.body.name);
     res.json({
-      message: "Deployment job created successfully!",
-      jobId,
-      jobData,
-      nextStep: `Use POST /upload/${jobId} with cPanel credentials to deploy`,
+      message: "API key created. Store it now, it will not be shown again.",
+      key,
+      apiKey,
     });
   } catch (error) {
-    console.error("Error creating job:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create job", details: error.message });
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// DELETE /users/:id/api-keys/:keyId - Revoke an API key
+app.delete("/users/:id/api-keys/:keyId", requireRole("viewer"), (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    if (id !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    revokeApiKey(id, keyId);
+    res.json({ message: "API key revoked successfully", id: keyId });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
   }
 });
 
-// POST /validate-credentials - Validate cPanel credentials
-app.post("/validate-credentials", async (req, res) => {
+// POST /deploy - Create a new deployment job
+app.post(
+  "/deploy",
+  requireRole("operator"),
+  upload.single("logo"),
+  async (req, res) => {
+    try {
+      const {
+        template,
+        domain,
+        email,
+        phone,
+        address,
+        title,
+        wpVersion,
+        wpLocale,
+        remotePath,
+        createDomain,
+        installMode,
+      } = req.body;
+      const logo = req.file ? req.file.filename : null;
+
+      // Validate required fields
+      if (
+        !template ||
+        !domain ||
+        !email ||
+        !phone ||
+        !address ||
+        !logo ||
+        !title
+      ) {
+        return res.status(400).json({
+          error: "Missing required fields",
+          required: [
+            "template",
+            "domain",
+            "email",
+            "phone",
+            "address",
+            "logo",
+            title,
+          ],
+          received: {
+            template,
+            domain,
+            email,
+            phone,
+            address,
+            logo: !!logo,
+            title,
+          },
+        });
+      }
+
+      // Validate domain format
+      const domainRegex =
+        /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
+      if (!domainRegex.test(domain)) {
+        return res.status(400).json({ error: "Invalid domain format" });
+      }
+
+      // Validate email format
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({ error: "Invalid email format" });
+      }
+
+      // Optional upload directory; by default the domain's document root
+      // is looked up on the hosting account when the deploy runs
+      let jobRemotePath = null;
+      if (remotePath) {
+        try {
+          jobRemotePath = normalizeRemotePath(remotePath);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      // Optionally add the domain to the account before deploying (cPanel)
+      if (createDomain && !CREATABLE_DOMAINS.includes(createDomain)) {
+        return res.status(400).json({
+          error: `Invalid createDomain: ${createDomain} (expected one of ${CREATABLE_DOMAINS.join(
+            ", "
+          )})`,
+        });
+      }
+
+      // install.php in a browser (default), or WP-CLI run over SSH
+      if (installMode && !INSTALL_MODES.includes(installMode)) {
+        return res.status(400).json({
+          error: `Invalid installMode: ${installMode} (expected one of ${INSTALL_MODES.join(
+            ", "
+          )})`,
+        });
+      }
+
+      // Optional WordPress build; without a version the release current at
+      // upload time is deployed and then recorded on the job
+      let release;
+      try {
+        release = await validateCoreRelease({
+          version: wpVersion,
+          locale: wpLocale,
+        });
+      } catch (error) {
+        if (error.code === "INVALID_RELEASE") {
+          return res.status(400).json({
+            error: "Invalid WordPress release",
+            details: error.message,
+          });
+        }
+        if (error.code === "RELEASE_LOOKUP_FAILED") {
+          return res.status(502).json({
+            error: "Could not verify WordPress release",
+            details: error.message,
+          });
+        }
+        throw error;
+      }
+
+      const jobId = uuidv4();
+      const createdAt = new Date().toISOString();
+      const jobData = {
+        id: jobId,
+        template,
+        domain,
+        email,
+        phone,
+        address,
+        logo,
+        title,
+        wpVersion: release.version,
+        wpLocale: release.locale,
+        remotePath: jobRemotePath,
+        createDomain: createDomain || null,
+        installMode: installMode || "http",
+        status: "created",
+        timestamp: createdAt,
+        history: [
+          {
+            from: null,
+            to: "created",
+            at: createdAt,
+            actor: req.user.username,
+            reason: "Job created",
+          },
+        ],
+      };
+
+      saveJob(jobData);
+
+      res.json({
+        message: "Deployment job created successfully!",
+        jobId,
+        jobData,
+        nextStep: `Use POST /upload/${jobId} with saved hosting credentials to deploy`,
+      });
+    } catch (error) {
+      console.error("Error creating job:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create job", details: error.message });
+    }
+  }
+);
+
+// POST /validate-credentials - Validate hosting control panel credentials
+app.post("/validate-credentials", requireRole("admin"), async (req, res) => {
   try {
-    const { host, username, password, port = 2083 } = req.body;
+    const { host, username, password, apiToken } = req.body;
 
     // Validate input
-    if (!host || !username || !password) {
+    if (!host || !username || !(password || apiToken)) {
       return res.status(400).json({
         error: "Missing required credentials",
-        required: ["host", "username", "password"],
+        required: ["host", "username", "password or apiToken"],
       });
     }
 
+    let provider;
+    try {
+      provider = getRequestProvider(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const port = req.body.port || provider.defaultPort;
+
     console.log(`🔍 Validating credentials for ${host}...`);
     console.log(`📋 Request details:`, {
       host,
       username,
       port,
-      passwordLength: password.length,
+      provider: provider.type,
+      auth: apiToken ? "API token" : "password",
     });
 
-    const validationResult = await validateCpanelCredentials({
+    const validationResult = await provider.validateCredentials({
       host,
       username,
       password,
+      apiToken,
       port,
     });
 
+    // Kept under "cpanel" for every provider, where clients already look
     if (validationResult.valid) {
       // Test FTP connection as well
-      const ftpResult = await getFtpCredentials({
+      const ftpResult = await provider.getTransferCredentials({
         host,
         username,
         password,
+        apiToken,
         port,
       });
 
       res.json({
         success: true,
         message: "Credentials validated successfully",
+        provider: provider.type,
         cpanel: validationResult,
         ftp: ftpResult,
       });
@@ -217,6 +715,7 @@ app.post("/validate-credentials", async (req, res) => {
       res.status(400).json({
         success: false,
         message: "Invalid credentials",
+        provider: provider.type,
         cpanel: validationResult,
       });
     }
@@ -232,132 +731,165 @@ app.post("/validate-credentials", async (req, res) => {
 });
 
 // POST /validate-credentials-stream - Stream validation logs
-app.post("/validate-credentials-stream", async (req, res) => {
-  try {
-    const { host, username, password, port = 2083 } = req.body;
+app.post(
+  "/validate-credentials-stream",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { host, username, password, apiToken } = req.body;
 
-    // Validate input
-    if (!host || !username || !password) {
-      return res.status(400).json({
-        error: "Missing required credentials",
-        required: ["host", "username", "password"],
-      });
-    }
+      // Validate input
+      if (!host || !username || !(password || apiToken)) {
+        return res.status(400).json({
+          error: "Missing required credentials",
+          required: ["host", "username", "password or apiToken"],
+        });
+      }
 
-    // Set up SSE headers
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Cache-Control",
-    });
+      let provider;
+      try {
+        provider = getRequestProvider(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const port = req.body.port || provider.defaultPort;
 
-    // Send initial message
-    res.write(
-      `data: ${JSON.stringify({
-        type: "start",
-        message: "Starting validation...",
-      })}\n\n`
-    );
+      // Set up SSE headers
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
 
-    // Create a custom logger that sends to frontend
-    const sendLog = (message) => {
+      // Send initial message
       res.write(
         `data: ${JSON.stringify({
-          type: "log",
-          message,
-          timestamp: new Date().toISOString(),
+          type: "start",
+          message: "Starting validation...",
         })}\n\n`
       );
-    };
-
-    // Override console.log temporarily for this request
-    const originalLog = console.log;
-    console.log = (...args) => {
-      const message = args.join(" ");
-      originalLog(...args);
-      sendLog(message);
-    };
-
-    try {
-      const validationResult = await validateCpanelCredentials({
-        host,
-        username,
-        password,
-        port,
-      });
-
-      // Restore console.log
-      console.log = originalLog;
-
-      if (validationResult.valid) {
-        // Test FTP connection as well
-        const ftpResult = await getFtpCredentials({
-          host,
-          username,
-          password,
-          port,
-        });
 
+      // Create a custom logger that sends to frontend
+      const sendLog = (message) => {
         res.write(
           `data: ${JSON.stringify({
-            type: "success",
-            message: "Credentials validated successfully",
-            cpanel: validationResult,
-            ftp: ftpResult,
+            type: "log",
+            message,
+            timestamp: new Date().toISOString(),
           })}\n\n`
         );
-      } else {
+      };
+
+      // Forward the validator's log messages to this request
+      const logger = createLogger({
+        onEvent: (event) => sendLog(event.message),
+      });
+
+      try {
+        const validationResult = await provider.validateCredentials(
+          {
+            host,
+            username,
+            password,
+            apiToken,
+            port,
+          },
+          logger
+        );
+
+        if (validationResult.valid) {
+          // Test FTP connection as well
+          const ftpResult = await provider.getTransferCredentials(
+            {
+              host,
+              username,
+              password,
+              apiToken,
+              port,
+            },
+            logger
+          );
+
+          res.write(
+            `data: ${JSON.stringify({
+              type: "success",
+              message: "Credentials validated successfully",
+              provider: provider.type,
+              cpanel: validationResult,
+              ftp: ftpResult,
+            })}\n\n`
+          );
+        } else {
+          res.write(
+            `data: ${JSON.stringify({
+              type: "error",
+              message: "Invalid credentials",
+              provider: provider.type,
+              cpanel: validationResult,
+            })}\n\n`
+          );
+        }
+      } catch (error) {
         res.write(
           `data: ${JSON.stringify({
             type: "error",
-            message: "Invalid credentials",
-            cpanel: validationResult,
+            message: "Validation failed",
+            error: error.message,
           })}\n\n`
         );
       }
-    } catch (error) {
-      // Restore console.log
-      console.log = originalLog;
 
-      res.write(
-        `data: ${JSON.stringify({
-          type: "error",
-          message: "Validation failed",
-          error: error.message,
-        })}\n\n`
-      );
+      res.end();
+      console.log("🔚 Stream connection ended");
+    } catch (error) {
+      console.error("❌ Stream setup error:", error);
+      res.status(500).json({
+        error: "Failed to start deployment stream",
+        details: error.message,
+      });
     }
-
-    res.end();
-    console.log("🔚 Stream connection ended");
-  } catch (error) {
-    console.error("❌ Stream setup error:", error);
-    res.status(500).json({
-      error: "Failed to start deployment stream",
-      details: error.message,
-    });
   }
-});
+);
 
 // POST /save-credentials - Save validated credentials
-app.post("/save-credentials", async (req, res) => {
+app.post("/save-credentials", requireRole("admin"), async (req, res) => {
   try {
-    const { host, username, password, port = 2083 } = req.body;
+    const { host, username, password, apiToken } = req.body;
+    const { privateKey, passphrase } = req.body.transport || {};
 
-    if (!host || !username || !password) {
+    if (!host || !username || !(password || apiToken)) {
       return res.status(400).json({
         error: "Missing required fields",
-        required: ["host", "username", "password"],
+        required: ["host", "username", "password or apiToken"],
+      });
+    }
+
+    let provider;
+    let transport;
+    try {
+      provider = getRequestProvider(req.body);
+      transport = normalizeTransport(req.body.transport);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const port = req.body.port || provider.defaultPort;
+    if (transport.auth === "key" && !privateKey) {
+      return res.status(400).json({
+        error: "SFTP key authentication requires transport.privateKey",
       });
     }
+    try {
+      assertTransportLogin({ transport, password });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Validate credentials first
-    const validationResult = await validateCpanelCredentials({
+    const validationResult = await provider.validateCredentials({
       host,
       username,
       password,
+      apiToken,
       port,
     });
 
@@ -368,22 +900,37 @@ app.post("/save-credentials", async (req, res) => {
       });
     }
 
-    // Save credentials (encrypted in production)
-    const credentials = {
+    const credential = {
       id: uuidv4(),
+      provider: provider.type,
       host: validationResult.host,
       username,
-      password, // In production, encrypt this
+      password: password || undefined,
+      apiToken: apiToken || undefined,
       port,
+      transport,
+      privateKey: transport.auth === "key" ? privateKey : undefined,
+      passphrase: transport.auth === "key" ? passphrase : undefined,
       validatedAt: new Date().toISOString(),
       lastUsed: null,
     };
 
-    const credentialsPath = path.join(
-      getCredentialsPath(),
-      `${credentials.id}.json`
+    // Uploads will use this transport, so make sure it connects
+    const transportResult = await testFtpConnection(
+      getTransportConfig(credential)
     );
-    fs.writeFileSync(credentialsPath, JSON.stringify(credentials, null, 2));
+    if (!transportResult.valid) {
+      return res.status(400).json({
+        error: "File transport connection failed",
+        details: transportResult.error,
+        transport: transportResult,
+      });
+    }
+
+    // Save credentials with the password, token and key encrypted at rest
+    const credentials = sealCredential(credential);
+
+    saveCredentialRecord(credentials);
 
     res.json({
       success: true,
@@ -401,31 +948,24 @@ app.post("/save-credentials", async (req, res) => {
 });
 
 // GET /credentials - List saved credentials
-app.get("/credentials", (req, res) => {
+app.get("/credentials", requireRole("viewer"), (req, res) => {
   try {
-    const credentialsPath = getCredentialsPath();
-    if (!fs.existsSync(credentialsPath)) {
-      return res.json({ credentials: [] });
-    }
-
-    const credentialFiles = fs
-      .readdirSync(credentialsPath)
-      .filter((file) => file.endsWith(".json"));
-    const credentials = credentialFiles.map((file) => {
-      const credentialData = JSON.parse(
-        fs.readFileSync(path.join(credentialsPath, file))
-      );
-      return {
+    const credentials = listCredentialRecords().map((credentialData) =>
+      toPublicCredential({
         id: credentialData.id,
         name: credentialData.name,
+        provider: getCredentialProvider(credentialData),
         host: credentialData.host,
         username: credentialData.username,
-        password: credentialData.password,
+        secrets: credentialData.secrets,
+        hasPassword: credentialData.hasPassword,
+        hasApiToken: credentialData.hasApiToken,
         port: credentialData.port,
+        transport: getCredentialTransport(credentialData),
         validatedAt: credentialData.validatedAt,
         lastUsed: credentialData.lastUsed,
-      };
-    });
+      })
+    );
 
     res.json({ credentials });
   } catch (error) {
@@ -436,46 +976,102 @@ app.get("/credentials", (req, res) => {
   }
 });
 
-// DELETE /credentials/:id - Delete saved credentials
-app.delete("/credentials/:id", (req, res) => {
-  try {
-    const { id } = req.params;
-    const credentialPath = path.join(getCredentialsPath(), `${id}.json`);
-
-    if (!fs.existsSync(credentialPath)) {
-      return res.status(404).json({ error: "Credential not found" });
-    }
+// PUT /credentials/:id/transport - Change how uploads reach the host
+app.put(
+  "/credentials/:id/transport",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const record = getCredentialRecord(req.params.id);
+      const { privateKey, passphrase } = req.body;
 
-    fs.unlinkSync(credentialPath);
-    res.json({ message: "Credential deleted successfully", id });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ error: "Failed to delete credential", details: error.message });
-  }
-});
+      let transport;
+      try {
+        transport = normalizeTransport(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
 
-// GET /jobs - List all jobs
-app.get("/jobs", (req, res) => {
-  try {
-    const jobsPath = getJobsPath();
-    if (!fs.existsSync(jobsPath)) {
-      return res.json({ jobs: [] });
-    }
+      // A key already in the vault is kept unless a new one is sent
+      const credential = unsealCredential(record);
+      if (transport.auth === "key") {
+        if (privateKey) {
+          credential.privateKey = privateKey;
+          credential.passphrase = passphrase;
+        }
+        if (!credential.privateKey) {
+          return res.status(400).json({
+            error: "SFTP key authentication requires privateKey",
+          });
+        }
+      } else {
+        delete credential.privateKey;
+        delete credential.passphrase;
+      }
+      credential.transport = transport;
+      // A credential saved with only an API token has no password to fall
+      // back on
+      try {
+        assertTransportLogin(credential);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
 
-    const jobFiles = fs
-      .readdirSync(jobsPath)
-      .filter((file) => file.endsWith(".json"));
-    const jobs = jobFiles.map((file) => {
-      const jobData = JSON.parse(fs.readFileSync(path.join(jobsPath, file)));
-      return {
-        id: jobData.id,
-        template: jobData.template,
-        domain: jobData.domain,
-        status: jobData.status || "created",
-        timestamp: jobData.timestamp,
-      };
-    });
+      const transportResult = await testFtpConnection(
+        getTransportConfig(credential)
+      );
+      if (!transportResult.valid) {
+        return res.status(400).json({
+          error: "File transport connection failed",
+          details: transportResult.error,
+          transport: transportResult,
+        });
+      }
+
+      saveCredentialRecord(sealCredential(credential));
+      res.json({
+        message: "Transport updated",
+        id: record.id,
+        transport,
+      });
+    } catch (error) {
+      if (error.message === "Credential not found") {
+        return res.status(404).json({ error: error.message });
+      }
+      res
+        .status(500)
+        .json({ error: "Failed to update transport", details: error.message });
+    }
+  }
+);
+
+// DELETE /credentials/:id - Delete saved credentials
+app.delete("/credentials/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { id } = req.params;
+    deleteCredentialRecord(id);
+    res.json({ message: "Credential deleted successfully", id });
+  } catch (error) {
+    if (error.message === "Credential not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    res
+      .status(500)
+      .json({ error: "Failed to delete credential", details: error.message });
+  }
+});
+
+// GET /jobs - List jobs, newest first (optional ?status= and ?domain= filters)
+app.get("/jobs", requireRole("viewer"), (req, res) => {
+  try {
+    const { status, domain } = req.query;
+    const jobs = listJobs({ status, domain }).map((jobData) => ({
+      id: jobData.id,
+      template: jobData.template,
+      domain: jobData.domain,
+      status: getJobState(jobData),
+      timestamp: jobData.timestamp,
+    }));
 
     res.json({ jobs });
   } catch (error) {
@@ -487,401 +1083,711 @@ app.get("/jobs", (req, res) => {
 });
 
 // GET /jobs/:jobId - Get specific job details
-app.get("/jobs/:jobId", (req, res) => {
+app.get("/jobs/:jobId", requireRole("viewer"), (req, res) => {
   try {
     const { jobId } = req.params;
     const jobData = validateJob(jobId);
-    res.json({ job: jobData });
+    res.json({ job: toPublicJob(jobData) });
   } catch (error) {
     res.status(404).json({ error: error.message });
   }
 });
 
-// POST /upload/:jobId - Upload files using saved credentials
-app.post("/upload/:jobId", async (req, res) => {
+// GET /jobs/:jobId/admin-credentials - WordPress admin login the deployer
+// created when it installed the site
+app.get("/jobs/:jobId/admin-credentials", requireRole("admin"), (req, res) => {
   try {
     const { jobId } = req.params;
-    const { credentialId } = req.body;
-
-    if (!credentialId) {
-      return res.status(400).json({
-        error: "Missing credential ID",
-        required: ["credentialId"],
+    const jobData = validateJob(jobId);
+    if (!jobData.adminPassword) {
+      return res.status(404).json({
+        error: "The deployer did not install this site",
       });
     }
 
-    // Get and validate job
+    recordAudit("reveal-admin-credentials", {
+      jobId,
+      domain: jobData.domain,
+      actor: req.user.username,
+    });
+    res.json({
+      jobId,
+      username: jobData.adminUser,
+      password: decryptSecret(jobData.adminPassword),
+      loginUrl: `https://${jobData.domain}/wp-login.php`,
+    });
+  } catch (error) {
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to read admin credentials",
+      details: error.message,
+    });
+  }
+});
+
+// POST /jobs/:jobId/install-report - Progress and result from install.php,
+// signed with the job's install token
+app.post("/jobs/:jobId/install-report", (req, res) => {
+  try {
+    const { jobId } = req.params;
     const jobData = validateJob(jobId);
+    verifyInstallReport(jobData, {
+      signature: req.get("X-Install-Signature"),
+      timestamp: req.get("X-Install-Timestamp"),
+      body: req.rawBody,
+    });
 
-    // Get saved credentials
-    const credentialPath = path.join(
-      getCredentialsPath(),
-      `${credentialId}.json`
-    );
-    if (!fs.existsSync(credentialPath)) {
-      return res.status(404).json({ error: "Credential not found" });
-    }
+    applyInstallReport(jobData, req.body, createJobLogger(jobId, "installing"));
+    saveJob(jobData);
+
+    res.json({ jobId, status: jobData.status });
+  } catch (error) {
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Install report rejected",
+      details: error.message,
+    });
+  }
+});
+
+// POST /jobs/:jobId/install - Run install.php again when it could not be
+// reached the first time
+app.post("/jobs/:jobId/install", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const jobData = validateJob(jobId);
 
-    const credentials = JSON.parse(fs.readFileSync(credentialPath));
+    if (getJobState(jobData) !== "install-failed" || !jobData.installToken) {
+      return res.status(409).json({
+        error:
+          "Only installs that install.php never reported on can be started again",
+      });
+    }
+    if ((jobData.installSteps || []).length) {
+      return res.status(409).json({
+        error:
+          "install.php already started on this site; tear it down and deploy again",
+      });
+    }
 
-    // Update job status
-    jobData.status = "uploading";
-    jobData.uploadStartedAt = new Date().toISOString();
-    const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-    fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+    transitionJob(jobData, "installing", {
+      actor: req.user.username,
+      reason: "Install requested",
+    });
+    saveJob(jobData);
 
-    console.log(
-      `🚀 Starting upload for job ${jobId} using credentials: ${credentials.name}`
-    );
+    runInstaller(jobId, {
+      actor: req.user.username,
+      logger: createJobLogger(jobId, "installing"),
+    }).catch((error) => console.error("Install error:", error));
 
-    // === NEW: Create MySQL database and user on cPanel ===
-    console.log(
-      `🌐 Creating MySQL database and user on cPanel for ${jobData.domain}...`
-    );
-    const dbCredentials = await createWordPressDatabase(
-      {
-        host: credentials.host,
-        username: credentials.username,
-        password: credentials.password, // Use cPanel password for DB creation
-        port: credentials.port || 2083,
-      },
-      null,
-      null,
-      null,
-      jobData.domain
-    );
-    console.log("✅ MySQL database and user created.", {
-      dbName: dbCredentials.dbName,
-      dbUser: dbCredentials.dbUser,
+    res.status(202).json({
+      jobId,
+      status: jobData.status,
+      message: "install.php started",
     });
+  } catch (error) {
+    console.error("Install error:", error);
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to start install.php",
+      details: error.message,
+    });
+  }
+});
 
-    // Add database credentials to jobData for the installer script
-    jobData.dbName = dbCredentials.dbName;
-    jobData.dbUser = dbCredentials.dbUser;
-    jobData.dbPass = dbCredentials.dbPass;
-    jobData.manualDbSetup = dbCredentials.manual || false;
-    if (dbCredentials.manual && dbCredentials.instructions) {
-      jobData.dbInstructions = dbCredentials.instructions;
-    }
-    fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2)); // Save updated jobData
-    // ========================================================
-
-    // If manual DB setup is required, pause and return special response
-    if (jobData.status === "waiting-for-db") {
-      showDbSetupPause(jobId, jobData.dbInstructions, (data) => {
-        // Optionally refresh job status or UI here
-        alert("Deployment resumed and completed!");
+// POST /jobs/:jobId/preflight - Check the host before anything is deployed
+app.post(
+  "/jobs/:jobId/preflight",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { credentialId } = req.body;
+
+      if (!credentialId) {
+        return res.status(400).json({
+          error: "Missing credential ID",
+          required: ["credentialId"],
+        });
+      }
+
+      const jobData = validateJob(jobId);
+      if (
+        getQueuePosition(jobId) !== null ||
+        ACTIVE_STATES.includes(getJobState(jobData))
+      ) {
+        return res
+          .status(409)
+          .json({ error: "Job is already queued or running" });
+      }
+      const credentials = unsealCredential(getCredentialRecord(credentialId));
+
+      const report = await runPreflight(
+        credentials,
+        jobData,
+        createJobLogger(jobId, "preflight")
+      );
+
+      // The job may have changed while the checks ran
+      const latest = validateJob(jobId);
+      latest.preflight = { ...report, credentialId };
+      saveJob(latest);
+
+      res.json({ jobId, preflight: latest.preflight });
+    } catch (error) {
+      console.error("Pre-flight error:", error);
+      res.status(getQueueErrorStatus(error)).json({
+        error: "Failed to run pre-flight checks",
+        details: error.message,
       });
-      return;
     }
+  }
+);
+
+// GET /jobs/:jobId/backups/:backupId - Download a backup of a replaced site
+app.get("/jobs/:jobId/backups/:backupId", requireRole("admin"), (req, res) => {
+  try {
+    const { jobId, backupId } = req.params;
+    const jobData = validateJob(jobId);
+    const backup = (jobData.backups || []).find((b) => b.id === backupId);
+    if (!backup || !fs.existsSync(getBackupArchivePath(backup))) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    res.download(getBackupArchivePath(backup), backup.archive);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// POST /jobs/:jobId/backups/:backupId/restore - Put a backed up site back
+app.post(
+  "/jobs/:jobId/backups/:backupId/restore",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const { jobId, backupId } = req.params;
+      const { credentialId } = req.body;
+
+      if (!credentialId) {
+        return res.status(400).json({
+          error: "Missing credential ID",
+          required: ["credentialId"],
+        });
+      }
+
+      const jobData = validateJob(jobId);
+      const backup = (jobData.backups || []).find((b) => b.id === backupId);
+      if (!backup) {
+        return res.status(404).json({ error: "Backup not found" });
+      }
+      if (
+        getQueuePosition(jobId) !== null ||
+        ACTIVE_STATES.includes(getJobState(jobData))
+      ) {
+        return res
+          .status(409)
+          .json({ error: "Job is already queued or running" });
+      }
+      const credentials = unsealCredential(getCredentialRecord(credentialId));
 
-    // Get FTP credentials from cPanel
-    const ftpResult = await getFtpCredentials(credentials);
+      const logger = createJobLogger(jobId, "restore");
+      const client = await connectTransport(
+        getTransportConfig(credentials),
+        logger
+      );
+      let restored;
+      try {
+        restored = await restoreBackup(client, backup, logger);
+      } finally {
+        client.close();
+      }
 
-    if (!ftpResult.success) {
-      throw new Error(`Failed to get FTP credentials: ${ftpResult.message}`);
+      // The job may have changed while the files were uploaded
+      const latest = validateJob(jobId);
+      const record = latest.backups.find((b) => b.id === backupId);
+      record.restores = [
+        ...(record.restores || []),
+        { ...restored, actor: req.user.username },
+      ];
+      saveJob(latest);
+
+      res.json({ jobId, backup: record });
+    } catch (error) {
+      console.error("Restore error:", error);
+      const status =
+        error.code === "BACKUP_NOT_FOUND" ? 404 : getQueueErrorStatus(error);
+      res.status(status).json({
+        error: "Failed to restore backup",
+        details: error.message,
+      });
     }
+  }
+);
 
-    // Perform FTP upload, passing database credentials
-    await uploadToFtp(ftpResult.credentials, jobData);
+// POST /jobs/:jobId/rollback - Undo what a deployment left on the host
+app.post("/jobs/:jobId/rollback", requireRole("operator"), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const jobData = validateJob(jobId);
+    const credentialId = req.body.credentialId || jobData.credentialId;
 
-    // Update job status to completed
-    jobData.status = "uploaded";
-    jobData.uploadCompletedAt = new Date().toISOString();
-    fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+    if (!credentialId) {
+      return res.status(400).json({
+        error: "Missing credential ID",
+        required: ["credentialId"],
+      });
+    }
+    if (
+      getQueuePosition(jobId) !== null ||
+      isTearingDown(jobId) ||
+      !ROLLBACK_STATES.includes(getJobState(jobData))
+    ) {
+      return res.status(409).json({
+        error: `Job cannot be rolled back while ${getJobState(jobData)}`,
+        allowed: ROLLBACK_STATES,
+      });
+    }
+    if (!(jobData.compensations || []).length) {
+      return res.status(409).json({ error: "Nothing to roll back" });
+    }
+    const credentials = unsealCredential(getCredentialRecord(credentialId));
 
-    // Update credential last used
-    credentials.lastUsed = new Date().toISOString();
-    fs.writeFileSync(credentialPath, JSON.stringify(credentials, null, 2));
+    // A rolled back deployment has failed, whatever state it reached
+    if (getJobState(jobData) !== "failed") {
+      transitionJob(jobData, "failed", {
+        actor: req.user.username,
+        reason: "Rollback requested",
+      });
+      saveJob(jobData);
+    }
+
+    const rollback = await rollbackJob(jobData, credentials, {
+      actor: req.user.username,
+      reason: req.body.reason || "Rollback requested",
+      onChange: () => saveJob(jobData),
+      logger: createJobLogger(jobId, "rollback"),
+    });
 
     res.json({
-      message: "Files uploaded successfully!",
       jobId,
-      domain: jobData.domain,
-      credentialName: credentials.name,
-      manualDbSetup: jobData.manualDbSetup || false,
-      dbInstructions: jobData.dbInstructions || null,
-      nextStep: jobData.manualDbSetup
-        ? "Please create the database manually in cPanel, then visit https://" +
-          jobData.domain +
-          "/install.php to complete WordPress installation"
-        : `Visit https://${jobData.domain}/install.php to complete WordPress installation`,
+      status: jobData.status,
+      rollback,
+      pending: jobData.compensations,
     });
   } catch (error) {
-    console.error("Upload error:", error);
-
-    // Update job status to failed
-    try {
-      const { jobId } = req.params;
-      const jobData = validateJob(jobId);
-      jobData.status = "failed";
-      jobData.error = error.message;
-      jobData.failedAt = new Date().toISOString();
-      const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-      fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
-    } catch (updateError) {
-      console.error("Failed to update job status:", updateError);
-    }
-
-    res.status(500).json({
-      error: "Upload failed",
+    console.error("Rollback error:", error);
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to roll back deployment",
       details: error.message,
     });
   }
 });
 
-// NEW: POST /api/resume-deploy/:jobId - Resume deployment after manual DB setup
-app.post("/api/resume-deploy/:jobId", async (req, res) => {
+// POST /jobs/:jobId/teardown - Remove what a deployment created on the host
+app.post("/jobs/:jobId/teardown", requireRole("admin"), async (req, res) => {
   try {
     const { jobId } = req.params;
+    const { confirm, reason } = req.body;
+    // Only an explicit false removes anything
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== "false";
     const jobData = validateJob(jobId);
-    if (jobData.status !== "waiting-for-db") {
-      return res
-        .status(400)
-        .json({ error: "Job is not waiting for DB setup." });
+    const credentialId = req.body.credentialId || jobData.credentialId;
+
+    if (!credentialId) {
+      return res.status(400).json({
+        error: "Missing credential ID",
+        required: ["credentialId"],
+      });
     }
-    // Get saved credentials
-    const credentialPath = path.join(
-      getCredentialsPath(),
-      `${jobData.credentialId}.json`
-    );
-    if (!fs.existsSync(credentialPath)) {
-      return res.status(404).json({ error: "Credential not found" });
+    if (
+      getQueuePosition(jobId) !== null ||
+      isRollingBack(jobId) ||
+      !canTransition(jobData, "decommissioned")
+    ) {
+      return res.status(409).json({
+        error: `Job cannot be torn down while ${getJobState(jobData)}`,
+      });
+    }
+    if (!dryRun && confirm !== jobData.domain) {
+      return res.status(400).json({
+        error: "Teardown not confirmed",
+        details: `Send "confirm": "${jobData.domain}" with "dryRun": false to remove the site`,
+      });
     }
-    const credentials = JSON.parse(fs.readFileSync(credentialPath));
-    // Get FTP credentials from cPanel
-    const ftpResult = await getFtpCredentials(credentials);
-    if (!ftpResult.success) {
-      throw new Error(`Failed to get FTP credentials: ${ftpResult.message}`);
+    const credentials = unsealCredential(getCredentialRecord(credentialId));
+
+    const teardown = await teardownSite(jobData, credentials, {
+      dryRun,
+      actor: req.user.username,
+      reason: reason || null,
+      logger: createJobLogger(jobId, "teardown"),
+    });
+    if (dryRun) {
+      return res.json({ jobId, domain: jobData.domain, teardown });
+    }
+
+    // Kept apart from the job, so it survives DELETE /jobs/:jobId
+    recordAudit("teardown", {
+      ...teardown,
+      jobId,
+      domain: jobData.domain,
+      credentialId,
+    });
+    jobData.teardowns = [...(jobData.teardowns || []), teardown];
+    if (teardown.status === "complete") {
+      transitionJob(jobData, "decommissioned", {
+        actor: req.user.username,
+        reason: reason || "Site torn down",
+      });
     }
-    // Perform FTP upload, passing database credentials
-    await uploadToFtp(ftpResult.credentials, jobData);
-    // Update job status to completed
-    jobData.status = "uploaded";
-    jobData.uploadCompletedAt = new Date().toISOString();
-    const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-    fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+    saveJob(jobData);
+
     res.json({
-      message: "Files uploaded successfully after manual DB setup!",
       jobId,
       domain: jobData.domain,
-      nextStep: `Visit https://${jobData.domain}/install.php to complete WordPress installation`,
+      status: jobData.status,
+      teardown,
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error("Teardown error:", error);
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to tear down site",
+      details: error.message,
+    });
   }
 });
 
-// POST /upload/:jobId/stream - Stream deployment logs in real-time
-app.post("/upload/:jobId/stream", async (req, res) => {
+// GET /audit - Operations recorded on clients' hosting
+app.get("/audit", requireRole("admin"), (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { credentialId } = req.body;
+    const { jobId, action } = req.query;
+    res.json({ entries: listAudit({ jobId, action }) });
+  } catch (error) {
+    console.error("Error listing audit log:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list audit log", details: error.message });
+  }
+});
 
-    console.log(
-      `🚀 Stream endpoint called for job ${jobId} with credential ${credentialId}`
-    );
+// POST /upload/:jobId - Queue a deployment using saved credentials
+app.post("/upload/:jobId", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { credentialId, force, backupExisting } = req.body;
 
     if (!credentialId) {
-      console.log("❌ Missing credential ID");
       return res.status(400).json({
         error: "Missing credential ID",
         required: ["credentialId"],
       });
     }
 
-    // Set up SSE headers
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Cache-Control",
+    const entry = queueDeployment(jobId, credentialId, {
+      force: isTrue(force),
+      backupExisting: isTrue(backupExisting),
+      requestedBy: req.user.username,
+    });
+
+    console.log(
+      `📥 Queued deployment for job ${jobId} at position ${entry.position}`
+    );
+
+    res.status(202).json({
+      message: "Deployment queued",
+      jobId,
+      status: "queued",
+      position: entry.position,
+      nextStep: `Poll GET /jobs/${jobId} for the deployment status`,
+    });
+  } catch (error) {
+    console.error("Queue error:", error);
+    res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to queue deployment",
+      details: error.message,
+    });
+  }
+});
+
+// NEW: POST /api/resume-deploy/:jobId - Resume deployment after manual DB setup
+app.post("/api/resume-deploy/:jobId", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const jobData = validateJob(jobId);
+    if (getJobState(jobData) !== "waiting-for-db") {
+      return res
+        .status(400)
+        .json({ error: "Job is not waiting for DB setup." });
+    }
+
+    const entry = queueDeployment(jobId, jobData.credentialId, {
+      resume: true,
+      requestedBy: req.user.username,
+    });
+
+    res.status(202).json({
+      message: "Deployment resume queued",
+      jobId,
+      status: "queued",
+      position: entry.position,
+      nextStep: `Poll GET /jobs/${jobId} for the deployment status`,
+    });
+  } catch (error) {
+    res.status(getQueueErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// POST /upload/:jobId/stream - Queue a deployment and stream its logs
+app.post("/upload/:jobId/stream", requireRole("operator"), (req, res) => {
+  const { jobId } = req.params;
+  const { credentialId, force, backupExisting } = req.body;
+
+  console.log(
+    `🚀 Stream endpoint called for job ${jobId} with credential ${credentialId}`
+  );
+
+  if (!credentialId) {
+    console.log("❌ Missing credential ID");
+    return res.status(400).json({
+      error: "Missing credential ID",
+      required: ["credentialId"],
+    });
+  }
+
+  let entry;
+  try {
+    entry = queueDeployment(jobId, credentialId, {
+      force: isTrue(force),
+      backupExisting: isTrue(backupExisting),
+      requestedBy: req.user.username,
+    });
+  } catch (error) {
+    console.error("❌ Stream setup error:", error);
+    return res.status(getQueueErrorStatus(error)).json({
+      error: "Failed to start deployment stream",
+      details: error.message,
     });
+  }
 
-    // Send initial message
+  // Set up SSE headers
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const sendEvent = (data) => {
     res.write(
       `data: ${JSON.stringify({
-        type: "start",
-        message: "Starting deployment...",
+        ...data,
         timestamp: new Date().toISOString(),
       })}\n\n`
     );
+  };
 
-    console.log("📡 Stream started, sending initial message");
+  // Send initial message
+  sendEvent({ type: "start", message: "Starting deployment..." });
+  sendEvent({
+    type: "queued",
+    message: `⏳ Deployment queued at position ${entry.position}`,
+    position: entry.position,
+  });
 
-    // Create a custom logger that sends to frontend
-    const sendLog = (message, type = "log") => {
-      res.write(
-        `data: ${JSON.stringify({
-          type,
-          message,
-          timestamp: new Date().toISOString(),
-        })}\n\n`
-      );
-    };
+  // Translate this job's events into the stream's message format
+  const onJobEvent = (event) => {
+    if (event.type === "log") {
+      sendEvent({
+        type: "log",
+        level: event.level,
+        step: event.step,
+        message: event.message,
+      });
+    } else if (event.type === "progress") {
+      sendEvent({
+        type: "progress",
+        file: event.file,
+        overall: event.overall,
+        rate: event.rate,
+        eta: event.eta,
+      });
+    } else if (event.type === "started") {
+      sendEvent({ type: "info", message: "🚀 Deployment started" });
+    } else if (event.type === "completed") {
+      // Only the operator who started the deploy is sent the database
+      // password a manual setup needs
+      const { dbInstructions, dbPass } = getJob(jobId);
+      const messages = {
+        "waiting-for-db": "Deployment paused: manual database setup required",
+        installing: "Files uploaded; install.php is installing WordPress",
+      };
+      sendEvent({
+        type: "success",
+        message:
+          messages[event.result.status] || "Deployment completed successfully!",
+        ...event.result,
+        dbInstructions: dbInstructions
+          ? { ...dbInstructions, databasePassword: decryptSecret(dbPass) }
+          : null,
+      });
+      finish();
+    } else if (event.type === "failed") {
+      sendEvent({
+        type: "error",
+        message: "Deployment failed",
+        error: event.error,
+      });
+      finish();
+    }
+  };
 
-    // Override console.log temporarily for this request
-    const originalLog = console.log;
-    console.log = (...args) => {
-      const message = args.join(" ");
-      originalLog(...args);
-      sendLog(message, "log");
-    };
+  // The deployment keeps running in the queue if the client disconnects
+  const unsubscribe = subscribeToJob(jobId, onJobEvent);
 
-    try {
-      // Get and validate job
-      const jobData = validateJob(jobId);
+  const finish = () => {
+    unsubscribe();
+    res.end();
+    console.log("🔚 Stream connection ended");
+  };
 
-      // Get saved credentials
-      const credentialPath = path.join(
-        getCredentialsPath(),
-        `${credentialId}.json`
-      );
-      if (!fs.existsSync(credentialPath)) {
-        throw new Error("Credential not found");
-      }
+  res.on("close", unsubscribe);
+});
 
-      const credentials = JSON.parse(fs.readFileSync(credentialPath));
+// GET /jobs/:jobId/events - Stream a job's events, replaying missed ones
+app.get("/jobs/:jobId/events", requireRole("viewer"), (req, res) => {
+  const { jobId } = req.params;
 
-      // Update job status
-      jobData.status = "uploading";
-      jobData.uploadStartedAt = new Date().toISOString();
-      const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-      fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+  try {
+    validateJob(jobId);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
 
-      sendLog(
-        `🚀 Starting upload for job ${jobId} using credentials: ${credentials.name}`,
-        "info"
-      );
+  // Browsers send Last-Event-ID when EventSource reconnects
+  const lastEventId =
+    parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
 
-      // Create MySQL database and user on cPanel
-      sendLog(
-        `🌐 Creating MySQL database and user on cPanel for ${jobData.domain}...`,
-        "info"
-      );
-      const dbCredentials = await createWordPressDatabase(
-        {
-          host: credentials.host,
-          username: credentials.username,
-          password: credentials.password,
-          port: credentials.port || 2083,
-        },
-        null,
-        null,
-        null,
-        jobData.domain
-      );
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
 
-      sendLog("✅ MySQL database and user created.", "success");
-      sendLog(`Database: ${dbCredentials.dbName}`, "info");
-      sendLog(`User: ${dbCredentials.dbUser}`, "info");
-
-      // Add database credentials to jobData
-      jobData.dbName = dbCredentials.dbName;
-      jobData.dbUser = dbCredentials.dbUser;
-      jobData.dbPass = dbCredentials.dbPass;
-      jobData.manualDbSetup = dbCredentials.manual || false;
-      if (dbCredentials.manual && dbCredentials.instructions) {
-        jobData.dbInstructions = dbCredentials.instructions;
-      }
-      fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
 
-      // Get FTP credentials from cPanel
-      sendLog("🔌 Getting FTP credentials from cPanel...", "info");
-      const ftpResult = await getFtpCredentials(credentials);
+  getJobEvents(jobId, lastEventId).forEach(sendEvent);
+  const unsubscribe = subscribeToJob(jobId, sendEvent);
 
-      if (!ftpResult.success) {
-        throw new Error(`Failed to get FTP credentials: ${ftpResult.message}`);
-      }
+  // Keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
 
-      sendLog("✅ FTP credentials retrieved successfully", "success");
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-      // Perform FTP upload
-      sendLog("📤 Starting file upload...", "info");
-      await uploadToFtp(ftpResult.credentials, jobData);
+// GET /jobs/:jobId/logs - Download a job's deployment log
+app.get("/jobs/:jobId/logs", requireRole("viewer"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { format = "jsonl", level, step } = req.query;
 
-      // Update job status to completed
-      jobData.status = "uploaded";
-      jobData.uploadCompletedAt = new Date().toISOString();
-      fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
+    if (!["jsonl", "text"].includes(format)) {
+      return res.status(400).json({
+        error: "Invalid log format",
+        allowed: ["jsonl", "text"],
+      });
+    }
 
-      // Update credential last used
-      credentials.lastUsed = new Date().toISOString();
-      fs.writeFileSync(credentialPath, JSON.stringify(credentials, null, 2));
+    validateJob(jobId);
 
-      sendLog("🎉 Deployment completed successfully!", "success");
+    let entries;
+    try {
+      entries = getJobLog(jobId, { level, step });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-      res.write(
-        `data: ${JSON.stringify({
-          type: "success",
-          message: "Deployment completed successfully!",
-          jobId,
-          domain: jobData.domain,
-          credentialName: credentials.name,
-          manualDbSetup: jobData.manualDbSetup || false,
-          dbInstructions: jobData.dbInstructions || null,
-          nextStep: jobData.manualDbSetup
-            ? "Please create the database manually in cPanel, then visit https://" +
-              jobData.domain +
-              "/install.php to complete WordPress installation"
-            : `Visit https://${jobData.domain}/install.php to complete WordPress installation`,
-          timestamp: new Date().toISOString(),
-        })}\n\n`
-      );
+    const lines =
+      format === "text"
+        ? entries.map(formatLogLine)
+        : entries.map((entry) => JSON.stringify(entry));
 
-      console.log("✅ Stream completed successfully");
-    } catch (error) {
-      // Restore console.log
-      console.log = originalLog;
+    res.type(format === "text" ? "text/plain" : "application/x-ndjson");
+    res.attachment(format === "text" ? `${jobId}.log` : `${jobId}.log.jsonl`);
+    res.send(lines.map((line) => `${line}\n`).join(""));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-      console.error("❌ Stream error:", error.message);
+// States operators may set by hand once the files are uploaded
+const manualTransitions = ["installed", "verified", "failed"];
 
-      sendLog(`❌ Deployment failed: ${error.message}`, "error");
+// POST /jobs/:jobId/transition - Record a manual status change
+app.post("/jobs/:jobId/transition", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { to, reason } = req.body || {};
 
-      // Update job status to failed
-      try {
-        const { jobId } = req.params;
-        const jobData = validateJob(jobId);
-        jobData.status = "failed";
-        jobData.error = error.message;
-        jobData.failedAt = new Date().toISOString();
-        const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-        fs.writeFileSync(jobPath, JSON.stringify(jobData, null, 2));
-      } catch (updateError) {
-        console.error("Failed to update job status:", updateError);
-      }
+    if (!manualTransitions.includes(to)) {
+      return res.status(400).json({
+        error: "Invalid target state",
+        allowed: manualTransitions,
+      });
+    }
 
-      res.write(
-        `data: ${JSON.stringify({
-          type: "error",
-          message: "Deployment failed",
-          error: error.message,
-          timestamp: new Date().toISOString(),
-        })}\n\n`
-      );
+    const jobData = validateJob(jobId);
+    if (ACTIVE_STATES.includes(getJobState(jobData))) {
+      return res
+        .status(409)
+        .json({ error: "Job is currently deploying and cannot be changed" });
     }
 
-    res.end();
-    console.log("🔚 Stream connection ended");
-  } catch (error) {
-    console.error("❌ Stream setup error:", error);
-    res.status(500).json({
-      error: "Failed to start deployment stream",
-      details: error.message,
+    transitionJob(jobData, to, { actor: req.user.username, reason });
+    saveJob(jobData);
+
+    res.json({
+      message: `Job moved to ${to}`,
+      jobId,
+      status: jobData.status,
+      history: jobData.history,
     });
+  } catch (error) {
+    console.error("Error changing job state:", error);
+    res.status(getQueueErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// GET /queue - List queued and running deployments
+app.get("/queue", requireRole("viewer"), (req, res) => {
+  try {
+    res.json({ queue: listQueue() });
+  } catch (error) {
+    console.error("Error listing queue:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list queue", details: error.message });
   }
 });
 
 // DELETE /jobs/:jobId - Delete a job
-app.delete("/jobs/:jobId", (req, res) => {
+app.delete("/jobs/:jobId", requireRole("operator"), (req, res) => {
   try {
     const { jobId } = req.params;
     const jobData = validateJob(jobId);
 
+    // Running deployments cannot be deleted; queued ones are dropped
+    if (getQueuePosition(jobId) === 0) {
+      return res
+        .status(409)
+        .json({ error: "Job is currently deploying and cannot be deleted" });
+    }
+    removeFromQueue(jobId);
+
     // Delete job file
-    const jobPath = path.join(getJobsPath(), `${jobId}.json`);
-    fs.unlinkSync(jobPath);
+    deleteJob(jobId);
+    clearJobEvents(jobId);
 
     // Optionally delete associated logo
     if (jobData.logo) {
@@ -898,162 +1804,175 @@ app.delete("/jobs/:jobId", (req, res) => {
 });
 
 // GET /templates - List available templates
-app.get("/templates", async (req, res) => {
+app.get("/templates", requireRole("viewer"), async (req, res) => {
   try {
     const templates = [];
 
-    // === FIRST: Load custom templates from local directory ===
-    const templatesPath = getTemplatesPath();
-    if (fs.existsSync(templatesPath)) {
-      const templateFiles = fs
-        .readdirSync(templatesPath)
-        .filter((file) => file.endsWith(".wpress"));
-
-      templateFiles.forEach((file) => {
-        const stats = fs.statSync(path.join(templatesPath, file));
-        const name = file.replace(".wpress", "");
-
-        // Extract a friendly name from the filename
-        let friendlyName = name;
-        if (name.includes("-")) {
-          // Try to extract domain name from filename like "winmill-equipment-com-20250615-015039-rsp2r9wkjsc3"
-          const parts = name.split("-");
-          if (parts.length >= 3) {
-            friendlyName = `${parts[0]}.${parts[1]}.${parts[2]}`;
-          }
+    // === FIRST: Load custom templates from the template metadata ===
+    listTemplates().forEach((template) => {
+      const name = template.id;
+
+      // Extract a friendly name from the filename
+      let friendlyName = name;
+      if (name.includes("-")) {
+        // Try to extract domain name from filename like "winmill-equipment-com-20250615-015039-rsp2r9wkjsc3"
+        const parts = name.split("-");
+        if (parts.length >= 3) {
+          friendlyName = `${parts[0]}.${parts[1]}.${parts[2]}`;
         }
+      }
 
-        templates.push({
-          id: name,
-          name: friendlyName,
-          type: "custom",
-          filename: file,
-          size: stats.size,
-          sizeFormatted: formatBytes(stats.size),
-          createdAt: stats.birthtime,
-          modifiedAt: stats.mtime,
-          description: `Custom template: ${friendlyName}`,
-          rating: 5.0,
-          num_ratings: 1,
-          version: "1.0",
-          last_updated: stats.mtime.toISOString().split("T")[0],
-          homepage: "Custom Template",
-          requires: "5.0",
-          requires_php: "7.4",
-          screenshot_url: null,
-          download_url: null,
-        });
+      templates.push({
+        id: name,
+        name: friendlyName,
+        type: "custom",
+        filename: template.filename,
+        size: template.size,
+        sizeFormatted: formatBytes(template.size),
+        createdAt: template.uploadedAt,
+        modifiedAt: template.uploadedAt,
+        uploadedBy: template.uploadedBy,
+        description: `Custom template: ${friendlyName}`,
+        rating: 5.0,
+        num_ratings: 1,
+        version: "1.0",
+        last_updated: (template.uploadedAt || "").split("T")[0],
+        homepage: "Custom Template",
+        requires: "5.0",
+        requires_php: "7.4",
+        screenshot_url: null,
+        download_url: null,
       });
-    }
+    });
 
     // === SECOND: Add WordPress.org themes as additional options ===
-    try {
-      const apiUrl = "https://api.wordpress.org/themes/info/1.1/";
-      const requestData = {
-        action: "query_themes",
-        request: {
-          per_page: 10, // Reduced to 10 to keep list manageable
-          fields: {
-            name: true,
-            slug: true,
-            version: true,
-            download_url: true,
-            description: true,
-            rating: true,
-            num_ratings: true,
-            last_updated: true,
-            homepage: true,
-            requires: true,
-            requires_php: true,
-            screenshot_url: true,
+    // Offline, only themes in the mirror can be deployed
+    if (isOfflineMode()) {
+      const seen = new Set();
+      listMirror({ kind: "theme" })
+        .filter((theme) => !seen.has(theme.slug) && seen.add(theme.slug))
+        .forEach((theme) =>
+          templates.push({
+            id: theme.slug,
+            name: theme.slug,
+            type: "wordpress",
+            description: `Mirrored theme: ${theme.slug}`,
+            version: theme.version,
+            size: theme.size,
+            sizeFormatted: formatBytes(theme.size),
+            createdAt: theme.importedAt,
+            modifiedAt: theme.importedAt,
+          })
+        );
+    } else {
+      try {
+        const apiUrl = "https://api.wordpress.org/themes/info/1.1/";
+        const requestData = {
+          action: "query_themes",
+          request: {
+            per_page: 10, // Reduced to 10 to keep list manageable
+            fields: {
+              name: true,
+              slug: true,
+              version: true,
+              download_url: true,
+              description: true,
+              rating: true,
+              num_ratings: true,
+              last_updated: true,
+              homepage: true,
+              requires: true,
+              requires_php: true,
+              screenshot_url: true,
+            },
           },
-        },
-      };
+        };
 
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(requestData),
-      });
+        const response = await fetch(apiUrl, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(requestData),
+        });
 
-      if (response.ok) {
-        const data = await response.json();
-
-        if (data.themes) {
-          data.themes.forEach((theme) => {
-            templates.push({
-              id: theme.slug,
-              name: theme.name,
-              type: "wordpress",
-              description: theme.description,
-              version: theme.version,
-              rating: theme.rating,
-              num_ratings: theme.num_ratings,
-              last_updated: theme.last_updated,
-              homepage: theme.homepage,
-              requires: theme.requires,
-              requires_php: theme.requires_php,
-              screenshot_url: theme.screenshot_url,
-              download_url: theme.download_url,
-              sizeFormatted: "Downloaded on demand",
-              createdAt: new Date(),
-              modifiedAt: new Date(theme.last_updated),
+        if (response.ok) {
+          const data = await response.json();
+
+          if (data.themes) {
+            data.themes.forEach((theme) => {
+              templates.push({
+                id: theme.slug,
+                name: theme.name,
+                type: "wordpress",
+                description: theme.description,
+                version: theme.version,
+                rating: theme.rating,
+                num_ratings: theme.num_ratings,
+                last_updated: theme.last_updated,
+                homepage: theme.homepage,
+                requires: theme.requires,
+                requires_php: theme.requires_php,
+                screenshot_url: theme.screenshot_url,
+                download_url: theme.download_url,
+                sizeFormatted: "Downloaded on demand",
+                createdAt: new Date(),
+                modifiedAt: new Date(theme.last_updated),
+              });
             });
-          });
+          }
         }
-      }
-    } catch (apiError) {
-      console.error("Error fetching themes from WordPress.org:", apiError);
-
-      // Fallback to a few popular themes if API fails
-      const fallbackThemes = [
-        {
-          id: "twentytwentyfour",
-          name: "Twenty Twenty-Four",
-          type: "wordpress",
-          description:
-            "Designed to be flexible, versatile and applicable to any website.",
-          version: "1.0",
-          rating: 4.8,
-          num_ratings: 1000,
-          last_updated: "2024-01-01",
-          homepage: "https://wordpress.org/themes/twentytwentyfour/",
-          requires: "6.0",
-          requires_php: "7.4",
-          screenshot_url:
-            "https://s.w.org/style/images/about/WordPress-logos-standard.png",
-          download_url:
-            "https://downloads.wordpress.org/theme/twentytwentyfour.latest-stable.zip",
-          sizeFormatted: "Downloaded on demand",
-          createdAt: new Date(),
-          modifiedAt: new Date("2024-01-01"),
-        },
-        {
-          id: "astra",
-          name: "Astra",
-          type: "wordpress",
-          description:
-            "Fast, fully customizable & beautiful theme suitable for blogs, personal portfolios and business websites.",
-          version: "4.0",
-          rating: 4.9,
-          num_ratings: 5000,
-          last_updated: "2024-01-01",
-          homepage: "https://wordpress.org/themes/astra/",
-          requires: "5.0",
-          requires_php: "7.4",
-          screenshot_url:
-            "https://s.w.org/style/images/about/WordPress-logos-standard.png",
-          download_url:
-            "https://downloads.wordpress.org/theme/astra.latest-stable.zip",
-          sizeFormatted: "Downloaded on demand",
-          createdAt: new Date(),
-          modifiedAt: new Date("2024-01-01"),
-        },
-      ];
+      } catch (apiError) {
+        console.error("Error fetching themes from WordPress.org:", apiError);
+
+        // Fallback to a few popular themes if API fails
+        const fallbackThemes = [
+          {
+            id: "twentytwentyfour",
+            name: "Twenty Twenty-Four",
+            type: "wordpress",
+            description:
+              "Designed to be flexible, versatile and applicable to any website.",
+            version: "1.0",
+            rating: 4.8,
+            num_ratings: 1000,
+            last_updated: "2024-01-01",
+            homepage: "https://wordpress.org/themes/twentytwentyfour/",
+            requires: "6.0",
+            requires_php: "7.4",
+            screenshot_url:
+              "https://s.w.org/style/images/about/WordPress-logos-standard.png",
+            download_url:
+              "https://downloads.wordpress.org/theme/twentytwentyfour.latest-stable.zip",
+            sizeFormatted: "Downloaded on demand",
+            createdAt: new Date(),
+            modifiedAt: new Date("2024-01-01"),
+          },
+          {
+            id: "astra",
+            name: "Astra",
+            type: "wordpress",
+            description:
+              "Fast, fully customizable & beautiful theme suitable for blogs, personal portfolios and business websites.",
+            version: "4.0",
+            rating: 4.9,
+            num_ratings: 5000,
+            last_updated: "2024-01-01",
+            homepage: "https://wordpress.org/themes/astra/",
+            requires: "5.0",
+            requires_php: "7.4",
+            screenshot_url:
+              "https://s.w.org/style/images/about/WordPress-logos-standard.png",
+            download_url:
+              "https://downloads.wordpress.org/theme/astra.latest-stable.zip",
+            sizeFormatted: "Downloaded on demand",
+            createdAt: new Date(),
+            modifiedAt: new Date("2024-01-01"),
+          },
+        ];
 
-      fallbackThemes.forEach((theme) => templates.push(theme));
+        fallbackThemes.forEach((theme) => templates.push(theme));
+      }
     }
 
     // Sort templates: custom templates first, then WordPress themes
@@ -1073,81 +1992,91 @@ app.get("/templates", async (req, res) => {
 });
 
 // POST /upload-template - Upload a custom template
-app.post("/upload-template", upload.single("template"), (req, res) => {
-  try {
-    const template = req.file;
+app.post(
+  "/upload-template",
+  requireRole("admin"),
+  upload.single("template"),
+  (req, res) => {
+    try {
+      const template = req.file;
 
-    if (!template) {
-      return res.status(400).json({
-        error: "No template file uploaded",
-        required: ["template"],
-      });
-    }
+      if (!template) {
+        return res.status(400).json({
+          error: "No template file uploaded",
+          required: ["template"],
+        });
+      }
 
-    // Validate file type
-    if (!template.originalname.endsWith(".wpress")) {
-      return res.status(400).json({
-        error: "Invalid file type",
-        message: "Only .wpress files are allowed for custom templates",
-      });
-    }
+      // Validate file type
+      if (!template.originalname.endsWith(".wpress")) {
+        return res.status(400).json({
+          error: "Invalid file type",
+          message: "Only .wpress files are allowed for custom templates",
+        });
+      }
 
-    // Move file to templates directory
-    const templatesPath = getTemplatesPath();
-    if (!fs.existsSync(templatesPath)) {
-      fs.mkdirSync(templatesPath, { recursive: true });
-    }
+      // Move file to templates directory
+      const templatesPath = getTemplatesPath();
+      if (!fs.existsSync(templatesPath)) {
+        fs.mkdirSync(templatesPath, { recursive: true });
+      }
 
-    const templateName = template.originalname;
-    const templatePath = path.join(templatesPath, templateName);
+      const templateName = template.originalname;
+      const templatePath = path.join(templatesPath, templateName);
 
-    // Move from uploads to templates directory
-    fs.renameSync(template.path, templatePath);
+      // Move from uploads to templates directory
+      fs.renameSync(template.path, templatePath);
 
-    // Get file stats for response
-    const stats = fs.statSync(templatePath);
-    const friendlyName = templateName.replace(".wpress", "");
+      // Get file stats for response
+      const stats = fs.statSync(templatePath);
+      const friendlyName = templateName.replace(".wpress", "");
 
-    res.json({
-      success: true,
-      message: "Custom template uploaded successfully!",
-      template: {
+      saveTemplate({
         id: friendlyName,
-        name: friendlyName,
-        type: "custom",
         filename: templateName,
         size: stats.size,
-        sizeFormatted: formatBytes(stats.size),
-        createdAt: stats.birthtime,
-        modifiedAt: stats.mtime,
-      },
-    });
-  } catch (error) {
-    console.error("Error uploading template:", error);
-    res.status(500).json({
-      error: "Failed to upload template",
-      details: error.message,
-    });
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: req.user.username,
+      });
+
+      res.json({
+        success: true,
+        message: "Custom template uploaded successfully!",
+        template: {
+          id: friendlyName,
+          name: friendlyName,
+          type: "custom",
+          filename: templateName,
+          size: stats.size,
+          sizeFormatted: formatBytes(stats.size),
+          createdAt: stats.birthtime,
+          modifiedAt: stats.mtime,
+        },
+      });
+    } catch (error) {
+      console.error("Error uploading template:", error);
+      res.status(500).json({
+        error: "Failed to upload template",
+        details: error.message,
+      });
+    }
   }
-});
+);
 
 // DELETE /templates/:templateId - Delete a custom template
-app.delete("/templates/:templateId", (req, res) => {
+app.delete("/templates/:templateId", requireRole("admin"), (req, res) => {
   try {
     const { templateId } = req.params;
-    const templatePath = path.join(getTemplatesPath(), `${templateId}.wpress`);
-
-    if (!fs.existsSync(templatePath)) {
-      return res.status(404).json({ error: "Template not found" });
-    }
-
-    fs.unlinkSync(templatePath);
+    deleteTemplate(templateId);
     res.json({
       success: true,
       message: "Template deleted successfully",
       templateId,
     });
   } catch (error) {
+    if (error.message === "Template not found") {
+      return res.status(404).json({ error: error.message });
+    }
     console.error("Error deleting template:", error);
     res.status(500).json({
       error: "Failed to delete template",
@@ -1156,6 +2085,121 @@ app.delete("/templates/:templateId", (req, res) => {
   }
 });
 
+// GET /artifacts - List cached WordPress core, plugin and theme downloads
+app.get("/artifacts", requireRole("viewer"), (req, res) => {
+  try {
+    const cache = listArtifacts();
+    res.json({
+      ...cache,
+      totalSizeFormatted: formatBytes(cache.totalBytes),
+      maxSizeFormatted: formatBytes(cache.maxBytes),
+    });
+  } catch (error) {
+    console.error("Error listing artifacts:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list artifacts", details: error.message });
+  }
+});
+
+// DELETE /artifacts - Purge cached artifacts (optional ?kind=, ?slug=, ?version=)
+app.delete("/artifacts", requireRole("admin"), (req, res) => {
+  try {
+    const { kind, slug, version } = req.query;
+    const { purged, skipped } = purgeArtifacts({ kind, slug, version });
+    res.json({
+      message: `Purged ${purged.length} cached artifact(s)`,
+      purged: purged.map((artifact) => artifact.key),
+      skipped: skipped.map((artifact) => artifact.key),
+    });
+  } catch (error) {
+    console.error("Error purging artifacts:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to purge artifacts", details: error.message });
+  }
+});
+
+// GET /mirror - List archives in the offline mirror (optional ?kind=, ?slug=)
+app.get("/mirror", requireRole("viewer"), (req, res) => {
+  try {
+    const { kind, slug } = req.query;
+    const artifacts = listMirror({ kind, slug }).map((artifact) => ({
+      ...artifact,
+      sizeFormatted: formatBytes(artifact.size),
+    }));
+    res.json({ offline: isOfflineMode(), artifacts });
+  } catch (error) {
+    console.error("Error listing mirror:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list mirror", details: error.message });
+  }
+});
+
+// POST /mirror - Import a WordPress core, plugin or theme zip into the mirror
+app.post(
+  "/mirror",
+  requireRole("admin"),
+  upload.single("archive"),
+  async (req, res) => {
+    const archive = req.file;
+    try {
+      if (!archive) {
+        return res.status(400).json({
+          error: "No archive uploaded",
+          required: ["archive", "kind"],
+        });
+      }
+
+      const { kind, slug, locale, version } = req.body;
+      const artifact = await importMirrorArtifact(
+        { kind, slug, locale, version, filename: archive.originalname },
+        archive.path
+      );
+      res.status(201).json({
+        message: "Archive imported into the mirror",
+        artifact: { ...artifact, sizeFormatted: formatBytes(artifact.size) },
+      });
+    } catch (error) {
+      if (error.code === "INVALID_MIRROR_ARTIFACT") {
+        return res
+          .status(400)
+          .json({ error: "Invalid archive", details: error.message });
+      }
+      console.error("Error importing archive:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to import archive", details: error.message });
+    } finally {
+      if (archive && fs.existsSync(archive.path)) {
+        fs.unlinkSync(archive.path);
+      }
+    }
+  }
+);
+
+// DELETE /mirror/:kind/:slug/:version - Remove an archive from the mirror
+app.delete("/mirror/:kind/:slug/:version", requireRole("admin"), (req, res) => {
+  try {
+    const artifact = deleteMirrorArtifact(req.params);
+    res.json({ message: "Archive removed from the mirror", artifact });
+  } catch (error) {
+    if (error.code === "ARTIFACT_NOT_IN_MIRROR") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === "INVALID_MIRROR_ARTIFACT") {
+      return res
+        .status(400)
+        .json({ error: "Invalid archive", details: error.message });
+    }
+    console.error("Error removing archive:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to remove archive", details: error.message });
+  }
+});
+
 // Helper function to format bytes
 function formatBytes(bytes, decimals = 2) {
   if (bytes === 0) return "0 Bytes";
@@ -1178,44 +2222,64 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.listen(port, () => {
-  console.log(
-    `🚀 WordPress Deployer Server running on http://localhost:${port}`
-  );
-  console.log(`📁 Jobs directory: ${getJobsPath()}`);
-  console.log(`📁 Credentials directory: ${getCredentialsPath()}`);
-  console.log(`📁 Uploads directory: ${path.join(__dirname, "../uploads")}`);
-});
+/**
+ * Starts the HTTP server and the deploy queue workers.
+ * @param {number|string} [listenPort] - Port to listen on (defaults to PORT)
+ * @returns {http.Server} - The listening server
+ */
+function startServer(listenPort = port) {
+  const server = app.listen(listenPort, () => {
+    console.log(
+      `🚀 WordPress Deployer Server running on http://localhost:${
+        server.address().port
+      }`
+    );
+    console.log(`💾 Storage: ${dataStore.driver} (${dataStore.location})`);
+    console.log(`📁 Uploads directory: ${path.join(__dirname, "../uploads")}`);
+
+    startQueueWorkers(runDeployment, {
+      onRequeue: (entry) => {
+        try {
+          const jobData = validateJob(entry.jobId);
+          const state = getJobState(jobData);
+          // Starting over would issue a new token and run the installer on
+          // a site it may have half installed; leave it to be checked. One
+          // install.php already accepted keeps running to its deadline
+          if (state === "installing") {
+            if (!jobData.installDeadline) {
+              failInstall(
+                jobData,
+                "Install interrupted by a server restart",
+                "deploy-worker"
+              );
+              saveJob(jobData);
+            }
+            return false;
+          }
+          if (!ACTIVE_STATES.includes(state)) return;
+          transitionJob(jobData, "queued", {
+            actor: "deploy-worker",
+            reason: "Deployment interrupted by a server restart",
+          });
+          saveJob(jobData);
+        } catch (error) {
+          // A job that can no longer be read would fail on every restart
+          console.error(
+            `Failed to re-queue job ${entry.jobId}:`,
+            error.message
+          );
+          return false;
+        }
+      },
+    });
+    watchPendingInstalls();
+  });
+  return server;
+}
 
-function showDbSetupPause(jobId, dbInstructions, resumeCallback) {
-  // Create a modal or section to show instructions
-  const modal = document.createElement("div");
-  modal.className = "db-setup-modal";
-  modal.innerHTML = `
-    <h2>Manual Database Setup Required</h2>
-    <p>Please follow these steps in your cPanel:</p>
-    <ol>
-      <li>Log into cPanel: <a href="${dbInstructions.cpanelUrl}" target="_blank">${dbInstructions.cpanelUrl}</a></li>
-      <li>Create a new database: <b>${dbInstructions.databaseName}</b></li>
-      <li>Create a new user: <b>${dbInstructions.databaseUser}</b></li>
-      <li>Set password: <b>${dbInstructions.databasePassword}</b></li>
-      <li>Add the user to the database with <b>ALL PRIVILEGES</b></li>
-    </ol>
-    <button id="resume-deploy-btn">I have set up the DB, Resume Deployment</button>
-  `;
-  document.body.appendChild(modal);
-
-  document.getElementById("resume-deploy-btn").onclick = async function () {
-    modal.innerHTML = "<p>Resuming deployment...</p>";
-    // Call backend to resume
-    const resp = await fetch(`/api/resume-deploy/${jobId}`, { method: "POST" });
-    const data = await resp.json();
-    if (data.error) {
-      modal.innerHTML = `<p style="color:red;">${data.error}</p>`;
-    } else {
-      modal.innerHTML = `<p style="color:green;">${data.message}</p>`;
-      if (resumeCallback) resumeCallback(data);
-    }
-    setTimeout(() => modal.remove(), 3000);
-  };
+// Tests require the app and start it on a port of their own
+if (require.main === module) {
+  startServer();
 }
+
+module.exports = { app, startServer };
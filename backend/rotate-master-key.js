@@ -0,0 +1,32 @@
+require("dotenv").config();
+const { rotateMasterKey } = require("./services/credentialVault");
+const { initStorage } = require("./services/storage");
+
+// Re-encrypts every saved credential, and the secrets kept on jobs, with a
+// new master key.
+// Stop the server first, then run:
+//   CREDENTIAL_MASTER_KEY=<current> NEW_CREDENTIAL_MASTER_KEY=<new> node rotate-master-key.js
+// and restart the server with CREDENTIAL_MASTER_KEY set to the new key.
+
+function main() {
+  console.log("🔑 Rotating credential vault master key...");
+
+  try {
+    const { storage } = initStorage();
+    console.log(`💾 Storage: ${storage.driver} (${storage.location})`);
+
+    const rotated = rotateMasterKey(
+      process.env.CREDENTIAL_MASTER_KEY,
+      process.env.NEW_CREDENTIAL_MASTER_KEY
+    );
+    console.log(`✅ Re-encrypted ${rotated} credential(s) with the new key`);
+    console.log(
+      "💡 Update CREDENTIAL_MASTER_KEY to the new key before restarting the server"
+    );
+  } catch (error) {
+    console.error("❌ Key rotation failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
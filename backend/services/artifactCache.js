@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getStorage, getArtifactCachePath } = require("./storage");
+
+// Cache size limit when ARTIFACT_CACHE_MAX_MB is not set
+const DEFAULT_MAX_MB = 2048;
+
+// Content hashes of artifacts an upload is using; never evicted
+const pinned = new Map();
+
+// Downloads in progress per key, so concurrent deploys share one
+const inflight = new Map();
+
+const getMaxBytes = () =>
+  (Number(process.env.ARTIFACT_CACHE_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+
+const getBlobsPath = () => path.join(getArtifactCachePath(), "blobs");
+
+const getBlobPath = (sha256) => path.join(getBlobsPath(), sha256);
+
+/**
+ * Cache key of an artifact.
+ * @param {object} spec - { kind, slug, version }
+ * @returns {string} - e.g. "plugin/all-in-one-wp-migration/7.81"
+ */
+const getArtifactKey = ({ kind, slug, version }) =>
+  `${kind}/${slug}/${version}`;
+
+/**
+ * Computes the SHA-256 of a file without loading it into memory.
+ * @param {string} filePath - File path.
+ * @returns {Promise<string>} - Hex digest.
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+const pin = (sha256) => pinned.set(sha256, (pinned.get(sha256) || 0) + 1);
+
+const unpin = (sha256) => {
+  const count = (pinned.get(sha256) || 0) - 1;
+  if (count > 0) {
+    pinned.set(sha256, count);
+  } else {
+    pinned.delete(sha256);
+  }
+};
+
+/**
+ * Removes index entries, and each blob no remaining entry points to.
+ * @param {object[]} artifacts - Entries to remove.
+ * @returns {object[]} - The removed entries.
+ */
+function removeArtifacts(artifacts) {
+  const storage = getStorage();
+  storage.transaction(() =>
+    artifacts.forEach((artifact) => storage.deleteArtifact(artifact.key))
+  );
+
+  const remaining = new Set(storage.listArtifacts().map((a) => a.sha256));
+  artifacts
+    .filter((artifact) => !remaining.has(artifact.sha256))
+    .forEach((artifact) =>
+      fs.rmSync(getBlobPath(artifact.sha256), { force: true })
+    );
+
+  return artifacts;
+}
+
+/**
+ * Lists cached artifacts, most recently used first, with the cache totals.
+ * Entries share a blob when their content is identical; the total counts
+ * each blob once.
+ * @returns {object} - { artifacts, totalBytes, maxBytes }
+ */
+function listArtifacts() {
+  const artifacts = getStorage().listArtifacts();
+  const blobs = new Map(artifacts.map((a) => [a.sha256, a.size]));
+  return {
+    artifacts: artifacts.map((artifact) => ({
+      ...artifact,
+      inUse: pinned.has(artifact.sha256),
+    })),
+    totalBytes: [...blobs.values()].reduce((sum, size) => sum + size, 0),
+    maxBytes: getMaxBytes(),
+  };
+}
+
+/**
+ * Evicts the least recently used artifacts until the cache fits its size
+ * limit. Artifacts an upload is using are kept.
+ * @returns {object[]} - The evicted entries.
+ */
+function evictArtifacts() {
+  const { artifacts, totalBytes, maxBytes } = listArtifacts();
+  const references = new Map();
+  artifacts.forEach((artifact) =>
+    references.set(artifact.sha256, (references.get(artifact.sha256) || 0) + 1)
+  );
+
+  let remainingBytes = totalBytes;
+  const evicted = [];
+  // Least recently used first
+  for (const artifact of [...artifacts].reverse()) {
+    if (remainingBytes <= maxBytes) {
+      break;
+    }
+    if (artifact.inUse) {
+      continue;
+    }
+    evicted.push(artifact);
+    // A blob is freed once its last entry goes
+    references.set(artifact.sha256, references.get(artifact.sha256) - 1);
+    if (references.get(artifact.sha256) === 0) {
+      remainingBytes -= artifact.size;
+    }
+  }
+
+  return removeArtifacts(evicted);
+}
+
+/**
+ * Deletes cached artifacts matching the filters; no filters purges all.
+ * Artifacts an upload is using are skipped.
+ * @param {object} [filters] - { kind, slug, version }
+ * @returns {object} - { purged, skipped } entries.
+ */
+function purgeArtifacts({ kind, slug, version } = {}) {
+  const matching = getStorage()
+    .listArtifacts()
+    .filter(
+      (artifact) =>
+        (!kind || artifact.kind === kind) &&
+        (!slug || artifact.slug === slug) &&
+        (!version || artifact.version === version)
+    );
+  const skipped = matching.filter((artifact) => pinned.has(artifact.sha256));
+  const purged = removeArtifacts(
+    matching.filter((artifact) => !pinned.has(artifact.sha256))
+  );
+  return { purged, skipped };
+}
+
+/**
+ * Downloads an artifact into the cache and records it.
+ * @param {object} spec - { kind, slug, version, url }
+ * @param {Function} download - (destPath) => Promise, fetches and verifies
+ *   the file; it may resolve to details kept on the entry, like a checksum
+ * @returns {Promise<object>} - The index entry.
+ */
+async function downloadArtifact(spec, download) {
+  const tempDir = path.join(getArtifactCachePath(), "tmp");
+  fs.mkdirSync(tempDir, { recursive: true });
+  fs.mkdirSync(getBlobsPath(), { recursive: true });
+  const tempPath = path.join(tempDir, crypto.randomUUID());
+
+  try {
+    const details = await download(tempPath);
+    const sha256 = await hashFile(tempPath);
+    const size = fs.statSync(tempPath).size;
+    fs.renameSync(tempPath, getBlobPath(sha256));
+
+    const now = new Date().toISOString();
+    return getStorage().saveArtifact({
+      ...details,
+      key: getArtifactKey(spec),
+      kind: spec.kind,
+      slug: spec.slug,
+      version: spec.version,
+      url: spec.url,
+      sha256,
+      size,
+      createdAt: now,
+      lastUsedAt: now,
+      hits: 0,
+    });
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Returns a local copy of an artifact, downloading it only on a cache miss.
+ * A cached copy whose content no longer matches its hash is downloaded
+ * again. The artifact is kept from eviction until release() is called.
+ * @param {object} spec - { kind, slug, version, url }
+ * @param {Function} download - (destPath) => Promise, fetches and verifies
+ *   the file
+ * @returns {Promise<object>} - { path, sha256, size, checksum, cached, release }
+ */
+async function getArtifact(spec, download) {
+  const key = getArtifactKey(spec);
+  let artifact = getStorage().getArtifact(key);
+  let cached = !!artifact && fs.existsSync(getBlobPath(artifact.sha256));
+  if (
+    cached &&
+    (await hashFile(getBlobPath(artifact.sha256))) !== artifact.sha256
+  ) {
+    removeArtifacts([artifact]);
+    cached = false;
+  }
+
+  if (cached) {
+    artifact.lastUsedAt = new Date().toISOString();
+    artifact.hits = (artifact.hits || 0) + 1;
+    getStorage().saveArtifact(artifact);
+  } else {
+    if (!inflight.has(key)) {
+      inflight.set(
+        key,
+        downloadArtifact(spec, download).finally(() => inflight.delete(key))
+      );
+    }
+    artifact = await inflight.get(key);
+  }
+
+  pin(artifact.sha256);
+  evictArtifacts();
+
+  let released = false;
+  return {
+    path: getBlobPath(artifact.sha256),
+    sha256: artifact.sha256,
+    size: artifact.size,
+    checksum: artifact.checksum || null,
+    cached,
+    release: () => {
+      if (!released) {
+        released = true;
+        unpin(artifact.sha256);
+      }
+    },
+  };
+}
+
+module.exports = {
+  hashFile,
+  getArtifactKey,
+  getArtifact,
+  listArtifacts,
+  evictArtifacts,
+  purgeArtifacts,
+};
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const { verifyZipStructure } = require("./artifactVerifier");
+
+// Artifact kinds a deploy needs and how they are named in messages
+const MIRROR_KINDS = {
+  core: "WordPress core",
+  plugin: "Plugin",
+  theme: "Theme",
+};
+
+// Slugs and versions become path segments, so only plain names are allowed
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const VERSION_PATTERN = /^[0-9][0-9A-Za-z.-]*$/;
+
+// WordPress locale codes: de_DE, pt_BR, de_CH_informal, ...
+const LOCALE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?(_[a-z0-9]+)?$/;
+
+// Locale of the untranslated WordPress build
+const DEFAULT_LOCALE = "en_US";
+
+const mirrorError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Offline mode takes WordPress core, plugins and themes from the local
+ * mirror only; wordpress.org is never contacted.
+ * @returns {boolean}
+ */
+const isOfflineMode = () => process.env.OFFLINE_MODE === "true";
+
+const getMirrorPath = () =>
+  process.env.ARTIFACT_MIRROR_DIR || path.join(__dirname, "../../data/mirror");
+
+/**
+ * Slug under which a WordPress core build is cached and mirrored; each
+ * translated build is a separate artifact.
+ * @param {string} [locale] - WordPress locale
+ * @returns {string} - "wordpress" or e.g. "wordpress-de_DE"
+ */
+const getCoreSlug = (locale) =>
+  !locale || locale === DEFAULT_LOCALE ? "wordpress" : `wordpress-${locale}`;
+
+const getMirrorFile = ({ kind, slug, version }) =>
+  path.join(getMirrorPath(), kind, slug, `${version}.zip`);
+
+/**
+ * Compares two version strings numerically, segment by segment.
+ * @returns {number} - Negative, zero or positive like a sort comparator.
+ */
+function compareVersions(a, b) {
+  const left = a.split(/[.-]/);
+  const right = b.split(/[.-]/);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+const listDir = (dirPath) =>
+  fs.existsSync(dirPath)
+    ? fs
+        .readdirSync(dirPath, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() || entry.name.endsWith(".zip"))
+        .map((entry) => entry.name)
+    : [];
+
+/**
+ * Lists the archives in the mirror, newest version first per slug.
+ * @param {object} [filters] - { kind, slug }
+ * @returns {object[]} - { kind, slug, version, size, importedAt }
+ */
+function listMirror({ kind, slug } = {}) {
+  const entries = [];
+  Object.keys(MIRROR_KINDS)
+    .filter((k) => !kind || k === kind)
+    .forEach((k) =>
+      listDir(path.join(getMirrorPath(), k))
+        .filter((s) => !slug || s === slug)
+        .forEach((s) =>
+          listDir(path.join(getMirrorPath(), k, s))
+            .map((file) => file.replace(/\.zip$/, ""))
+            .sort((a, b) => compareVersions(b, a))
+            .forEach((version) => {
+              const stats = fs.statSync(
+                getMirrorFile({ kind: k, slug: s, version })
+              );
+              entries.push({
+                kind: k,
+                slug: s,
+                version,
+                size: stats.size,
+                importedAt: stats.mtime.toISOString(),
+              });
+            })
+        )
+    );
+  return entries;
+}
+
+/**
+ * Finds an archive in the mirror.
+ * @param {object} spec - { kind, slug, version }; a missing version or
+ *   "latest" picks the newest version in the mirror
+ * @returns {object} - { kind, slug, version, path }
+ */
+function resolveMirrorArtifact({ kind, slug, version }) {
+  const locale = kind === "core" && slug.replace(/^wordpress-?/, "");
+  const label =
+    kind !== "core"
+      ? `${MIRROR_KINDS[kind]} ${slug}`
+      : `${MIRROR_KINDS.core}${locale ? ` (${locale})` : ""}`;
+  if (!version || version === "latest") {
+    const [newest] = listMirror({ kind, slug });
+    if (!newest) {
+      throw mirrorError(
+        `${label} is not in the offline mirror (${getMirrorPath()}); import it with POST /mirror`,
+        "ARTIFACT_NOT_IN_MIRROR"
+      );
+    }
+    version = newest.version;
+  }
+
+  const filePath = getMirrorFile({ kind, slug, version });
+  if (!fs.existsSync(filePath)) {
+    throw mirrorError(
+      `${label} ${version} is not in the offline mirror (${getMirrorPath()}); import it with POST /mirror`,
+      "ARTIFACT_NOT_IN_MIRROR"
+    );
+  }
+  return { kind, slug, version, path: filePath };
+}
+
+/**
+ * Validates a mirror artifact's identity. Core builds are named by locale
+ * rather than slug. The version may be taken from a wordpress.org style
+ * file name: wordpress-6.5.2.zip, wordpress-6.5.2-de_DE.zip or
+ * slug.1.2.3.zip.
+ * @param {object} spec - { kind, slug, locale, version, filename }
+ * @returns {object} - { kind, slug, version }
+ */
+function normalizeMirrorSpec({ kind, slug, locale, version, filename }) {
+  if (!MIRROR_KINDS[kind]) {
+    throw mirrorError(
+      `Invalid artifact kind: ${kind} (expected one of ${Object.keys(
+        MIRROR_KINDS
+      ).join(", ")})`,
+      "INVALID_MIRROR_ARTIFACT"
+    );
+  }
+  if (kind === "core") {
+    // A core slug names its locale, as in /mirror/core/wordpress-de_DE/6.5
+    if (!locale && slug && slug.startsWith("wordpress-")) {
+      locale = slug.slice("wordpress-".length);
+    }
+    if (locale && !LOCALE_PATTERN.test(locale)) {
+      throw mirrorError(`Invalid locale: ${locale}`, "INVALID_MIRROR_ARTIFACT");
+    }
+    slug = getCoreSlug(locale);
+  } else if (!slug || !SLUG_PATTERN.test(slug)) {
+    throw mirrorError(`Invalid slug: ${slug}`, "INVALID_MIRROR_ARTIFACT");
+  }
+
+  if (!version && filename) {
+    const name = kind === "core" ? "wordpress" : slug;
+    const suffix = kind === "core" && locale ? `-${locale}` : "";
+    const match = path
+      .basename(filename)
+      .match(
+        new RegExp(`^${name.replace(/\./g, "\\.")}[.-](.+?)${suffix}\\.zip$`)
+      );
+    version = match && match[1];
+  }
+  if (!version || !VERSION_PATTERN.test(version)) {
+    throw mirrorError(
+      version
+        ? `Invalid version: ${version}`
+        : "Version is required when the file name does not include it",
+      "INVALID_MIRROR_ARTIFACT"
+    );
+  }
+  return { kind, slug, version };
+}
+
+/**
+ * Moves an uploaded zip into the mirror, replacing the same version. The
+ * zip must hold what its kind needs, such as wordpress/wp-load.php.
+ * @param {object} spec - { kind, slug, version, filename }
+ * @param {string} filePath - Uploaded file; it is moved, not copied
+ * @returns {Promise<object>} - The mirror entry.
+ */
+async function importMirrorArtifact(spec, filePath) {
+  const artifact = normalizeMirrorSpec(spec);
+
+  try {
+    await verifyZipStructure(filePath, artifact, "Archive");
+  } catch (error) {
+    throw mirrorError(error.message, "INVALID_MIRROR_ARTIFACT");
+  }
+
+  const destPath = getMirrorFile(artifact);
+  fs.mkdirSync(path.dirname(destPath), { recursive: true });
+  try {
+    fs.renameSync(filePath, destPath);
+  } catch (error) {
+    if (error.code !== "EXDEV") {
+      throw error;
+    }
+    // The mirror may be on another volume than the upload directory
+    fs.copyFileSync(filePath, destPath);
+    fs.unlinkSync(filePath);
+  }
+
+  const stats = fs.statSync(destPath);
+  return {
+    ...artifact,
+    size: stats.size,
+    importedAt: stats.mtime.toISOString(),
+  };
+}
+
+/**
+ * Removes one archive from the mirror.
+ * @param {object} spec - { kind, slug, version }
+ * @returns {object} - The removed entry.
+ */
+function deleteMirrorArtifact(spec) {
+  const artifact = resolveMirrorArtifact(normalizeMirrorSpec(spec));
+  fs.unlinkSync(artifact.path);
+  return {
+    kind: artifact.kind,
+    slug: artifact.slug,
+    version: artifact.version,
+  };
+}
+
+module.exports = {
+  MIRROR_KINDS,
+  LOCALE_PATTERN,
+  DEFAULT_LOCALE,
+  getCoreSlug,
+  isOfflineMode,
+  getMirrorPath,
+  listMirror,
+  resolveMirrorArtifact,
+  importMirrorArtifact,
+  deleteMirrorArtifact,
+};
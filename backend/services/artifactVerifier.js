@@ -0,0 +1,125 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const yauzl = require("yauzl");
+
+// Digest lengths of the checksum files wordpress.org publishes
+const CHECKSUM_ALGORITHMS = { 32: "md5", 40: "sha1", 64: "sha256" };
+
+const integrityError = (message) => {
+  const error = new Error(message);
+  error.code = "ARTIFACT_INTEGRITY";
+  return error;
+};
+
+/**
+ * Entries an archive must contain to be the artifact it claims to be.
+ * @param {object} artifact - { kind, slug }
+ * @returns {string[]} - Paths inside the zip
+ */
+function getExpectedEntries({ kind, slug }) {
+  if (kind === "core") {
+    return ["wordpress/wp-load.php"];
+  }
+  if (kind === "theme") {
+    return [`${slug}/style.css`];
+  }
+  return [`${slug}/${slug}.php`];
+}
+
+/**
+ * Lists the entry names of a zip from its central directory. A truncated
+ * archive, or a file that is not a zip, fails here.
+ * @param {string} filePath - Zip file
+ * @returns {Promise<Set<string>>}
+ */
+function readZipEntries(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (error, zip) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const entries = new Set();
+      zip.on("entry", (entry) => {
+        entries.add(entry.fileName);
+        zip.readEntry();
+      });
+      zip.on("end", () => resolve(entries));
+      zip.on("error", reject);
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Checks that a file is a readable zip holding the expected entries.
+ * @param {string} filePath - Zip file
+ * @param {object} artifact - { kind, slug }
+ * @param {string} label - What the file is, for error messages
+ */
+async function verifyZipStructure(filePath, artifact, label) {
+  let entries;
+  try {
+    entries = await readZipEntries(filePath);
+  } catch (error) {
+    throw integrityError(
+      `${label} is not a valid zip archive: ${error.message}`
+    );
+  }
+  const missing = getExpectedEntries(artifact).filter(
+    (name) => !entries.has(name)
+  );
+  if (missing.length) {
+    throw integrityError(`${label} is missing ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * Fetches the checksum published next to a download, such as
+ * wordpress-6.5.2.zip.sha1. Returns null when none is published.
+ * @param {string} url - Checksum URL
+ * @returns {Promise<object|null>} - { algorithm, digest }
+ */
+async function fetchPublishedChecksum(url) {
+  const response = await fetch(url);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw integrityError(
+      `Could not fetch checksum ${url}: HTTP ${response.status}`
+    );
+  }
+  const digest = (await response.text()).trim().split(/\s+/)[0].toLowerCase();
+  const algorithm = CHECKSUM_ALGORITHMS[digest.length];
+  if (!algorithm || !/^[0-9a-f]+$/.test(digest)) {
+    throw integrityError(`Checksum ${url} is not a recognised digest`);
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Compares a file against a published checksum.
+ * @param {string} filePath - Downloaded file
+ * @param {object} checksum - { algorithm, digest }
+ * @param {string} label - What the file is, for error messages
+ */
+async function verifyChecksum(filePath, checksum, label) {
+  const hash = crypto.createHash(checksum.algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  const actual = hash.digest("hex");
+  if (actual !== checksum.digest) {
+    throw integrityError(
+      `${label} failed its ${checksum.algorithm} check (expected ${checksum.digest}, got ${actual})`
+    );
+  }
+}
+
+module.exports = {
+  getExpectedEntries,
+  verifyZipStructure,
+  fetchPublishedChecksum,
+  verifyChecksum,
+};
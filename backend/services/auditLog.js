@@ -0,0 +1,29 @@
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+/**
+ * Records an operation on a client's hosting. Entries are never changed
+ * and are kept when the job they describe is deleted.
+ * @param {string} action - What was done, e.g. "teardown".
+ * @param {object} details - { jobId, actor, ... } stored with the entry.
+ * @returns {object} - The saved entry, with its id, action and time.
+ */
+function recordAudit(action, details) {
+  return getStorage().saveAuditRecord({
+    id: crypto.randomUUID(),
+    action,
+    at: new Date().toISOString(),
+    ...details,
+  });
+}
+
+/**
+ * Lists audit entries, newest first.
+ * @param {object} [filters] - { jobId, action }.
+ * @returns {object[]} - Audit entries.
+ */
+function listAudit(filters = {}) {
+  return getStorage().listAuditRecords(filters);
+}
+
+module.exports = { recordAudit, listAudit };
@@ -0,0 +1,416 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+const ROLES = ["viewer", "operator", "admin"];
+const SESSION_COOKIE = "wpd_session";
+const API_KEY_PREFIX = "wpd_";
+
+// Active login sessions (token hash -> { userId, expiresAt })
+const sessions = new Map();
+
+const getUsersPath = () =>
+  process.env.USERS_DIR || path.join(__dirname, "../../users");
+
+const getSessionTtlMs = () =>
+  (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+/**
+ * Hashes a token (session or API key) for storage and lookup.
+ * @param {string} token - Raw token.
+ * @returns {string} - Hex SHA-256 digest.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Hashes a user password with scrypt and a random salt.
+ * @param {string} password - Plaintext password.
+ * @returns {string} - Encoded hash ("scrypt$salt$hash").
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a plaintext password against an encoded hash.
+ * @param {string} password - Plaintext password.
+ * @param {string} encoded - Hash produced by hashPassword.
+ * @returns {boolean} - True if the password matches.
+ */
+function verifyPassword(password, encoded) {
+  const [scheme, salt, hash] = (encoded || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strips password and key hashes from a user record for API responses.
+ * @param {object} user - Stored user record.
+ * @returns {object} - Public user fields.
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    apiKeys: (user.apiKeys || []).map(({ hash, ...key }) => key),
+  };
+}
+
+function readUser(file) {
+  return JSON.parse(fs.readFileSync(file));
+}
+
+function saveUser(user) {
+  const usersPath = getUsersPath();
+  if (!fs.existsSync(usersPath)) {
+    fs.mkdirSync(usersPath, { recursive: true });
+  }
+  fs.writeFileSync(
+    path.join(usersPath, `${user.id}.json`),
+    JSON.stringify(user, null, 2)
+  );
+}
+
+/**
+ * Lists all stored users.
+ * @returns {object[]} - User records.
+ */
+function listUsers() {
+  const usersPath = getUsersPath();
+  if (!fs.existsSync(usersPath)) {
+    return [];
+  }
+  return fs
+    .readdirSync(usersPath)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => readUser(path.join(usersPath, file)));
+}
+
+/**
+ * Gets a user by ID.
+ * @param {string} userId - User ID.
+ * @returns {object|null} - User record, or null if not found.
+ */
+function getUser(userId) {
+  const userFile = path.join(getUsersPath(), `${path.basename(userId)}.json`);
+  return fs.existsSync(userFile) ? readUser(userFile) : null;
+}
+
+/**
+ * Creates a user.
+ * @param {object} params - { username, password, role }.
+ * @returns {object} - The created user record.
+ */
+function createUser({ username, password, role }) {
+  if (!username || !password) {
+    throw new Error("Username and password are required");
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role. Expected one of: ${ROLES.join(", ")}`);
+  }
+  if (listUsers().some((user) => user.username === username)) {
+    throw new Error(`User ${username} already exists`);
+  }
+
+  const user = {
+    id: uuidv4(),
+    username,
+    role,
+    passwordHash: hashPassword(password),
+    apiKeys: [],
+    createdAt: new Date().toISOString(),
+  };
+  saveUser(user);
+  return user;
+}
+
+/**
+ * Updates a user's role and/or password.
+ * @param {string} userId - User ID.
+ * @param {object} changes - { role, password }.
+ * @returns {object} - The updated user record.
+ */
+function updateUser(userId, { role, password }) {
+  const user = getUser(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Expected one of: ${ROLES.join(", ")}`);
+    }
+    user.role = role;
+  }
+  if (password) {
+    user.passwordHash = hashPassword(password);
+    revokeUserSessions(user.id);
+  }
+  saveUser(user);
+  return user;
+}
+
+/**
+ * Deletes a user and ends their sessions.
+ * @param {string} userId - User ID.
+ */
+function deleteUser(userId) {
+  const userFile = path.join(getUsersPath(), `${path.basename(userId)}.json`);
+  if (!fs.existsSync(userFile)) {
+    throw new Error("User not found");
+  }
+  fs.unlinkSync(userFile);
+  revokeUserSessions(userId);
+}
+
+/**
+ * Creates an API key for a user. The raw key is only returned once.
+ * @param {string} userId - User ID.
+ * @param {string} name - Label for the key (e.g. the script using it).
+ * @returns {object} - { key, apiKey } with the raw key and its public record.
+ */
+function createApiKey(userId, name) {
+  const user = getUser(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const apiKey = {
+    id: uuidv4(),
+    name: name || "API key",
+    prefix: key.substring(0, 12),
+    hash: hashToken(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  user.apiKeys = [...(user.apiKeys || []), apiKey];
+  saveUser(user);
+
+  const { hash, ...publicKey } = apiKey;
+  return { key, apiKey: publicKey };
+}
+
+/**
+ * Revokes one of a user's API keys.
+ * @param {string} userId - User ID.
+ * @param {string} keyId - API key ID.
+ */
+function revokeApiKey(userId, keyId) {
+  const user = getUser(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  const remaining = (user.apiKeys || []).filter((key) => key.id !== keyId);
+  if (remaining.length === (user.apiKeys || []).length) {
+    throw new Error("API key not found");
+  }
+  user.apiKeys = remaining;
+  saveUser(user);
+}
+
+/**
+ * Checks a username/password and opens a session.
+ * @param {string} username - Username.
+ * @param {string} password - Password.
+ * @returns {object|null} - { token, expiresAt, user }, or null on bad credentials.
+ */
+function login(username, password) {
+  const user = listUsers().find((candidate) => candidate.username === username);
+  if (!user || !verifyPassword(password || "", user.passwordHash)) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = Date.now() + getSessionTtlMs();
+  sessions.set(hashToken(token), { userId: user.id, expiresAt });
+
+  return { token, expiresAt: new Date(expiresAt).toISOString(), user };
+}
+
+/**
+ * Ends a session.
+ * @param {string} token - Raw session token.
+ */
+function logout(token) {
+  if (token) {
+    sessions.delete(hashToken(token));
+  }
+}
+
+function revokeUserSessions(userId) {
+  for (const [tokenHash, session] of sessions) {
+    if (session.userId === userId) {
+      sessions.delete(tokenHash);
+    }
+  }
+}
+
+function findUserBySession(token) {
+  const tokenHash = hashToken(token);
+  const session = sessions.get(tokenHash);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(tokenHash);
+    return null;
+  }
+  return getUser(session.userId);
+}
+
+function findUserByApiKey(key) {
+  const keyHash = hashToken(key);
+  for (const user of listUsers()) {
+    const apiKey = (user.apiKeys || []).find((k) => k.hash === keyHash);
+    if (apiKey) {
+      apiKey.lastUsedAt = new Date().toISOString();
+      saveUser(user);
+      return user;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the session token from the request cookie header.
+ * @param {object} req - Express request.
+ * @returns {string|null} - Raw session token.
+ */
+function getSessionToken(req) {
+  const cookies = (req.headers.cookie || "").split(";");
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the Set-Cookie value for a session (or for clearing it).
+ * @param {string} token - Raw session token ("" to clear).
+ * @param {number} maxAgeSeconds - Cookie lifetime.
+ * @returns {string} - Set-Cookie header value.
+ */
+function buildSessionCookie(token, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (process.env.COOKIE_SECURE === "true") {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Express middleware that identifies the caller from an API key
+ * (X-API-Key or "Authorization: Bearer wpd_...") or a session (cookie or
+ * "Authorization: Bearer <session token>"). Responds 401 otherwise.
+ */
+function authenticate(req, res, next) {
+  const authorization = req.headers.authorization || "";
+  const bearer = authorization.startsWith("Bearer ")
+    ? authorization.slice(7).trim()
+    : null;
+  const apiKey =
+    req.headers["x-api-key"] ||
+    (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+  let user = null;
+  if (apiKey) {
+    user = findUserByApiKey(apiKey);
+  } else {
+    const sessionToken = bearer || getSessionToken(req);
+    user = sessionToken ? findUserBySession(sessionToken) : null;
+  }
+
+  if (!user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  req.user = { id: user.id, username: user.username, role: user.role };
+  next();
+}
+
+/**
+ * Express middleware factory that requires at least the given role.
+ * Roles are ordered viewer < operator < admin.
+ * @param {string} role - Minimum role.
+ * @returns {Function} - Express middleware.
+ */
+function requireRole(role) {
+  const minimumLevel = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    if (ROLES.indexOf(req.user.role) < minimumLevel) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        required: role,
+        role: req.user.role,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when no users
+ * exist yet.
+ * @returns {object|null} - The created admin, or null if nothing was done.
+ */
+function bootstrapAdmin() {
+  if (listUsers().length > 0) {
+    return null;
+  }
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      "⚠️ No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin."
+    );
+    return null;
+  }
+  return createUser({
+    username: ADMIN_USERNAME,
+    password: ADMIN_PASSWORD,
+    role: "admin",
+  });
+}
+
+module.exports = {
+  ROLES,
+  getUsersPath,
+  getSessionTtlMs,
+  toPublicUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  createApiKey,
+  revokeApiKey,
+  login,
+  logout,
+  getSessionToken,
+  buildSessionCookie,
+  authenticate,
+  requireRole,
+  bootstrapAdmin,
+};
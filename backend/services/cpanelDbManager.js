@@ -1,6 +1,6 @@
-const cpanelApi = require("@cpanel/api");
 const https = require("https"); // For making HTTPS requests to cPanel
 const { URL } = require("url");
+const { consoleLogger } = require("./jobEvents");
 
 /**
  * Creates an HTTP agent that ignores SSL certificate errors.
@@ -11,6 +11,46 @@ const insecureAgent = new https.Agent({
   rejectUnauthorized: false, // WARNING: Do not use in production without proper SSL validation
 });
 
+/**
+ * Builds the Authorization header for cPanel's APIs. An API token is used
+ * when there is one ("cpanel user:token"), as many hosts refuse passwords
+ * on the API; otherwise the password is sent with Basic auth.
+ * @param {object} cpanelConfig - Object with username, and apiToken and/or password.
+ * @returns {string} - Authorization header value.
+ */
+function getCpanelAuthHeader({ username, password, apiToken }) {
+  if (apiToken) {
+    return `cpanel ${username}:${apiToken}`;
+  }
+  if (password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+  }
+  throw new Error("cPanel credentials (password or apiToken) are missing.");
+}
+
+/**
+ * Puts the UAPI address of a cPanel config, when it has one, before the
+ * standard endpoints a connection test probes, so a credential saved with
+ * its own port is tried there first.
+ * @param {object} cpanelConfig - cPanel configuration, with baseUrl if known
+ * @param {string[]} endpoints - Standard endpoints to probe
+ * @returns {string[]} - Endpoints in the order to try them
+ */
+const withConfiguredEndpoint = ({ baseUrl }, endpoints) => {
+  if (!baseUrl) {
+    return endpoints;
+  }
+  const configured = `${baseUrl}/json-api/uapi/cpanel_info/get_user_information`;
+  return [
+    configured,
+    ...endpoints.filter((endpoint) => endpoint !== configured),
+  ];
+};
+
+// How a request authenticated, for logs
+const describeAuth = ({ username, apiToken }) =>
+  `${apiToken ? "API token" : "password"} of ${username}`;
+
 /**
  * Helper function to make cPanel UAPI calls.
  * Assumes cpanelConfig contains host, username, and password (or API token).
@@ -18,28 +58,18 @@ const insecureAgent = new https.Agent({
  * @param {string} module - The UAPI module (e.g., 'Mysql').
  * @param {string} func - The UAPI function (e.g., 'create_database').
  * @param {object} args - Arguments for the UAPI function.
+ * @param {object} [logger] - Logger for progress messages.
  * @returns {Promise<object>} - The API response.
  */
-async function callUapi(cpanelConfig, module, func, args = {}) {
-  const { host, username, password } = cpanelConfig;
-  let authHeader;
-
-  // Determine authentication method
-  if (cpanelConfig.apiToken) {
-    // Use API Token if available (more secure for automation)
-    authHeader = new cpanelApi.WhmApiTokenHeader(
-      cpanelConfig.apiToken,
-      username
-    );
-  } else if (password) {
-    // Fallback to basic auth with username/password
-    const authString = Buffer.from(`${username}:${password}`).toString(
-      "base64"
-    );
-    authHeader = { Authorization: `Basic ${authString}` };
-  } else {
-    throw new Error("cPanel credentials (password or apiToken) are missing.");
-  }
+async function callUapi(
+  cpanelConfig,
+  module,
+  func,
+  args = {},
+  logger = consoleLogger
+) {
+  const { host } = cpanelConfig;
+  const authHeader = getCpanelAuthHeader(cpanelConfig);
 
   // Build the UAPI URL
   const queryParams = new URLSearchParams();
@@ -51,18 +81,17 @@ async function callUapi(cpanelConfig, module, func, args = {}) {
   const baseUrl = cpanelConfig.baseUrl || `https://${host}:2083`;
   let apiUrl = `${baseUrl}/json-api/uapi/${module}/${func}?${queryParams.toString()}`;
 
-  console.log(`Calling cPanel UAPI: ${apiUrl}`);
-  console.log(
-    `Auth: Basic ${Buffer.from(`${username}:********`).toString("base64")}`
-  ); // Mask password
+  // Arguments are left out: create_user's include the new password
+  logger.info(
+    `Calling cPanel UAPI: ${baseUrl}/json-api/uapi/${module}/${func}`
+  );
+  logger.debug(`Auth: ${describeAuth(cpanelConfig)}`);
 
   try {
     const response = await fetch(apiUrl, {
       method: "GET", // Many UAPI calls are GET, but `create` functions might be POST
       headers: {
-        Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString(
-          "base64"
-        )}`,
+        Authorization: authHeader,
         Accept: "application/json",
         "User-Agent": "WordPress-Deployer/1.0",
       },
@@ -71,18 +100,18 @@ async function callUapi(cpanelConfig, module, func, args = {}) {
 
     // Check if response is OK
     if (!response.ok) {
-      console.error(`HTTP Error: ${response.status} ${response.statusText}`);
+      logger.error(`HTTP Error: ${response.status} ${response.statusText}`);
       const errorText = await response.text();
-      console.error("Error response body:", errorText.substring(0, 500)); // Log first 500 chars
+      logger.error("Error response body:", errorText.substring(0, 500)); // Log first 500 chars
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
     // Check content type to ensure we're getting JSON
     const contentType = response.headers.get("content-type");
     if (!contentType || !contentType.includes("application/json")) {
-      console.error(`Unexpected content type: ${contentType}`);
+      logger.error(`Unexpected content type: ${contentType}`);
       const responseText = await response.text();
-      console.error("Response body:", responseText.substring(0, 1000)); // Log first 1000 chars
+      logger.error("Response body:", responseText.substring(0, 1000)); // Log first 1000 chars
       throw new Error(`Expected JSON response, got: ${contentType}`);
     }
 
@@ -90,26 +119,91 @@ async function callUapi(cpanelConfig, module, func, args = {}) {
 
     // Check for cPanel API errors in the response
     if (data.errors && data.errors.length > 0) {
-      console.error("cPanel API Error:", data.errors);
+      logger.error("cPanel API Error:", data.errors);
       throw new Error(`cPanel API Error: ${data.errors.join(", ")}`);
     }
 
     return data;
   } catch (error) {
-    console.error("Network or cPanel API request error:", error);
+    logger.error("Network or cPanel API request error:", error);
     throw error;
   }
 }
 
+/**
+ * Helper function to make cPanel API 2 calls, for the few functions UAPI
+ * lacks (removing addon domains and subdomains).
+ * @param {object} cpanelConfig - Object with host, username, and password/apiToken.
+ * @param {string} module - The API 2 module (e.g., 'AddonDomain').
+ * @param {string} func - The API 2 function (e.g., 'deladdondomain').
+ * @param {object} args - Arguments for the API 2 function.
+ * @param {object} [logger] - Logger for progress messages.
+ * @returns {Promise<object>} - The cpanelresult of the response.
+ */
+async function callApi2(
+  cpanelConfig,
+  module,
+  func,
+  args = {},
+  logger = consoleLogger
+) {
+  const { host, username } = cpanelConfig;
+  const authHeader = getCpanelAuthHeader(cpanelConfig);
+
+  const queryParams = new URLSearchParams({
+    cpanel_jsonapi_user: username,
+    cpanel_jsonapi_apiversion: "2",
+    cpanel_jsonapi_module: module,
+    cpanel_jsonapi_func: func,
+  });
+  for (const key in args) {
+    queryParams.append(key, args[key]);
+  }
+
+  const baseUrl = cpanelConfig.baseUrl || `https://${host}:2083`;
+  const apiUrl = `${baseUrl}/json-api/cpanel?${queryParams.toString()}`;
+  logger.info(`Calling cPanel API 2: ${module}::${func}`);
+
+  const response = await fetch(apiUrl, {
+    method: "GET",
+    headers: {
+      Authorization: authHeader,
+      Accept: "application/json",
+      "User-Agent": "WordPress-Deployer/1.0",
+    },
+    agent: insecureAgent, // WARNING: Remove for production
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  // API 2 answers 200 and reports failures inside the result
+  const { cpanelresult: result = {} } = await response.json();
+  const [first] = result.data || [];
+  if (result.error || (first && first.result === 0)) {
+    const reason = result.error || first.reason || "unknown error";
+    logger.error("cPanel API 2 Error:", reason);
+    throw new Error(`cPanel API Error: ${reason}`);
+  }
+  return result;
+}
+
 /**
  * Creates a MySQL database on cPanel.
  * @param {object} cpanelConfig - Object with host, username, and password for cPanel.
  * @param {string} dbName - The desired database name (will be prefixed by cPanel).
+ * @param {object} [logger] - Logger for progress messages.
  * @returns {Promise<object>} - API response.
  */
-async function createDatabase(cpanelConfig, dbName) {
-  console.log(`Creating MySQL database: ${dbName}`);
-  return callUapi(cpanelConfig, "Mysql", "create_database", { name: dbName });
+async function createDatabase(cpanelConfig, dbName, logger = consoleLogger) {
+  logger.info(`Creating MySQL database: ${dbName}`);
+  return callUapi(
+    cpanelConfig,
+    "Mysql",
+    "create_database",
+    { name: dbName },
+    logger
+  );
 }
 
 /**
@@ -117,14 +211,26 @@ async function createDatabase(cpanelConfig, dbName) {
  * @param {object} cpanelConfig - Object with host, username, and password for cPanel.
  * @param {string} username - The desired database username (will be prefixed by cPanel).
  * @param {string} password - The password for the database user.
+ * @param {object} [logger] - Logger for progress messages.
  * @returns {Promise<object>} - API response.
  */
-async function createDatabaseUser(cpanelConfig, username, password) {
-  console.log(`Creating MySQL user: ${username}`);
-  return callUapi(cpanelConfig, "Mysql", "create_user", {
-    name: username,
-    password: password,
-  });
+async function createDatabaseUser(
+  cpanelConfig,
+  username,
+  password,
+  logger = consoleLogger
+) {
+  logger.info(`Creating MySQL user: ${username}`);
+  return callUapi(
+    cpanelConfig,
+    "Mysql",
+    "create_user",
+    {
+      name: username,
+      password: password,
+    },
+    logger
+  );
 }
 
 /**
@@ -132,15 +238,27 @@ async function createDatabaseUser(cpanelConfig, username, password) {
  * @param {object} cpanelConfig - Object with host, username, and password for cPanel.
  * @param {string} username - The prefixed database username.
  * @param {string} dbName - The prefixed database name.
+ * @param {object} [logger] - Logger for progress messages.
  * @returns {Promise<object>} - API response.
  */
-async function grantUserPrivileges(cpanelConfig, username, dbName) {
-  console.log(`Granting privileges to user ${username} on database ${dbName}`);
-  return callUapi(cpanelConfig, "Mysql", "set_privileges_on_database", {
-    user: username,
-    database: dbName,
-    privileges: "ALL",
-  });
+async function grantUserPrivileges(
+  cpanelConfig,
+  username,
+  dbName,
+  logger = consoleLogger
+) {
+  logger.info(`Granting privileges to user ${username} on database ${dbName}`);
+  return callUapi(
+    cpanelConfig,
+    "Mysql",
+    "set_privileges_on_database",
+    {
+      user: username,
+      database: dbName,
+      privileges: "ALL",
+    },
+    logger
+  );
 }
 
 /**
@@ -176,11 +294,16 @@ function generateStrongPassword() {
 /**
  * Orchestrates the creation of a WordPress MySQL database and user.
  * It will generate a random database name and user if not provided.
- * @param {object} cpanelConfig - cPanel configuration (host, username, password/apiToken).
+ * @param {object} cpanelConfig - cPanel configuration (host, username, password/apiToken,
+ *   and the baseUrl of the credential's API port, tried first).
  * @param {string} [desiredDbName] - Optional. Desired database name (without prefix).
  * @param {string} [desiredDbUser] - Optional. Desired database username (without prefix).
  * @param {string} [desiredDbPass] - Optional. Desired database user password.
  * @param {string} [domain] - Optional. Domain name for the WordPress site.
+ * @param {object} [logger] - Optional. Logger for progress messages.
+ * @param {Function} [onCreated] - Optional. Called with ("database", name)
+ *   and ("user", name) as each is created, so they can be removed again even
+ *   if a later step fails.
  * @returns {Promise<object>} - Object containing the full prefixed database name, user, and password.
  */
 async function createWordPressDatabase(
@@ -188,7 +311,9 @@ async function createWordPressDatabase(
   desiredDbName,
   desiredDbUser,
   desiredDbPass,
-  domain = "unknown"
+  domain = "unknown",
+  logger = consoleLogger,
+  onCreated = () => {}
 ) {
   // Generate random names if not provided
   const randomSuffix = Math.random().toString(36).substring(2, 8);
@@ -196,20 +321,20 @@ async function createWordPressDatabase(
   const generatedDbUser = desiredDbUser || `wpuser_${randomSuffix}`;
   const generatedDbPass = desiredDbPass || generateStrongPassword(); // Use stronger password
 
-  console.log("Starting WordPress database creation...");
+  logger.info("Starting WordPress database creation...");
 
   try {
     // First, try Namecheap-specific endpoints (since user mentioned Namecheap)
     let connectionTest;
     try {
-      connectionTest = await testNamecheapConnection(cpanelConfig);
-      console.log("✅ Namecheap API connection successful");
+      connectionTest = await testNamecheapConnection(cpanelConfig, logger);
+      logger.info("✅ Namecheap API connection successful");
     } catch (namecheapError) {
-      console.log(
+      logger.warn(
         "⚠️ Namecheap-specific endpoints failed, trying general cPanel endpoints..."
       );
-      connectionTest = await testCpanelConnection(cpanelConfig);
-      console.log("✅ General cPanel connection test successful");
+      connectionTest = await testCpanelConnection(cpanelConfig, logger);
+      logger.info("✅ General cPanel connection test successful");
     }
 
     // Extract the base URL from the working endpoint
@@ -217,7 +342,7 @@ async function createWordPressDatabase(
       "/json-api/uapi/cpanel_info/get_user_information",
       ""
     );
-    console.log(`Using base URL: ${baseUrl}`);
+    logger.info(`Using base URL: ${baseUrl}`);
 
     // Update the cpanelConfig with the working base URL
     const workingConfig = {
@@ -226,30 +351,38 @@ async function createWordPressDatabase(
     };
 
     // Create database
-    const dbResult = await createDatabase(workingConfig, generatedDbName);
-    console.log("Database creation result:", dbResult);
+    const dbResult = await createDatabase(
+      workingConfig,
+      generatedDbName,
+      logger
+    );
+    logger.info("Database creation result:", dbResult);
 
     const cpanelUsername = cpanelConfig.username;
     const prefixedDbName = `${cpanelUsername}_${generatedDbName}`;
+    onCreated("database", prefixedDbName);
 
     // Create database user
     const userResult = await createDatabaseUser(
       workingConfig,
       generatedDbUser,
-      generatedDbPass
+      generatedDbPass,
+      logger
     );
-    console.log("Database user creation result:", userResult);
+    logger.info("Database user creation result:", userResult);
     const prefixedDbUser = `${cpanelUsername}_${generatedDbUser}`;
+    onCreated("user", prefixedDbUser);
 
     // Grant privileges
     const grantResult = await grantUserPrivileges(
       workingConfig,
       prefixedDbUser,
-      prefixedDbName
+      prefixedDbName,
+      logger
     );
-    console.log("Grant privileges result:", grantResult);
+    logger.info("Grant privileges result:", grantResult);
 
-    console.log("WordPress database and user created successfully!");
+    logger.info("WordPress database and user created successfully!");
     return {
       dbName: prefixedDbName,
       dbUser: prefixedDbUser,
@@ -257,29 +390,28 @@ async function createWordPressDatabase(
       manual: false,
     };
   } catch (error) {
-    console.error(
-      "Failed to create WordPress database via API:",
-      error.message
-    );
-    console.log("🔄 Falling back to manual database setup...");
+    logger.error("Failed to create WordPress database via API:", error.message);
+    logger.warn("🔄 Falling back to manual database setup...");
 
     // Fall back to manual setup
-    return await createWordPressDatabaseManual(cpanelConfig, domain);
+    return await createWordPressDatabaseManual(cpanelConfig, domain, logger);
   }
 }
 
 /**
  * Test function to debug cPanel API connection
  * @param {object} cpanelConfig - cPanel configuration
+ * @param {object} [logger] - Logger for progress messages
  * @returns {Promise<object>} - Test results
  */
-async function testCpanelConnection(cpanelConfig) {
-  const { host, username, password } = cpanelConfig;
+async function testCpanelConnection(cpanelConfig, logger = consoleLogger) {
+  const { host } = cpanelConfig;
+  const authHeader = getCpanelAuthHeader(cpanelConfig);
 
-  console.log(`🔍 Testing cPanel connection to ${host}...`);
+  logger.info(`🔍 Testing cPanel connection to ${host}...`);
 
   // Test different possible endpoints - both cPanel UAPI and WHM API
-  const endpoints = [
+  const endpoints = withConfiguredEndpoint(cpanelConfig, [
     // Standard cPanel UAPI endpoints
     `https://${host}:2083/json-api/uapi/cpanel_info/get_user_information`,
     `https://${host}:2082/json-api/uapi/cpanel_info/get_user_information`,
@@ -308,48 +440,46 @@ async function testCpanelConnection(cpanelConfig) {
     `https://${host}:2082/json-api/uapi/Mysql/get_databases`,
     `https://${host}:2087/json-api/uapi/Mysql/get_databases`,
     `https://${host}:2086/json-api/uapi/Mysql/get_databases`,
-  ];
+  ]);
 
   for (const endpoint of endpoints) {
     try {
-      console.log(`Testing endpoint: ${endpoint}`);
+      logger.info(`Testing endpoint: ${endpoint}`);
 
       const response = await fetch(endpoint, {
         method: "GET",
         headers: {
-          Authorization: `Basic ${Buffer.from(
-            `${username}:${password}`
-          ).toString("base64")}`,
+          Authorization: authHeader,
           Accept: "application/json",
           "User-Agent": "WordPress-Deployer/1.0",
         },
         agent: insecureAgent,
       });
 
-      console.log(`Response status: ${response.status}`);
-      console.log(`Content-Type: ${response.headers.get("content-type")}`);
+      logger.info(`Response status: ${response.status}`);
+      logger.info(`Content-Type: ${response.headers.get("content-type")}`);
 
       if (response.ok) {
         const data = await response.json();
-        console.log("✅ Success! Found working endpoint:", endpoint);
-        console.log(
+        logger.info("✅ Success! Found working endpoint:", endpoint);
+        logger.debug(
           "Response data:",
           JSON.stringify(data, null, 2).substring(0, 500)
         );
         return { success: true, endpoint, data };
       } else {
         const errorText = await response.text();
-        console.log(
+        logger.warn(
           `❌ Failed: ${response.status} - ${errorText.substring(0, 200)}`
         );
       }
     } catch (error) {
-      console.log(`❌ Error testing ${endpoint}:`, error.message);
+      logger.warn(`❌ Error testing ${endpoint}:`, error.message);
     }
   }
 
   // If no API endpoints work, let's try to detect the hosting provider
-  console.log(
+  logger.info(
     "🔍 No API endpoints found. Trying to detect hosting provider..."
   );
 
@@ -366,16 +496,18 @@ async function testCpanelConnection(cpanelConfig) {
 
     // Check for common hosting providers
     if (html.includes("cpanel") || html.includes("cPanel")) {
-      console.log("✅ Detected cPanel hosting");
+      logger.info("✅ Detected cPanel hosting");
     } else if (html.includes("plesk") || html.includes("Plesk")) {
-      console.log("⚠️ Detected Plesk hosting (not supported)");
+      logger.warn("⚠️ Detected Plesk hosting (not supported)");
     } else if (html.includes("directadmin") || html.includes("DirectAdmin")) {
-      console.log("⚠️ Detected DirectAdmin hosting (not supported)");
+      logger.warn(
+        '⚠️ Detected DirectAdmin hosting; save the credential with provider "directadmin"'
+      );
     } else {
-      console.log("❓ Unknown hosting control panel");
+      logger.info("❓ Unknown hosting control panel");
     }
   } catch (error) {
-    console.log("Could not detect hosting provider:", error.message);
+    logger.info("Could not detect hosting provider:", error.message);
   }
 
   throw new Error(
@@ -388,10 +520,16 @@ async function testCpanelConnection(cpanelConfig) {
  * Provides manual database creation instructions
  * @param {object} cpanelConfig - cPanel configuration
  * @param {string} domain - Domain name for the WordPress site
+ * @param {object} [logger] - Logger for progress messages
  * @returns {Promise<object>} - Manual setup instructions
  */
-async function createWordPressDatabaseManual(cpanelConfig, domain) {
+async function createWordPressDatabaseManual(
+  cpanelConfig,
+  domain,
+  logger = consoleLogger
+) {
   const { username } = cpanelConfig;
+  const cpanelUrl = cpanelConfig.baseUrl || `https://${cpanelConfig.host}:2083`;
 
   // Generate random names
   const randomSuffix = Math.random().toString(36).substring(2, 8);
@@ -402,26 +540,25 @@ async function createWordPressDatabaseManual(cpanelConfig, domain) {
   const prefixedDbName = `${username}_${dbName}`;
   const prefixedDbUser = `${username}_${dbUser}`;
 
-  console.log("⚠️ API access not available. Manual database setup required.");
-  console.log("📋 Please follow these steps in your cPanel:");
-  console.log("");
-  console.log(
-    "1. Log into your cPanel at: https://" + cpanelConfig.host + ":2083"
-  );
-  console.log("2. Go to 'MySQL Databases' section");
-  console.log("3. Create a new database with these details:");
-  console.log(`   - Database Name: ${prefixedDbName}`);
-  console.log("4. Create a new database user with these details:");
-  console.log(`   - Username: ${prefixedDbUser}`);
-  console.log(`   - Password: ${dbPass}`);
-  console.log("5. Add the user to the database with 'ALL PRIVILEGES'");
-  console.log("");
-  console.log("📝 Database credentials for wp-config.php:");
-  console.log(`   DB_NAME: ${prefixedDbName}`);
-  console.log(`   DB_USER: ${prefixedDbUser}`);
-  console.log(`   DB_PASSWORD: ${dbPass}`);
-  console.log(`   DB_HOST: localhost`);
-  console.log("");
+  logger.warn("⚠️ API access not available. Manual database setup required.");
+  logger.info("📋 Please follow these steps in your cPanel:");
+  logger.info("");
+  logger.info(`1. Log into your cPanel at: ${cpanelUrl}`);
+  logger.info("2. Go to 'MySQL Databases' section");
+  logger.info("3. Create a new database with these details:");
+  logger.info(`   - Database Name: ${prefixedDbName}`);
+  logger.info("4. Create a new database user with these details:");
+  logger.info(`   - Username: ${prefixedDbUser}`);
+  // The password is returned in the instructions, never logged: job logs
+  // are readable by every viewer
+  logger.info("   - Password: the one in the setup instructions");
+  logger.info("5. Add the user to the database with 'ALL PRIVILEGES'");
+  logger.info("");
+  logger.info("📝 Database credentials for wp-config.php:");
+  logger.info(`   DB_NAME: ${prefixedDbName}`);
+  logger.info(`   DB_USER: ${prefixedDbUser}`);
+  logger.info(`   DB_HOST: localhost`);
+  logger.info("");
 
   return {
     dbName: prefixedDbName,
@@ -429,7 +566,7 @@ async function createWordPressDatabaseManual(cpanelConfig, domain) {
     dbPass: dbPass,
     manual: true,
     instructions: {
-      cpanelUrl: `https://${cpanelConfig.host}:2083`,
+      cpanelUrl,
       databaseName: prefixedDbName,
       databaseUser: prefixedDbUser,
       databasePassword: dbPass,
@@ -442,15 +579,17 @@ async function createWordPressDatabaseManual(cpanelConfig, domain) {
  * Specialized function for Namecheap hosting API access
  * Namecheap often uses different API endpoints and authentication methods
  * @param {object} cpanelConfig - cPanel configuration
+ * @param {object} [logger] - Logger for progress messages
  * @returns {Promise<object>} - Test results
  */
-async function testNamecheapConnection(cpanelConfig) {
-  const { host, username, password } = cpanelConfig;
+async function testNamecheapConnection(cpanelConfig, logger = consoleLogger) {
+  const { host } = cpanelConfig;
+  const authHeader = getCpanelAuthHeader(cpanelConfig);
 
-  console.log(`🔍 Testing Namecheap-specific API endpoints for ${host}...`);
+  logger.info(`🔍 Testing Namecheap-specific API endpoints for ${host}...`);
 
   // Namecheap specific endpoints and authentication methods
-  const namecheapEndpoints = [
+  const namecheapEndpoints = withConfiguredEndpoint(cpanelConfig, [
     // Standard cPanel UAPI with different authentication
     `https://${host}:2083/json-api/uapi/cpanel_info/get_user_information`,
     `https://${host}:2082/json-api/uapi/cpanel_info/get_user_information`,
@@ -466,34 +605,28 @@ async function testNamecheapConnection(cpanelConfig) {
     // Try with different user agent
     `https://${host}:2083/execute/Mysql/get_databases`,
     `https://${host}:2082/execute/Mysql/get_databases`,
-  ];
+  ]);
 
   for (const endpoint of namecheapEndpoints) {
     try {
-      console.log(`Testing Namecheap endpoint: ${endpoint}`);
+      logger.info(`Testing Namecheap endpoint: ${endpoint}`);
 
       // Try different authentication methods
       const authMethods = [
-        // Basic auth
+        // Basic auth, or the API token
         {
-          Authorization: `Basic ${Buffer.from(
-            `${username}:${password}`
-          ).toString("base64")}`,
+          Authorization: authHeader,
           "User-Agent": "WordPress-Deployer/1.0",
         },
         // Alternative user agent
         {
-          Authorization: `Basic ${Buffer.from(
-            `${username}:${password}`
-          ).toString("base64")}`,
+          Authorization: authHeader,
           "User-Agent":
             "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
         },
         // With additional headers
         {
-          Authorization: `Basic ${Buffer.from(
-            `${username}:${password}`
-          ).toString("base64")}`,
+          Authorization: authHeader,
           "User-Agent": "WordPress-Deployer/1.0",
           Accept: "application/json, text/plain, */*",
           "Cache-Control": "no-cache",
@@ -511,32 +644,32 @@ async function testNamecheapConnection(cpanelConfig) {
             agent: insecureAgent,
           });
 
-          console.log(`Response status: ${response.status}`);
-          console.log(`Content-Type: ${response.headers.get("content-type")}`);
+          logger.info(`Response status: ${response.status}`);
+          logger.info(`Content-Type: ${response.headers.get("content-type")}`);
 
           if (response.ok) {
             const data = await response.json();
-            console.log(
+            logger.info(
               "✅ Success! Found working Namecheap endpoint:",
               endpoint
             );
-            console.log(
+            logger.debug(
               "Response data:",
               JSON.stringify(data, null, 2).substring(0, 500)
             );
             return { success: true, endpoint, data, provider: "namecheap" };
           } else {
             const errorText = await response.text();
-            console.log(
+            logger.warn(
               `❌ Failed: ${response.status} - ${errorText.substring(0, 200)}`
             );
           }
         } catch (authError) {
-          console.log(`❌ Auth method failed:`, authError.message);
+          logger.warn(`❌ Auth method failed:`, authError.message);
         }
       }
     } catch (error) {
-      console.log(`❌ Error testing ${endpoint}:`, error.message);
+      logger.warn(`❌ Error testing ${endpoint}:`, error.message);
     }
   }
 
@@ -544,6 +677,10 @@ async function testNamecheapConnection(cpanelConfig) {
 }
 
 module.exports = {
+  getCpanelAuthHeader,
+  callUapi,
+  callApi2,
+  generateStrongPassword,
   createWordPressDatabase,
   testCpanelConnection,
   createWordPressDatabaseManual,
@@ -0,0 +1,338 @@
+const path = require("path");
+const { callUapi, callApi2 } = require("./cpanelDbManager");
+const { consoleLogger } = require("./jobEvents");
+
+// Where sites were always uploaded before document roots were looked up
+const DEFAULT_REMOTE_PATH = "/public_html";
+
+// Answers from cPanel that rule a domain out, as opposed to failed lookups
+const REFUSALS = [
+  "DOMAIN_NOT_ATTACHED",
+  "DOMAIN_PARKED",
+  "DOCROOT_OUTSIDE_HOME",
+];
+
+// How a job can ask for its domain to be added to the account
+const CREATABLE_DOMAINS = ["addon", "subdomain"];
+
+const domainError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Connection settings for callUapi and callApi2 from a saved credential
+const getCpanelConfig = (credentials) => {
+  const { host, username, password, apiToken, port = 2083 } = credentials;
+  const cleanHost = host.replace(/^https?:\/\//, "");
+  return {
+    host: cleanHost,
+    username,
+    password,
+    apiToken,
+    baseUrl: `https://${cleanHost}:${port}`,
+  };
+};
+
+/**
+ * Calls a cPanel UAPI function with a saved credential.
+ * @param {Object} credentials - cPanel credentials (host, username,
+ *   password and/or apiToken, port)
+ * @param {string} module - UAPI module, e.g. "DomainInfo"
+ * @param {string} func - UAPI function, e.g. "list_domains"
+ * @param {Object} [args] - Function arguments
+ * @param {Object} [logger] - Logger for progress messages
+ * @returns {Promise<Object>} The function's data
+ */
+async function callCpanelApi(credentials, module, func, args, logger) {
+  const result = await callUapi(
+    getCpanelConfig(credentials),
+    module,
+    func,
+    args,
+    logger
+  );
+  return result.data;
+}
+
+/**
+ * Checks a path given for a job: absolute, inside the account, no "..".
+ * @param {string} remotePath - Remote path relative to the account home
+ * @returns {string} - Normalised path without a trailing slash
+ */
+function normalizeRemotePath(remotePath) {
+  const value = String(remotePath).trim();
+  if (
+    !value.startsWith("/") ||
+    value.split("/").includes("..") ||
+    /[\0\r\n]/.test(value)
+  ) {
+    throw domainError(
+      `Invalid remote path: ${remotePath} (expected an absolute path such as /public_html/example.com)`,
+      "INVALID_REMOTE_PATH"
+    );
+  }
+  return path.posix.normalize(value).replace(/(.)\/$/, "$1");
+}
+
+/**
+ * Lists the domains on the cPanel account.
+ * @param {Object} credentials - cPanel credentials
+ * @param {Object} [logger] - Logger for progress messages
+ * @returns {Promise<Object>} - { main_domain, addon_domains, sub_domains,
+ *   parked_domains }
+ */
+const listDomains = (credentials, logger = consoleLogger) =>
+  callCpanelApi(credentials, "DomainInfo", "list_domains", {}, logger);
+
+/**
+ * Looks up where a domain is served from on the cPanel account.
+ * @param {Object} credentials - cPanel credentials
+ * @param {string} domain - Domain to deploy
+ * @param {Object} [logger] - Logger for progress messages
+ * @returns {Promise<Object>} - { domain, type, documentRoot, homeDir,
+ *   remotePath } where remotePath is the document root as seen from the
+ *   account's FTP or SFTP login
+ */
+async function getDomainInfo(credentials, domain, logger = consoleLogger) {
+  logger.info(`🔍 Looking up document root of ${domain} on cPanel...`);
+
+  const domains = await listDomains(credentials, logger);
+  const types = [
+    ["main_domain", [domains.main_domain]],
+    ["addon_domain", domains.addon_domains],
+    ["sub_domain", domains.sub_domains],
+    ["parked_domain", domains.parked_domains],
+  ];
+  const match = types.find(([, names]) =>
+    (names || []).some((name) => name.toLowerCase() === domain.toLowerCase())
+  );
+  if (!match) {
+    throw domainError(
+      `${domain} is not attached to cPanel account ${credentials.username}`,
+      "DOMAIN_NOT_ATTACHED"
+    );
+  }
+  const type = match[0];
+  if (type === "parked_domain") {
+    // A parked domain serves the main site; deploying there replaces it
+    throw domainError(
+      `${domain} is parked on ${domains.main_domain} and has no document root of its own`,
+      "DOMAIN_PARKED"
+    );
+  }
+
+  const data = await callCpanelApi(
+    credentials,
+    "DomainInfo",
+    "single_domain_data",
+    { domain },
+    logger
+  );
+  const documentRoot = data.documentroot;
+  const homeDir = data.homedir;
+  if (
+    !documentRoot ||
+    !homeDir ||
+    (documentRoot !== homeDir && !documentRoot.startsWith(`${homeDir}/`))
+  ) {
+    throw domainError(
+      `Document root of ${domain} (${documentRoot}) is outside the account home ${homeDir}`,
+      "DOCROOT_OUTSIDE_HOME"
+    );
+  }
+
+  const remotePath = `/${path.posix.relative(homeDir, documentRoot)}`;
+  logger.info(`📂 ${domain} (${type}) is served from ${remotePath}`);
+  return { domain, type, documentRoot, homeDir, remotePath };
+}
+
+/**
+ * Decides where a job's site is uploaded. The domain must be attached to
+ * the account; its document root is used unless the job names a remote
+ * path. When the control panel cannot be asked, only a job with a remote
+ * path can go ahead.
+ * @param {Object} credentials - cPanel credentials
+ * @param {Object} jobData - Job data (domain, remotePath)
+ * @param {Object} [logger] - Logger for progress messages
+ * @param {Function} [lookup] - Looks the domain up like getDomainInfo; other
+ *   providers pass their own
+ * @returns {Promise<Object>} - { remotePath, type }
+ */
+async function resolveDocumentRoot(
+  credentials,
+  jobData,
+  logger = consoleLogger,
+  lookup = getDomainInfo
+) {
+  let info;
+  try {
+    info = await lookup(credentials, jobData.domain, logger);
+  } catch (error) {
+    if (REFUSALS.includes(error.code)) {
+      throw error;
+    }
+    if (!jobData.remotePath) {
+      throw new Error(
+        `Could not look up the document root of ${jobData.domain}: ${error.message}. Set remotePath on the job to deploy without the lookup.`
+      );
+    }
+    logger.warn(
+      `⚠️ Could not check ${jobData.domain} on the account (${error.message}), using remote path ${jobData.remotePath}`
+    );
+    return { remotePath: jobData.remotePath, type: null };
+  }
+
+  if (jobData.remotePath && jobData.remotePath !== info.remotePath) {
+    logger.warn(
+      `⚠️ Using the job's remote path ${jobData.remotePath} instead of the document root ${info.remotePath}`
+    );
+  }
+  return {
+    remotePath: jobData.remotePath || info.remotePath,
+    type: info.type,
+  };
+}
+
+/**
+ * Adds a job's domain to the cPanel account, as an addon domain or as a
+ * subdomain of a domain the account already has. It is served from the
+ * job's remote path, or /<domain> in the account home. A domain the
+ * account already holds is left alone.
+ * @param {Object} credentials - cPanel credentials
+ * @param {Object} jobData - Job data (domain, createDomain, remotePath)
+ * @param {Object} [logger] - Logger for progress messages
+ * @returns {Promise<Object|null>} - What was created, so teardown can
+ *   remove it: { type, domain, rootDomain, subdomain, remotePath,
+ *   createdAt }; null if the domain already existed
+ */
+async function createDomain(credentials, jobData, logger = consoleLogger) {
+  const domain = jobData.domain.toLowerCase();
+  const domains = await listDomains(credentials, logger);
+  const existing = [
+    domains.main_domain,
+    ...(domains.addon_domains || []),
+    ...(domains.sub_domains || []),
+    ...(domains.parked_domains || []),
+  ].map((name) => name.toLowerCase());
+  if (existing.includes(domain)) {
+    logger.info(`ℹ️ ${domain} is already on the account, not creating it`);
+    return null;
+  }
+
+  const remotePath = jobData.remotePath || `/${domain}`;
+  // cPanel takes the document root relative to the account home
+  const dir = remotePath.replace(/^\//, "");
+  if (!dir) {
+    throw domainError(
+      "A new domain cannot be served from the account home itself",
+      "INVALID_REMOTE_PATH"
+    );
+  }
+
+  if (jobData.createDomain === "subdomain") {
+    // The longest domain the new one ends in, so a.blog.example.com goes
+    // under blog.example.com when the account has it
+    const [rootDomain] = [domains.main_domain, ...(domains.addon_domains || [])]
+      .map((name) => name.toLowerCase())
+      .filter((name) => domain.endsWith(`.${name}`))
+      .sort((a, b) => b.length - a.length);
+    if (!rootDomain) {
+      throw domainError(
+        `${domain} is not a subdomain of any domain on cPanel account ${credentials.username}`,
+        "DOMAIN_NOT_ATTACHED"
+      );
+    }
+    const subdomain = domain.slice(0, -(rootDomain.length + 1));
+
+    logger.info(`🌐 Creating subdomain ${domain} served from ${remotePath}...`);
+    await callCpanelApi(
+      credentials,
+      "SubDomain",
+      "addsubdomain",
+      { domain: subdomain, rootdomain: rootDomain, dir },
+      logger
+    );
+    logger.info(`✅ Subdomain ${domain} created`);
+    return {
+      type: "sub_domain",
+      domain,
+      rootDomain,
+      subdomain,
+      remotePath,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  // cPanel also creates a subdomain of the main domain behind every addon
+  // domain; it has to be named, and is needed again to remove the addon
+  const subdomain = domain.replace(/[^a-z0-9]/g, "");
+
+  logger.info(
+    `🌐 Creating addon domain ${domain} served from ${remotePath}...`
+  );
+  await callCpanelApi(
+    credentials,
+    "AddonDomain",
+    "addaddondomain",
+    { newdomain: domain, subdomain, dir },
+    logger
+  );
+  logger.info(`✅ Addon domain ${domain} created`);
+  return {
+    type: "addon_domain",
+    domain,
+    rootDomain: domains.main_domain,
+    subdomain,
+    remotePath,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Removes a domain createDomain added. The directory it was served from
+ * is left in place.
+ * @param {Object} credentials - cPanel credentials
+ * @param {Object} created - Record returned by createDomain
+ * @param {Object} [logger] - Logger for progress messages
+ */
+async function removeDomain(credentials, created, logger = consoleLogger) {
+  const config = getCpanelConfig(credentials);
+  if (created.type === "sub_domain") {
+    logger.info(`🌐 Removing subdomain ${created.domain}...`);
+    await callApi2(
+      config,
+      "SubDomain",
+      "delsubdomain",
+      { domain: created.domain },
+      logger
+    );
+  } else {
+    // The addon is named by the subdomain cPanel created behind it
+    logger.info(`🌐 Removing addon domain ${created.domain}...`);
+    await callApi2(
+      config,
+      "AddonDomain",
+      "deladdondomain",
+      {
+        domain: created.domain,
+        subdomain: `${created.subdomain}_${created.rootDomain}`,
+      },
+      logger
+    );
+  }
+  logger.info(`✅ ${created.domain} removed from the account`);
+}
+
+module.exports = {
+  DEFAULT_REMOTE_PATH,
+  CREATABLE_DOMAINS,
+  REFUSALS,
+  getCpanelConfig,
+  callCpanelApi,
+  normalizeRemotePath,
+  getDomainInfo,
+  resolveDocumentRoot,
+  createDomain,
+  removeDomain,
+};
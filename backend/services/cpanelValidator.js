@@ -1,21 +1,31 @@
 const axios = require("axios");
+const { consoleLogger } = require("./jobEvents");
+const { getCpanelAuthHeader } = require("./cpanelDbManager");
+const {
+  TRANSPORTS,
+  getTransportConfig,
+  connectTransport,
+} = require("./fileTransport");
 
 /**
  * Validates cPanel credentials by attempting to access the cPanel API
  * @param {Object} credentials - cPanel credentials
  * @param {string} credentials.host - cPanel host (usually domain or server IP)
  * @param {string} credentials.username - cPanel username
- * @param {string} credentials.password - cPanel password
+ * @param {string} [credentials.password] - cPanel password
+ * @param {string} [credentials.apiToken] - cPanel API token, used instead of
+ *   the password when set
  * @param {number} credentials.port - cPanel port (default: 2083 for SSL)
+ * @param {Object} [logger] - Logger for progress messages
  * @returns {Promise<Object>} Validation result
  */
-async function validateCpanelCredentials(credentials) {
-  const { host, username, password, port = 2083 } = credentials;
+async function validateCpanelCredentials(credentials, logger = consoleLogger) {
+  const { host, username, password, apiToken, port = 2083 } = credentials;
 
   // Validate input
-  if (!host || !username || !password) {
+  if (!host || !username || !(password || apiToken)) {
     throw new Error(
-      "Missing required credentials (host, username, or password)"
+      "Missing required credentials (host, username, or password/API token)"
     );
   }
 
@@ -23,8 +33,8 @@ async function validateCpanelCredentials(credentials) {
   const cleanHost = host.replace(/^https?:\/\//, "");
 
   try {
-    console.log(`🔍 Validating cPanel credentials for ${cleanHost}...`);
-    console.log(`📋 Using port: ${port}`);
+    logger.info(`🔍 Validating cPanel credentials for ${cleanHost}...`);
+    logger.info(`📋 Using port: ${port}`);
 
     // Try multiple cPanel API endpoints
     const endpoints = [
@@ -39,13 +49,9 @@ async function validateCpanelCredentials(credentials) {
     for (const endpoint of endpoints) {
       try {
         const apiUrl = `https://${cleanHost}:${port}${endpoint}`;
-        console.log(`🔗 Trying endpoint: ${apiUrl}`);
+        logger.info(`🔗 Trying endpoint: ${apiUrl}`);
 
         const response = await axios.get(apiUrl, {
-          auth: {
-            username: username,
-            password: password,
-          },
           timeout: 8000, // Reduced timeout for faster failure
           validateStatus: function (status) {
             return status < 500; // Accept any status less than 500
@@ -57,14 +63,15 @@ async function validateCpanelCredentials(credentials) {
             Accept: "application/json, text/plain, */*",
             "Accept-Language": "en-US,en;q=0.9",
             Connection: "keep-alive",
+            Authorization: getCpanelAuthHeader(credentials),
           },
         });
 
-        console.log(`📊 Response status: ${response.status}`);
-        console.log(`📊 Response headers:`, response.headers);
+        logger.info(`📊 Response status: ${response.status}`);
+        logger.debug(`📊 Response headers:`, response.headers);
 
         if (response.status === 200) {
-          console.log("✅ cPanel credentials are valid");
+          logger.info("✅ cPanel credentials are valid");
           return {
             valid: true,
             message: "cPanel credentials are valid",
@@ -74,17 +81,19 @@ async function validateCpanelCredentials(credentials) {
             endpoint: endpoint,
           };
         } else if (response.status === 401) {
-          console.log("❌ Invalid cPanel credentials (401)");
+          logger.warn("❌ Invalid cPanel credentials (401)");
           return {
             valid: false,
-            message: "Invalid username or password",
+            message: apiToken
+              ? "Invalid username or API token"
+              : "Invalid username or password",
             host: cleanHost,
             username: username,
             port: port,
             endpoint: endpoint,
           };
         } else if (response.status === 403) {
-          console.log("❌ Access forbidden (403) - API might be disabled");
+          logger.warn("❌ Access forbidden (403) - API might be disabled");
           return {
             valid: false,
             message: "cPanel API access is disabled or restricted",
@@ -94,11 +103,11 @@ async function validateCpanelCredentials(credentials) {
             endpoint: endpoint,
           };
         } else {
-          console.log(`⚠️ Unexpected response: ${response.status}`);
+          logger.warn(`⚠️ Unexpected response: ${response.status}`);
           lastError = `Unexpected response from cPanel (Status: ${response.status})`;
         }
       } catch (endpointError) {
-        console.log(`❌ Endpoint ${endpoint} failed:`, endpointError.message);
+        logger.warn(`❌ Endpoint ${endpoint} failed:`, endpointError.message);
         lastError = endpointError.message;
 
         // Fail fast for common errors that indicate invalid credentials
@@ -107,7 +116,7 @@ async function validateCpanelCredentials(credentials) {
           endpointError.code === "ECONNREFUSED" ||
           endpointError.code === "ETIMEDOUT"
         ) {
-          console.log(
+          logger.info(
             "🚫 Fast fail for connection error, skipping remaining endpoints"
           );
           break;
@@ -116,7 +125,7 @@ async function validateCpanelCredentials(credentials) {
     }
 
     // All attempts failed
-    console.log("❌ All validation attempts failed");
+    logger.warn("❌ All validation attempts failed");
     return {
       valid: false,
       message:
@@ -129,7 +138,7 @@ async function validateCpanelCredentials(credentials) {
         "Some hosting providers disable cPanel API access. You may need to contact your hosting provider.",
     };
   } catch (error) {
-    console.error("❌ cPanel validation error:", error.message);
+    logger.error("❌ cPanel validation error:", error.message);
 
     if (error.code === "ECONNREFUSED") {
       return {
@@ -189,37 +198,31 @@ async function validateCpanelCredentials(credentials) {
 
 /**
  * Gets FTP credentials from cPanel
- * @param {Object} credentials - cPanel credentials
+ * @param {Object} credentials - cPanel credentials, with the transport
+ *   settings and key material of the saved credential if any
+ * @param {Object} [logger] - Logger for progress messages
  * @returns {Promise<Object>} FTP credentials
  */
-async function getFtpCredentials(credentials) {
-  const { host, username, password, port = 2083 } = credentials;
+async function getFtpCredentials(credentials, logger = consoleLogger) {
+  const { host, port = 2083 } = credentials;
   const cleanHost = host.replace(/^https?:\/\//, "");
 
   try {
-    console.log(`🔍 Getting FTP credentials from cPanel...`);
+    logger.info(`🔍 Getting FTP credentials from cPanel...`);
 
     // Get FTP accounts from cPanel
     const apiUrl = `https://${cleanHost}:${port}/execute/Ftp/list_ftp`;
 
     const response = await axios.get(apiUrl, {
-      auth: {
-        username: username,
-        password: password,
-      },
+      headers: { Authorization: getCpanelAuthHeader(credentials) },
       timeout: 10000,
     });
 
     if (response.status === 200 && response.data) {
-      // Use the main cPanel account for FTP
-      const ftpCredentials = {
-        host: cleanHost,
-        user: username,
-        pass: password,
-        port: 21, // Standard FTP port
-      };
+      // Use the main cPanel account over the credential's transport
+      const ftpCredentials = getTransportConfig(credentials);
 
-      console.log("✅ FTP credentials retrieved successfully");
+      logger.info("✅ FTP credentials retrieved successfully");
       return {
         success: true,
         credentials: ftpCredentials,
@@ -229,7 +232,7 @@ async function getFtpCredentials(credentials) {
       throw new Error("Failed to retrieve FTP credentials from cPanel");
     }
   } catch (error) {
-    console.error("❌ Error getting FTP credentials:", error.message);
+    logger.error("❌ Error getting FTP credentials:", error.message);
     return {
       success: false,
       message: "Failed to retrieve FTP credentials",
@@ -240,45 +243,44 @@ async function getFtpCredentials(credentials) {
 
 /**
  * Tests FTP connection using provided credentials
- * @param {Object} ftpCredentials - FTP credentials
+ * @param {Object} ftpCredentials - Connection settings from getTransportConfig
+ * @param {Object} [logger] - Logger for progress messages
  * @returns {Promise<Object>} Test result
  */
-async function testFtpConnection(ftpCredentials) {
-  const ftp = require("basic-ftp");
-  const client = new ftp.Client();
-  client.ftp.verbose = false;
+async function testFtpConnection(ftpCredentials, logger = consoleLogger) {
+  const protocol = ftpCredentials.protocol || "ftp";
+  const port = ftpCredentials.port || TRANSPORTS[protocol].port;
+  let client;
 
   try {
-    console.log(`🔍 Testing FTP connection to ${ftpCredentials.host}...`);
+    logger.info(`🔍 Testing FTP connection to ${ftpCredentials.host}...`);
 
-    await client.access({
-      host: ftpCredentials.host,
-      user: ftpCredentials.user,
-      password: ftpCredentials.pass,
-      port: ftpCredentials.port || 21,
-      secure: false,
-    });
+    client = await connectTransport(ftpCredentials, logger);
 
-    console.log("✅ FTP connection successful");
+    logger.info("✅ FTP connection successful");
     return {
       valid: true,
       message: "FTP connection successful",
       host: ftpCredentials.host,
       user: ftpCredentials.user,
-      port: ftpCredentials.port || 21,
+      protocol,
+      port,
     };
   } catch (error) {
-    console.error("❌ FTP connection failed:", error.message);
+    logger.error("❌ FTP connection failed:", error.message);
     return {
       valid: false,
       message: "FTP connection failed",
       host: ftpCredentials.host,
       user: ftpCredentials.user,
-      port: ftpCredentials.port || 21,
+      protocol,
+      port,
       error: error.message,
     };
   } finally {
-    client.close();
+    if (client) {
+      client.close();
+    }
   }
 }
 
@@ -0,0 +1,49 @@
+const { getStorage, getCredentialsPath } = require("./storage");
+
+/**
+ * Loads a stored (encrypted) credential record.
+ * @param {string} credentialId - Credential ID.
+ * @returns {object} - Credential record with its secrets still sealed.
+ */
+function getCredentialRecord(credentialId) {
+  const record = getStorage().getCredential(credentialId);
+  if (!record) {
+    throw new Error("Credential not found");
+  }
+  return record;
+}
+
+/**
+ * Writes a credential record. Secrets must already be sealed.
+ * @param {object} record - Credential record (must have an id).
+ * @returns {object} - The saved record.
+ */
+function saveCredentialRecord(record) {
+  return getStorage().saveCredential(record);
+}
+
+/**
+ * Lists all stored (encrypted) credential records.
+ * @returns {object[]} - Credential records.
+ */
+function listCredentialRecords() {
+  return getStorage().listCredentials();
+}
+
+/**
+ * Deletes a credential record.
+ * @param {string} credentialId - Credential ID.
+ */
+function deleteCredentialRecord(credentialId) {
+  if (!getStorage().deleteCredential(credentialId)) {
+    throw new Error("Credential not found");
+  }
+}
+
+module.exports = {
+  getCredentialsPath,
+  getCredentialRecord,
+  saveCredentialRecord,
+  listCredentialRecords,
+  deleteCredentialRecord,
+};
@@ -0,0 +1,260 @@
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+const ALGORITHM = "aes-256-gcm";
+const ENVELOPE_VERSION = 1;
+const KEY_SALT = "wordpress-deployer/credential-vault";
+
+// Job fields encrypted with the master key
+const JOB_SECRETS = ["dbPass", "adminPassword", "installToken"];
+
+/**
+ * Reads the vault master key from the environment.
+ * @returns {string} - The master key.
+ */
+function getMasterKey() {
+  const masterKey = process.env.CREDENTIAL_MASTER_KEY;
+  if (!masterKey) {
+    throw new Error(
+      "CREDENTIAL_MASTER_KEY is not set. Saved credentials cannot be encrypted or decrypted."
+    );
+  }
+  return masterKey;
+}
+
+/**
+ * Derives the 256-bit AES key from a master key.
+ * @param {string} masterKey - Master key (any length).
+ * @returns {Buffer} - Derived encryption key.
+ */
+function deriveKey(masterKey) {
+  return crypto.scryptSync(masterKey, KEY_SALT, 32);
+}
+
+/**
+ * Short identifier of a master key, stored with every envelope so a
+ * mismatched key is reported clearly instead of as a decryption failure.
+ * @param {string} masterKey - Master key.
+ * @returns {string} - Key identifier.
+ */
+function getKeyId(masterKey) {
+  return crypto
+    .createHash("sha256")
+    .update(deriveKey(masterKey))
+    .digest("hex")
+    .substring(0, 16);
+}
+
+/**
+ * Encrypts a string with the master key.
+ * @param {string} plaintext - Secret to encrypt.
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {object} - Encrypted envelope ({ v, kid, iv, tag, data }).
+ */
+function encryptSecret(plaintext, masterKey = getMasterKey()) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(masterKey), iv);
+  const data = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    v: ENVELOPE_VERSION,
+    kid: getKeyId(masterKey),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts an envelope produced by encryptSecret.
+ * @param {object} envelope - Encrypted envelope.
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {string} - The decrypted secret.
+ */
+function decryptSecret(envelope, masterKey = getMasterKey()) {
+  if (!envelope || envelope.v !== ENVELOPE_VERSION) {
+    throw new Error("Unsupported or missing secret envelope");
+  }
+  if (envelope.kid !== getKeyId(masterKey)) {
+    throw new Error(
+      "Secret was encrypted with a different master key. Check CREDENTIAL_MASTER_KEY."
+    );
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(masterKey),
+    Buffer.from(envelope.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Moves the secret fields of a credential (password, cPanel API token, and
+ * the SFTP private key and passphrase if any) into an encrypted envelope.
+ * Which of the password and token are set stays readable, for listings.
+ * @param {object} credential - Credential including its plaintext secrets.
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {object} - Credential record safe to write to disk.
+ */
+function sealCredential(credential, masterKey = getMasterKey()) {
+  const { password, apiToken, privateKey, passphrase, ...record } = credential;
+  return {
+    ...record,
+    hasPassword: !!password,
+    hasApiToken: !!apiToken,
+    secrets: encryptSecret(
+      JSON.stringify({ password, apiToken, privateKey, passphrase }),
+      masterKey
+    ),
+  };
+}
+
+/**
+ * Decrypts a stored credential record. Only the deploy pipeline should
+ * call this, right before the secret is needed.
+ * @param {object} record - Stored credential record.
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {object} - Credential including its plaintext password.
+ */
+function unsealCredential(record, masterKey = getMasterKey()) {
+  const { secrets, ...credential } = record;
+  if (!secrets) {
+    throw new Error(`Credential ${record.id} has no encrypted secrets`);
+  }
+  return { ...credential, ...JSON.parse(decryptSecret(secrets, masterKey)) };
+}
+
+/**
+ * Strips every secret from a credential record for API responses.
+ * @param {object} record - Stored credential record.
+ * @returns {object} - Public credential fields.
+ */
+function toPublicCredential(record) {
+  const { secrets, password, apiToken, ...credential } = record;
+  return {
+    ...credential,
+    // Records sealed before API tokens always had a password
+    hasPassword: credential.hasPassword ?? !!(secrets || password),
+    hasApiToken: !!credential.hasApiToken,
+  };
+}
+
+/**
+ * Encrypts credentials saved before the vault existed (plaintext password).
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {number} - Number of credentials encrypted.
+ */
+function migratePlaintextCredentials(masterKey = getMasterKey()) {
+  const storage = getStorage();
+
+  return storage.transaction(() => {
+    let migrated = 0;
+    for (const record of storage.listCredentials()) {
+      if (record.secrets || record.password === undefined) {
+        continue;
+      }
+      storage.saveCredential(sealCredential(record, masterKey));
+      migrated++;
+    }
+    return migrated;
+  });
+}
+
+/**
+ * Encrypts job secrets saved before they were encrypted: database
+ * passwords kept as plain strings, also in manual setup instructions.
+ * @param {string} [masterKey] - Master key (defaults to CREDENTIAL_MASTER_KEY).
+ * @returns {number} - Number of jobs updated.
+ */
+function migratePlaintextJobSecrets(masterKey = getMasterKey()) {
+  const storage = getStorage();
+
+  return storage.transaction(() => {
+    let migrated = 0;
+    for (const jobData of storage.listJobs()) {
+      const plaintext = JOB_SECRETS.filter(
+        (field) => typeof jobData[field] === "string"
+      );
+      const instructions = jobData.dbInstructions || {};
+      if (!plaintext.length && instructions.databasePassword === undefined) {
+        continue;
+      }
+      plaintext.forEach((field) => {
+        jobData[field] = encryptSecret(jobData[field], masterKey);
+      });
+      delete instructions.databasePassword;
+      storage.saveJob(jobData);
+      migrated++;
+    }
+    return migrated;
+  });
+}
+
+/**
+ * Re-encrypts every stored credential with a new master key, and the
+ * database passwords, admin passwords and install tokens kept on jobs. All records are
+ * decrypted first, so a wrong old key aborts before anything is written.
+ * @param {string} oldMasterKey - Current master key.
+ * @param {string} newMasterKey - Replacement master key.
+ * @returns {number} - Number of credentials re-encrypted.
+ */
+function rotateMasterKey(oldMasterKey, newMasterKey) {
+  if (!oldMasterKey || !newMasterKey) {
+    throw new Error("Both the current and the new master key are required");
+  }
+  if (oldMasterKey === newMasterKey) {
+    throw new Error("The new master key must differ from the current one");
+  }
+
+  const storage = getStorage();
+  const credentials = storage
+    .listCredentials()
+    .map((record) =>
+      record.secrets ? unsealCredential(record, oldMasterKey) : record
+    );
+
+  const jobs = storage
+    .listJobs()
+    .filter((jobData) => JOB_SECRETS.some((field) => jobData[field]))
+    .map((jobData) => {
+      const secrets = {};
+      JOB_SECRETS.filter((field) => jobData[field]).forEach((field) => {
+        secrets[field] = decryptSecret(jobData[field], oldMasterKey);
+      });
+      return { jobData, secrets };
+    });
+
+  storage.transaction(() => {
+    credentials.forEach((credential) =>
+      storage.saveCredential(sealCredential(credential, newMasterKey))
+    );
+    jobs.forEach(({ jobData, secrets }) => {
+      Object.entries(secrets).forEach(([field, value]) => {
+        jobData[field] = encryptSecret(value, newMasterKey);
+      });
+      storage.saveJob(jobData);
+    });
+  });
+
+  return credentials.length;
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  sealCredential,
+  unsealCredential,
+  toPublicCredential,
+  migratePlaintextCredentials,
+  migratePlaintextJobSecrets,
+  rotateMasterKey,
+};
@@ -0,0 +1,308 @@
+const { uploadToFtp, resolveDownloads } = require("./ftpUploader");
+const { isOfflineMode } = require("./artifactMirror");
+const { getProvider, assertProviderSupports } = require("./providers");
+const { unsealCredential, encryptSecret } = require("./credentialVault");
+const { assertTransportLogin, getTransportConfig } = require("./fileTransport");
+const {
+  getInstallMode,
+  assertSshTransport,
+  installOverSsh,
+} = require("./sshInstaller");
+const { prepareInstall, runInstaller } = require("./httpInstaller");
+const { getJob, saveJob } = require("./jobStore");
+const {
+  getCredentialRecord,
+  saveCredentialRecord,
+} = require("./credentialStore");
+const { getJobState, transitionJob } = require("./jobStateMachine");
+const { createJobLogger, publishJobEvent } = require("./jobEvents");
+const {
+  isAutoRollbackEnabled,
+  registerCompensation,
+  rollbackJob,
+} = require("./jobRollback");
+
+// Actor recorded in the job history for transitions made by the queue worker
+const WORKER_ACTOR = "deploy-worker";
+
+/**
+ * What is left to do once the worker is done with a job.
+ * @param {object} jobData - Job data
+ * @returns {string}
+ */
+const getNextStep = (jobData) => {
+  switch (jobData.status) {
+    case "installed":
+      return `WordPress is installed at https://${jobData.domain}/; get the admin login from GET /jobs/${jobData.id}/admin-credentials`;
+    case "installing":
+      return `install.php is installing WordPress on https://${jobData.domain}/; follow GET /jobs/${jobData.id}/events for its result`;
+    case "install-failed":
+      return `install.php did not finish (${jobData.error}); see GET /jobs/${jobData.id}/logs?step=installing`;
+    default:
+      return `Visit https://${jobData.domain}/install.php to complete WordPress installation`;
+  }
+};
+
+/**
+ * Runs a queued deployment through the adapter of the credential's hosting
+ * provider: adds the domain to the account if the job asks
+ * for it, looks up the domain's document root, creates
+ * the database (unless resuming after a manual DB setup or retrying with
+ * one already created), fetches FTP credentials and uploads the site files
+ * there, skipping those a previous attempt already uploaded. Jobs in the
+ * "ssh" install mode are then installed with WP-CLI over SSH; for the
+ * others the deployer runs install.php with a one-time token when it has
+ * a DEPLOYER_PUBLIC_URL to report to, and otherwise leaves it to be opened.
+ * Each step that changes the host registers how to undo it; a failed
+ * deployment is rolled back unless AUTO_ROLLBACK is false.
+ * The saved credential is only decrypted here. Progress is published on
+ * the job's event stream.
+ * @param {object} entry - Queue entry ({ jobId, credentialId, resume }).
+ * @returns {Promise<object>} - Deployment result summary.
+ */
+async function runDeployment({ jobId, credentialId, resume = false }) {
+  // Read back after install.php has reported to the API
+  let jobData = getJob(jobId);
+  const logger = createJobLogger(jobId);
+
+  const setState = (state, reason) => {
+    transitionJob(jobData, state, { actor: WORKER_ACTOR, reason });
+    saveJob(jobData);
+  };
+
+  const compensate = (action, params) => {
+    registerCompensation(jobData, action, params);
+    saveJob(jobData);
+  };
+  let credentials;
+
+  try {
+    const credentialRecord = getCredentialRecord(credentialId);
+    credentials = unsealCredential(credentialRecord);
+    const provider = getProvider(credentials);
+    const installMode = getInstallMode(jobData);
+    // Token-only credentials saved before this was checked fail here, before
+    // anything is created on the host
+    assertTransportLogin(credentials);
+    if (installMode === "ssh") {
+      assertSshTransport(getTransportConfig(credentials));
+    }
+
+    jobData.uploadStartedAt = new Date().toISOString();
+    jobData.uploadProgress = null;
+
+    logger.info(
+      `🚀 Starting upload for job ${jobId} using credentials: ${credentials.name}`
+    );
+
+    // Offline deploys fail before touching the host if the mirror lacks
+    // an archive
+    if (isOfflineMode()) {
+      await resolveDownloads(jobData, undefined, logger);
+    }
+
+    // Add the domain to the account first when the job asks for it; what
+    // was created is kept on the job for teardown
+    if (jobData.createDomain && !jobData.createdDomain) {
+      assertProviderSupports(provider, "createDomain", "adding domains");
+      setState("domain-provisioning", `Adding the domain to ${provider.label}`);
+      const created = await provider.createDomain(
+        credentials,
+        jobData,
+        logger.child("domain-provisioning")
+      );
+      if (created) {
+        jobData.createdDomain = created;
+        compensate("remove-domain", created);
+      }
+    }
+
+    // Find where the domain is served from before the database is created,
+    // so a domain the account does not hold is refused up front; a retry keeps
+    // the directory the first attempt uploaded to
+    if (!jobData.documentRoot) {
+      const docroot = await provider.resolveDocumentRoot(
+        credentials,
+        jobData,
+        logger.child("document-root")
+      );
+      jobData.documentRoot = docroot.remotePath;
+      jobData.domainType = docroot.type;
+      saveJob(jobData);
+    }
+
+    // A retry reuses the database an earlier attempt created
+    const hasDatabase = jobData.dbName && jobData.dbUser && jobData.dbPass;
+
+    if (!resume && !hasDatabase) {
+      setState("db-provisioning", "Creating MySQL database and user");
+
+      // Create MySQL database and user on the account
+      const dbLogger = logger.child("db-provisioning");
+      dbLogger.info(
+        `🌐 Creating MySQL database and user on ${provider.label} for ${jobData.domain}...`
+      );
+      const dbCredentials = await provider.createDatabase(
+        credentials,
+        jobData.domain,
+        dbLogger,
+        (kind, name) =>
+          kind === "database"
+            ? compensate("drop-database", { dbName: name })
+            : compensate("delete-database-user", { dbUser: name })
+      );
+
+      // Add database credentials to jobData for the installer script; the
+      // password is kept encrypted, also for the manual setup instructions
+      jobData.dbName = dbCredentials.dbName;
+      jobData.dbUser = dbCredentials.dbUser;
+      jobData.dbPass = encryptSecret(dbCredentials.dbPass);
+      jobData.manualDbSetup = dbCredentials.manual || false;
+      if (dbCredentials.manual && dbCredentials.instructions) {
+        const { databasePassword, ...instructions } =
+          dbCredentials.instructions;
+        jobData.dbInstructions = instructions;
+      }
+
+      // Pause until the database has been created by hand
+      if (dbCredentials.manual) {
+        setState(
+          "waiting-for-db",
+          `${provider.label} API unavailable, database must be created manually`
+        );
+        dbLogger.warn(
+          `⏸️ Waiting for manual database setup. Resume with POST /api/resume-deploy/${jobId}`
+        );
+        return {
+          jobId,
+          domain: jobData.domain,
+          status: jobData.status,
+          credentialName: credentials.name,
+          manualDbSetup: true,
+          dbInstructions: jobData.dbInstructions || null,
+          nextStep: `Please create the database manually in ${provider.label}, then resume with POST /api/resume-deploy/${jobId}`,
+        };
+      }
+
+      dbLogger.info("✅ MySQL database and user created.", {
+        dbName: dbCredentials.dbName,
+        dbUser: dbCredentials.dbUser,
+      });
+      saveJob(jobData);
+    }
+
+    // Get FTP credentials from the account
+    const ftpLogger = logger.child("ftp-credentials");
+    ftpLogger.info(`🔌 Getting FTP credentials from ${provider.label}...`);
+    const ftpResult = await provider.getTransferCredentials(
+      credentials,
+      ftpLogger
+    );
+
+    if (!ftpResult.success) {
+      throw new Error(`Failed to get FTP credentials: ${ftpResult.message}`);
+    }
+
+    // job-info.json tells install.php how to know the deployer started it
+    const runsInstaller = installMode === "http" && prepareInstall(jobData);
+
+    // Perform FTP upload, passing database credentials
+    await uploadToFtp(ftpResult.credentials, jobData, {
+      onStage: (stage, reason) => setState(stage, reason),
+      onManifest: (manifest) => {
+        jobData.uploadManifest = manifest;
+        saveJob(jobData);
+      },
+      onBackup: () => saveJob(jobData),
+      onCompensation: compensate,
+      uploadInstaller: installMode === "http",
+      onProgress: (progress) => {
+        jobData.uploadProgress = progress;
+        saveJob(jobData);
+        publishJobEvent(jobId, {
+          type: "progress",
+          step: "uploading",
+          ...progress,
+        });
+      },
+      logger,
+    });
+
+    jobData.uploadCompletedAt = new Date().toISOString();
+    if (installMode === "ssh") {
+      setState("installing", "Installing WordPress over SSH");
+      const admin = await installOverSsh(
+        ftpResult.credentials,
+        jobData,
+        logger.child("installing")
+      );
+      // Read back with GET /jobs/:jobId/admin-credentials
+      jobData.adminUser = admin.username;
+      jobData.adminPassword = encryptSecret(admin.password);
+      jobData.installedAt = new Date().toISOString();
+      setState("installed", "WordPress installed over SSH");
+    } else if (runsInstaller) {
+      setState("installing", "Running install.php");
+      jobData = await runInstaller(jobId, {
+        actor: WORKER_ACTOR,
+        logger: logger.child("installing"),
+      });
+    } else {
+      // Files are in place; the installer still has to run
+      setState("awaiting-install", "All files uploaded");
+    }
+
+    // Update credential last used
+    credentialRecord.lastUsed = new Date().toISOString();
+    saveCredentialRecord(credentialRecord);
+
+    return {
+      jobId,
+      domain: jobData.domain,
+      status: jobData.status,
+      credentialName: credentials.name,
+      manualDbSetup: jobData.manualDbSetup || false,
+      dbInstructions: jobData.dbInstructions || null,
+      nextStep: getNextStep(jobData),
+    };
+  } catch (error) {
+    logger.error("Upload error:", error.message);
+
+    // Update job status to failed
+    try {
+      jobData.error = error.message;
+      jobData.failedAt = new Date().toISOString();
+      if (getJobState(jobData) !== "failed") {
+        transitionJob(jobData, "failed", {
+          actor: WORKER_ACTOR,
+          reason: error.message,
+        });
+      }
+      saveJob(jobData);
+    } catch (updateError) {
+      console.error("Failed to update job status:", updateError);
+    }
+
+    // Undo what the failed attempt left on the host
+    if (
+      credentials &&
+      isAutoRollbackEnabled() &&
+      (jobData.compensations || []).length
+    ) {
+      try {
+        await rollbackJob(jobData, credentials, {
+          actor: WORKER_ACTOR,
+          reason: `Deployment failed: ${error.message}`,
+          onChange: () => saveJob(jobData),
+          logger: logger.child("rollback"),
+        });
+      } catch (rollbackError) {
+        logger.error("Rollback error:", rollbackError.message);
+      }
+    }
+
+    throw error;
+  }
+}
+
+module.exports = { runDeployment };
@@ -0,0 +1,218 @@
+const path = require("path");
+const fs = require("fs");
+const ftp = require("basic-ftp");
+const SftpClient = require("ssh2-sftp-client");
+const { consoleLogger } = require("./jobEvents");
+
+// Supported file transports and the port each uses when none is set
+const TRANSPORTS = {
+  ftp: { label: "FTP", port: 21 },
+  ftps: { label: "FTPS (explicit TLS)", port: 21 },
+  "ftps-implicit": { label: "FTPS (implicit TLS)", port: 990 },
+  sftp: { label: "SFTP", port: 22 },
+};
+
+// New credentials use explicit FTPS so passwords never cross in cleartext
+const DEFAULT_TRANSPORT = "ftps";
+
+// Credentials saved before transports existed keep using plain FTP
+const LEGACY_TRANSPORT = { protocol: "ftp", port: 21 };
+
+const invalidTransport = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_TRANSPORT";
+  return error;
+};
+
+/**
+ * Validates transport settings and fills in defaults. Key material is not
+ * part of the settings; it is sealed with the credential's other secrets.
+ * @param {object} [input] - { protocol, port, username, rejectUnauthorized, auth }
+ * @returns {object} - Transport settings safe to store in the clear.
+ */
+function normalizeTransport(input) {
+  input = input || {};
+  const protocol = input.protocol || DEFAULT_TRANSPORT;
+  if (!TRANSPORTS[protocol]) {
+    throw invalidTransport(
+      `Unknown transport protocol: ${protocol} (expected one of ${Object.keys(
+        TRANSPORTS
+      ).join(", ")})`
+    );
+  }
+
+  const port =
+    input.port === undefined || input.port === null || input.port === ""
+      ? TRANSPORTS[protocol].port
+      : Number(input.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw invalidTransport(`Invalid transport port: ${input.port}`);
+  }
+
+  const transport = { protocol, port };
+  if (input.username) {
+    transport.username = String(input.username);
+  }
+  if (protocol.startsWith("ftps")) {
+    // Shared hosts often present a certificate for the server's own name
+    transport.rejectUnauthorized = input.rejectUnauthorized !== false;
+  }
+  if (protocol === "sftp") {
+    const auth = input.auth || (input.privateKey ? "key" : "password");
+    if (auth !== "password" && auth !== "key") {
+      throw invalidTransport(`Invalid SFTP auth method: ${auth}`);
+    }
+    transport.auth = auth;
+  }
+  return transport;
+}
+
+/**
+ * Returns the transport settings of a stored credential.
+ * @param {object} credential - Credential record.
+ * @returns {object} - Transport settings.
+ */
+const getCredentialTransport = (credential) =>
+  credential.transport || LEGACY_TRANSPORT;
+
+/**
+ * Checks that a credential can log in over its transport. Only SFTP with a
+ * key does without the account password; an API token opens the control
+ * panel's API, not the file transport.
+ * @param {object} credential - Credential including its secrets.
+ */
+function assertTransportLogin(credential) {
+  const transport = getCredentialTransport(credential);
+  if (transport.auth !== "key" && !credential.password) {
+    throw invalidTransport(
+      `${
+        TRANSPORTS[transport.protocol].label
+      } uploads need the account password alongside the API token, or SFTP key authentication`
+    );
+  }
+}
+
+/**
+ * Builds the connection settings for an unsealed credential.
+ * @param {object} credential - Credential including its secrets.
+ * @returns {object} - { host, user, pass, protocol, port, ... }
+ */
+function getTransportConfig(credential) {
+  const transport = getCredentialTransport(credential);
+  return {
+    host: credential.host.replace(/^https?:\/\//, ""),
+    user: transport.username || credential.username,
+    pass: credential.password,
+    privateKey: transport.auth === "key" ? credential.privateKey : undefined,
+    passphrase: transport.auth === "key" ? credential.passphrase : undefined,
+    ...transport,
+  };
+}
+
+/**
+ * Opens an SFTP session behind the same interface as a basic-ftp client.
+ * Absolute remote paths are resolved against the login directory, as on
+ * the chrooted FTP account, so upload paths work on every transport.
+ * @param {object} config - Connection settings.
+ * @returns {Promise<object>} - Connected client.
+ */
+async function connectSftp(config) {
+  const sftp = new SftpClient();
+  let home;
+  try {
+    await sftp.connect({
+      host: config.host,
+      port: config.port,
+      username: config.user,
+      password: config.privateKey ? undefined : config.pass,
+      privateKey: config.privateKey,
+      passphrase: config.passphrase,
+      readyTimeout: 20000,
+    });
+    home = await sftp.cwd();
+  } catch (error) {
+    sftp.end().catch(() => {});
+    throw error;
+  }
+
+  const resolve = (remotePath) => path.posix.join(home, remotePath);
+
+  return {
+    ensureDir: async (remoteDir) => {
+      if (!(await sftp.exists(resolve(remoteDir)))) {
+        await sftp.mkdir(resolve(remoteDir), true);
+      }
+    },
+    uploadFrom: (source, remotePath) => sftp.put(source, resolve(remotePath)),
+    appendFrom: (source, remotePath, options = {}) =>
+      sftp.append(
+        typeof source === "string"
+          ? fs.createReadStream(source, { start: options.localStart || 0 })
+          : source,
+        resolve(remotePath)
+      ),
+    downloadTo: (destination, remotePath) =>
+      sftp.get(resolve(remotePath), destination),
+    size: async (remotePath) => (await sftp.stat(resolve(remotePath))).size,
+    list: async (remoteDir) =>
+      (await sftp.list(resolve(remoteDir))).map((entry) => ({
+        name: entry.name,
+        size: entry.size,
+        isDirectory: entry.type === "d",
+        isSymbolicLink: entry.type === "l",
+      })),
+    remove: (remotePath) => sftp.delete(resolve(remotePath)),
+    removeDir: (remoteDir) => sftp.rmdir(resolve(remoteDir), true),
+    close: () => {
+      sftp.end().catch(() => {});
+    },
+  };
+}
+
+/**
+ * Connects with the credential's transport. The returned client offers the
+ * basic-ftp methods the deployer uses (ensureDir, uploadFrom, appendFrom,
+ * downloadTo, size, list, remove, removeDir, close) whatever the protocol.
+ * @param {object} config - Connection settings from getTransportConfig.
+ * @param {object} [logger] - Logger for progress messages.
+ * @returns {Promise<object>} - Connected client.
+ */
+async function connectTransport(config, logger = consoleLogger) {
+  const protocol = config.protocol || LEGACY_TRANSPORT.protocol;
+  const { label, port: defaultPort } = TRANSPORTS[protocol];
+  const port = config.port || defaultPort;
+
+  logger.info(`🔌 Connecting to ${label}: ${config.host}:${port}`);
+
+  if (protocol === "sftp") {
+    return connectSftp({ ...config, port });
+  }
+
+  const client = new ftp.Client();
+  client.ftp.verbose = false;
+  try {
+    await client.access({
+      host: config.host,
+      port,
+      user: config.user,
+      password: config.pass,
+      secure: protocol === "ftps-implicit" ? "implicit" : protocol === "ftps",
+      secureOptions: {
+        rejectUnauthorized: config.rejectUnauthorized !== false,
+      },
+    });
+  } catch (error) {
+    client.close();
+    throw error;
+  }
+  return client;
+}
+
+module.exports = {
+  TRANSPORTS,
+  normalizeTransport,
+  getCredentialTransport,
+  assertTransportLogin,
+  getTransportConfig,
+  connectTransport,
+};
@@ -1,36 +1,120 @@
-const ftp = require("basic-ftp");
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const https = require("https");
 const http = require("http");
-const { pipeline } = require("stream");
+const { pipeline, Readable, Writable } = require("stream");
 const { promisify } = require("util");
 const pipelineAsync = promisify(pipeline);
+const { consoleLogger } = require("./jobEvents");
+const { connectTransport } = require("./fileTransport");
+const { decryptSecret } = require("./credentialVault");
+const { createUploadProgress } = require("./uploadProgress");
+const { getArtifact, getArtifactKey, hashFile } = require("./artifactCache");
+const {
+  isOfflineMode,
+  getMirrorPath,
+  resolveMirrorArtifact,
+  getCoreSlug,
+  DEFAULT_LOCALE,
+} = require("./artifactMirror");
+const { getCoreRelease } = require("./wordpressReleases");
+const { DEFAULT_REMOTE_PATH } = require("./cpanelDomains");
+const {
+  findExistingContent,
+  describeExistingContent,
+  backupSite,
+  removeExistingContent,
+} = require("./siteBackup");
+const {
+  verifyZipStructure,
+  fetchPublishedChecksum,
+  verifyChecksum,
+} = require("./artifactVerifier");
+
+// Redirects followed per download before giving up
+const MAX_REDIRECTS = 5;
+
+// The job fields install.php reads from job-info.json. The file sits in
+// the web root until install.php runs, so nothing else goes in it
+const INSTALLER_FIELDS = [
+  "domain",
+  "title",
+  "email",
+  "phone",
+  "address",
+  "logo",
+  "template",
+  "wpLocale",
+  "dbName",
+  "dbUser",
+  "dbPass",
+  "installTokenHash",
+  "installReportUrl",
+];
+
+const uploadError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 /**
- * Downloads a file from URL to a local path
+ * Downloads a file from URL to a local path, following redirects. A
+ * response that is not a file, or ends before its Content-Length, fails.
  * @param {string} url - The URL to download from
  * @param {string} destPath - Local destination path
  * @param {Function} progressCallback - Progress callback function
+ * @param {number} [redirectsLeft] - Redirects still allowed
  * @returns {Promise<void>}
  */
-async function downloadFile(url, destPath, progressCallback = null) {
+async function downloadFile(
+  url,
+  destPath,
+  progressCallback = null,
+  redirectsLeft = MAX_REDIRECTS
+) {
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith("https:") ? https : http;
 
     const request = protocol.get(url, (response) => {
-      if (response.statusCode !== 200) {
-        reject(
-          new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`)
-        );
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        const location = new URL(headers.location, url).toString();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects downloading ${url}`));
+        } else if (url.startsWith("https:") && !location.startsWith("https:")) {
+          reject(new Error(`Refusing to follow redirect to ${location}`));
+        } else {
+          resolve(
+            downloadFile(
+              location,
+              destPath,
+              progressCallback,
+              redirectsLeft - 1
+            )
+          );
+        }
         return;
       }
 
-      const totalSize = parseInt(response.headers["content-length"], 10);
-      let downloadedSize = 0;
+      if (statusCode !== 200) {
+        response.resume();
+        reject(new Error(`HTTP ${statusCode}: ${response.statusMessage}`));
+        return;
+      }
 
-      const fileStream = fs.createWriteStream(destPath);
+      // Error and login pages come back as 200 too
+      if ((headers["content-type"] || "").startsWith("text/html")) {
+        response.resume();
+        reject(new Error(`Expected a file from ${url}, got an HTML page`));
+        return;
+      }
+
+      const totalSize = parseInt(headers["content-length"], 10);
+      let downloadedSize = 0;
 
       response.on("data", (chunk) => {
         downloadedSize += chunk.length;
@@ -40,17 +124,19 @@ async function downloadFile(url, destPath, progressCallback = null) {
         }
       });
 
-      fileStream.on("finish", () => {
-        fileStream.close();
+      pipeline(response, fs.createWriteStream(destPath), (err) => {
+        if (!err && totalSize && downloadedSize !== totalSize) {
+          err = new Error(
+            `Download truncated: received ${downloadedSize} of ${totalSize} bytes`
+          );
+        }
+        if (err) {
+          fs.unlink(destPath, () => {}); // Delete the file if it exists
+          reject(err);
+          return;
+        }
         resolve();
       });
-
-      fileStream.on("error", (err) => {
-        fs.unlink(destPath, () => {}); // Delete the file if it exists
-        reject(err);
-      });
-
-      response.pipe(fileStream);
     });
 
     request.on("error", (err) => {
@@ -65,155 +151,89 @@ async function downloadFile(url, destPath, progressCallback = null) {
 }
 
 /**
- * Downloads WordPress core files from wordpress.org
- * @param {string} version - WordPress version (default: latest)
- * @param {string} destPath - Destination directory
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise<string>} - Path to downloaded WordPress files
+ * Looks up a plugin's current release on wordpress.org
+ * @param {string} pluginSlug - Plugin slug
+ * @returns {Promise<object>} - { version, downloadLink }
  */
-async function downloadWordPressCore(
-  version = "latest",
-  destPath,
-  progressCallback = null
-) {
-  const tempDir = path.join(destPath, "wordpress-temp");
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-  }
-
-  // Get latest version if not specified
-  if (version === "latest") {
-    try {
-      const response = await fetch(
-        "https://api.wordpress.org/core/version-check/1.7/"
-      );
-      const data = await response.json();
-      version = data.offers[0].version;
-    } catch (error) {
-      console.log("Could not fetch latest version, using 6.4.3 as fallback");
-      version = "6.4.3";
-    }
-  }
-
-  const wpUrl = `https://wordpress.org/wordpress-${version}.zip`;
-  const wpZipPath = path.join(tempDir, `wordpress-${version}.zip`);
-
-  console.log(`📥 Downloading WordPress ${version} from ${wpUrl}`);
-
-  await downloadFile(wpUrl, wpZipPath, progressCallback);
-
-  // Extract the zip file
-  const extract = require("extract-zip");
-  const extractPath = path.join(tempDir, "extracted");
-
-  console.log("📦 Extracting WordPress files...");
-  await extract(wpZipPath, { dir: extractPath });
-
-  // Move files from wordpress/ subdirectory to root
-  const wordpressDir = path.join(extractPath, "wordpress");
-  const finalPath = path.join(tempDir, "wordpress-core");
+async function getPluginRelease(pluginSlug) {
+  const apiUrl = `https://api.wordpress.org/plugins/info/1.0/${pluginSlug}.json`;
+  const response = await fetch(apiUrl);
+  const pluginInfo = await response.json();
 
-  if (fs.existsSync(wordpressDir)) {
-    fs.renameSync(wordpressDir, finalPath);
-  } else {
-    fs.renameSync(extractPath, finalPath);
+  if (!pluginInfo.download_link) {
+    throw new Error(
+      `Plugin ${pluginSlug} not found or no download link available`
+    );
   }
-
-  // Clean up zip file
-  fs.unlinkSync(wpZipPath);
-
-  console.log(
-    `✅ WordPress ${version} downloaded and extracted to ${finalPath}`
-  );
-  return finalPath;
+  return {
+    version: pluginInfo.version,
+    downloadLink: pluginInfo.download_link,
+  };
 }
 
 /**
- * Downloads a plugin from wordpress.org
- * @param {string} pluginSlug - Plugin slug (e.g., 'all-in-one-wp-migration')
- * @param {string} destPath - Destination directory
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise<string>} - Path to downloaded plugin
+ * Looks up a theme's current release on wordpress.org
+ * @param {string} themeSlug - Theme slug
+ * @returns {Promise<object>} - { version, downloadLink }
  */
-async function downloadPlugin(pluginSlug, destPath, progressCallback = null) {
-  const tempDir = path.join(destPath, "plugins-temp");
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-  }
-
-  // Get plugin info from WordPress.org API
-  const apiUrl = `https://api.wordpress.org/plugins/info/1.0/${pluginSlug}.json`;
-
-  try {
-    const response = await fetch(apiUrl);
-    const pluginInfo = await response.json();
-
-    if (!pluginInfo.download_link) {
-      throw new Error(
-        `Plugin ${pluginSlug} not found or no download link available`
-      );
-    }
-
-    const pluginZipPath = path.join(tempDir, `${pluginSlug}.zip`);
-
-    console.log(
-      `📥 Downloading plugin ${pluginSlug} from ${pluginInfo.download_link}`
-    );
+async function getThemeRelease(themeSlug) {
+  const apiUrl = `https://api.wordpress.org/themes/info/1.1/?action=theme_information&request[slug]=${themeSlug}`;
+  const response = await fetch(apiUrl);
+  const themeInfo = await response.json();
 
-    await downloadFile(
-      pluginInfo.download_link,
-      pluginZipPath,
-      progressCallback
+  if (!themeInfo.download_link) {
+    throw new Error(
+      `Theme ${themeSlug} not found or no download link available`
     );
-
-    console.log(`✅ Plugin ${pluginSlug} downloaded to ${pluginZipPath}`);
-    return pluginZipPath;
-  } catch (error) {
-    console.error(`❌ Failed to download plugin ${pluginSlug}:`, error.message);
-    throw error;
   }
+  return {
+    version: themeInfo.version,
+    downloadLink: themeInfo.download_link,
+  };
 }
 
 /**
- * Downloads a theme from wordpress.org
- * @param {string} themeSlug - Theme slug (e.g., 'twentytwentyfour')
- * @param {string} destPath - Destination directory
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise<string>} - Path to downloaded theme
+ * Creates a download progress callback that logs at most once per 10%.
+ * @param {object} logger - Logger for progress messages
+ * @param {string} label - What is being downloaded
+ * @returns {Function} - Progress callback
  */
-async function downloadTheme(themeSlug, destPath, progressCallback = null) {
-  const tempDir = path.join(destPath, "themes-temp");
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-  }
-
-  // Get theme info from WordPress.org API
-  const apiUrl = `https://api.wordpress.org/themes/info/1.1/?action=theme_information&request[slug]=${themeSlug}`;
-
-  try {
-    const response = await fetch(apiUrl);
-    const themeInfo = await response.json();
+function logDownloadProgress(logger, label) {
+  let lastLogged = -1;
+  return (progress) => {
+    const decile = Math.floor(progress / 10);
+    if (decile > lastLogged) {
+      lastLogged = decile;
+      logger.debug(`📥 ${label} download progress: ${progress.toFixed(1)}%`);
+    }
+  };
+}
 
-    if (!themeInfo.download_link) {
-      throw new Error(
-        `Theme ${themeSlug} not found or no download link available`
+/**
+ * Checks a freshly downloaded artifact before it is cached: it must open
+ * as a zip with the expected entries, and match the checksum wordpress.org
+ * publishes for it, where there is one.
+ * @param {string} filePath - Downloaded file
+ * @param {object} download - { label, artifact, checksumUrl }
+ * @param {object} log - Logger
+ * @returns {Promise<object>} - { checksum } verified, or null
+ */
+async function verifyDownload(filePath, download, log) {
+  await verifyZipStructure(filePath, download.artifact, download.label);
+
+  let checksum = null;
+  if (download.checksumUrl) {
+    checksum = await fetchPublishedChecksum(download.checksumUrl);
+    if (checksum) {
+      await verifyChecksum(filePath, checksum, download.label);
+      log.info(
+        `🔒 ${download.label} matches its published ${checksum.algorithm}`
       );
+    } else {
+      log.warn(`⚠️ No published checksum for ${download.label}`);
     }
-
-    const themeZipPath = path.join(tempDir, `${themeSlug}.zip`);
-
-    console.log(
-      `📥 Downloading theme ${themeSlug} from ${themeInfo.download_link}`
-    );
-
-    await downloadFile(themeInfo.download_link, themeZipPath, progressCallback);
-
-    console.log(`✅ Theme ${themeSlug} downloaded to ${themeZipPath}`);
-    return themeZipPath;
-  } catch (error) {
-    console.error(`❌ Failed to download theme ${themeSlug}:`, error.message);
-    throw error;
   }
+  return { checksum };
 }
 
 /**
@@ -268,65 +288,336 @@ function generateWpConfigContent(dbConfig) {
   return configContent;
 }
 
+const getCustomTemplatePath = (template) =>
+  path.join(__dirname, "../templates", `${template}.wpress`);
+
 /**
- * Uploads files to FTP with progress tracking
- * @param {object} client - FTP client
- * @param {string} localPath - Local file/directory path
- * @param {string} remotePath - Remote path
- * @param {Function} progressCallback - Progress callback
+ * Tells whether a job deploys one of our .wpress templates or a
+ * wordpress.org theme.
+ * @param {string} template - Template id from the job
+ * @returns {string} - "custom" or "wordpress"
+ */
+const getTemplateType = (template) =>
+  fs.existsSync(getCustomTemplatePath(template)) ? "custom" : "wordpress";
+
+/**
+ * Resolves the WordPress core, theme and plugin archives a job needs. In
+ * offline mode each comes from the local mirror and is returned with its
+ * localPath; a missing one fails here, before anything reaches the host.
+ * Otherwise versions are looked up on wordpress.org and each entry carries
+ * the URL to download from. WordPress core is the job's wpVersion and
+ * wpLocale, or the current release in US English.
+ * @param {object} jobData - Job data
+ * @param {string} [remotePath] - Remote web root
+ * @param {object} [log] - Logger
+ * @returns {Promise<object[]>} - { label, artifact, source, remote, ... }
  */
-async function uploadWithProgress(
-  client,
-  localPath,
-  remotePath,
-  progressCallback = null
+async function resolveDownloads(
+  jobData,
+  remotePath = DEFAULT_REMOTE_PATH,
+  log = consoleLogger
 ) {
-  const stats = fs.statSync(localPath);
+  const locale = jobData.wpLocale || DEFAULT_LOCALE;
+  const wanted = [
+    {
+      label:
+        locale === DEFAULT_LOCALE
+          ? "WordPress core ZIP file"
+          : `WordPress core ZIP file for ${locale}`,
+      artifact: {
+        kind: "core",
+        slug: getCoreSlug(locale),
+        version: jobData.wpVersion || "latest",
+      },
+      remote: `${remotePath}/wordpress.zip`,
+      progressLabel: "WordPress",
+    },
+    {
+      label: "All-in-One WP Migration plugin",
+      artifact: {
+        kind: "plugin",
+        slug: "all-in-one-wp-migration",
+        version: "latest",
+      },
+      remote: `${remotePath}/wp-content/plugins/all-in-one-wp-migration.zip`,
+      progressLabel: "Plugin",
+    },
+  ];
+  if (getTemplateType(jobData.template) === "wordpress") {
+    wanted.splice(1, 0, {
+      label: `WordPress.org theme ${jobData.template}`,
+      artifact: { kind: "theme", slug: jobData.template, version: "latest" },
+      remote: `${remotePath}/wp-content/themes/${jobData.template}.zip`,
+      progressLabel: "Theme",
+    });
+  }
 
-  if (stats.isDirectory()) {
-    // Upload directory recursively
-    const files = fs.readdirSync(localPath);
-    let uploadedFiles = 0;
+  if (isOfflineMode()) {
+    log.info(`🗄️ Offline mode: using artifacts from ${getMirrorPath()}`);
+    return wanted.map((download) => {
+      const mirrored = resolveMirrorArtifact(download.artifact);
+      const artifact = { ...download.artifact, version: mirrored.version };
+      return {
+        ...download,
+        artifact,
+        source: `mirror:${getArtifactKey(artifact)}`,
+        localPath: mirrored.path,
+      };
+    });
+  }
 
-    for (const file of files) {
-      const localFilePath = path.join(localPath, file);
-      const remoteFilePath = `${remotePath}/${file}`;
+  return Promise.all(
+    wanted.map(async (download) => {
+      const { kind, slug } = download.artifact;
+      let release;
+      if (kind === "core") {
+        release = await getCoreRelease({
+          version: download.artifact.version,
+          locale,
+        });
+      } else if (kind === "plugin") {
+        release = await getPluginRelease(slug);
+      } else {
+        release = await getThemeRelease(slug);
+      }
+      return {
+        ...download,
+        artifact: { ...download.artifact, version: release.version },
+        source: release.downloadLink,
+        checksumUrl: release.checksumUrl,
+      };
+    })
+  );
+}
 
-      await uploadWithProgress(
-        client,
-        localFilePath,
-        remoteFilePath,
-        (progress) => {
-          if (progressCallback) {
-            const overallProgress =
-              ((uploadedFiles + progress / 100) / files.length) * 100;
-            progressCallback(overallProgress);
-          }
-        }
-      );
+// Upload manifests live outside the web root so they are never served
+const MANIFEST_DIR = "/.wp-deployer/manifests";
+
+const getManifestPath = (jobId) => `${MANIFEST_DIR}/${jobId}.json`;
+
+/**
+ * Returns the size of a remote file, or null if it does not exist or the
+ * server does not support SIZE
+ * @param {object} client - FTP client
+ * @param {string} remoteFile - Remote file path
+ * @returns {Promise<number|null>}
+ */
+async function getRemoteSize(client, remoteFile) {
+  try {
+    return await client.size(remoteFile);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the job's upload manifest from the server. Falls back to the copy
+ * kept on the job, then to an empty manifest.
+ * @param {object} client - FTP client
+ * @param {object} jobData - Job data
+ * @returns {Promise<object>} - { version, jobId, updatedAt, files }
+ */
+async function readManifest(client, jobData) {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+
+  try {
+    await client.downloadTo(sink, getManifestPath(jobData.id));
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    return (
+      jobData.uploadManifest || {
+        version: 1,
+        jobId: jobData.id,
+        updatedAt: null,
+        files: {},
+      }
+    );
+  }
+}
+
+/**
+ * Checks whether a manifest entry describes a file that is fully on the
+ * server: marked complete, from the same source and of the recorded size
+ * @param {object} client - FTP client
+ * @param {string} remoteFile - Remote file path
+ * @param {object} entry - Manifest entry
+ * @param {object} expected - { source, sha256 } to match (sha256 optional)
+ * @returns {Promise<boolean>}
+ */
+async function isUploaded(client, remoteFile, entry, expected) {
+  if (
+    !entry ||
+    entry.status !== "complete" ||
+    entry.source !== expected.source ||
+    (expected.sha256 && entry.sha256 !== expected.sha256)
+  ) {
+    return false;
+  }
+  return (await getRemoteSize(client, remoteFile)) === entry.size;
+}
+
+/**
+ * Sends a local file, or its tail from an offset, reporting each chunk
+ * read to the progress tracker
+ * @param {Function} send - client.uploadFrom or client.appendFrom
+ * @param {string} localPath - Local file path
+ * @param {string} remote - Remote file path
+ * @param {number} offset - First byte to send
+ * @param {object} progress - Upload progress tracker
+ */
+async function sendFile(send, localPath, remote, offset, progress) {
+  const source = fs.createReadStream(localPath, { start: offset });
+  // A read error reaches the transport through the pipeline
+  const counted = pipeline(source, progress.counter(), () => {});
+  progress.start(remote, offset);
+  try {
+    await send(counted, remote);
+  } finally {
+    source.destroy();
+  }
+}
 
-      uploadedFiles++;
+/**
+ * Uploads one file and records it in the manifest. A file the manifest
+ * shows as partially uploaded from the same content is resumed with APPE
+ * where the server allows it; otherwise it is uploaded again from the start.
+ * @param {object} client - FTP client
+ * @param {object} step - { label, source, localPath, remote, checksum }
+ * @param {object} context - Upload context
+ * @param {object} context.manifest - Upload manifest
+ * @param {Function} context.saveManifest - Persists the manifest
+ * @param {object} context.progress - Upload progress tracker
+ * @param {object} context.log - Logger
+ */
+async function uploadManifestStep(client, step, context) {
+  const { manifest, saveManifest, progress, log } = context;
+  const { label, source, localPath, remote, checksum } = step;
+  const size = fs.statSync(localPath).size;
+  const sha256 = await hashFile(localPath);
+  const previous = manifest.files[remote];
+
+  if (await isUploaded(client, remote, previous, { source, sha256 })) {
+    log.info(`⏭️ ${label} already uploaded, skipping`);
+    progress.skip(remote);
+    return;
+  }
+
+  let offset = 0;
+  if (previous && previous.status === "partial" && previous.sha256 === sha256) {
+    const remoteSize = await getRemoteSize(client, remote);
+    if (remoteSize > 0 && remoteSize < size) {
+      offset = remoteSize;
     }
-  } else {
-    // Upload single file
-    await client.uploadFrom(localPath, remotePath);
-    if (progressCallback) {
-      progressCallback(100);
+  }
+
+  manifest.files[remote] = {
+    source,
+    size,
+    sha256,
+    ...(checksum && { checksum }),
+    status: "partial",
+    uploadedAt: null,
+  };
+  await saveManifest();
+
+  if (offset) {
+    log.info(`⏯️ Resuming ${label} at byte ${offset} of ${size}...`);
+    try {
+      await sendFile(
+        (stream, to) => client.appendFrom(stream, to),
+        localPath,
+        remote,
+        offset,
+        progress
+      );
+    } catch (error) {
+      log.warn(
+        `⚠️ Could not resume ${label} (${error.message}), uploading it again`
+      );
+      offset = 0;
     }
   }
+  if (!offset) {
+    log.info(`📤 Uploading ${label}...`);
+    await sendFile(
+      (stream, to) => client.uploadFrom(stream, to),
+      localPath,
+      remote,
+      0,
+      progress
+    );
+  }
+
+  const uploadedSize = await getRemoteSize(client, remote);
+  if (uploadedSize !== null && uploadedSize !== size) {
+    throw new Error(
+      `${label} is incomplete on the server (${uploadedSize} of ${size} bytes)`
+    );
+  }
+
+  manifest.files[remote].status = "complete";
+  manifest.files[remote].uploadedAt = new Date().toISOString();
+  await saveManifest();
+  progress.complete();
 }
 
 /**
  * Main optimized FTP upload function
- * @param {object} hostConfig - FTP host configuration
+ * @param {object} hostConfig - Connection settings from getTransportConfig
+ *   (FTP, FTPS or SFTP)
  * @param {object} jobData - Job data including template, logo, db credentials
+ *   and the documentRoot to upload to; wpVersion and wpLocale are set to the
+ *   WordPress build deployed. Files already in the document root fail the
+ *   upload with SITE_EXISTS, unless backupExisting is set: they are then
+ *   backed up, recorded in backups and removed first
+ * @param {object} [options] - Upload options
+ * @param {Function} [options.onStage] - Called with (stage, reason) when the upload
+ *   moves to "backing-up", "downloading-artifacts" or "uploading"
+ * @param {object} [options.logger] - Logger for progress messages; each stage
+ *   logs through a child logger named after it
+ * @param {Function} [options.onManifest] - Called with the upload manifest
+ *   each time it changes, so the job can keep a copy
+ * @param {Function} [options.onProgress] - Called with byte progress reports
+ *   ({ file, overall, rate, eta }) while files upload
+ * @param {Function} [options.onBackup] - Called with the backup record once
+ *   existing files are archived, before they are removed
+ * @param {Function} [options.onCompensation] - Called with (action, params)
+ *   before the server is changed, naming how to undo it: "restore-backup"
+ *   before backed up files are removed, "remove-uploaded-files" before
+ *   anything is uploaded
+ * @param {boolean} [options.uploadInstaller] - Whether install.php and the
+ *   job-info.json it reads are uploaded; false when the deployer installs
+ *   WordPress itself over SSH
  */
-async function uploadToFtp(hostConfig, jobData) {
-  const client = new ftp.Client();
-  client.ftp.verbose = false;
+async function uploadToFtp(hostConfig, jobData, options = {}) {
+  const {
+    onStage = () => {},
+    onManifest = () => {},
+    onProgress = () => {},
+    onBackup = () => {},
+    onCompensation = () => {},
+    uploadInstaller = true,
+    logger = consoleLogger,
+  } = options;
+  let log = logger;
+  const enterStage = (stage, reason) => {
+    onStage(stage, reason);
+    log = logger.child(stage);
+  };
+  let client;
 
   // Validate FTP credentials
-  if (!hostConfig.host || !hostConfig.user || !hostConfig.pass) {
+  if (
+    !hostConfig.host ||
+    !hostConfig.user ||
+    !(hostConfig.pass || hostConfig.privateKey)
+  ) {
     throw new Error("Missing FTP credentials (host, user, or password)");
   }
 
@@ -345,19 +636,43 @@ async function uploadToFtp(hostConfig, jobData) {
 
   const tempDirPath = path.join(__dirname, "../temp");
   let localWpConfigPath;
+  let localJobInfoPath;
+  const artifacts = [];
 
   try {
-    console.log(`🔌 Connecting to FTP: ${hostConfig.host}`);
-    await client.access({
-      host: hostConfig.host,
-      user: hostConfig.user,
-      password: hostConfig.pass,
-      secure: false,
-    });
-
-    console.log("✅ Connected to FTP successfully");
-
-    const remotePath = "/public_html";
+    client = await connectTransport(hostConfig, log);
+
+    log.info(`✅ Connected to ${hostConfig.host}`);
+
+    // Set by the deploy pipeline from the domain's document root
+    const remotePath = jobData.documentRoot || DEFAULT_REMOTE_PATH;
+
+    // Never write over a site that is already there, unless the operator
+    // asked for it to be backed up and replaced
+    const existing = await findExistingContent(client, remotePath, jobData);
+    if (existing && existing.length) {
+      if (!jobData.backupExisting) {
+        throw uploadError(
+          `${remotePath} already holds files (${describeExistingContent(
+            existing
+          )}); deploy with backupExisting: true to back them up and replace them`,
+          "SITE_EXISTS"
+        );
+      }
+      enterStage("backing-up", `Backing up the files in ${remotePath}`);
+      const backup = await backupSite(
+        client,
+        remotePath,
+        existing,
+        jobData,
+        log
+      );
+      jobData.backups = [...(jobData.backups || []), backup];
+      onBackup(backup);
+      onCompensation("restore-backup", { backupId: backup.id });
+      await removeExistingContent(client, remotePath, existing, log);
+    }
+    onCompensation("remove-uploaded-files", { remotePath });
 
     // Ensure the main remote directory exists
     await client.ensureDir(remotePath);
@@ -372,70 +687,117 @@ async function uploadToFtp(hostConfig, jobData) {
       fs.mkdirSync(tempDirPath, { recursive: true });
     }
 
-    // === NEW: Download WordPress core ZIP ===
-    console.log("📥 Downloading WordPress core ZIP file...");
-    const wpVersion = "latest";
-    const tempZipDir = path.join(tempDirPath, "wordpress-temp");
-    if (!fs.existsSync(tempZipDir)) {
-      fs.mkdirSync(tempZipDir, { recursive: true });
-    }
-    let version = wpVersion;
-    if (wpVersion === "latest") {
-      try {
-        const response = await fetch(
-          "https://api.wordpress.org/core/version-check/1.7/"
-        );
-        const data = await response.json();
-        version = data.offers[0].version;
-      } catch (error) {
-        console.log("Could not fetch latest version, using 6.4.3 as fallback");
-        version = "6.4.3";
-      }
-    }
-    const wpZipUrl = `https://wordpress.org/wordpress-${version}.zip`;
-    const wpZipPath = path.join(tempZipDir, `wordpress-${version}.zip`);
-    await downloadFile(wpZipUrl, wpZipPath, (progress) => {
-      console.log(`📥 WordPress download progress: ${progress.toFixed(1)}%`);
-    });
-    console.log(`✅ WordPress ZIP downloaded to ${wpZipPath}`);
+    // Files a previous attempt already put on the server are skipped
+    await client.ensureDir(MANIFEST_DIR);
+    const manifest = await readManifest(client, jobData);
+    manifest.jobId = jobData.id;
+    const saveManifest = async () => {
+      manifest.updatedAt = new Date().toISOString();
+      await client.uploadFrom(
+        Readable.from([JSON.stringify(manifest, null, 2)]),
+        getManifestPath(jobData.id)
+      );
+      onManifest(manifest);
+    };
 
-    // === DETERMINE TEMPLATE TYPE AND HANDLE ACCORDINGLY ===
-    let templatePath;
-    let templateType = "wordpress"; // default
+    enterStage(
+      "downloading-artifacts",
+      "Downloading WordPress core, theme and plugins"
+    );
 
-    // Check if it's a custom template (exists as .wpress file)
-    const customTemplatePath = path.join(
-      __dirname,
-      "../templates",
-      `${jobData.template}.wpress`
+    const templateType = getTemplateType(jobData.template);
+    const customTemplatePath = getCustomTemplatePath(jobData.template);
+    const downloads = await resolveDownloads(jobData, remotePath, log);
+
+    // Pin the core build on the job, so a retry deploys the same one and
+    // the installer knows its locale
+    const core = downloads.find(
+      (download) => download.artifact.kind === "core"
     );
-    if (fs.existsSync(customTemplatePath)) {
-      console.log(`📁 Using custom template: ${jobData.template}.wpress`);
-      templatePath = customTemplatePath;
-      templateType = "custom";
-    } else {
-      // Download from WordPress.org
-      console.log(`📥 Downloading WordPress.org theme: ${jobData.template}`);
-      templatePath = await downloadTheme(
-        jobData.template,
-        tempDirPath,
-        (progress) => {
-          console.log(`📥 Theme download progress: ${progress.toFixed(1)}%`);
+    jobData.wpVersion = core.artifact.version;
+    jobData.wpLocale = jobData.wpLocale || DEFAULT_LOCALE;
+    log.info(
+      `🔖 Deploying WordPress ${jobData.wpVersion} (${jobData.wpLocale})`
+    );
+
+    // Each artifact is only fetched if the server does not already hold a
+    // complete copy from the same source, and only downloaded if neither the
+    // mirror nor the local artifact cache has it
+    const pendingDownloads = [];
+    const artifactRecords = [];
+    for (const download of downloads) {
+      const record = {
+        ...download.artifact,
+        source: download.source,
+        checksum: null,
+      };
+      artifactRecords.push(record);
+
+      const uploaded = manifest.files[download.remote];
+      if (await isUploaded(client, download.remote, uploaded, download)) {
+        log.info(`⏭️ ${download.label} already uploaded, skipping download`);
+        Object.assign(record, {
+          sha256: uploaded.sha256,
+          size: uploaded.size,
+          checksum: uploaded.checksum || null,
+        });
+        continue;
+      }
+      if (download.localPath) {
+        log.info(
+          `📦 Using mirrored ${download.label} (${download.artifact.version})`
+        );
+        Object.assign(record, {
+          sha256: await hashFile(download.localPath),
+          size: fs.statSync(download.localPath).size,
+        });
+        pendingDownloads.push(download);
+        continue;
+      }
+      const artifact = await getArtifact(
+        { ...download.artifact, url: download.source },
+        async (destPath) => {
+          log.info(`📥 Downloading ${download.label} from ${download.source}`);
+          await downloadFile(
+            download.source,
+            destPath,
+            logDownloadProgress(log, download.progressLabel)
+          );
+          return verifyDownload(destPath, download, log);
         }
       );
-      templateType = "wordpress";
+      artifacts.push(artifact);
+      log.info(
+        artifact.cached
+          ? `📦 Using cached ${download.label} (${download.artifact.version})`
+          : `✅ ${download.label} downloaded and cached`
+      );
+      Object.assign(record, {
+        sha256: artifact.sha256,
+        size: artifact.size,
+        checksum: artifact.checksum,
+      });
+      pendingDownloads.push({
+        ...download,
+        localPath: artifact.path,
+        checksum: artifact.checksum,
+      });
     }
 
-    // === NEW: Download All-in-One WP Migration plugin ===
-    console.log("📥 Downloading All-in-One WP Migration plugin...");
-    const pluginPath = await downloadPlugin(
-      "all-in-one-wp-migration",
-      tempDirPath,
-      (progress) => {
-        console.log(`📥 Plugin download progress: ${progress.toFixed(1)}%`);
-      }
+    // What was deployed, for audits and for comparing sites later
+    jobData.artifacts = artifactRecords;
+    artifactRecords.forEach((record) =>
+      log.debug(
+        `🔑 ${getArtifactKey(record)} sha256 ${record.sha256} (${
+          record.size
+        } bytes)`
+      )
     );
 
+    if (templateType === "custom") {
+      log.info(`📁 Using custom template: ${jobData.template}.wpress`);
+    }
+
     // Define file paths
     const localLogoPath = path.join(__dirname, "../../uploads", jobData.logo);
     const localInstallerPath = path.join(
@@ -443,200 +805,129 @@ async function uploadToFtp(hostConfig, jobData) {
       "../../deploy-scripts",
       "install.php"
     );
+    const unlimitedExtensionPath = path.join(
+      __dirname,
+      "../plugins/all-in-one-wp-migration-unlimited-extension.zip"
+    );
 
     // === Generate wp-config.php ===
+    const dbPass = decryptSecret(jobData.dbPass);
     const wpConfigContent = generateWpConfigContent({
       dbName: jobData.dbName,
       dbUser: jobData.dbUser,
-      dbPass: jobData.dbPass,
+      dbPass,
       dbHost: "localhost",
     });
     localWpConfigPath = path.join(tempDirPath, `wp-config-${jobData.id}.php`);
     fs.writeFileSync(localWpConfigPath, wpConfigContent);
-    console.log(`✅ Generated wp-config.php at: ${localWpConfigPath}`);
+    log.info(`✅ Generated wp-config.php at: ${localWpConfigPath}`);
 
     // === Generate job-info.json ===
-    const localJobInfoPath = path.join(tempDirPath, `job-info.json`);
-    fs.writeFileSync(localJobInfoPath, JSON.stringify(jobData, null, 2));
+    // install.php checks the token it is sent against installTokenHash
+    const jobInfo = Object.fromEntries(
+      INSTALLER_FIELDS.filter((field) => jobData[field] !== undefined).map(
+        (field) => [field, field === "dbPass" ? dbPass : jobData[field]]
+      )
+    );
+    localJobInfoPath = path.join(tempDirPath, `job-info-${jobData.id}.json`);
+    if (uploadInstaller) {
+      fs.writeFileSync(localJobInfoPath, JSON.stringify(jobInfo, null, 2));
+    }
 
-    // Validate that all required files exist
-    const requiredFiles = [
-      { path: wpZipPath, name: "WordPress core ZIP file" },
+    // Files already on this machine, in upload order after the downloads
+    const localFiles = [
+      {
+        label: "Unlimited Extension",
+        localPath: unlimitedExtensionPath,
+        remote: `${remotePath}/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip`,
+      },
+      {
+        label: `logo ${jobData.logo}`,
+        localPath: localLogoPath,
+        remote: `${remotePath}/wp-content/uploads/${jobData.logo}`,
+      },
       {
-        path: templatePath,
-        name: `Template: ${jobData.template} (${templateType})`,
+        label: "wp-config.php",
+        localPath: localWpConfigPath,
+        remote: `${remotePath}/wp-config.php`,
       },
-      { path: pluginPath, name: "All-in-One WP Migration plugin" },
-      { path: localLogoPath, name: `Logo: ${jobData.logo}` },
-      { path: localInstallerPath, name: "Install script" },
     ];
-
-    for (const file of requiredFiles) {
-      if (!fs.existsSync(file.path)) {
-        throw new Error(`${file.name} not found at: ${file.path}`);
-      }
-    }
-
-    // === Upload files to FTP ===
-    console.log("📤 Starting optimized file upload...");
-
-    // Upload WordPress core ZIP file
-    console.log(
-      "[DEBUG] Preparing to upload WordPress core ZIP:",
-      wpZipPath,
-      "->",
-      `${remotePath}/wordpress.zip`
-    );
-    if (!fs.existsSync(wpZipPath)) {
-      console.error("[ERROR] WordPress core ZIP not found:", wpZipPath);
-      throw new Error(`File not found: ${wpZipPath}`);
-    }
-    console.log("📤 Uploading WordPress core ZIP file...");
-    await client.uploadFrom(wpZipPath, `${remotePath}/wordpress.zip`);
-
-    // Upload template based on type
-    if (templateType === "custom") {
-      // Upload custom .wpress template
-      console.log(
-        `[DEBUG] Preparing to upload custom template (.wpress): ${templatePath} -> ${remotePath}/template.wpress`
-      );
-      if (!fs.existsSync(templatePath)) {
-        console.error(
-          "[ERROR] Custom template (.wpress) not found:",
-          templatePath
-        );
-        throw new Error(`File not found: ${templatePath}`);
-      }
-      console.log("📤 Uploading custom template (.wpress)...");
-      await client.uploadFrom(templatePath, `${remotePath}/template.wpress`);
-    } else {
-      // Upload WordPress.org theme
-      console.log(
-        `[DEBUG] Preparing to upload WordPress.org theme: ${templatePath} -> ${remotePath}/wp-content/themes/${jobData.template}.zip`
-      );
-      if (!fs.existsSync(templatePath)) {
-        console.error(
-          "[ERROR] WordPress.org theme ZIP not found:",
-          templatePath
-        );
-        throw new Error(`File not found: ${templatePath}`);
-      }
-      console.log("📤 Uploading WordPress.org theme...");
-      await client.uploadFrom(
-        templatePath,
-        `${remotePath}/wp-content/themes/${jobData.template}.zip`
+    if (uploadInstaller) {
+      localFiles.push(
+        {
+          label: "install script",
+          localPath: localInstallerPath,
+          remote: `${remotePath}/install.php`,
+        },
+        {
+          label: "job-info.json",
+          localPath: localJobInfoPath,
+          remote: `${remotePath}/job-info.json`,
+        }
       );
     }
-
-    // Upload plugin
-    console.log(
-      `[DEBUG] Preparing to upload plugin: ${pluginPath} -> ${remotePath}/wp-content/plugins/all-in-one-wp-migration.zip`
-    );
-    if (!fs.existsSync(pluginPath)) {
-      console.error("[ERROR] Plugin ZIP not found:", pluginPath);
-      throw new Error(`File not found: ${pluginPath}`);
-    }
-    console.log("📤 Uploading plugin...");
-    await client.uploadFrom(
-      pluginPath,
-      `${remotePath}/wp-content/plugins/all-in-one-wp-migration.zip`
-    );
-
-    // Upload Unlimited Extension
-    const unlimitedExtensionPath = path.join(
-      __dirname,
-      "../plugins/all-in-one-wp-migration-unlimited-extension.zip"
-    );
-    console.log(
-      `[DEBUG] Preparing to upload Unlimited Extension: ${unlimitedExtensionPath} -> ${remotePath}/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip`
-    );
-    if (!fs.existsSync(unlimitedExtensionPath)) {
-      console.error(
-        "[ERROR] Unlimited Extension ZIP not found:",
-        unlimitedExtensionPath
-      );
-      throw new Error(`File not found: ${unlimitedExtensionPath}`);
+    if (templateType === "custom") {
+      localFiles.unshift({
+        label: `custom template ${jobData.template}.wpress`,
+        localPath: customTemplatePath,
+        remote: `${remotePath}/template.wpress`,
+      });
     }
-    console.log("📤 Uploading Unlimited Extension...");
-    await client.uploadFrom(
-      unlimitedExtensionPath,
-      `${remotePath}/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip`
-    );
 
-    // Upload logo
-    console.log(
-      `[DEBUG] Preparing to upload logo: ${localLogoPath} -> ${remotePath}/wp-content/uploads/${jobData.logo}`
-    );
-    if (!fs.existsSync(localLogoPath)) {
-      console.error("[ERROR] Logo file not found:", localLogoPath);
-      throw new Error(`File not found: ${localLogoPath}`);
+    // Validate that all required files exist
+    for (const file of localFiles) {
+      if (!fs.existsSync(file.localPath)) {
+        throw new Error(`${file.label} not found at: ${file.localPath}`);
+      }
+      file.source = path.basename(file.localPath);
     }
-    console.log("📤 Uploading logo...");
-    await client.uploadFrom(
-      localLogoPath,
-      `${remotePath}/wp-content/uploads/${jobData.logo}`
-    );
 
-    // Upload wp-config.php
-    console.log(
-      `[DEBUG] Preparing to upload wp-config.php: ${localWpConfigPath} -> ${remotePath}/wp-config.php`
-    );
-    if (!fs.existsSync(localWpConfigPath)) {
-      console.error("[ERROR] wp-config.php not found:", localWpConfigPath);
-      throw new Error(`File not found: ${localWpConfigPath}`);
-    }
-    console.log("📤 Uploading wp-config.php...");
-    await client.uploadFrom(localWpConfigPath, `${remotePath}/wp-config.php`);
+    enterStage("uploading", "Uploading files to FTP");
 
-    // Upload install script
-    console.log(
-      `[DEBUG] Preparing to upload install script: ${localInstallerPath} -> ${remotePath}/install.php`
-    );
-    if (!fs.existsSync(localInstallerPath)) {
-      console.error("[ERROR] Install script not found:", localInstallerPath);
-      throw new Error(`File not found: ${localInstallerPath}`);
-    }
-    console.log("📤 Uploading install script...");
-    await client.uploadFrom(localInstallerPath, `${remotePath}/install.php`);
+    // === Upload files to FTP ===
+    log.info("📤 Starting optimized file upload...");
+
+    const uploads = [...pendingDownloads, ...localFiles];
+    const progress = createUploadProgress({
+      files: uploads.map((step) => ({
+        label: step.label,
+        remote: step.remote,
+        size: fs.statSync(step.localPath).size,
+      })),
+      onProgress,
+    });
 
-    // === Upload job-info.json ===
-    console.log(
-      `[DEBUG] Preparing to upload job-info.json: ${localJobInfoPath} -> ${remotePath}/job-info.json`
-    );
-    if (!fs.existsSync(localJobInfoPath)) {
-      console.error("[ERROR] job-info.json not found:", localJobInfoPath);
-      throw new Error(`File not found: ${localJobInfoPath}`);
+    for (const step of uploads) {
+      log.debug(
+        `[DEBUG] Preparing to upload ${step.label}: ${step.localPath} -> ${step.remote}`
+      );
+      await uploadManifestStep(client, step, {
+        manifest,
+        saveManifest,
+        progress,
+        log,
+      });
     }
-    console.log("📤 Uploading job-info.json...");
-    await client.uploadFrom(localJobInfoPath, `${remotePath}/job-info.json`);
 
-    console.log("✅ All files uploaded successfully!");
+    log.info("✅ All files uploaded successfully!");
   } catch (error) {
-    console.error("❌ FTP upload error:", error);
+    log.error("❌ FTP upload error:", error);
     throw error;
   } finally {
-    client.close();
+    if (client) {
+      client.close();
+    }
+
+    // Cached artifacts stay for the next deploy; they may be evicted again
+    artifacts.forEach((artifact) => artifact.release());
 
     // Clean up temporary files
     try {
-      if (localWpConfigPath && fs.existsSync(localWpConfigPath)) {
-        fs.unlinkSync(localWpConfigPath);
-      }
-
-      // Clean up temp directories
-      const tempDirs = [
-        path.join(tempDirPath, "wordpress-temp"),
-        path.join(tempDirPath, "plugins-temp"),
-        path.join(tempDirPath, "themes-temp"),
-      ];
-
-      tempDirs.forEach((dir) => {
-        if (fs.existsSync(dir)) {
-          fs.rmSync(dir, { recursive: true, force: true });
-        }
-      });
+      [localWpConfigPath, localJobInfoPath]
+        .filter((file) => file && fs.existsSync(file))
+        .forEach((file) => fs.unlinkSync(file));
     } catch (cleanupError) {
-      console.warn(
+      log.warn(
         "⚠️ Warning: Could not clean up temporary files:",
         cleanupError.message
       );
@@ -644,4 +935,10 @@ async function uploadToFtp(hostConfig, jobData) {
   }
 }
 
-module.exports = { uploadToFtp };
+module.exports = {
+  uploadToFtp,
+  getManifestPath,
+  resolveDownloads,
+  getCustomTemplatePath,
+  getTemplateType,
+};
@@ -0,0 +1,388 @@
+const crypto = require("crypto");
+const { encryptSecret, decryptSecret } = require("./credentialVault");
+const { getJob, saveJob, listJobs } = require("./jobStore");
+const { getJobState, transitionJob } = require("./jobStateMachine");
+const { consoleLogger, createJobLogger } = require("./jobEvents");
+
+// install.php answers once it has checked the token, then carries on with
+// the install on its own
+const ACCEPT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Reports signed longer ago than this are refused, so a captured one
+// cannot be sent again later
+const REPORT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// What install.php reports: a step it finished, or how the install ended
+const STEP_STATUSES = { ok: "info", warning: "warn", error: "error" };
+const RESULT_STATUSES = ["installed", "failed"];
+
+// Errors from a request that never reached the site. Only after one of
+// these can HTTP be tried: after a certificate error the token would go out
+// in the clear for nothing, and after a timeout install.php may be running
+const UNREACHABLE_CODES = [
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+];
+
+const installError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Address hosts reach the deployer's API at. Without one, install.php
+ * cannot report back and is left for someone to open.
+ * @returns {string|null} - e.g. "https://deployer.example.com"
+ */
+const getPublicUrl = () =>
+  (process.env.DEPLOYER_PUBLIC_URL || "").replace(/\/+$/, "") || null;
+
+/**
+ * Whether install.php may be run over plain HTTP when the site cannot be
+ * reached over HTTPS. Off by default, since the token then goes out in
+ * the clear.
+ * @returns {boolean}
+ */
+const isHttpFallbackEnabled = () =>
+  process.env.INSTALL_HTTP_FALLBACK === "true";
+
+/**
+ * How long install.php has to report a result once it has started.
+ * @returns {number} - Minutes
+ */
+const getInstallTimeout = () =>
+  parseFloat(process.env.INSTALL_TIMEOUT_MINUTES) || 30;
+
+/**
+ * SHA-256 of an install token, the only form of it written to the host.
+ * @param {string} token - Install token
+ * @returns {string} - Hex digest
+ */
+const hashInstallToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Signature install.php sends with a report: HMAC-SHA256 of
+ * "<timestamp>.<body>" keyed with the install token.
+ * @param {string} token - Install token
+ * @param {string} timestamp - Unix time in seconds, as sent
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} - Hex digest
+ */
+const signInstallReport = (token, timestamp, body) =>
+  crypto
+    .createHmac("sha256", token)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest("hex");
+
+/**
+ * Gives a job a new one-time install token before its files are uploaded.
+ * The token is kept encrypted on the job; job-info.json only gets its hash
+ * and the URL install.php reports to. Steps reported by an earlier
+ * attempt are forgotten.
+ * @param {object} jobData - Job data
+ * @returns {boolean} - False when no DEPLOYER_PUBLIC_URL is set; the job
+ *   then waits for install.php to be opened by hand
+ */
+function prepareInstall(jobData) {
+  const publicUrl = getPublicUrl();
+  delete jobData.installSteps;
+  if (!publicUrl) {
+    delete jobData.installToken;
+    delete jobData.installTokenHash;
+    delete jobData.installReportUrl;
+    return false;
+  }
+  const token = crypto.randomBytes(32).toString("hex");
+  jobData.installToken = encryptSecret(token);
+  jobData.installTokenHash = hashInstallToken(token);
+  jobData.installReportUrl = `${publicUrl}/jobs/${jobData.id}/install-report`;
+  return true;
+}
+
+/**
+ * Checks that a report comes from the install.php the deployer started:
+ * signed with the job's token, recently, while the job is installing.
+ * @param {object} jobData - Job data
+ * @param {object} request - { signature, timestamp, body } as received
+ */
+function verifyInstallReport(jobData, { signature, timestamp, body }) {
+  if (!jobData.installToken || getJobState(jobData) !== "installing") {
+    throw installError(
+      `Job ${jobData.id} is not waiting for an install report`,
+      "INSTALL_NOT_PENDING"
+    );
+  }
+  const signedAt = Number(timestamp) * 1000;
+  if (
+    !Number.isFinite(signedAt) ||
+    Math.abs(Date.now() - signedAt) > REPORT_MAX_AGE_MS
+  ) {
+    throw installError(
+      "Install report timestamp is missing or too old",
+      "INVALID_INSTALL_SIGNATURE"
+    );
+  }
+  const expected = Buffer.from(
+    `sha256=${signInstallReport(
+      decryptSecret(jobData.installToken),
+      timestamp,
+      body || ""
+    )}`
+  );
+  const received = Buffer.from(String(signature || ""));
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw installError(
+      "Install report signature does not match",
+      "INVALID_INSTALL_SIGNATURE"
+    );
+  }
+}
+
+/**
+ * Moves a job whose install did not finish to install-failed. Its files
+ * and database are left for the log to be checked against.
+ * @param {object} jobData - Job data
+ * @param {string} message - What went wrong
+ * @param {string} actor - Who is recording it
+ */
+function failInstall(jobData, message, actor) {
+  jobData.error = message;
+  jobData.failedAt = new Date().toISOString();
+  delete jobData.installDeadline;
+  transitionJob(jobData, "install-failed", { actor, reason: message });
+}
+
+/**
+ * Records a verified report on the job. Steps go to the job log and
+ * installSteps; the result moves the job to installed or install-failed,
+ * stores the admin login install.php created in the vault and uses up
+ * the token.
+ * @param {object} jobData - Job data
+ * @param {object} report - { type: "step", step, status, message } or
+ *   { type: "result", status, message, adminUser, adminPassword }
+ * @param {object} [logger] - Logger for the job's "installing" step
+ */
+function applyInstallReport(jobData, report, logger = consoleLogger) {
+  const { type, step, status, message } = report || {};
+  const at = new Date().toISOString();
+
+  if (type === "step") {
+    if (!step || !STEP_STATUSES[status]) {
+      throw installError(
+        `Invalid install step report (status must be one of ${Object.keys(
+          STEP_STATUSES
+        ).join(", ")})`,
+        "INVALID_INSTALL_REPORT"
+      );
+    }
+    logger[STEP_STATUSES[status]](message || step);
+    jobData.installSteps = [
+      ...(jobData.installSteps || []),
+      { step, status, message: message || null, at },
+    ];
+    return;
+  }
+
+  if (type !== "result" || !RESULT_STATUSES.includes(status)) {
+    throw installError(
+      `Invalid install report (expected a step, or a result that is one of ${RESULT_STATUSES.join(
+        ", "
+      )})`,
+      "INVALID_INSTALL_REPORT"
+    );
+  }
+
+  // The admin user exists once core is installed, even if a later step
+  // failed; read back with GET /jobs/:jobId/admin-credentials
+  if (report.adminUser && report.adminPassword) {
+    jobData.adminUser = report.adminUser;
+    jobData.adminPassword = encryptSecret(report.adminPassword);
+  }
+  delete jobData.installToken;
+  delete jobData.installDeadline;
+
+  if (status === "installed") {
+    logger.info(`✅ WordPress installed on https://${jobData.domain}/`);
+    jobData.installedAt = at;
+    transitionJob(jobData, "installed", {
+      actor: "install.php",
+      reason: "install.php reported success",
+    });
+  } else {
+    const reason = message || "install.php reported a failure";
+    logger.error(`❌ ${reason}`);
+    failInstall(jobData, reason, "install.php");
+  }
+}
+
+/**
+ * Starts install.php on the job's site with its install token, over
+ * HTTPS or, with INSTALL_HTTP_FALLBACK on and the site not reachable over
+ * HTTPS, HTTP. install.php answers once it has accepted the token and
+ * reports its progress to POST /jobs/:jobId/install-report from then on.
+ * @param {object} jobData - Job data with its installToken
+ * @param {object} [logger] - Logger
+ */
+async function triggerInstaller(jobData, logger = consoleLogger) {
+  const body = new URLSearchParams({
+    token: decryptSecret(jobData.installToken),
+  });
+  const schemes = isHttpFallbackEnabled() ? ["https", "http"] : ["https"];
+  let lastError;
+  for (const scheme of schemes) {
+    const url = `${scheme}://${jobData.domain}/install.php`;
+    let response;
+    try {
+      logger.info(`▶️ Running ${url}...`);
+      response = await fetch(url, {
+        method: "POST",
+        body,
+        signal: AbortSignal.timeout(ACCEPT_TIMEOUT_MS),
+      });
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        throw installError(
+          `${url} did not answer within ${ACCEPT_TIMEOUT_MS / 60000} minutes`,
+          "INSTALL_TRIGGER_FAILED"
+        );
+      }
+      const cause = error.cause || error;
+      if (!UNREACHABLE_CODES.includes(cause.code)) {
+        throw installError(
+          `Could not run ${url}: ${cause.message}`,
+          "INSTALL_TRIGGER_FAILED"
+        );
+      }
+      lastError = `${url}: ${cause.message}`;
+      continue;
+    }
+    await response.arrayBuffer();
+    if (response.status === 403) {
+      throw installError(
+        `${url} refused the install token`,
+        "INSTALL_TRIGGER_FAILED"
+      );
+    }
+    if (!response.ok) {
+      throw installError(
+        `${url} answered HTTP ${response.status}`,
+        "INSTALL_TRIGGER_FAILED"
+      );
+    }
+    return;
+  }
+  throw installError(
+    `Could not reach install.php (${lastError}); the domain may not point at this host yet`,
+    "INSTALL_TRIGGER_FAILED"
+  );
+}
+
+/**
+ * Moves a job to install-failed if install.php has not reported a result
+ * by its installDeadline.
+ * @param {string} jobId - Job ID
+ * @param {object} [options]
+ * @param {string} [options.actor] - Recorded if the install fails here
+ * @param {object} [options.logger] - Logger for the "installing" step
+ */
+function watchInstall(jobId, options = {}) {
+  const { actor = "system", logger = consoleLogger } = options;
+  const { installDeadline } = getJob(jobId);
+  const timer = setTimeout(() => {
+    try {
+      const jobData = getJob(jobId);
+      // Reported on, or started again with a deadline of its own
+      if (
+        getJobState(jobData) !== "installing" ||
+        jobData.installDeadline !== installDeadline
+      ) {
+        return;
+      }
+      const message = "install.php did not report a result in time";
+      logger.error(`❌ ${message}`);
+      failInstall(jobData, message, actor);
+      saveJob(jobData);
+    } catch (error) {
+      console.error(`Failed to check install of job ${jobId}:`, error.message);
+    }
+  }, Math.max(0, Date.parse(installDeadline) - Date.now()));
+  // Pending deadlines are picked up again by watchPendingInstalls
+  timer.unref();
+}
+
+/**
+ * Watches the deadlines of installs install.php was still running when
+ * the server stopped.
+ */
+function watchPendingInstalls() {
+  listJobs({ status: "installing" })
+    .filter((jobData) => jobData.installDeadline)
+    .forEach((jobData) =>
+      watchInstall(jobData.id, {
+        actor: "deploy-worker",
+        logger: createJobLogger(jobData.id, "installing"),
+      })
+    );
+}
+
+/**
+ * Runs install.php for a job that is installing. Once install.php has
+ * accepted the token, the job is left installing with an installDeadline
+ * and its reports move it on; if install.php cannot be started the job is
+ * moved to install-failed.
+ * @param {string} jobId - Job ID
+ * @param {object} [options]
+ * @param {string} [options.actor] - Recorded if the install fails here
+ * @param {object} [options.logger] - Logger for the "installing" step
+ * @returns {Promise<object>} - The job as it is now
+ */
+async function runInstaller(jobId, options = {}) {
+  const { actor = "system", logger = consoleLogger } = options;
+  let triggerError = null;
+  try {
+    await triggerInstaller(getJob(jobId), logger);
+  } catch (error) {
+    triggerError = error;
+  }
+
+  // Read back, since install.php may have reported already
+  const jobData = getJob(jobId);
+  if (getJobState(jobData) !== "installing") {
+    return jobData;
+  }
+  if (triggerError) {
+    logger.error(`❌ ${triggerError.message}`);
+    failInstall(jobData, triggerError.message, actor);
+  } else {
+    const minutes = getInstallTimeout();
+    jobData.installDeadline = new Date(
+      Date.now() + minutes * 60 * 1000
+    ).toISOString();
+    logger.info(
+      `⏳ install.php started; waiting up to ${minutes} minutes for its result`
+    );
+  }
+  saveJob(jobData);
+  if (!triggerError) {
+    watchInstall(jobId, { actor, logger });
+  }
+  return jobData;
+}
+
+module.exports = {
+  prepareInstall,
+  verifyInstallReport,
+  applyInstallReport,
+  runInstaller,
+  watchPendingInstalls,
+  failInstall,
+};
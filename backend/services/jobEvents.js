@@ -0,0 +1,176 @@
+const { EventEmitter } = require("events");
+const util = require("util");
+const { appendJobLog, readJobLog } = require("./jobStore");
+
+// Console method used for each log level, from least to most severe
+const LEVELS = {
+  debug: "log",
+  info: "log",
+  warn: "warn",
+  error: "error",
+};
+
+// Emits every published event on a channel named after its job ID
+const jobEventBus = new EventEmitter();
+jobEventBus.setMaxListeners(0);
+
+// Last event ID per job, picked up from the job's log after a restart
+const lastIds = new Map();
+
+const getLastId = (jobId) => {
+  if (!lastIds.has(jobId)) {
+    const events = readJobLog(jobId);
+    lastIds.set(jobId, events.length ? events[events.length - 1].id : 0);
+  }
+  return lastIds.get(jobId);
+};
+
+/**
+ * Publishes an event on a job's stream and appends it to the job's log.
+ * Events get an ID that increases per job, which SSE clients send back
+ * as Last-Event-ID to resume.
+ * @param {string} jobId - Job ID.
+ * @param {object} event - Event payload (must have a type).
+ * @returns {object} - The stored event.
+ */
+function publishJobEvent(jobId, event) {
+  const stored = {
+    id: getLastId(jobId) + 1,
+    jobId,
+    timestamp: new Date().toISOString(),
+    ...event,
+  };
+  lastIds.set(jobId, stored.id);
+
+  try {
+    appendJobLog(jobId, stored);
+  } catch (error) {
+    console.error(`Failed to write log for job ${jobId}:`, error.message);
+  }
+
+  jobEventBus.emit(jobId, stored);
+  return stored;
+}
+
+/**
+ * Events of a job published after the given event ID.
+ * @param {string} jobId - Job ID.
+ * @param {number} [afterId] - Last event ID the client has seen.
+ * @returns {object[]} - Events in publish order.
+ */
+function getJobEvents(jobId, afterId = 0) {
+  return readJobLog(jobId).filter((event) => event.id > afterId);
+}
+
+/**
+ * Log messages of a job, optionally filtered.
+ * @param {string} jobId - Job ID.
+ * @param {object} [filters] - Log filters
+ * @param {string} [filters.level] - Minimum level (debug, info, warn, error)
+ * @param {string} [filters.step] - Only messages logged during this step
+ * @returns {object[]} - Log events in the order they were written.
+ */
+function getJobLog(jobId, { level, step } = {}) {
+  const levels = Object.keys(LEVELS);
+  if (level && !levels.includes(level)) {
+    throw new Error(`Invalid log level: ${level}`);
+  }
+  const minLevel = level ? levels.indexOf(level) : 0;
+
+  return readJobLog(jobId).filter(
+    (event) =>
+      event.type === "log" &&
+      levels.indexOf(event.level) >= minLevel &&
+      (!step || event.step === step)
+  );
+}
+
+/**
+ * Formats a log event as a line of plain text.
+ * @param {object} event - Log event.
+ * @returns {string} - "timestamp LEVEL [step] message"
+ */
+function formatLogLine(event) {
+  const step = event.step ? ` [${event.step}]` : "";
+  return `${event.timestamp} ${event.level.toUpperCase().padEnd(5)}${step} ${
+    event.message
+  }`;
+}
+
+/**
+ * Calls the listener for every new event of a job.
+ * @param {string} jobId - Job ID.
+ * @param {Function} listener - Receives each event.
+ * @returns {Function} - Unsubscribe function.
+ */
+function subscribeToJob(jobId, listener) {
+  jobEventBus.on(jobId, listener);
+  return () => jobEventBus.off(jobId, listener);
+}
+
+/**
+ * Forgets the event counter of a deleted job. The log file itself is
+ * removed with the job record.
+ * @param {string} jobId - Job ID.
+ */
+function clearJobEvents(jobId) {
+  lastIds.delete(jobId);
+}
+
+/**
+ * Creates a logger with debug/info/warn/error methods. Messages are written
+ * to the console and handed to onEvent as structured log events.
+ * @param {object} [options] - Logger options
+ * @param {string} [options.step] - Deployment step recorded with each message
+ * @param {string} [options.prefix] - Console prefix
+ * @param {Function} [options.onEvent] - Receives { type, level, step, message }
+ * @returns {object} - Logger; child(step) returns one for a sub-step.
+ */
+function createLogger({ step = null, prefix = "", onEvent = () => {} } = {}) {
+  const logger = {};
+
+  Object.entries(LEVELS).forEach(([level, method]) => {
+    logger[level] = (...args) => {
+      if (prefix) {
+        console[method](prefix, ...args);
+      } else {
+        console[method](...args);
+      }
+      onEvent({ type: "log", level, step, message: util.format(...args) });
+    };
+  });
+
+  logger.child = (childStep) =>
+    createLogger({ step: childStep, prefix, onEvent });
+
+  return logger;
+}
+
+/**
+ * Logger whose messages are published on a job's event stream.
+ * @param {string} jobId - Job ID.
+ * @param {string} [step] - Deployment step.
+ * @returns {object} - Logger.
+ */
+function createJobLogger(jobId, step = null) {
+  return createLogger({
+    step,
+    prefix: `[${jobId.slice(0, 8)}]`,
+    onEvent: (event) => publishJobEvent(jobId, event),
+  });
+}
+
+// Default for services called outside of a job
+const consoleLogger = createLogger();
+
+module.exports = {
+  publishJobEvent,
+  getJobEvents,
+  getJobLog,
+  formatLogLine,
+  subscribeToJob,
+  clearJobEvents,
+  createLogger,
+  createJobLogger,
+  consoleLogger,
+};
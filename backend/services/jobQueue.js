@@ -0,0 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+// Emits "queued", "started", "completed" and "failed" with the queue entry
+const queueEvents = new EventEmitter();
+queueEvents.setMaxListeners(0);
+
+let entries = null;
+let handler = null;
+
+const getQueuePath = () =>
+  process.env.QUEUE_DIR || path.join(__dirname, "../../queue");
+const getQueueFile = () => path.join(getQueuePath(), "queue.json");
+
+const getConcurrency = () =>
+  Math.max(1, parseInt(process.env.DEPLOY_CONCURRENCY, 10) || 2);
+
+const getPerAccountLimit = () =>
+  Math.max(1, parseInt(process.env.DEPLOY_PER_ACCOUNT_LIMIT, 10) || 1);
+
+/**
+ * Loads the queue from disk (once).
+ * @returns {object[]} - Queue entries in FIFO order.
+ */
+function loadEntries() {
+  if (entries) {
+    return entries;
+  }
+  const queueFile = getQueueFile();
+  entries = fs.existsSync(queueFile)
+    ? JSON.parse(fs.readFileSync(queueFile)).entries || []
+    : [];
+  return entries;
+}
+
+/**
+ * Writes the queue to disk atomically.
+ */
+function persist() {
+  const queuePath = getQueuePath();
+  if (!fs.existsSync(queuePath)) {
+    fs.mkdirSync(queuePath, { recursive: true });
+  }
+  const queueFile = getQueueFile();
+  const tempFile = `${queueFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ entries }, null, 2));
+  fs.renameSync(tempFile, queueFile);
+}
+
+/**
+ * Position of a queued job (1 = next to start), 0 if it is running,
+ * or null if it is not in the queue.
+ * @param {string} jobId - Job ID.
+ * @returns {number|null} - Queue position.
+ */
+function getQueuePosition(jobId) {
+  const waiting = loadEntries().filter((entry) => entry.status === "queued");
+  const index = waiting.findIndex((entry) => entry.jobId === jobId);
+  if (index !== -1) {
+    return index + 1;
+  }
+  return loadEntries().some((entry) => entry.jobId === jobId) ? 0 : null;
+}
+
+/**
+ * Lists queue entries with their positions.
+ * @returns {object[]} - Queue entries.
+ */
+function listQueue() {
+  return loadEntries().map((entry) => ({
+    ...entry,
+    position: getQueuePosition(entry.jobId),
+  }));
+}
+
+/**
+ * Adds a deployment to the durable queue.
+ * @param {object} params - { jobId, credentialId, accountKey, resume, requestedBy }.
+ * @returns {object} - The queue entry including its position.
+ */
+function enqueue({
+  jobId,
+  credentialId,
+  accountKey,
+  resume = false,
+  requestedBy,
+}) {
+  if (loadEntries().some((entry) => entry.jobId === jobId)) {
+    throw new Error("Job is already queued or running");
+  }
+
+  const entry = {
+    jobId,
+    credentialId,
+    accountKey,
+    resume,
+    requestedBy: requestedBy || null,
+    status: "queued",
+    enqueuedAt: new Date().toISOString(),
+    startedAt: null,
+  };
+  entries.push(entry);
+  persist();
+
+  const position = getQueuePosition(jobId);
+  queueEvents.emit("queued", { ...entry, position });
+  setImmediate(pump);
+
+  return { ...entry, position };
+}
+
+/**
+ * Removes a job that has not started yet.
+ * @param {string} jobId - Job ID.
+ * @returns {boolean} - True if an entry was removed.
+ */
+function removeFromQueue(jobId) {
+  const index = loadEntries().findIndex(
+    (entry) => entry.jobId === jobId && entry.status === "queued"
+  );
+  if (index === -1) {
+    return false;
+  }
+  entries.splice(index, 1);
+  persist();
+  return true;
+}
+
+/**
+ * Starts as many queued jobs as the global and per-account limits allow.
+ */
+function pump() {
+  if (!handler) {
+    return;
+  }
+
+  const running = loadEntries().filter((entry) => entry.status === "running");
+  let available = getConcurrency() - running.length;
+
+  for (const entry of entries) {
+    if (available <= 0) {
+      break;
+    }
+    if (entry.status !== "queued") {
+      continue;
+    }
+    const accountRunning = entries.filter(
+      (other) =>
+        other.status === "running" && other.accountKey === entry.accountKey
+    ).length;
+    if (accountRunning >= getPerAccountLimit()) {
+      continue;
+    }
+
+    entry.status = "running";
+    entry.startedAt = new Date().toISOString();
+    available--;
+    run(entry);
+  }
+
+  persist();
+}
+
+function run(entry) {
+  queueEvents.emit("started", entry);
+
+  Promise.resolve()
+    .then(() => handler(entry))
+    .then(
+      (result) => queueEvents.emit("completed", { ...entry, result }),
+      (error) => queueEvents.emit("failed", { ...entry, error })
+    )
+    .finally(() => {
+      entries = entries.filter((other) => other !== entry);
+      persist();
+      pump();
+    });
+}
+
+/**
+ * Starts the worker pool. Jobs that were running when the server stopped
+ * are put back at the front of the queue and retried, unless onRequeue
+ * returns false for them.
+ * @param {Function} jobHandler - Async function receiving a queue entry.
+ * @param {object} [options] - Worker options
+ * @param {Function} [options.onRequeue] - Called with each interrupted entry
+ *   before it is retried; returning false drops the entry instead
+ */
+function startQueueWorkers(jobHandler, options = {}) {
+  const { onRequeue = () => {} } = options;
+  handler = jobHandler;
+
+  const interrupted = loadEntries().filter(
+    (entry) => entry.status === "running"
+  );
+  const dropped = interrupted.filter((entry) => {
+    entry.status = "queued";
+    entry.startedAt = null;
+    entry.restarted = true;
+    return onRequeue(entry) === false;
+  });
+  entries = entries.filter((entry) => !dropped.includes(entry));
+  const requeued = interrupted.length - dropped.length;
+  if (requeued > 0) {
+    console.log(`♻️ Re-queued ${requeued} interrupted deployment(s)`);
+  }
+
+  pump();
+}
+
+module.exports = {
+  queueEvents,
+  getQueuePath,
+  getQueuePosition,
+  listQueue,
+  enqueue,
+  removeFromQueue,
+  startQueueWorkers,
+};
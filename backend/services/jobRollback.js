@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const { getProvider } = require("./providers");
+const { getTransportConfig, connectTransport } = require("./fileTransport");
+const { getManifestPath } = require("./ftpUploader");
+const { isMissing, restoreBackup } = require("./siteBackup");
+const { getJobState } = require("./jobStateMachine");
+const { consoleLogger } = require("./jobEvents");
+
+// States a job can be rolled back from by hand. Installed sites have more
+// on the server than the deployer uploaded; they are torn down instead.
+const ROLLBACK_STATES = ["failed", "waiting-for-db", "awaiting-install"];
+
+/**
+ * Whether a failed deployment is rolled back straight away. Off, a retry
+ * resumes where the failed attempt stopped instead of starting over.
+ * @returns {boolean}
+ */
+const isAutoRollbackEnabled = () => process.env.AUTO_ROLLBACK !== "false";
+
+// Jobs whose rollback is running in this process
+const rollingBack = new Set();
+
+/**
+ * Whether a job's rollback is running; it must not be deployed meanwhile.
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+const isRollingBack = (jobId) => rollingBack.has(jobId);
+
+const rollbackError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Removing something that is already gone counts as removed
+const ignoreMissing = (error) => {
+  if (!isMissing(error)) {
+    throw error;
+  }
+};
+
+/**
+ * How each compensating action undoes its step. run() does the work;
+ * forget() drops what the job recorded about the undone step, so a retry
+ * does it again instead of relying on it.
+ */
+const COMPENSATIONS = {
+  "remove-domain": {
+    run: (created, { credentials, logger }) =>
+      getProvider(credentials).removeDomain(credentials, created, logger),
+    forget: (jobData) => {
+      delete jobData.createdDomain;
+      delete jobData.documentRoot;
+      delete jobData.domainType;
+    },
+  },
+  "drop-database": {
+    run: ({ dbName }, { credentials, logger }) => {
+      logger.info(`🗑️ Dropping database ${dbName}...`);
+      return getProvider(credentials).dropDatabase(credentials, dbName, logger);
+    },
+    forget: (jobData) => {
+      delete jobData.dbName;
+    },
+  },
+  "delete-database-user": {
+    run: ({ dbUser }, { credentials, logger }) => {
+      logger.info(`🗑️ Deleting database user ${dbUser}...`);
+      return getProvider(credentials).deleteDatabaseUser(
+        credentials,
+        dbUser,
+        logger
+      );
+    },
+    forget: (jobData) => {
+      delete jobData.dbUser;
+      delete jobData.dbPass;
+    },
+  },
+  // The document root held nothing but host entries before the upload
+  // (anything else was refused or backed up and removed), so wp-content
+  // and everything in it came from this deployment
+  "remove-uploaded-files": {
+    run: async ({ remotePath }, { jobData, getClient, logger }) => {
+      const client = await getClient();
+      const files = Object.keys((jobData.uploadManifest || {}).files || {});
+      logger.info(`🧹 Removing ${files.length} uploaded files...`);
+      for (const file of files.reverse()) {
+        await client.remove(file).catch(ignoreMissing);
+      }
+      await client.removeDir(`${remotePath}/wp-content`).catch(ignoreMissing);
+      await client.remove(getManifestPath(jobData.id)).catch(ignoreMissing);
+      logger.info(`✅ Uploaded files removed from ${remotePath}`);
+      return { files: files.length };
+    },
+    forget: (jobData) => {
+      delete jobData.uploadManifest;
+      delete jobData.uploadProgress;
+    },
+  },
+  "restore-backup": {
+    run: async ({ backupId }, { jobData, actor, getClient, logger }) => {
+      const backup = (jobData.backups || []).find((b) => b.id === backupId);
+      if (!backup) {
+        throw new Error(`Backup ${backupId} is not recorded on the job`);
+      }
+      const restored = await restoreBackup(await getClient(), backup, logger);
+      backup.restores = [...(backup.restores || []), { ...restored, actor }];
+      return restored;
+    },
+    forget: () => {},
+  },
+};
+
+/**
+ * Records how to undo a step of a deployment, before or as soon as the
+ * step changes the host. Registering the same action twice, as a retry
+ * does, keeps the first entry. The caller saves the job.
+ * @param {object} jobData - Job record (mutated)
+ * @param {string} action - Key of COMPENSATIONS, e.g. "drop-database"
+ * @param {object} params - What to undo, e.g. { dbName }
+ */
+function registerCompensation(jobData, action, params) {
+  const compensations = jobData.compensations || [];
+  const key = JSON.stringify(params);
+  if (
+    compensations.some(
+      (entry) => entry.action === action && JSON.stringify(entry.params) === key
+    )
+  ) {
+    return;
+  }
+  jobData.compensations = [
+    ...compensations,
+    {
+      id: crypto.randomUUID(),
+      action,
+      params,
+      step: getJobState(jobData),
+      registeredAt: new Date().toISOString(),
+    },
+  ];
+}
+
+/**
+ * Runs a job's compensating actions, newest first. An action that fails
+ * is recorded and the rest still run; it stays registered so a later
+ * rollback can try it again. The run is appended to jobData.rollbacks.
+ * @param {object} jobData - Job record (mutated)
+ * @param {object} credentials - Unsealed hosting credentials
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who asked for the rollback
+ * @param {string} [options.reason] - Why, for the record
+ * @param {Function} [options.onChange] - Called after each action, so the
+ *   job can be saved as the rollback progresses
+ * @param {object} [options.logger] - Logger for progress messages
+ * @returns {Promise<object>} - Rollback record: { id, actor, reason,
+ *   status ("complete" or "incomplete"), actions, startedAt, completedAt }
+ */
+async function rollbackJob(jobData, credentials, options = {}) {
+  const {
+    actor = "system",
+    reason = null,
+    onChange = () => {},
+    logger = consoleLogger,
+  } = options;
+  if (isRollingBack(jobData.id)) {
+    throw rollbackError(
+      `Job ${jobData.id} is already being rolled back`,
+      "ROLLBACK_IN_PROGRESS"
+    );
+  }
+  const rollback = {
+    id: crypto.randomUUID(),
+    actor,
+    reason,
+    status: "complete",
+    actions: [],
+    startedAt: new Date().toISOString(),
+  };
+  let client;
+  const context = {
+    jobData,
+    credentials,
+    actor,
+    logger,
+    getClient: async () => {
+      client =
+        client ||
+        (await connectTransport(getTransportConfig(credentials), logger));
+      return client;
+    },
+  };
+
+  const pending = [...(jobData.compensations || [])].reverse();
+  logger.info(`↩️ Rolling back ${pending.length} deployment steps...`);
+  rollingBack.add(jobData.id);
+  try {
+    for (const compensation of pending) {
+      const { id, action, params, step } = compensation;
+      const result = { id, action, params, step };
+      try {
+        const handler = COMPENSATIONS[action];
+        if (!handler) {
+          throw new Error(`Unknown compensating action: ${action}`);
+        }
+        const details = await handler.run(params, context);
+        handler.forget(jobData);
+        jobData.compensations = jobData.compensations.filter(
+          (entry) => entry.id !== id
+        );
+        result.status = "done";
+        if (details && !Array.isArray(details)) {
+          result.details = details;
+        }
+      } catch (error) {
+        logger.error(`❌ Could not undo ${action}:`, error.message);
+        result.status = "failed";
+        result.error = error.message;
+        rollback.status = "incomplete";
+      }
+      result.completedAt = new Date().toISOString();
+      rollback.actions.push(result);
+      onChange(rollback);
+    }
+  } finally {
+    rollingBack.delete(jobData.id);
+    if (client) {
+      client.close();
+    }
+  }
+
+  rollback.completedAt = new Date().toISOString();
+  jobData.rollbacks = [...(jobData.rollbacks || []), rollback];
+  onChange(rollback);
+  if (rollback.status === "complete") {
+    logger.info("✅ Rollback complete");
+  } else {
+    logger.warn(
+      `⚠️ Rollback incomplete; retry with POST /jobs/${jobData.id}/rollback`
+    );
+  }
+  return rollback;
+}
+
+module.exports = {
+  ROLLBACK_STATES,
+  COMPENSATIONS,
+  isAutoRollbackEnabled,
+  isRollingBack,
+  registerCompensation,
+  rollbackJob,
+};
@@ -0,0 +1,149 @@
+const { publishJobEvent } = require("./jobEvents");
+
+/**
+ * Job lifecycle:
+ *
+ *   created → queued → db-provisioning → downloading-artifacts → uploading
+ *     → awaiting-install → installed → verified
+ *
+ * Jobs that add their domain to the cPanel account pass through
+ * domain-provisioning right after queued. Files already in the document
+ * root are archived in backing-up before the artifacts are downloaded.
+ * Jobs installed over SSH, or by install.php when the deployer starts it,
+ * go from uploading through installing to installed; an install that
+ * fails ends in install-failed with the site left as it is, and can be
+ * started again if install.php never ran.
+ * db-provisioning may pause in waiting-for-db when the database has to be
+ * created by hand; resuming re-queues the job and skips provisioning.
+ * Any active state can fail, and failed jobs can be queued again.
+ * A job whose site has been torn down is decommissioned, for good.
+ */
+const TRANSITIONS = {
+  created: ["queued"],
+  queued: [
+    "domain-provisioning",
+    "db-provisioning",
+    "backing-up",
+    "downloading-artifacts",
+    "failed",
+  ],
+  "domain-provisioning": [
+    "db-provisioning",
+    "backing-up",
+    "downloading-artifacts",
+    "queued",
+    "failed",
+  ],
+  "db-provisioning": [
+    "backing-up",
+    "downloading-artifacts",
+    "waiting-for-db",
+    "queued",
+    "failed",
+  ],
+  "backing-up": ["downloading-artifacts", "queued", "failed"],
+  "waiting-for-db": ["queued", "failed", "decommissioned"],
+  "downloading-artifacts": ["uploading", "queued", "failed"],
+  uploading: ["awaiting-install", "installing", "queued", "failed"],
+  installing: ["installed", "install-failed", "queued", "failed"],
+  "install-failed": ["installing", "installed", "failed", "decommissioned"],
+  "awaiting-install": ["installed", "queued", "failed", "decommissioned"],
+  installed: ["verified", "failed", "decommissioned"],
+  verified: ["decommissioned"],
+  failed: ["queued", "decommissioned"],
+  decommissioned: [],
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+// Statuses written before the state machine existed
+const LEGACY_STATUSES = {
+  uploaded: "awaiting-install",
+};
+
+// States a job can be in while a deploy worker is processing it
+const ACTIVE_STATES = [
+  "domain-provisioning",
+  "db-provisioning",
+  "backing-up",
+  "downloading-artifacts",
+  "uploading",
+  "installing",
+];
+
+/**
+ * Current state of a job, mapping legacy statuses to their new names.
+ * @param {object} jobData - Job record.
+ * @returns {string} - Job state.
+ */
+function getJobState(jobData) {
+  const status = jobData.status || "created";
+  return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Whether a job may move from its current state to another one.
+ * @param {object} jobData - Job record.
+ * @param {string} to - Target state.
+ * @returns {boolean} - True if the transition is allowed.
+ */
+function canTransition(jobData, to) {
+  const allowed = TRANSITIONS[getJobState(jobData)] || [];
+  return allowed.includes(to);
+}
+
+/**
+ * Throws if a job may not move to the given state.
+ * @param {object} jobData - Job record.
+ * @param {string} to - Target state.
+ */
+function assertTransition(jobData, to) {
+  if (!STATES.includes(to)) {
+    const error = new Error(`Unknown job state: ${to}`);
+    error.code = "ILLEGAL_TRANSITION";
+    throw error;
+  }
+  if (!canTransition(jobData, to)) {
+    const error = new Error(
+      `Illegal job transition: ${getJobState(jobData)} → ${to}`
+    );
+    error.code = "ILLEGAL_TRANSITION";
+    throw error;
+  }
+}
+
+/**
+ * Moves a job to a new state, records the transition in its history and
+ * publishes it on the job's event stream. The caller is responsible for
+ * saving the job record.
+ * @param {object} jobData - Job record (mutated).
+ * @param {string} to - Target state.
+ * @param {object} details - { actor, reason }.
+ * @returns {object} - The job record.
+ */
+function transitionJob(jobData, to, { actor = "system", reason = null } = {}) {
+  assertTransition(jobData, to);
+
+  const at = new Date().toISOString();
+  const from = getJobState(jobData);
+  jobData.history = [
+    ...(jobData.history || []),
+    { from, to, at, actor, reason },
+  ];
+  jobData.status = to;
+  jobData.statusChangedAt = at;
+
+  publishJobEvent(jobData.id, { type: "state", from, to, actor, reason });
+
+  return jobData;
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  ACTIVE_STATES,
+  getJobState,
+  canTransition,
+  assertTransition,
+  transitionJob,
+};
@@ -0,0 +1,110 @@
+const { getStorage, getJobsPath } = require("./storage");
+
+/**
+ * Loads a job record.
+ * @param {string} jobId - Job ID.
+ * @returns {object} - Job record.
+ */
+function getJob(jobId) {
+  const jobData = getStorage().getJob(jobId);
+  if (!jobData) {
+    throw new Error("Job not found");
+  }
+  return jobData;
+}
+
+/**
+ * Writes a job record.
+ * @param {object} jobData - Job record (must have an id).
+ * @returns {object} - The saved job record.
+ */
+function saveJob(jobData) {
+  return getStorage().saveJob(jobData);
+}
+
+/**
+ * Loads, modifies and saves a job record in one transaction.
+ * @param {string} jobId - Job ID.
+ * @param {Function} update - Receives the job record and mutates it.
+ * @returns {object} - The saved job record.
+ */
+function updateJob(jobId, update) {
+  return getStorage().transaction(() => {
+    const jobData = getJob(jobId);
+    update(jobData);
+    return saveJob(jobData);
+  });
+}
+
+/**
+ * Lists job records, newest first.
+ * @param {object} [filters] - { status, domain }.
+ * @returns {object[]} - Job records.
+ */
+function listJobs(filters = {}) {
+  return getStorage().listJobs(filters);
+}
+
+/**
+ * Deletes a job record and its log.
+ * @param {string} jobId - Job ID.
+ */
+function deleteJob(jobId) {
+  if (!getStorage().deleteJob(jobId)) {
+    throw new Error("Job not found");
+  }
+}
+
+/**
+ * Strips every secret from a job record for API responses: the database
+ * password (also in manual setup instructions), and the admin password
+ * and install token envelopes. The admin login is read with
+ * GET /jobs/:jobId/admin-credentials.
+ * @param {object} jobData - Job record.
+ * @returns {object} - Public job fields.
+ */
+function toPublicJob(jobData) {
+  const {
+    dbPass,
+    adminPassword,
+    installToken,
+    installTokenHash,
+    dbInstructions,
+    ...job
+  } = jobData;
+  if (dbInstructions) {
+    const { databasePassword, ...instructions } = dbInstructions;
+    job.dbInstructions = instructions;
+  }
+  return job;
+}
+
+/**
+ * Appends an entry to a job's log.
+ * @param {string} jobId - Job ID.
+ * @param {object} entry - Log entry (with an id).
+ */
+function appendJobLog(jobId, entry) {
+  getStorage().appendJobLog(jobId, entry);
+}
+
+/**
+ * Reads all entries of a job's log.
+ * @param {string} jobId - Job ID.
+ * @returns {object[]} - Log entries in the order they were written.
+ */
+function readJobLog(jobId) {
+  return getStorage().readJobLog(jobId);
+}
+
+module.exports = {
+  getJobsPath,
+  getJob,
+  saveJob,
+  updateJob,
+  listJobs,
+  deleteJob,
+  toPublicJob,
+  appendJobLog,
+  readJobLog,
+};
@@ -0,0 +1,614 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { REFUSALS } = require("./cpanelDomains");
+const { getProvider } = require("./providers");
+const { getTransportConfig, connectTransport } = require("./fileTransport");
+const {
+  resolveDownloads,
+  getCustomTemplatePath,
+  getTemplateType,
+} = require("./ftpUploader");
+const { getArtifactKey } = require("./artifactCache");
+const {
+  findExistingContent,
+  describeExistingContent,
+} = require("./siteBackup");
+const { getStorage } = require("./storage");
+const { consoleLogger } = require("./jobEvents");
+const {
+  WP_CLI_PHAR,
+  getInstallMode,
+  assertSshTransport,
+  connectSsh,
+  runRemoteCommand,
+  shellQuote,
+} = require("./sshInstaller");
+
+const PROBE_SCRIPT = path.join(__dirname, "../../deploy-scripts/preflight.php");
+
+// How long the size lookups and the PHP probe may take
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Archives stay on the host next to what they unpack to, which is about
+// twice their size
+const SPACE_FACTOR = 3;
+
+// Lowest PHP the WordPress releases we deploy run on
+const MIN_PHP_VERSION = "7.2.24";
+
+// Extensions install.php cannot do without, and ones WordPress wants
+const REQUIRED_EXTENSIONS = ["zip", "mysqli"];
+const RECOMMENDED_EXTENSIONS = ["curl", "mbstring"];
+
+// Archives that are missing for good, as opposed to lookups that failed
+const MISSING_ARTIFACT_CODES = ["ARTIFACT_NOT_IN_MIRROR", "INVALID_RELEASE"];
+
+// Check results from best to worst
+const STATUSES = ["pass", "warn", "fail"];
+
+const ICONS = { pass: "✅", warn: "⚠️", fail: "❌" };
+
+const preflightError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const formatMb = (bytes) => {
+  const mb = bytes / 1024 / 1024;
+  return `${mb < 10 ? mb.toFixed(1) : Math.ceil(mb)} MB`;
+};
+
+/**
+ * Compares two dotted version numbers.
+ * @returns {number} - Negative, zero or positive like a sort comparator.
+ */
+function compareVersions(a, b) {
+  const left = String(a).split(".");
+  const right = String(b).split(".");
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Size of an archive a deploy needs: from the mirror or the artifact cache
+ * when they hold it, otherwise from the download's Content-Length.
+ * @param {object} download - Entry from resolveDownloads
+ * @returns {Promise<number|null>} - Size in bytes, null if unknown
+ */
+async function getDownloadSize(download) {
+  if (download.localPath) {
+    return fs.statSync(download.localPath).size;
+  }
+  const cached = getStorage().getArtifact(getArtifactKey(download.artifact));
+  if (cached) {
+    return cached.size;
+  }
+  try {
+    const response = await fetch(download.source, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const length = Number(response.headers.get("content-length"));
+    return response.ok && length ? length : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks that every archive the job needs can be had, and adds up their
+ * sizes.
+ * @returns {Promise<object>} - { status, message, bytes } where bytes is
+ *   null when a size is unknown
+ */
+async function checkArtifacts(jobData, logger) {
+  let downloads;
+  try {
+    downloads = await resolveDownloads(jobData, undefined, logger);
+  } catch (error) {
+    return {
+      status: MISSING_ARTIFACT_CODES.includes(error.code) ? "fail" : "warn",
+      message: `Could not resolve the archives to deploy: ${error.message}`,
+      bytes: null,
+    };
+  }
+
+  const sizes = await Promise.all(downloads.map(getDownloadSize));
+  const localFiles = [
+    path.join(
+      __dirname,
+      "../plugins/all-in-one-wp-migration-unlimited-extension.zip"
+    ),
+  ];
+  if (getTemplateType(jobData.template) === "custom") {
+    localFiles.push(getCustomTemplatePath(jobData.template));
+  }
+  localFiles
+    .filter((file) => fs.existsSync(file))
+    .forEach((file) => sizes.push(fs.statSync(file).size));
+
+  const names = downloads
+    .map((download) => `${download.artifact.slug} ${download.artifact.version}`)
+    .join(", ");
+  const bytes = sizes.includes(null)
+    ? null
+    : sizes.reduce((sum, size) => sum + size, 0);
+  return {
+    status: "pass",
+    message:
+      bytes === null
+        ? `${names} (size not known)`
+        : `${names} (${formatMb(bytes)})`,
+    bytes,
+  };
+}
+
+/**
+ * Compares the account's free disk space with what the deploy will take.
+ * @param {object} quota - { limit, used } in bytes from the provider
+ * @param {number|null} archiveBytes - Size of the archives to upload
+ * @returns {object} - { status, message }
+ */
+function checkQuota({ limit, used }, archiveBytes) {
+  if (!limit) {
+    return { status: "pass", message: "The account has no disk quota" };
+  }
+
+  const free = Math.max(0, limit - used);
+  if (archiveBytes === null) {
+    return {
+      status: "warn",
+      message: `${formatMb(free)} free of ${formatMb(
+        limit
+      )}; the size of the deploy is not known`,
+    };
+  }
+  const needed = archiveBytes * SPACE_FACTOR;
+  return {
+    status: free < needed ? "fail" : "pass",
+    message: `About ${formatMb(needed)} needed, ${formatMb(
+      free
+    )} free of ${formatMb(limit)}`,
+  };
+}
+
+/**
+ * Checks that nothing but the host's own files, or files an earlier attempt
+ * of this job uploaded, is in the directory the site goes to.
+ * @returns {Promise<object>} - { status, message, exists }
+ */
+async function checkDocumentRoot(client, remotePath, jobData) {
+  const existing = await findExistingContent(client, remotePath, jobData);
+  if (existing === null) {
+    return {
+      status: "pass",
+      message: `${remotePath} does not exist yet and will be created`,
+      exists: false,
+    };
+  }
+  if (!existing.length) {
+    return { status: "pass", message: `${remotePath} is empty`, exists: true };
+  }
+
+  const found = describeExistingContent(existing);
+  if (jobData.backupExisting) {
+    return {
+      status: "warn",
+      message: `${remotePath} holds ${found}; it will be backed up and replaced`,
+      exists: true,
+    };
+  }
+  return {
+    status: "fail",
+    message: existing.some((entry) => entry.name === "wp-config.php")
+      ? `${remotePath} already holds a WordPress site (${found})`
+      : `${remotePath} is not empty: ${found}`,
+    exists: true,
+  };
+}
+
+/**
+ * Runs deploy-scripts/preflight.php on the host under a random name and
+ * reads what it reports. The script is removed afterwards; it also
+ * deletes itself once it has run.
+ * @param {object} client - Connected file transport
+ * @param {string} remotePath - Directory the site goes to
+ * @param {string} urlPath - Where that directory is served on the domain
+ * @param {string} domain - Job domain
+ * @returns {Promise<object>} - { php, extensions, shellExec, memoryLimit }
+ */
+async function runPhpProbe(client, remotePath, urlPath, domain) {
+  const name = `wp-deployer-preflight-${crypto
+    .randomBytes(8)
+    .toString("hex")}.php`;
+  const remoteFile = `${remotePath}/${name}`;
+  await client.uploadFrom(PROBE_SCRIPT, remoteFile);
+
+  try {
+    let lastError;
+    // A site without a certificate yet is still reachable over HTTP
+    for (const scheme of ["https", "http"]) {
+      const url = `${scheme}://${domain}${urlPath}${name}`;
+      try {
+        const response = await fetch(url, {
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        const type = response.headers.get("content-type") || "";
+        if (response.ok && type.includes("application/json")) {
+          return await response.json();
+        }
+        lastError = `${url} answered HTTP ${response.status} (${type})`;
+      } catch (error) {
+        lastError = `${url}: ${
+          error.cause ? error.cause.message : error.message
+        }`;
+      }
+    }
+    throw new Error(lastError);
+  } finally {
+    await Promise.resolve(client.remove(remoteFile)).catch(() => {});
+  }
+}
+
+/**
+ * Runs deploy-scripts/preflight.php with the host's PHP CLI over SSH, and
+ * looks for WP-CLI and for curl to fetch it with.
+ * @param {object} config - Connection settings from getTransportConfig
+ * @returns {Promise<object>} - { probe, wp, phar, curl }
+ */
+async function runSshProbe(config) {
+  const conn = await connectSsh(config);
+  // Only the probe's JSON is wanted, not a log of the commands
+  const quiet = { info() {}, warn() {} };
+  const run = (command, options = {}) =>
+    runRemoteCommand(conn, command, {
+      logger: quiet,
+      timeout: REQUEST_TIMEOUT_MS,
+      ...options,
+    });
+  const find = async (command) => (await run(command)).trim() || null;
+  try {
+    return {
+      probe: JSON.parse(
+        await run("php", {
+          label: "PHP probe",
+          stdin: fs.readFileSync(PROBE_SCRIPT, "utf8"),
+        })
+      ),
+      wp: await find("command -v wp || true"),
+      phar: await find(
+        `test -f ${shellQuote(WP_CLI_PHAR)} && echo ${shellQuote(
+          WP_CLI_PHAR
+        )} || true`
+      ),
+      curl: await find("command -v curl || true"),
+    };
+  } finally {
+    conn.end();
+  }
+}
+
+/**
+ * Checks what installing over SSH needs from the host: a shell for the
+ * SFTP login, PHP on the command line and WP-CLI. Records the "ssh",
+ * "php" and "wp-cli" checks.
+ * @param {object} config - Connection settings from getTransportConfig
+ * @param {Function} record - Records a check result
+ */
+async function checkSshHost(config, record) {
+  let found;
+  try {
+    assertSshTransport(config);
+    found = await runSshProbe(config);
+  } catch (error) {
+    record("ssh", "fail", `Cannot install over SSH: ${error.message}`);
+    record("php", "warn", "Not checked without SSH");
+    record("wp-cli", "warn", "Not checked without SSH");
+    return;
+  }
+  record("ssh", "pass", `Ran commands on ${config.host} as ${config.user}`);
+
+  const php = checkPhp(found.probe, false);
+  record("php", php.status, `${php.message} (command line)`, {
+    version: found.probe.php,
+    extensions: found.probe.extensions,
+  });
+  const wpCli = checkWpCli(found);
+  record("wp-cli", wpCli.status, wpCli.message);
+}
+
+/**
+ * Judges how the SSH install will find WP-CLI.
+ * @param {object} found - From runSshProbe
+ * @returns {object} - { status, message }
+ */
+function checkWpCli({ wp, phar, curl }) {
+  if (wp || phar) {
+    return { status: "pass", message: `WP-CLI found at ${wp || `~/${phar}`}` };
+  }
+  if (curl) {
+    return {
+      status: "warn",
+      message: `WP-CLI is not installed; it will be downloaded to ~/${WP_CLI_PHAR}`,
+    };
+  }
+  return {
+    status: "fail",
+    message: "Neither WP-CLI nor curl to download it is available over SSH",
+  };
+}
+
+/**
+ * Judges the PHP the probe reported.
+ * @param {object} probe - Probe output
+ * @param {boolean} [needsShellExec] - Whether install.php will run WP-CLI;
+ *   not when the deployer runs it over SSH
+ * @returns {object} - { status, message }
+ */
+function checkPhp(probe, needsShellExec = true) {
+  const failures = [];
+  const warnings = [];
+  if (compareVersions(probe.php, MIN_PHP_VERSION) < 0) {
+    failures.push(`PHP ${probe.php} is older than ${MIN_PHP_VERSION}`);
+  }
+  const extensions = probe.extensions || {};
+  const missing = REQUIRED_EXTENSIONS.filter((name) => !extensions[name]);
+  if (missing.length) {
+    failures.push(`missing PHP extensions: ${missing.join(", ")}`);
+  }
+  if (needsShellExec && !probe.shellExec) {
+    failures.push(
+      "shell_exec is disabled, so install.php cannot import the template with WP-CLI"
+    );
+  }
+  const absent = RECOMMENDED_EXTENSIONS.filter((name) => !extensions[name]);
+  if (absent.length) {
+    warnings.push(`recommended PHP extensions missing: ${absent.join(", ")}`);
+  }
+
+  if (failures.length) {
+    return { status: "fail", message: [...failures, ...warnings].join("; ") };
+  }
+  if (warnings.length) {
+    return { status: "warn", message: `PHP ${probe.php}; ${warnings[0]}` };
+  }
+  return {
+    status: "pass",
+    message: `PHP ${probe.php} with ${REQUIRED_EXTENSIONS.join(", ")}${
+      needsShellExec ? " and shell_exec" : ""
+    }`,
+  };
+}
+
+/**
+ * Checks a host before a job deploys to it: the control panel's API
+ * (check "cpanel-api" or "directadmin-api"), the domain,
+ * the archives to deploy against the disk quota, the FTP login, whether
+ * the document root is already occupied, and the PHP that will run
+ * install.php. Nothing is created on the host; only the PHP probe is
+ * uploaded, and removed again. For jobs installed over SSH the probe runs
+ * with the PHP command line instead, and WP-CLI is looked up.
+ * @param {object} credentials - Unsealed hosting credential
+ * @param {object} jobData - Job data
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { status, checkedAt, checks } where status
+ *   is the worst of the checks' pass, warn or fail
+ */
+async function runPreflight(credentials, jobData, logger = consoleLogger) {
+  const checks = [];
+  const record = (id, status, message, details = {}) => {
+    checks.push({ id, status, message, ...details });
+    const level =
+      status === "fail" ? "error" : status === "warn" ? "warn" : "info";
+    logger[level](`${ICONS[status]} ${id}: ${message}`);
+  };
+
+  logger.info(`🛫 Running pre-flight checks for ${jobData.domain}...`);
+  const provider = getProvider(credentials);
+  const apiCheck = `${provider.type}-api`;
+
+  // The quota lookup doubles as the API check
+  let quota = null;
+  try {
+    quota = await provider.getDiskQuota(credentials, logger);
+    record(apiCheck, "pass", `The ${provider.label} API answers`);
+  } catch (error) {
+    // Without the API a deploy needs a remote path and a database created
+    // by hand
+    record(
+      apiCheck,
+      jobData.remotePath || jobData.documentRoot ? "warn" : "fail",
+      `The ${provider.label} API is not usable: ${
+        error.cause ? error.cause.message : error.message
+      }`
+    );
+  }
+
+  let remotePath = jobData.documentRoot || jobData.remotePath || null;
+  let webRoot = null;
+  if (!quota) {
+    record("domain", "warn", `Not checked without the ${provider.label} API`);
+  } else {
+    try {
+      const info = await provider.getDomainInfo(
+        credentials,
+        jobData.domain,
+        logger
+      );
+      webRoot = info.remotePath;
+      remotePath = remotePath || info.remotePath;
+      record(
+        "domain",
+        "pass",
+        `${jobData.domain} (${info.type}) is served from ${info.remotePath}`
+      );
+    } catch (error) {
+      if (
+        error.code === "DOMAIN_NOT_ATTACHED" &&
+        jobData.createDomain &&
+        !jobData.createdDomain &&
+        provider.createDomain
+      ) {
+        remotePath = remotePath || `/${jobData.domain.toLowerCase()}`;
+        webRoot = remotePath;
+        record(
+          "domain",
+          "pass",
+          `${jobData.domain} will be added to the account as ${
+            jobData.createDomain === "addon" ? "an addon domain" : "a subdomain"
+          }`
+        );
+      } else {
+        record(
+          "domain",
+          REFUSALS.includes(error.code) || !remotePath ? "fail" : "warn",
+          error.message
+        );
+      }
+    }
+  }
+
+  const artifacts = await checkArtifacts(jobData, logger);
+  record("artifacts", artifacts.status, artifacts.message);
+
+  if (!quota) {
+    record(
+      "disk-quota",
+      "warn",
+      `Not checked without the ${provider.label} API`
+    );
+  } else {
+    const result = checkQuota(quota, artifacts.bytes);
+    record("disk-quota", result.status, result.message);
+  }
+
+  const transportConfig = getTransportConfig(credentials);
+  let client;
+  try {
+    client = await connectTransport(transportConfig, logger);
+    record(
+      "ftp",
+      "pass",
+      `Logged in to ${transportConfig.host} as ${transportConfig.user}`
+    );
+  } catch (error) {
+    record("ftp", "fail", `Could not log in: ${error.message}`);
+  }
+
+  try {
+    let docroot = null;
+    if (!client) {
+      record("document-root", "warn", "Not checked without an FTP login");
+    } else if (!remotePath) {
+      record("document-root", "warn", "Not checked: the directory is unknown");
+    } else {
+      try {
+        docroot = await checkDocumentRoot(client, remotePath, jobData);
+        record("document-root", docroot.status, docroot.message, {
+          remotePath,
+        });
+      } catch (error) {
+        record(
+          "document-root",
+          "warn",
+          `Could not list ${remotePath}: ${error.message}`
+        );
+      }
+    }
+
+    if (getInstallMode(jobData) === "ssh") {
+      await checkSshHost(transportConfig, record);
+    } else {
+      // The probe needs the directory to exist and be served by the domain
+      const urlPath =
+        webRoot === null || remotePath === webRoot
+          ? "/"
+          : remotePath && remotePath.startsWith(`${webRoot}/`)
+          ? `${remotePath.slice(webRoot.length)}/`
+          : null;
+      if (!docroot) {
+        record("php", "warn", "Not checked without the document root");
+      } else if (!docroot.exists) {
+        record("php", "warn", `Not checked: ${remotePath} does not exist yet`);
+      } else if (urlPath === null) {
+        record(
+          "php",
+          "warn",
+          `Not checked: ${remotePath} is outside the domain's document root ${webRoot}`
+        );
+      } else {
+        try {
+          const probe = await runPhpProbe(
+            client,
+            remotePath,
+            urlPath,
+            jobData.domain
+          );
+          const result = checkPhp(probe);
+          record("php", result.status, result.message, {
+            version: probe.php,
+            extensions: probe.extensions,
+            shellExec: probe.shellExec,
+          });
+        } catch (error) {
+          record(
+            "php",
+            "warn",
+            `Could not run the PHP probe (${error.message}); the domain may not point at this host yet`
+          );
+        }
+      }
+    }
+  } finally {
+    if (client) {
+      client.close();
+    }
+  }
+
+  const status = checks.reduce(
+    (worst, check) =>
+      STATUSES.indexOf(check.status) > STATUSES.indexOf(worst)
+        ? check.status
+        : worst,
+    "pass"
+  );
+  logger.info(`${ICONS[status]} Pre-flight checks finished: ${status}`);
+  return { status, checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * Refuses to deploy a job whose last pre-flight run with this credential
+ * failed.
+ * @param {object} jobData - Job data
+ * @param {string} credentialId - Credential the deploy will use
+ */
+function assertPreflightPassed(jobData, credentialId) {
+  const report = jobData.preflight;
+  if (
+    !report ||
+    report.status !== "fail" ||
+    report.credentialId !== credentialId
+  ) {
+    return;
+  }
+  const failed = report.checks
+    .filter((check) => check.status === "fail")
+    .map((check) => check.id);
+  throw preflightError(
+    `Pre-flight checks failed (${failed.join(
+      ", "
+    )}); fix them and run POST /jobs/${
+      jobData.id
+    }/preflight again, or pass force: true`,
+    "PREFLIGHT_FAILED"
+  );
+}
+
+module.exports = { runPreflight, assertPreflightPassed };
@@ -0,0 +1,158 @@
+const path = require("path");
+const {
+  validateCpanelCredentials,
+  getFtpCredentials,
+} = require("../cpanelValidator");
+const { createWordPressDatabase } = require("../cpanelDbManager");
+const {
+  getCpanelConfig,
+  callCpanelApi,
+  getDomainInfo,
+  resolveDocumentRoot,
+  createDomain,
+  removeDomain,
+} = require("../cpanelDomains");
+const { consoleLogger } = require("../jobEvents");
+
+/**
+ * Creates the WordPress database and its user through UAPI, at the
+ * credential's own port first, then the Namecheap endpoints and the other
+ * standard ones. Without API access the names are made up and
+ * returned with instructions for creating them by hand (manual: true).
+ * @param {object} credentials - cPanel credentials
+ * @param {string} domain - Domain the database is for
+ * @param {object} [logger] - Logger for progress messages
+ * @param {Function} [onCreated] - Called with ("database", name) and
+ *   ("user", name) as each is created
+ * @returns {Promise<object>} - { dbName, dbUser, dbPass, manual,
+ *   instructions }
+ */
+const createDatabase = (credentials, domain, logger, onCreated) =>
+  createWordPressDatabase(
+    getCpanelConfig({
+      ...credentials,
+      port: credentials.port || cpanelProvider.defaultPort,
+    }),
+    null,
+    null,
+    null,
+    domain,
+    logger,
+    onCreated
+  );
+
+/**
+ * Document roots of every domain on the account, as seen from its FTP or
+ * SFTP login.
+ * @param {object} credentials - cPanel credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object[]>} - { domain, remotePath }
+ */
+async function listDocumentRoots(credentials, logger = consoleLogger) {
+  const data = await callCpanelApi(
+    credentials,
+    "DomainInfo",
+    "domains_data",
+    {},
+    logger
+  );
+  const homeDir = data.main_domain.homedir;
+  return [data.main_domain, ...(data.addon_domains || [])]
+    .concat(data.sub_domains || [])
+    .map((info) => ({
+      domain: info.domain,
+      remotePath: `/${path.posix.relative(homeDir, info.documentroot)}`,
+    }));
+}
+
+/**
+ * The account's disk quota. cPanel reports bytes on recent versions and
+ * megabytes on older ones.
+ * @param {object} credentials - cPanel credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { limit, used } in bytes
+ */
+async function getDiskQuota(credentials, logger = consoleLogger) {
+  const quota = await callCpanelApi(
+    credentials,
+    "Quota",
+    "get_quota_info",
+    {},
+    logger
+  );
+  return {
+    limit:
+      quota.byte_limit !== undefined
+        ? Number(quota.byte_limit)
+        : Number(quota.megabyte_limit) * 1024 * 1024,
+    used:
+      quota.bytes_used !== undefined
+        ? Number(quota.bytes_used)
+        : Number(quota.megabytes_used) * 1024 * 1024,
+  };
+}
+
+/**
+ * Every domain on the account, lowercased.
+ * @param {object} credentials - cPanel credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<string[]>}
+ */
+async function listDomains(credentials, logger = consoleLogger) {
+  const domains = await callCpanelApi(
+    credentials,
+    "DomainInfo",
+    "list_domains",
+    {},
+    logger
+  );
+  return [
+    domains.main_domain,
+    ...(domains.addon_domains || []),
+    ...(domains.sub_domains || []),
+    ...(domains.parked_domains || []),
+  ].map((name) => name.toLowerCase());
+}
+
+// cPanel, including Namecheap's shared hosting, through UAPI and API 2
+const cpanelProvider = {
+  type: "cpanel",
+  label: "cPanel",
+  defaultPort: 2083,
+  validateCredentials: validateCpanelCredentials,
+  getTransferCredentials: getFtpCredentials,
+  createDatabase,
+  dropDatabase: (credentials, dbName, logger) =>
+    callCpanelApi(
+      credentials,
+      "Mysql",
+      "delete_database",
+      { name: dbName },
+      logger
+    ),
+  deleteDatabaseUser: (credentials, dbUser, logger) =>
+    callCpanelApi(
+      credentials,
+      "Mysql",
+      "delete_user",
+      { name: dbUser },
+      logger
+    ),
+  listDatabases: async (credentials, logger) =>
+    (
+      await callCpanelApi(credentials, "Mysql", "list_databases", {}, logger)
+    ).map((item) => item.database),
+  listDatabaseUsers: async (credentials, logger) =>
+    (await callCpanelApi(credentials, "Mysql", "list_users", {}, logger)).map(
+      (item) => item.user
+    ),
+  getDomainInfo,
+  resolveDocumentRoot,
+  listDocumentRoots,
+  getDiskQuota,
+  listDomains,
+  createDomain,
+  removeDomain,
+};
+
+module.exports = { cpanelProvider };
@@ -0,0 +1,448 @@
+const axios = require("axios");
+const { generateStrongPassword } = require("../cpanelDbManager");
+const { resolveDocumentRoot } = require("../cpanelDomains");
+const { getTransportConfig } = require("../fileTransport");
+const { consoleLogger } = require("../jobEvents");
+
+const DEFAULT_PORT = 2222;
+
+const MEGABYTE = 1024 * 1024;
+
+const directAdminError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const cleanHost = (host) => host.replace(/^https?:\/\//, "");
+
+/**
+ * Builds the Authorization header for DirectAdmin's API. A login key is
+ * sent in place of the password, which is how DirectAdmin takes them.
+ * @param {object} credentials - username, and apiToken (login key) and/or
+ *   password
+ * @returns {string} - Authorization header value
+ */
+function getAuthHeader({ username, password, apiToken }) {
+  const secret = apiToken || password;
+  if (!secret) {
+    throw new Error(
+      "DirectAdmin credentials (password or login key) are missing."
+    );
+  }
+  return `Basic ${Buffer.from(`${username}:${secret}`).toString("base64")}`;
+}
+
+/**
+ * Calls a DirectAdmin CMD_API command. Replies are URL-encoded; lists come
+ * as repeated list[] fields, and failures as error=1 with text and details.
+ * @param {object} credentials - DirectAdmin credentials (host, port,
+ *   username, password and/or apiToken)
+ * @param {string} command - e.g. "CMD_API_DATABASES"
+ * @param {object} [args] - Command arguments
+ * @param {object} [logger] - Logger for progress messages
+ * @param {string} [method] - "GET" to read, "POST" to change something
+ * @returns {Promise<URLSearchParams>} - The parsed reply
+ */
+async function callDirectAdmin(
+  credentials,
+  command,
+  args = {},
+  logger = consoleLogger,
+  method = "GET"
+) {
+  const { host, port = DEFAULT_PORT } = credentials;
+  const url = `https://${cleanHost(host)}:${port}/${command}`;
+  const params = new URLSearchParams(args);
+  logger.info(`Calling DirectAdmin API: ${command}`);
+
+  const response = await axios({
+    method,
+    url: method === "GET" ? `${url}?${params}` : url,
+    data: method === "GET" ? undefined : params.toString(),
+    headers: {
+      Authorization: getAuthHeader(credentials),
+      "Content-Type": "application/x-www-form-urlencoded",
+      "User-Agent": "WordPress-Deployer/1.0",
+    },
+    responseType: "text",
+    timeout: 15000,
+    validateStatus: (status) => status < 500,
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw directAdminError(
+      `HTTP ${response.status}: DirectAdmin refused the request`,
+      response.status === 401 ? "DIRECTADMIN_AUTH" : "DIRECTADMIN_FORBIDDEN"
+    );
+  }
+  // Older versions answer a rejected login with the login page
+  if (String(response.headers["content-type"]).includes("text/html")) {
+    throw directAdminError(
+      "DirectAdmin answered with its login page",
+      "DIRECTADMIN_AUTH"
+    );
+  }
+  if (response.status !== 200) {
+    throw new Error(`HTTP ${response.status} from DirectAdmin`);
+  }
+
+  const reply = new URLSearchParams(response.data);
+  if (reply.get("error") === "1") {
+    const reason = [reply.get("text"), reply.get("details")]
+      .filter(Boolean)
+      .join(": ");
+    logger.error("DirectAdmin API Error:", reason);
+    throw new Error(`DirectAdmin API Error: ${reason || "unknown error"}`);
+  }
+  return reply;
+}
+
+// The values of a list reply
+const listOf = (reply) => reply.getAll("list[]");
+
+/**
+ * Checks the login against the DirectAdmin API.
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { valid, message, host, username, port }
+ */
+async function validateCredentials(credentials, logger = consoleLogger) {
+  const { host, username, password, apiToken } = credentials;
+  const port = credentials.port || DEFAULT_PORT;
+  if (!host || !username || !(password || apiToken)) {
+    throw new Error(
+      "Missing required credentials (host, username, or password/login key)"
+    );
+  }
+  const result = { host: cleanHost(host), username, port };
+
+  logger.info(`🔍 Validating DirectAdmin credentials for ${result.host}...`);
+  try {
+    await callDirectAdmin(
+      { ...credentials, port },
+      "CMD_API_SHOW_USER_CONFIG",
+      {},
+      logger
+    );
+    logger.info("✅ DirectAdmin credentials are valid");
+    return {
+      ...result,
+      valid: true,
+      message: "DirectAdmin credentials are valid",
+    };
+  } catch (error) {
+    logger.warn(`❌ DirectAdmin validation failed: ${error.message}`);
+    if (error.code === "DIRECTADMIN_AUTH") {
+      return {
+        ...result,
+        valid: false,
+        message: apiToken
+          ? "Invalid username or login key"
+          : "Invalid username or password",
+      };
+    }
+    if (error.code === "DIRECTADMIN_FORBIDDEN") {
+      return {
+        ...result,
+        valid: false,
+        message: "DirectAdmin API access is disabled or restricted",
+      };
+    }
+    return {
+      ...result,
+      valid: false,
+      message: "Failed to validate DirectAdmin credentials",
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * The account's own login reaches its home over FTP and SFTP, as on
+ * cPanel.
+ * @param {object} credentials - DirectAdmin credentials with the transport
+ *   settings of the saved credential if any
+ * @returns {Promise<object>} - { success, credentials, message }
+ */
+async function getTransferCredentials(credentials) {
+  return {
+    success: true,
+    credentials: getTransportConfig(credentials),
+    message: "FTP login of the DirectAdmin account",
+  };
+}
+
+/**
+ * Creates the WordPress database and its user in one DirectAdmin call;
+ * both get the account name as prefix. Without API access the names are
+ * made up and returned with instructions for creating them by hand.
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {string} domain - Domain the database is for
+ * @param {object} [logger] - Logger for progress messages
+ * @param {Function} [onCreated] - Called with ("database", name) and
+ *   ("user", name) once both exist
+ * @returns {Promise<object>} - { dbName, dbUser, dbPass, manual,
+ *   instructions }
+ */
+async function createDatabase(
+  credentials,
+  domain,
+  logger = consoleLogger,
+  onCreated = () => {}
+) {
+  const suffix = Math.random().toString(36).substring(2, 8);
+  const name = `wp_${suffix}`;
+  const user = `wpuser_${suffix}`;
+  const dbPass = generateStrongPassword();
+  const dbName = `${credentials.username}_${name}`;
+  const dbUser = `${credentials.username}_${user}`;
+
+  try {
+    await callDirectAdmin(
+      credentials,
+      "CMD_API_DATABASES",
+      { action: "create", name, user, passwd: dbPass, passwd2: dbPass },
+      logger,
+      "POST"
+    );
+  } catch (error) {
+    logger.error("Failed to create WordPress database via API:", error.message);
+    const panelUrl = `https://${cleanHost(credentials.host)}:${
+      credentials.port || DEFAULT_PORT
+    }`;
+    logger.warn("⚠️ API access not available. Manual database setup required.");
+    // The password is only in the instructions: job logs are readable by
+    // every viewer
+    logger.info(
+      `📋 In DirectAdmin at ${panelUrl}, open MySQL Management and create database ${dbName} with user ${dbUser} and the password in the setup instructions`
+    );
+    return {
+      dbName,
+      dbUser,
+      dbPass,
+      manual: true,
+      instructions: {
+        panelUrl,
+        databaseName: dbName,
+        databaseUser: dbUser,
+        databasePassword: dbPass,
+        domain,
+      },
+    };
+  }
+
+  onCreated("database", dbName);
+  onCreated("user", dbUser);
+  logger.info(`✅ Database ${dbName} created with user ${dbUser}`);
+  return { dbName, dbUser, dbPass, manual: false };
+}
+
+const listDatabases = async (credentials, logger = consoleLogger) =>
+  listOf(await callDirectAdmin(credentials, "CMD_API_DATABASES", {}, logger));
+
+/**
+ * Users of each database on the account.
+ * @returns {Promise<object[]>} - { database, users }
+ */
+async function listDatabaseGrants(credentials, logger) {
+  const grants = [];
+  for (const database of await listDatabases(credentials, logger)) {
+    const reply = await callDirectAdmin(
+      credentials,
+      "CMD_API_DB_USER",
+      { name: database },
+      logger
+    );
+    grants.push({ database, users: listOf(reply) });
+  }
+  return grants;
+}
+
+/**
+ * Removes a database user. DirectAdmin keeps users per database, so it is
+ * removed from every database it was given.
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {string} dbUser - Prefixed user name
+ * @param {object} [logger] - Logger for progress messages
+ */
+async function deleteDatabaseUser(credentials, dbUser, logger = consoleLogger) {
+  const grants = (await listDatabaseGrants(credentials, logger)).filter(
+    (grant) => grant.users.includes(dbUser)
+  );
+  if (!grants.length) {
+    throw new Error(`The database user "${dbUser}" does not exist.`);
+  }
+  for (const { database } of grants) {
+    await callDirectAdmin(
+      credentials,
+      "CMD_API_DB_USER",
+      { action: "delete", name: database, select0: dbUser },
+      logger,
+      "POST"
+    );
+  }
+}
+
+/**
+ * Looks up where a domain is served from. DirectAdmin serves a domain from
+ * domains/<domain>/public_html in the account home, and its subdomains
+ * from directories of the same name inside that.
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {string} domain - Domain to deploy
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { domain, type, remotePath }
+ */
+async function getDomainInfo(credentials, domain, logger = consoleLogger) {
+  logger.info(`🔍 Looking up document root of ${domain} on DirectAdmin...`);
+  const name = domain.toLowerCase();
+  const domains = listOf(
+    await callDirectAdmin(credentials, "CMD_API_SHOW_DOMAINS", {}, logger)
+  ).map((entry) => entry.toLowerCase());
+
+  let info = null;
+  if (domains.includes(name)) {
+    info = {
+      domain,
+      type: "domain",
+      remotePath: `/domains/${name}/public_html`,
+    };
+  }
+  // The longest domain the name ends in holds the subdomain
+  const [parent] = domains
+    .filter((entry) => name.endsWith(`.${entry}`))
+    .sort((a, b) => b.length - a.length);
+  if (!info && parent) {
+    const subdomain = name.slice(0, -(parent.length + 1));
+    const subdomains = listOf(
+      await callDirectAdmin(
+        credentials,
+        "CMD_API_SUBDOMAINS",
+        { domain: parent },
+        logger
+      )
+    );
+    if (subdomains.includes(subdomain)) {
+      info = {
+        domain,
+        type: "sub_domain",
+        remotePath: `/domains/${parent}/public_html/${subdomain}`,
+      };
+    }
+  }
+  if (!info) {
+    for (const entry of domains) {
+      const pointers = await callDirectAdmin(
+        credentials,
+        "CMD_API_DOMAIN_POINTER",
+        { domain: entry },
+        logger
+      );
+      if ([...pointers.keys()].some((key) => key.toLowerCase() === name)) {
+        // A pointer serves the domain it points to
+        throw directAdminError(
+          `${domain} points to ${entry} and has no document root of its own`,
+          "DOMAIN_PARKED"
+        );
+      }
+    }
+    throw directAdminError(
+      `${domain} is not attached to DirectAdmin account ${credentials.username}`,
+      "DOMAIN_NOT_ATTACHED"
+    );
+  }
+
+  logger.info(`📂 ${domain} (${info.type}) is served from ${info.remotePath}`);
+  return info;
+}
+
+/**
+ * Document roots of every domain and subdomain on the account.
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object[]>} - { domain, remotePath }
+ */
+async function listDocumentRoots(credentials, logger = consoleLogger) {
+  const roots = [];
+  for (const domain of listOf(
+    await callDirectAdmin(credentials, "CMD_API_SHOW_DOMAINS", {}, logger)
+  )) {
+    const remotePath = `/domains/${domain}/public_html`;
+    roots.push({ domain, remotePath });
+    const subdomains = await callDirectAdmin(
+      credentials,
+      "CMD_API_SUBDOMAINS",
+      { domain },
+      logger
+    );
+    for (const subdomain of listOf(subdomains)) {
+      roots.push({
+        domain: `${subdomain}.${domain}`,
+        remotePath: `${remotePath}/${subdomain}`,
+      });
+    }
+  }
+  return roots;
+}
+
+/**
+ * The account's disk quota; DirectAdmin reports megabytes, or "unlimited".
+ * @param {object} credentials - DirectAdmin credentials
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { limit, used } in bytes
+ */
+async function getDiskQuota(credentials, logger = consoleLogger) {
+  const config = await callDirectAdmin(
+    credentials,
+    "CMD_API_SHOW_USER_CONFIG",
+    {},
+    logger
+  );
+  const usage = await callDirectAdmin(
+    credentials,
+    "CMD_API_SHOW_USER_USAGE",
+    {},
+    logger
+  );
+  const quota = config.get("quota");
+  return {
+    limit: quota === "unlimited" ? 0 : Number(quota) * MEGABYTE,
+    used: Number(usage.get("quota")) * MEGABYTE,
+  };
+}
+
+// DirectAdmin through its CMD_API commands. Domains are not added to the
+// account by the deployer.
+const directAdminProvider = {
+  type: "directadmin",
+  label: "DirectAdmin",
+  defaultPort: DEFAULT_PORT,
+  validateCredentials,
+  getTransferCredentials,
+  createDatabase,
+  dropDatabase: async (credentials, dbName, logger) => {
+    await callDirectAdmin(
+      credentials,
+      "CMD_API_DATABASES",
+      { action: "delete", select0: dbName },
+      logger,
+      "POST"
+    );
+  },
+  deleteDatabaseUser,
+  listDatabases,
+  listDatabaseUsers: async (credentials, logger) => [
+    ...new Set(
+      (await listDatabaseGrants(credentials, logger)).flatMap(
+        (grant) => grant.users
+      )
+    ),
+  ],
+  getDomainInfo,
+  resolveDocumentRoot: (credentials, jobData, logger) =>
+    resolveDocumentRoot(credentials, jobData, logger, getDomainInfo),
+  listDocumentRoots,
+  getDiskQuota,
+};
+
+module.exports = { directAdminProvider, callDirectAdmin };
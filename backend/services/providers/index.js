@@ -0,0 +1,99 @@
+const { cpanelProvider } = require("./cpanel");
+const { directAdminProvider } = require("./directadmin");
+
+/**
+ * Hosting control panels the deployer can provision on. Each adapter has:
+ * - type, label, and defaultPort of its API
+ * - validateCredentials(credentials, logger): { valid, message, host, ... }
+ * - getTransferCredentials(credentials, logger): { success, credentials,
+ *   message } where credentials are connection settings for the uploads
+ * - createDatabase(credentials, domain, logger, onCreated): { dbName,
+ *   dbUser, dbPass, manual, instructions }
+ * - dropDatabase and deleteDatabaseUser(credentials, name, logger)
+ * - listDatabases and listDatabaseUsers(credentials, logger): names
+ * - getDomainInfo(credentials, domain, logger): { domain, type,
+ *   remotePath }
+ * - resolveDocumentRoot(credentials, jobData, logger): { remotePath, type }
+ * - listDocumentRoots(credentials, logger): [{ domain, remotePath }] for
+ *   every domain on the account
+ * - getDiskQuota(credentials, logger): { limit, used } in bytes, a limit of
+ *   0 meaning none
+ * - listDomains, createDomain and removeDomain, only where the deployer
+ *   can add domains to the account
+ */
+const PROVIDERS = {
+  cpanel: cpanelProvider,
+  directadmin: directAdminProvider,
+};
+
+// Credentials saved before providers existed are all cPanel accounts
+const DEFAULT_PROVIDER = "cpanel";
+
+const providerError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Checks the provider type sent with a credential.
+ * @param {string} [input] - Provider type; cPanel when not set
+ * @returns {string} - Key of PROVIDERS
+ */
+function normalizeProvider(input) {
+  const type = input ? String(input).toLowerCase() : DEFAULT_PROVIDER;
+  if (!PROVIDERS[type]) {
+    throw providerError(
+      `Unknown hosting provider: ${input} (expected one of ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`,
+      "INVALID_PROVIDER"
+    );
+  }
+  return type;
+}
+
+/**
+ * Returns the provider type of a stored credential.
+ * @param {object} credential - Credential record
+ * @returns {string} - Key of PROVIDERS
+ */
+const getCredentialProvider = (credential) =>
+  credential.provider || DEFAULT_PROVIDER;
+
+/**
+ * Returns the adapter for a credential's hosting provider.
+ * @param {object|string} credential - Credential, or a provider type
+ * @returns {object} - Provider adapter
+ */
+function getProvider(credential) {
+  const type =
+    typeof credential === "string"
+      ? credential
+      : getCredentialProvider(credential);
+  return PROVIDERS[normalizeProvider(type)];
+}
+
+/**
+ * Throws unless the provider can do something that only some can.
+ * @param {object} provider - Provider adapter
+ * @param {string} method - Adapter method, e.g. "createDomain"
+ * @param {string} what - What it does, for the message
+ */
+function assertProviderSupports(provider, method, what) {
+  if (typeof provider[method] !== "function") {
+    throw providerError(
+      `${provider.label} accounts do not support ${what}`,
+      "UNSUPPORTED_BY_PROVIDER"
+    );
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  normalizeProvider,
+  getCredentialProvider,
+  getProvider,
+  assertProviderSupports,
+};
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const archiver = require("archiver");
+const extractZip = require("extract-zip");
+const { getBackupsPath } = require("./storage");
+const { hashFile } = require("./artifactCache");
+const { consoleLogger } = require("./jobEvents");
+
+// Entries the host keeps in a document root, and the deployer's own
+// bookkeeping. They are not a site: never backed up or removed. cPanel
+// writes the account's PHP handler into .htaccess, so it stays too.
+const HOST_ENTRIES = [
+  ".",
+  "..",
+  "cgi-bin",
+  ".well-known",
+  ".htaccess",
+  ".ftpquota",
+  "error_log",
+  ".wp-deployer",
+];
+
+const backupError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// A directory listing fails this way when the directory does not exist
+const isMissing = (error) => [2, 450, 550, "ENOENT"].includes(error.code);
+
+/**
+ * Where a backup archive is kept.
+ * @param {object} backup - Backup record from the job
+ * @returns {string} - Local file path
+ */
+const getBackupArchivePath = (backup) =>
+  path.join(getBackupsPath(), path.basename(backup.archive));
+
+/**
+ * Lists what is already in the directory a site goes to, leaving out what
+ * the host keeps there and files an earlier attempt of this job uploaded.
+ * @param {object} client - Connected file transport
+ * @param {string} remotePath - Directory the site goes to
+ * @param {object} jobData - Job data, for its upload manifest
+ * @returns {Promise<object[]|null>} - Entries ({ name, isDirectory, size }),
+ *   or null when the directory does not exist
+ */
+async function findExistingContent(client, remotePath, jobData) {
+  let entries;
+  try {
+    entries = await client.list(remotePath);
+  } catch (error) {
+    if (isMissing(error)) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Top-level names of the files in the job's upload manifest
+  const own = new Set(
+    Object.keys((jobData.uploadManifest || {}).files || {})
+      .filter((file) => file.startsWith(`${remotePath}/`))
+      .map((file) => file.slice(remotePath.length + 1).split("/")[0])
+  );
+  return entries.filter(
+    (entry) => !HOST_ENTRIES.includes(entry.name) && !own.has(entry.name)
+  );
+}
+
+/**
+ * Describes existing content for messages, most telling names first.
+ * @param {object[]} entries - Entries from findExistingContent
+ * @returns {string} - e.g. "wp-config.php, index.php, images and 4 more"
+ */
+function describeExistingContent(entries) {
+  const names = entries
+    .map((entry) => entry.name)
+    .sort(
+      (a, b) =>
+        Number(b === "wp-config.php") - Number(a === "wp-config.php") ||
+        Number(b.startsWith("index.")) - Number(a.startsWith("index."))
+    );
+  const more = names.length > 5 ? ` and ${names.length - 5} more` : "";
+  return `${names.slice(0, 5).join(", ")}${more}`;
+}
+
+/**
+ * Zips a directory.
+ * @param {string} sourceDir - Directory to archive
+ * @param {string} destPath - Zip file to write
+ * @returns {Promise<void>}
+ */
+function zipDirectory(sourceDir, destPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(destPath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+    archive.pipe(output);
+    archive.directory(sourceDir, false);
+    archive.finalize();
+  });
+}
+
+/**
+ * Downloads existing entries of a document root into a local zip archive.
+ * Symbolic links are skipped and listed in the record.
+ * @param {object} client - Connected file transport
+ * @param {string} remotePath - Document root
+ * @param {object[]} entries - Entries from findExistingContent
+ * @param {object} jobData - Job data
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - Backup record: { id, remotePath, entries,
+ *   files, size, archive, archiveSize, sha256, skipped, createdAt }
+ */
+async function backupSite(
+  client,
+  remotePath,
+  entries,
+  jobData,
+  logger = consoleLogger
+) {
+  const id = crypto.randomUUID();
+  const stagingDir = path.join(getBackupsPath(), "tmp", id);
+  const archivePath = path.join(getBackupsPath(), `${jobData.id}-${id}.zip`);
+  const skipped = [];
+  let files = 0;
+  let size = 0;
+
+  const download = async (remote, local, entry) => {
+    if (entry.isSymbolicLink) {
+      skipped.push(remote);
+      logger.warn(`⚠️ Not backing up symbolic link ${remote}`);
+      return;
+    }
+    if (!entry.isDirectory) {
+      await client.downloadTo(local, remote);
+      files += 1;
+      size += fs.statSync(local).size;
+      return;
+    }
+    fs.mkdirSync(local, { recursive: true });
+    for (const child of await client.list(remote)) {
+      if (child.name !== "." && child.name !== "..") {
+        await download(
+          `${remote}/${child.name}`,
+          path.join(local, child.name),
+          child
+        );
+      }
+    }
+  };
+
+  logger.info(
+    `🗄️ Backing up ${describeExistingContent(entries)} from ${remotePath}...`
+  );
+  try {
+    fs.mkdirSync(stagingDir, { recursive: true });
+    for (const entry of entries) {
+      await download(
+        `${remotePath}/${entry.name}`,
+        path.join(stagingDir, entry.name),
+        entry
+      );
+    }
+    await zipDirectory(stagingDir, archivePath);
+  } catch (error) {
+    fs.rmSync(archivePath, { force: true });
+    throw error;
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  const backup = {
+    id,
+    remotePath,
+    entries: entries.map((entry) => entry.name),
+    files,
+    size,
+    archive: path.basename(archivePath),
+    archiveSize: fs.statSync(archivePath).size,
+    sha256: await hashFile(archivePath),
+    skipped,
+    createdAt: new Date().toISOString(),
+  };
+  logger.info(`✅ Backed up ${files} files (${size} bytes) to ${archivePath}`);
+  return backup;
+}
+
+/**
+ * Removes entries from a document root, once they have been backed up or
+ * when the site is torn down.
+ * @param {object} client - Connected file transport
+ * @param {string} remotePath - Document root
+ * @param {object[]} entries - Entries ({ name, isDirectory, isSymbolicLink })
+ * @param {object} [logger] - Logger for progress messages
+ */
+async function removeExistingContent(
+  client,
+  remotePath,
+  entries,
+  logger = consoleLogger
+) {
+  for (const entry of entries) {
+    const remote = `${remotePath}/${entry.name}`;
+    if (entry.isDirectory && !entry.isSymbolicLink) {
+      await client.removeDir(remote);
+    } else {
+      await client.remove(remote);
+    }
+  }
+  logger.info(`🧹 Removed ${entries.length} entries from ${remotePath}`);
+}
+
+/**
+ * Uploads a backup back to where it was taken from. Files with the same
+ * name are overwritten; files added since are left alone.
+ * @param {object} client - Connected file transport
+ * @param {object} backup - Backup record from the job
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object>} - { files, restoredAt }
+ */
+async function restoreBackup(client, backup, logger = consoleLogger) {
+  const archivePath = getBackupArchivePath(backup);
+  if (!fs.existsSync(archivePath)) {
+    throw backupError(
+      `Backup archive ${backup.archive} is missing from ${getBackupsPath()}`,
+      "BACKUP_NOT_FOUND"
+    );
+  }
+  if ((await hashFile(archivePath)) !== backup.sha256) {
+    throw backupError(
+      `Backup archive ${backup.archive} does not match its recorded SHA-256`,
+      "BACKUP_INTEGRITY"
+    );
+  }
+
+  const stagingDir = path.join(getBackupsPath(), "tmp", crypto.randomUUID());
+  let files = 0;
+  const upload = async (local, remote) => {
+    for (const entry of fs.readdirSync(local, { withFileTypes: true })) {
+      const localPath = path.join(local, entry.name);
+      const remotePath = `${remote}/${entry.name}`;
+      if (entry.isDirectory()) {
+        await client.ensureDir(remotePath);
+        await upload(localPath, remotePath);
+      } else {
+        await client.uploadFrom(localPath, remotePath);
+        files += 1;
+      }
+    }
+  };
+
+  logger.info(`♻️ Restoring backup ${backup.id} to ${backup.remotePath}...`);
+  try {
+    await extractZip(archivePath, { dir: stagingDir });
+    await client.ensureDir(backup.remotePath);
+    await upload(stagingDir, backup.remotePath);
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+  logger.info(`✅ Restored ${files} files to ${backup.remotePath}`);
+  return { files, restoredAt: new Date().toISOString() };
+}
+
+module.exports = {
+  HOST_ENTRIES,
+  isMissing,
+  getBackupArchivePath,
+  findExistingContent,
+  describeExistingContent,
+  backupSite,
+  removeExistingContent,
+  restoreBackup,
+};
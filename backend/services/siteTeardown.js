@@ -0,0 +1,328 @@
+const crypto = require("crypto");
+const { getTransportConfig, connectTransport } = require("./fileTransport");
+const { DEFAULT_REMOTE_PATH } = require("./cpanelDomains");
+const { getProvider } = require("./providers");
+const {
+  HOST_ENTRIES,
+  isMissing,
+  removeExistingContent,
+} = require("./siteBackup");
+const { getManifestPath } = require("./ftpUploader");
+const { COMPENSATIONS } = require("./jobRollback");
+const { consoleLogger } = require("./jobEvents");
+
+// Jobs whose teardown is running in this process
+const tearingDown = new Set();
+
+/**
+ * Whether a job is being torn down; it must not be deployed meanwhile.
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+const isTearingDown = (jobId) => tearingDown.has(jobId);
+
+const teardownError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Values a job recorded, plus those its pending compensations name, once
+const collect = (jobData, value, action, key) => [
+  ...new Set(
+    [
+      value,
+      ...(jobData.compensations || [])
+        .filter((entry) => entry.action === action)
+        .map((entry) => entry.params[key]),
+    ].filter(Boolean)
+  ),
+];
+
+/**
+ * Document roots of the account's other domains, as seen from its FTP
+ * or SFTP login.
+ * @param {object} credentials - Hosting credentials
+ * @param {object} jobData - Job data, for its own domain
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object[]>} - { domain, remotePath }
+ */
+async function getOtherDocumentRoots(
+  credentials,
+  jobData,
+  logger = consoleLogger
+) {
+  const roots = await getProvider(credentials).listDocumentRoots(
+    credentials,
+    logger
+  );
+  return roots.filter(
+    (root) => root.domain.toLowerCase() !== jobData.domain.toLowerCase()
+  );
+}
+
+/**
+ * Works out what is left of the site in its document root. Host entries
+ * and directories other domains are served from stay.
+ * @param {object} jobData - Job record (documentRoot, domain)
+ * @param {object} credentials - Unsealed hosting credentials
+ * @param {Function} getClient - Returns a connected file transport
+ * @param {object} logger - Logger for progress messages
+ * @returns {Promise<object>} - Teardown step
+ */
+async function planSiteFiles(jobData, credentials, getClient, logger) {
+  const remotePath = jobData.documentRoot || DEFAULT_REMOTE_PATH;
+  const step = { action: "remove-site-files", params: { remotePath } };
+  const blocked = (reason) => ({ ...step, status: "blocked", reason });
+
+  if (remotePath === "/") {
+    return blocked("The site is served from the account home itself");
+  }
+  let roots;
+  try {
+    roots = await getOtherDocumentRoots(credentials, jobData, logger);
+  } catch (error) {
+    return blocked(
+      `Could not check which domains are served from ${remotePath}: ${error.message}`
+    );
+  }
+  const shared = roots.filter((root) => root.remotePath === remotePath);
+  if (shared.length) {
+    return blocked(
+      `${remotePath} also serves ${shared
+        .map((root) => root.domain)
+        .join(", ")}`
+    );
+  }
+  const kept = [
+    ...new Set(
+      roots
+        .filter((root) => root.remotePath.startsWith(`${remotePath}/`))
+        .map((root) => root.remotePath.slice(remotePath.length + 1))
+        .map((relative) => relative.split("/")[0])
+    ),
+  ];
+
+  let entries;
+  try {
+    entries = await (await getClient()).list(remotePath);
+  } catch (error) {
+    if (!isMissing(error)) {
+      return blocked(`Could not list ${remotePath}: ${error.message}`);
+    }
+    entries = [];
+  }
+  entries = entries
+    .filter(
+      (entry) =>
+        !HOST_ENTRIES.includes(entry.name) && !kept.includes(entry.name)
+    )
+    .map((entry) => ({
+      name: entry.name,
+      isDirectory: entry.isDirectory,
+      isSymbolicLink: entry.isSymbolicLink,
+    }));
+  return {
+    action: step.action,
+    params: { remotePath, entries },
+    kept,
+    status: entries.length ? "pending" : "gone",
+  };
+}
+
+/**
+ * Lists what a teardown of the job would remove, checking each resource
+ * is still on the host: the site's files, then the database users,
+ * databases and domains the job recorded or left for a rollback. A
+ * resource that is already gone is "gone"; one that cannot safely be
+ * removed is "blocked" with a reason. When a lookup fails the resource
+ * is assumed to be there.
+ * @param {object} jobData - Job record
+ * @param {object} credentials - Unsealed hosting credentials
+ * @param {Function} getClient - Returns a connected file transport
+ * @param {object} [logger] - Logger for progress messages
+ * @returns {Promise<object[]>} - Steps: { action, params, status, reason }
+ */
+async function planTeardown(
+  jobData,
+  credentials,
+  getClient,
+  logger = consoleLogger
+) {
+  const provider = getProvider(credentials);
+  const lookup = async (method) => {
+    try {
+      return await provider[method](credentials, logger);
+    } catch (error) {
+      logger.warn(`⚠️ Could not look up ${method}: ${error.message}`);
+      return null;
+    }
+  };
+  const present = (action, params, names, name) => ({
+    action,
+    params,
+    status: !names || names.includes(name) ? "pending" : "gone",
+  });
+  const steps = [];
+
+  // Files only go if the deployer put some there
+  if (Object.keys((jobData.uploadManifest || {}).files || {}).length) {
+    steps.push(await planSiteFiles(jobData, credentials, getClient, logger));
+  }
+
+  const userNames = await lookup("listDatabaseUsers");
+  for (const dbUser of collect(
+    jobData,
+    jobData.dbUser,
+    "delete-database-user",
+    "dbUser"
+  )) {
+    steps.push(present("delete-database-user", { dbUser }, userNames, dbUser));
+  }
+
+  const databaseNames = await lookup("listDatabases");
+  for (const dbName of collect(
+    jobData,
+    jobData.dbName,
+    "drop-database",
+    "dbName"
+  )) {
+    steps.push(present("drop-database", { dbName }, databaseNames, dbName));
+  }
+
+  const created = [
+    jobData.createdDomain,
+    ...(jobData.compensations || [])
+      .filter((entry) => entry.action === "remove-domain")
+      .map((entry) => entry.params),
+  ].filter(
+    (record, index, all) =>
+      record &&
+      all.findIndex((other) => other && other.domain === record.domain) ===
+        index
+  );
+  if (created.length) {
+    const names = await lookup("listDomains");
+    for (const record of created) {
+      steps.push(present("remove-domain", record, names, record.domain));
+    }
+  }
+  return steps;
+}
+
+/**
+ * Removes what a deployment created on the client's hosting: the site's
+ * files and upload manifest, the database users, the databases and the
+ * domains the job added, in that order. By default nothing is removed and
+ * the plan is returned. Each step that fails is recorded and the rest
+ * still run.
+ * @param {object} jobData - Job record (its compensations are updated)
+ * @param {object} credentials - Unsealed hosting credentials
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=true] - Only report what would go
+ * @param {string} [options.actor] - Who asked for the teardown
+ * @param {string} [options.reason] - Why, for the record
+ * @param {object} [options.logger] - Logger for progress messages
+ * @returns {Promise<object>} - { id, dryRun, actor, reason, status
+ *   ("planned", "complete" or "incomplete"), actions, startedAt,
+ *   completedAt }
+ */
+async function teardownSite(jobData, credentials, options = {}) {
+  const {
+    dryRun = true,
+    actor = "system",
+    reason = null,
+    logger = consoleLogger,
+  } = options;
+  if (isTearingDown(jobData.id)) {
+    throw teardownError(
+      `Job ${jobData.id} is already being torn down`,
+      "TEARDOWN_IN_PROGRESS"
+    );
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    dryRun,
+    actor,
+    reason,
+    status: "planned",
+    actions: [],
+    startedAt: new Date().toISOString(),
+  };
+  let client;
+  const getClient = async () => {
+    client =
+      client ||
+      (await connectTransport(getTransportConfig(credentials), logger));
+    return client;
+  };
+  const context = { jobData, credentials, actor, logger };
+
+  tearingDown.add(jobData.id);
+  try {
+    record.actions = await planTeardown(
+      jobData,
+      credentials,
+      getClient,
+      logger
+    );
+    if (!dryRun) {
+      logger.info(`🧨 Tearing down ${jobData.domain}...`);
+      for (const step of record.actions) {
+        if (step.status !== "pending") {
+          continue;
+        }
+        try {
+          if (step.action === "remove-site-files") {
+            const { remotePath, entries } = step.params;
+            await removeExistingContent(
+              await getClient(),
+              remotePath,
+              entries,
+              logger
+            );
+            await client.remove(getManifestPath(jobData.id)).catch((error) => {
+              if (!isMissing(error)) throw error;
+            });
+          } else {
+            await COMPENSATIONS[step.action].run(step.params, context);
+          }
+          step.status = "done";
+          // A rollback must not try again what is gone
+          const key = JSON.stringify(step.params);
+          jobData.compensations = (jobData.compensations || []).filter(
+            (entry) =>
+              step.action === "remove-site-files"
+                ? entry.action !== "remove-uploaded-files"
+                : entry.action !== step.action ||
+                  JSON.stringify(entry.params) !== key
+          );
+        } catch (error) {
+          logger.error(`❌ Could not ${step.action}:`, error.message);
+          step.status = "failed";
+          step.error = error.message;
+        }
+      }
+      record.status = record.actions.some((step) =>
+        ["failed", "blocked"].includes(step.status)
+      )
+        ? "incomplete"
+        : "complete";
+      logger.info(
+        record.status === "complete"
+          ? `✅ ${jobData.domain} torn down`
+          : `⚠️ Teardown of ${jobData.domain} incomplete`
+      );
+    }
+  } finally {
+    tearingDown.delete(jobData.id);
+    if (client) {
+      client.close();
+    }
+  }
+  record.completedAt = new Date().toISOString();
+  return record;
+}
+
+module.exports = { isTearingDown, planTeardown, teardownSite };
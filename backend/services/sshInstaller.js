@@ -0,0 +1,393 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Client } = require("ssh2");
+const { consoleLogger } = require("./jobEvents");
+const { DEFAULT_REMOTE_PATH } = require("./cpanelDomains");
+const { generateStrongPassword } = require("./cpanelDbManager");
+const { getTemplateType } = require("./ftpUploader");
+const { DEFAULT_LOCALE } = require("./artifactMirror");
+
+// How WordPress gets installed once the files are uploaded: by someone
+// opening install.php in a browser, or by the deployer running WP-CLI
+// over SSH
+const INSTALL_MODES = ["http", "ssh"];
+
+// Jobs created before install modes existed use install.php
+const DEFAULT_INSTALL_MODE = "http";
+
+// Used when the host has no wp on its PATH; fetched once into the
+// deployer's directory outside the web root, next to the upload manifests
+const WP_CLI_URL =
+  "https://raw.githubusercontent.com/wp-cli/builds/gh-pages/phar/wp-cli.phar";
+const WP_CLI_PHAR = ".wp-deployer/wp-cli.phar";
+
+const UNPACK_SCRIPT = path.join(
+  __dirname,
+  "../../deploy-scripts/unpack-core.php"
+);
+
+// A template restore can take a long time on a slow host
+const COMMAND_TIMEOUT_MS = 30 * 60 * 1000;
+
+const PLUGIN_ARCHIVES = [
+  "wp-content/plugins/all-in-one-wp-migration.zip",
+  "wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip",
+];
+
+const installError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Returns how a job's site is installed.
+ * @param {object} jobData - Job data
+ * @returns {string} - One of INSTALL_MODES
+ */
+const getInstallMode = (jobData) => jobData.installMode || DEFAULT_INSTALL_MODE;
+
+/**
+ * Quotes a value for a POSIX shell.
+ * @param {string} value - Argument
+ * @returns {string} - The argument in single quotes
+ */
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+/**
+ * The template placeholders replaced with the job's details, as install.php
+ * replaces them.
+ * @param {object} jobData - Job data
+ * @returns {object[]} - { search, replace, label, regex }
+ */
+const getReplacements = (jobData) => [
+  {
+    search: "4425 Madisonville Rd, Hopkinsville, KY 42240",
+    replace: jobData.address,
+    label: "Address",
+  },
+  { search: "+1 (719) 319-8181", replace: jobData.phone, label: "Phone" },
+  {
+    search: `support@${jobData.domain}`,
+    replace: jobData.email,
+    label: "Email",
+  },
+  {
+    search: "winmill-equipment.com",
+    replace: jobData.domain,
+    label: "Domain",
+  },
+  ...["Winmill Equipment", "WINMILL EQUIPMENT", "winmill equipment"].map(
+    (search) => ({
+      search,
+      replace: jobData.title,
+      label: "Title/Brand",
+      regex: true,
+    })
+  ),
+];
+
+/**
+ * Throws unless the credential's transport can also run commands.
+ * @param {object} config - Connection settings from getTransportConfig
+ */
+function assertSshTransport(config) {
+  if (config.protocol !== "sftp") {
+    throw installError(
+      "Installing over SSH needs a credential that uploads over SFTP",
+      "SSH_REQUIRED"
+    );
+  }
+}
+
+/**
+ * Opens an SSH connection with the credential's SFTP login.
+ * @param {object} config - Connection settings from getTransportConfig
+ * @returns {Promise<object>} - Connected ssh2 client
+ */
+function connectSsh(config) {
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+    conn
+      .on("ready", () => resolve(conn))
+      .on("error", reject)
+      .connect({
+        host: config.host,
+        port: config.port,
+        username: config.user,
+        password: config.privateKey ? undefined : config.pass,
+        privateKey: config.privateKey,
+        passphrase: config.passphrase,
+        readyTimeout: 20000,
+      });
+  });
+}
+
+/**
+ * Hands each complete line of a stream's output to a callback.
+ * @param {Function} onLine - Called with every non-empty line
+ * @returns {object} - { write(chunk), flush() }
+ */
+function splitLines(onLine) {
+  let pending = "";
+  const emit = (line) => {
+    if (line.trim()) {
+      onLine(line.trimEnd());
+    }
+  };
+  return {
+    write: (chunk) => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(emit);
+    },
+    flush: () => {
+      emit(pending);
+      pending = "";
+    },
+  };
+}
+
+/**
+ * Runs a command on the host, logging its output line by line as it
+ * arrives: stdout as info, stderr as warnings.
+ * @param {object} conn - Connected ssh2 client
+ * @param {string} command - Shell command
+ * @param {object} [options]
+ * @param {string} [options.label] - What the command does, for errors
+ * @param {string} [options.stdin] - Written to the command's input
+ * @param {object} [options.logger] - Logger for the output
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @returns {Promise<string>} - The command's stdout
+ */
+function runRemoteCommand(conn, command, options = {}) {
+  const {
+    label = command,
+    stdin = "",
+    logger = consoleLogger,
+    timeout = COMMAND_TIMEOUT_MS,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    conn.exec(command, (error, stream) => {
+      if (error) {
+        return reject(error);
+      }
+      let stdout = "";
+      let lastError = "";
+      const out = splitLines((line) => logger.info(line));
+      const err = splitLines((line) => {
+        lastError = line;
+        logger.warn(line);
+      });
+      const timer = setTimeout(() => {
+        stream.close();
+        reject(
+          installError(
+            `${label} did not finish within ${Math.round(timeout / 1000)}s`,
+            "REMOTE_COMMAND_TIMEOUT"
+          )
+        );
+      }, timeout);
+
+      stream.on("data", (chunk) => {
+        stdout += chunk;
+        out.write(chunk.toString("utf8"));
+      });
+      stream.stderr.on("data", (chunk) => err.write(chunk.toString("utf8")));
+      stream.on("close", (code, signal) => {
+        clearTimeout(timer);
+        out.flush();
+        err.flush();
+        if (code === 0) {
+          return resolve(stdout);
+        }
+        reject(
+          installError(
+            `${label} failed (${
+              signal ? `signal ${signal}` : `exit code ${code}`
+            })${lastError ? `: ${lastError}` : ""}`,
+            "REMOTE_COMMAND_FAILED"
+          )
+        );
+      });
+      stream.end(stdin);
+    });
+  });
+}
+
+/**
+ * Finds WP-CLI on the host: wp on the PATH, or the phar in the deployer's
+ * directory, downloaded there with curl the first time.
+ * @param {Function} run - Runs a command in the login directory
+ * @param {string} home - Login directory
+ * @param {object} log - Logger
+ * @returns {Promise<string>} - Command that starts WP-CLI
+ */
+async function findWpCli(run, home, log) {
+  const onPath = (
+    await run("command -v wp || true", { label: "Looking up WP-CLI" })
+  ).trim();
+  if (onPath) {
+    log.info(`🧰 Using WP-CLI at ${onPath}`);
+    return "wp";
+  }
+
+  const phar = path.posix.join(home, WP_CLI_PHAR);
+  await run(
+    `test -f ${shellQuote(phar)} || { mkdir -p ${shellQuote(
+      path.posix.dirname(phar)
+    )} && curl -fsSL -o ${shellQuote(phar)} ${shellQuote(WP_CLI_URL)}; }`,
+    { label: "Downloading WP-CLI" }
+  );
+  log.info(`🧰 Using WP-CLI from ${phar}`);
+  return `php ${shellQuote(phar)}`;
+}
+
+/**
+ * Installs WordPress on a host over SSH, doing what install.php does: core
+ * install, plugin activation, the template restore (or theme activation),
+ * the logo and the search & replace, each as a WP-CLI command whose output
+ * goes to the job log. Neither install.php nor job-info.json is uploaded
+ * for these jobs, so nothing is left in the web root to run again.
+ * @param {object} config - Connection settings from getTransportConfig;
+ *   the SFTP login must also be allowed a shell
+ * @param {object} jobData - Job data with the documentRoot the files were
+ *   uploaded to
+ * @param {object} [logger] - Logger for progress messages and output
+ * @returns {Promise<object>} - { username, password } of the admin user
+ */
+async function installOverSsh(config, jobData, logger = consoleLogger) {
+  assertSshTransport(config);
+
+  const conn = await connectSsh(config);
+  try {
+    const run = (command, options = {}) => {
+      logger.debug(`$ ${command}`);
+      return runRemoteCommand(conn, command, { logger, ...options });
+    };
+
+    // Upload paths are relative to the login directory, as over SFTP
+    const home = (await run("pwd", { label: "Locating the home directory" }))
+      .trim()
+      .split("\n")
+      .pop();
+    const docroot = path.posix.join(
+      home,
+      jobData.documentRoot || DEFAULT_REMOTE_PATH
+    );
+    const inSite = (command, options) =>
+      run(`cd ${shellQuote(docroot)} && ${command}`, options);
+
+    const wp = await findWpCli(run, home, logger);
+
+    logger.info("📦 Unpacking WordPress core...");
+    await inSite("php -- wordpress.zip", {
+      label: "Unpacking WordPress core",
+      stdin: fs.readFileSync(UNPACK_SCRIPT, "utf8"),
+    });
+
+    // The password only ever goes through stdin, never a command line
+    const admin = {
+      username: `admin-${crypto.randomBytes(4).toString("hex")}`,
+      password: generateStrongPassword(),
+    };
+    const locale = jobData.wpLocale || DEFAULT_LOCALE;
+    logger.info("⚙️ Performing WordPress core installation...");
+    await inSite(
+      [
+        `${wp} core install`,
+        `--url=${shellQuote(`https://${jobData.domain}`)}`,
+        `--title=${shellQuote(jobData.title || jobData.domain)}`,
+        `--admin_user=${shellQuote(admin.username)}`,
+        `--admin_email=${shellQuote(jobData.email)}`,
+        locale === DEFAULT_LOCALE ? null : `--locale=${shellQuote(locale)}`,
+        "--skip-email --prompt=admin_password",
+      ]
+        .filter(Boolean)
+        .join(" "),
+      { label: "WordPress core install", stdin: `${admin.password}\n` }
+    );
+
+    logger.info("🔌 Activating All-in-One WP Migration...");
+    const plugins = PLUGIN_ARCHIVES.map(shellQuote).join(" ");
+    await inSite(
+      `${wp} plugin install ${plugins} --activate --force && rm -f ${plugins}`,
+      { label: "Plugin activation" }
+    );
+
+    if (getTemplateType(jobData.template) === "custom") {
+      logger.info("📥 Restoring the template with All-in-One WP Migration...");
+      await inSite(
+        "mkdir -p wp-content/ai1wm-backups && mv -f template.wpress wp-content/ai1wm-backups/template.wpress && " +
+          `${wp} ai1wm restore template.wpress --yes && rm -f wp-content/ai1wm-backups/template.wpress`,
+        { label: "Template restore" }
+      );
+      // The restore replaces the users with the template's
+      await inSite(
+        `${wp} user get ${shellQuote(admin.username)} --field=ID || ` +
+          `${wp} user create ${shellQuote(admin.username)} ${shellQuote(
+            jobData.email
+          )} --role=administrator --prompt=user_pass`,
+        { label: "Admin user", stdin: `${admin.password}\n` }
+      );
+    } else {
+      logger.info(`🎨 Activating theme ${jobData.template}...`);
+      const theme = shellQuote(`wp-content/themes/${jobData.template}.zip`);
+      await inSite(
+        `${wp} theme install ${theme} --activate --force && rm -f ${theme}`,
+        { label: "Theme activation" }
+      );
+    }
+
+    logger.info("🖼️ Setting the site logo...");
+    const logoId = (
+      await inSite(
+        `${wp} media import ${shellQuote(
+          `wp-content/uploads/${jobData.logo}`
+        )} --title='Site Logo' --porcelain`,
+        { label: "Logo import" }
+      )
+    ).trim();
+    if (!/^\d+$/.test(logoId)) {
+      throw installError(
+        `Logo import returned no attachment ID: ${logoId}`,
+        "REMOTE_COMMAND_FAILED"
+      );
+    }
+    await inSite(`${wp} theme mod set custom_logo ${logoId}`, {
+      label: "Logo update",
+    });
+
+    logger.info("🔁 Running search & replace for site personalization...");
+    for (const { search, replace, label, regex } of getReplacements(jobData)) {
+      if (!search || !replace) {
+        continue;
+      }
+      logger.info(`Replacing ${label}`);
+      await inSite(
+        `${wp} search-replace ${shellQuote(search)} ${shellQuote(
+          replace
+        )} --skip-columns=guid --report-changed-only${regex ? " --regex" : ""}`,
+        { label: `Search & replace of ${label}` }
+      );
+    }
+
+    logger.info(`✅ WordPress installed on https://${jobData.domain}/`);
+    return admin;
+  } finally {
+    conn.end();
+  }
+}
+
+module.exports = {
+  INSTALL_MODES,
+  WP_CLI_PHAR,
+  getInstallMode,
+  assertSshTransport,
+  connectSsh,
+  runRemoteCommand,
+  shellQuote,
+  installOverSsh,
+};
@@ -0,0 +1,80 @@
+const path = require("path");
+const { createJsonStorage } = require("./jsonStorage");
+const { importJsonStorage, syncTemplateFiles } = require("./jsonImporter");
+
+let storage = null;
+
+// Directories of the original one-file-per-record layout
+const getJobsPath = () => path.join(__dirname, "../../../jobs");
+const getCredentialsPath = () => path.join(__dirname, "../../../credentials");
+const getTemplatesPath = () => path.join(__dirname, "../../templates");
+
+// Downloaded WordPress core, plugin and theme archives
+const getArtifactCachePath = () =>
+  process.env.ARTIFACT_CACHE_DIR ||
+  path.join(__dirname, "../../../data/artifacts");
+
+// Sites found in a document root and archived before a deploy replaced them
+const getBackupsPath = () =>
+  process.env.BACKUP_DIR || path.join(__dirname, "../../../data/backups");
+
+const getDatabasePath = () =>
+  process.env.SQLITE_PATH || path.join(__dirname, "../../../data/deployer.db");
+
+/**
+ * Storage for jobs, job logs, credentials, template metadata, the
+ * artifact cache index and the audit log, chosen by STORAGE_DRIVER:
+ * "sqlite" (default) or "json".
+ * @returns {object} - Storage implementation.
+ */
+function getStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const driver = process.env.STORAGE_DRIVER || "sqlite";
+  if (driver === "sqlite") {
+    // Loaded lazily so the JSON driver works without the native module
+    const { createSqliteStorage } = require("./sqliteStorage");
+    storage = createSqliteStorage(getDatabasePath());
+  } else if (driver === "json") {
+    storage = createJsonStorage({
+      jobsPath: getJobsPath(),
+      credentialsPath: getCredentialsPath(),
+      templatesPath: getTemplatesPath(),
+      artifactsPath: getArtifactCachePath(),
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  return storage;
+}
+
+/**
+ * Opens the storage and brings it up to date: records from the JSON
+ * directories are imported into a new database, and template metadata
+ * is synced with the files in the templates directory.
+ * @returns {object} - { storage, imported, templates }.
+ */
+function initStorage() {
+  const opened = getStorage();
+  const imported = importJsonStorage(opened, {
+    jobsPath: getJobsPath(),
+    credentialsPath: getCredentialsPath(),
+    templatesPath: getTemplatesPath(),
+    artifactsPath: getArtifactCachePath(),
+  });
+  const templates = syncTemplateFiles(opened, getTemplatesPath());
+  return { storage: opened, imported, templates };
+}
+
+module.exports = {
+  getStorage,
+  initStorage,
+  getJobsPath,
+  getCredentialsPath,
+  getTemplatesPath,
+  getArtifactCachePath,
+  getBackupsPath,
+};
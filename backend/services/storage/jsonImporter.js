@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const { createJsonStorage } = require("./jsonStorage");
+
+// Meta key recording that the JSON directories were imported
+const IMPORT_KEY = "json-import";
+
+/**
+ * Copies jobs (with their logs), credentials and the audit log from the
+ * one-file-per-record directories into the database, once. The files are
+ * left in place.
+ * @param {object} storage - Target storage (must be the SQLite driver).
+ * @param {object} paths - { jobsPath, credentialsPath, templatesPath, artifactsPath }.
+ * @returns {object|null} - Import counts, or null if already imported.
+ */
+function importJsonStorage(storage, paths) {
+  if (storage.driver !== "sqlite" || storage.getMeta(IMPORT_KEY)) {
+    return null;
+  }
+
+  const source = createJsonStorage(paths);
+  const jobs = source.listJobs();
+  const credentials = source.listCredentials();
+  const summary = {
+    importedAt: new Date().toISOString(),
+    jobs: jobs.length,
+    credentials: credentials.length,
+  };
+
+  storage.transaction(() => {
+    jobs.forEach((jobData) => {
+      storage.saveJob(jobData);
+      source
+        .readJobLog(jobData.id)
+        .forEach((entry) => storage.appendJobLog(jobData.id, entry));
+    });
+    credentials.forEach((record) => storage.saveCredential(record));
+    source
+      .listAuditRecords()
+      .forEach((record) => storage.saveAuditRecord(record));
+    storage.setMeta(IMPORT_KEY, summary);
+  });
+
+  return summary;
+}
+
+/**
+ * Brings template metadata in line with the .wpress files on disk:
+ * files copied in by hand are registered, records of deleted files dropped.
+ * @param {object} storage - Storage.
+ * @param {string} templatesPath - Templates directory.
+ * @returns {object} - { added, removed }.
+ */
+function syncTemplateFiles(storage, templatesPath) {
+  const files = fs.existsSync(templatesPath)
+    ? fs.readdirSync(templatesPath).filter((file) => file.endsWith(".wpress"))
+    : [];
+  const known = storage.listTemplates();
+  let added = 0;
+  let removed = 0;
+
+  storage.transaction(() => {
+    files
+      .filter((file) => !known.some((template) => template.filename === file))
+      .forEach((file) => {
+        const stats = fs.statSync(path.join(templatesPath, file));
+        storage.saveTemplate({
+          id: file.replace(".wpress", ""),
+          filename: file,
+          size: stats.size,
+          uploadedAt: stats.mtime.toISOString(),
+          uploadedBy: null,
+        });
+        added++;
+      });
+
+    known
+      .filter((template) => !files.includes(template.filename))
+      .forEach((template) => {
+        storage.deleteTemplate(template.id);
+        removed++;
+      });
+  });
+
+  return { added, removed };
+}
+
+module.exports = { importJsonStorage, syncTemplateFiles };
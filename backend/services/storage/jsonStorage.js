@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+
+const getFile = (dir, id, extension = ".json") =>
+  path.join(dir, `${path.basename(String(id))}${extension}`);
+
+/**
+ * Reads a JSON file, or returns null if it does not exist.
+ * @param {string} filePath - File path.
+ * @returns {object|null} - Parsed JSON.
+ */
+function readJson(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath)) : null;
+}
+
+/**
+ * Writes a JSON file atomically so a crash never leaves half a record.
+ * @param {string} filePath - Destination path.
+ * @param {object} data - JSON data.
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Reads every JSON record in a directory. Files that do not parse are
+ * skipped with a warning instead of failing the whole listing.
+ * @param {string} dir - Directory.
+ * @returns {object[]} - Records.
+ */
+function readJsonDir(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .flatMap((file) => {
+      try {
+        return [JSON.parse(fs.readFileSync(path.join(dir, file)))];
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable record ${file}:`, error.message);
+        return [];
+      }
+    });
+}
+
+const removeFile = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+/**
+ * Storage that keeps one JSON file per job and credential, the original
+ * on-disk layout. Transactions only group calls; they are not atomic.
+ * @param {object} paths - { jobsPath, credentialsPath, templatesPath, artifactsPath }.
+ * @returns {object} - Storage implementation.
+ */
+function createJsonStorage({
+  jobsPath,
+  credentialsPath,
+  templatesPath,
+  artifactsPath,
+}) {
+  const templatesFile = path.join(templatesPath, "templates.json");
+  const readTemplates = () => readJson(templatesFile) || [];
+  const artifactsFile = path.join(artifactsPath, "artifacts.json");
+  const readArtifacts = () => readJson(artifactsFile) || [];
+  // Append-only, next to the jobs it describes; records outlive the jobs
+  const auditFile = path.join(jobsPath, "audit.jsonl");
+
+  return {
+    driver: "json",
+    location: path.dirname(jobsPath),
+    transaction: (fn) => fn(),
+
+    getJob: (jobId) => readJson(getFile(jobsPath, jobId)),
+
+    saveJob: (jobData) => {
+      writeJsonAtomic(getFile(jobsPath, jobData.id), jobData);
+      return jobData;
+    },
+
+    listJobs: ({ status, domain } = {}) =>
+      readJsonDir(jobsPath)
+        .filter(
+          (jobData) =>
+            (!status || jobData.status === status) &&
+            (!domain || jobData.domain === domain)
+        )
+        .sort((a, b) => String(b.timestamp).localeCompare(a.timestamp)),
+
+    deleteJob: (jobId) => {
+      removeFile(getFile(jobsPath, jobId, ".log.jsonl"));
+      return removeFile(getFile(jobsPath, jobId));
+    },
+
+    // Structured deployment log, one JSON event per line, next to the job
+    appendJobLog: (jobId, entry) => {
+      fs.mkdirSync(jobsPath, { recursive: true });
+      fs.appendFileSync(
+        getFile(jobsPath, jobId, ".log.jsonl"),
+        `${JSON.stringify(entry)}\n`
+      );
+    },
+
+    // A line cut short by a crash is skipped
+    readJobLog: (jobId) => {
+      const logFile = getFile(jobsPath, jobId, ".log.jsonl");
+      if (!fs.existsSync(logFile)) {
+        return [];
+      }
+      return fs
+        .readFileSync(logFile, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch (error) {
+            return [];
+          }
+        });
+    },
+
+    getCredential: (credentialId) =>
+      readJson(getFile(credentialsPath, credentialId)),
+
+    saveCredential: (record) => {
+      writeJsonAtomic(getFile(credentialsPath, record.id), record);
+      return record;
+    },
+
+    listCredentials: () => readJsonDir(credentialsPath),
+
+    deleteCredential: (credentialId) =>
+      removeFile(getFile(credentialsPath, credentialId)),
+
+    getTemplate: (templateId) =>
+      readTemplates().find((template) => template.id === templateId) || null,
+
+    saveTemplate: (template) => {
+      const templates = readTemplates().filter(
+        (other) => other.id !== template.id
+      );
+      writeJsonAtomic(templatesFile, [...templates, template]);
+      return template;
+    },
+
+    listTemplates: readTemplates,
+
+    deleteTemplate: (templateId) => {
+      const templates = readTemplates();
+      const remaining = templates.filter(
+        (template) => template.id !== templateId
+      );
+      writeJsonAtomic(templatesFile, remaining);
+      return remaining.length < templates.length;
+    },
+
+    getArtifact: (key) =>
+      readArtifacts().find((artifact) => artifact.key === key) || null,
+
+    saveArtifact: (artifact) => {
+      const artifacts = readArtifacts().filter(
+        (other) => other.key !== artifact.key
+      );
+      writeJsonAtomic(artifactsFile, [...artifacts, artifact]);
+      return artifact;
+    },
+
+    listArtifacts: () =>
+      readArtifacts().sort((a, b) =>
+        String(b.lastUsedAt).localeCompare(a.lastUsedAt)
+      ),
+
+    deleteArtifact: (key) => {
+      const artifacts = readArtifacts();
+      const remaining = artifacts.filter((artifact) => artifact.key !== key);
+      writeJsonAtomic(artifactsFile, remaining);
+      return remaining.length < artifacts.length;
+    },
+
+    saveAuditRecord: (record) => {
+      fs.mkdirSync(jobsPath, { recursive: true });
+      fs.appendFileSync(auditFile, `${JSON.stringify(record)}\n`);
+      return record;
+    },
+
+    listAuditRecords: ({ jobId, action } = {}) => {
+      if (!fs.existsSync(auditFile)) {
+        return [];
+      }
+      return fs
+        .readFileSync(auditFile, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .filter(
+          (record) =>
+            (!jobId || record.jobId === jobId) &&
+            (!action || record.action === action)
+        )
+        .sort((a, b) => String(b.at).localeCompare(a.at));
+    },
+
+    close: () => {},
+  };
+}
+
+module.exports = { createJsonStorage };
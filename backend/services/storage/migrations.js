@@ -0,0 +1,68 @@
+// SQLite schema migrations. Each entry runs once, in order, inside a
+// transaction; the number applied is kept in PRAGMA user_version.
+// Never edit a migration that has shipped - append a new one instead.
+const migrations = [
+  `
+  CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    domain TEXT,
+    status TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_jobs_domain ON jobs (domain);
+  CREATE INDEX idx_jobs_status ON jobs (status);
+  CREATE INDEX idx_jobs_timestamp ON jobs (timestamp);
+
+  CREATE TABLE job_logs (
+    job_id TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (job_id, id)
+  );
+
+  CREATE TABLE credentials (
+    id TEXT PRIMARY KEY,
+    username TEXT,
+    host TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE templates (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    size INTEGER,
+    uploaded_at TEXT,
+    uploaded_by TEXT
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  CREATE TABLE artifacts (
+    key TEXT PRIMARY KEY,
+    sha256 TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    last_used_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_artifacts_sha256 ON artifacts (sha256);
+  CREATE INDEX idx_artifacts_last_used_at ON artifacts (last_used_at);
+  `,
+  `
+  CREATE TABLE audit_log (
+    id TEXT PRIMARY KEY,
+    action TEXT NOT NULL,
+    job_id TEXT,
+    at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_audit_log_job_id ON audit_log (job_id);
+  CREATE INDEX idx_audit_log_at ON audit_log (at);
+  `,
+];
+
+module.exports = { migrations };
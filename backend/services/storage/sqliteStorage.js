@@ -0,0 +1,272 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { migrations } = require("./migrations");
+
+/**
+ * Applies the migrations the database has not seen yet.
+ * @param {object} db - better-sqlite3 database.
+ */
+function migrate(db) {
+  const applied = db.pragma("user_version", { simple: true });
+
+  migrations.slice(applied).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${applied + index + 1}`);
+    })();
+  });
+}
+
+const parseData = (row) => (row ? JSON.parse(row.data) : null);
+
+const toTemplate = (row) =>
+  row
+    ? {
+        id: row.id,
+        filename: row.filename,
+        size: row.size,
+        uploadedAt: row.uploaded_at,
+        uploadedBy: row.uploaded_by,
+      }
+    : null;
+
+/**
+ * Storage backed by an embedded SQLite database. Records are kept as JSON
+ * with the columns used for lookups and sorting split out and indexed.
+ * @param {string} dbPath - Database file.
+ * @returns {object} - Storage implementation.
+ */
+function createSqliteStorage(dbPath) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  migrate(db);
+
+  const statements = {
+    getJob: db.prepare("SELECT data FROM jobs WHERE id = ?"),
+    saveJob: db.prepare(
+      `INSERT INTO jobs (id, domain, status, timestamp, data)
+       VALUES (@id, @domain, @status, @timestamp, @data)
+       ON CONFLICT (id) DO UPDATE SET
+         domain = excluded.domain,
+         status = excluded.status,
+         timestamp = excluded.timestamp,
+         data = excluded.data`
+    ),
+    deleteJob: db.prepare("DELETE FROM jobs WHERE id = ?"),
+    appendJobLog: db.prepare(
+      "INSERT INTO job_logs (job_id, id, entry) VALUES (?, ?, ?)"
+    ),
+    readJobLog: db.prepare(
+      "SELECT entry FROM job_logs WHERE job_id = ? ORDER BY id"
+    ),
+    deleteJobLog: db.prepare("DELETE FROM job_logs WHERE job_id = ?"),
+    getCredential: db.prepare("SELECT data FROM credentials WHERE id = ?"),
+    saveCredential: db.prepare(
+      `INSERT INTO credentials (id, username, host, data)
+       VALUES (@id, @username, @host, @data)
+       ON CONFLICT (id) DO UPDATE SET
+         username = excluded.username,
+         host = excluded.host,
+         data = excluded.data`
+    ),
+    listCredentials: db.prepare("SELECT data FROM credentials ORDER BY rowid"),
+    deleteCredential: db.prepare("DELETE FROM credentials WHERE id = ?"),
+    getTemplate: db.prepare("SELECT * FROM templates WHERE id = ?"),
+    saveTemplate: db.prepare(
+      `INSERT INTO templates (id, filename, size, uploaded_at, uploaded_by)
+       VALUES (@id, @filename, @size, @uploadedAt, @uploadedBy)
+       ON CONFLICT (id) DO UPDATE SET
+         filename = excluded.filename,
+         size = excluded.size,
+         uploaded_at = excluded.uploaded_at,
+         uploaded_by = excluded.uploaded_by`
+    ),
+    listTemplates: db.prepare("SELECT * FROM templates ORDER BY uploaded_at"),
+    deleteTemplate: db.prepare("DELETE FROM templates WHERE id = ?"),
+    getArtifact: db.prepare("SELECT data FROM artifacts WHERE key = ?"),
+    saveArtifact: db.prepare(
+      `INSERT INTO artifacts (key, sha256, size, last_used_at, data)
+       VALUES (@key, @sha256, @size, @lastUsedAt, @data)
+       ON CONFLICT (key) DO UPDATE SET
+         sha256 = excluded.sha256,
+         size = excluded.size,
+         last_used_at = excluded.last_used_at,
+         data = excluded.data`
+    ),
+    listArtifacts: db.prepare(
+      "SELECT data FROM artifacts ORDER BY last_used_at DESC"
+    ),
+    deleteArtifact: db.prepare("DELETE FROM artifacts WHERE key = ?"),
+    saveAuditRecord: db.prepare(
+      `INSERT INTO audit_log (id, action, job_id, at, data)
+       VALUES (@id, @action, @jobId, @at, @data)`
+    ),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare(
+      `INSERT INTO meta (key, value) VALUES (?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+    ),
+  };
+
+  const transaction = (fn) => db.transaction(fn)();
+
+  return {
+    driver: "sqlite",
+    location: dbPath,
+    transaction,
+
+    getJob: (jobId) => parseData(statements.getJob.get(String(jobId))),
+
+    saveJob: (jobData) => {
+      statements.saveJob.run({
+        id: jobData.id,
+        domain: jobData.domain || null,
+        status: jobData.status || null,
+        timestamp: jobData.timestamp || null,
+        data: JSON.stringify(jobData),
+      });
+      return jobData;
+    },
+
+    listJobs: ({ status, domain } = {}) => {
+      const conditions = [];
+      const params = {};
+      if (status) {
+        conditions.push("status = @status");
+        params.status = status;
+      }
+      if (domain) {
+        conditions.push("domain = @domain");
+        params.domain = domain;
+      }
+      const where = conditions.length
+        ? `WHERE ${conditions.join(" AND ")}`
+        : "";
+      return db
+        .prepare(`SELECT data FROM jobs ${where} ORDER BY timestamp DESC`)
+        .all(params)
+        .map(parseData);
+    },
+
+    deleteJob: (jobId) =>
+      transaction(() => {
+        statements.deleteJobLog.run(String(jobId));
+        return statements.deleteJob.run(String(jobId)).changes > 0;
+      }),
+
+    appendJobLog: (jobId, entry) => {
+      statements.appendJobLog.run(
+        String(jobId),
+        entry.id,
+        JSON.stringify(entry)
+      );
+    },
+
+    readJobLog: (jobId) =>
+      statements.readJobLog
+        .all(String(jobId))
+        .map((row) => JSON.parse(row.entry)),
+
+    getCredential: (credentialId) =>
+      parseData(statements.getCredential.get(String(credentialId))),
+
+    saveCredential: (record) => {
+      statements.saveCredential.run({
+        id: record.id,
+        username: record.username || null,
+        host: record.host || null,
+        data: JSON.stringify(record),
+      });
+      return record;
+    },
+
+    listCredentials: () => statements.listCredentials.all().map(parseData),
+
+    deleteCredential: (credentialId) =>
+      statements.deleteCredential.run(String(credentialId)).changes > 0,
+
+    getTemplate: (templateId) =>
+      toTemplate(statements.getTemplate.get(String(templateId))),
+
+    saveTemplate: (template) => {
+      statements.saveTemplate.run({
+        id: template.id,
+        filename: template.filename,
+        size: template.size || 0,
+        uploadedAt: template.uploadedAt || null,
+        uploadedBy: template.uploadedBy || null,
+      });
+      return template;
+    },
+
+    listTemplates: () => statements.listTemplates.all().map(toTemplate),
+
+    deleteTemplate: (templateId) =>
+      statements.deleteTemplate.run(String(templateId)).changes > 0,
+
+    getArtifact: (key) => parseData(statements.getArtifact.get(key)),
+
+    saveArtifact: (artifact) => {
+      statements.saveArtifact.run({
+        key: artifact.key,
+        sha256: artifact.sha256,
+        size: artifact.size,
+        lastUsedAt: artifact.lastUsedAt || null,
+        data: JSON.stringify(artifact),
+      });
+      return artifact;
+    },
+
+    listArtifacts: () => statements.listArtifacts.all().map(parseData),
+
+    deleteArtifact: (key) => statements.deleteArtifact.run(key).changes > 0,
+
+    saveAuditRecord: (record) => {
+      statements.saveAuditRecord.run({
+        id: record.id,
+        action: record.action,
+        jobId: record.jobId || null,
+        at: record.at,
+        data: JSON.stringify(record),
+      });
+      return record;
+    },
+
+    listAuditRecords: ({ jobId, action } = {}) => {
+      const conditions = [];
+      const params = {};
+      if (jobId) {
+        conditions.push("job_id = @jobId");
+        params.jobId = jobId;
+      }
+      if (action) {
+        conditions.push("action = @action");
+        params.action = action;
+      }
+      const where = conditions.length
+        ? `WHERE ${conditions.join(" AND ")}`
+        : "";
+      return db
+        .prepare(`SELECT data FROM audit_log ${where} ORDER BY at DESC`)
+        .all(params)
+        .map(parseData);
+    },
+
+    getMeta: (key) => {
+      const row = statements.getMeta.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    setMeta: (key, value) => {
+      statements.setMeta.run(key, JSON.stringify(value));
+    },
+
+    close: () => db.close(),
+  };
+}
+
+module.exports = { createSqliteStorage };
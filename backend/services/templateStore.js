@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const { getStorage, getTemplatesPath } = require("./storage");
+
+/**
+ * Lists metadata of the uploaded custom templates.
+ * @returns {object[]} - { id, filename, size, uploadedAt, uploadedBy }.
+ */
+function listTemplates() {
+  return getStorage().listTemplates();
+}
+
+/**
+ * Records an uploaded custom template.
+ * @param {object} template - { id, filename, size, uploadedAt, uploadedBy }.
+ * @returns {object} - The saved metadata.
+ */
+function saveTemplate(template) {
+  return getStorage().saveTemplate(template);
+}
+
+/**
+ * Deletes a custom template file and its metadata.
+ * @param {string} templateId - Template ID (file name without .wpress).
+ */
+function deleteTemplate(templateId) {
+  const template = getStorage().getTemplate(templateId);
+  const templatePath = path.join(
+    getTemplatesPath(),
+    template ? template.filename : `${path.basename(templateId)}.wpress`
+  );
+
+  if (!template && !fs.existsSync(templatePath)) {
+    throw new Error("Template not found");
+  }
+
+  getStorage().transaction(() => {
+    getStorage().deleteTemplate(templateId);
+    if (fs.existsSync(templatePath)) {
+      fs.unlinkSync(templatePath);
+    }
+  });
+}
+
+module.exports = {
+  getTemplatesPath,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,108 @@
+const { Transform } = require("stream");
+
+// Minimum time between progress reports while a file is transferring
+const PROGRESS_INTERVAL_MS = 1000;
+
+const percentOf = (bytes, total) =>
+  total ? Math.min(100, Math.floor((bytes / total) * 1000) / 10) : 100;
+
+/**
+ * Tracks byte progress across the files of one upload and reports it.
+ * Files already on the server, and the part of a resumed file that was
+ * sent before, count as done but not towards the transfer rate.
+ * @param {object} options - Tracker options
+ * @param {object[]} options.files - { label, remote, size } for every file
+ * @param {Function} options.onProgress - Receives each progress report
+ * @param {number} [options.interval] - Minimum ms between reports mid-file
+ * @returns {object} - { skip, start, advance, counter, complete }
+ */
+function createUploadProgress({
+  files,
+  onProgress,
+  interval = PROGRESS_INTERVAL_MS,
+}) {
+  const sizes = new Map(files.map((file) => [file.remote, file]));
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  let doneBytes = 0;
+  let doneFiles = 0;
+  let transferred = 0;
+  let startedAt = null;
+  let lastReport = 0;
+  let current = null;
+
+  const report = () => {
+    lastReport = Date.now();
+    const elapsed = startedAt ? (lastReport - startedAt) / 1000 : 0;
+    const rate = elapsed > 0 ? Math.round(transferred / elapsed) : 0;
+    const bytes = doneBytes + (current ? current.bytes : 0);
+
+    onProgress({
+      file: current && {
+        label: current.label,
+        remote: current.remote,
+        bytes: current.bytes,
+        size: current.size,
+        percent: percentOf(current.bytes, current.size),
+      },
+      overall: {
+        bytes,
+        total: totalBytes,
+        percent: percentOf(bytes, totalBytes),
+        files: doneFiles,
+        totalFiles: files.length,
+      },
+      rate,
+      eta: rate > 0 ? Math.round((totalBytes - bytes) / rate) : null,
+      updatedAt: new Date(lastReport).toISOString(),
+    });
+  };
+
+  const advance = (bytes) => {
+    current.bytes += bytes;
+    transferred += bytes;
+    if (Date.now() - lastReport >= interval) {
+      report();
+    }
+  };
+
+  return {
+    // The whole file is already on the server
+    skip: (remote) => {
+      doneBytes += sizes.get(remote).size;
+      doneFiles++;
+      current = null;
+      report();
+    },
+
+    // Starts (or restarts) sending a file from the given offset
+    start: (remote, offset = 0) => {
+      if (startedAt === null) {
+        startedAt = Date.now();
+      }
+      current = { ...sizes.get(remote), bytes: offset };
+      report();
+    },
+
+    advance,
+
+    // Passes a file's chunks through as the transport reads them, counting
+    // each. A "data" listener on the file instead would start it flowing
+    // before the data connection is open, and the first chunks would be lost
+    counter: () =>
+      new Transform({
+        transform(chunk, encoding, callback) {
+          advance(chunk.length);
+          callback(null, chunk);
+        },
+      }),
+
+    complete: () => {
+      doneBytes += current.size;
+      doneFiles++;
+      current = null;
+      report();
+    },
+  };
+}
+
+module.exports = { createUploadProgress };
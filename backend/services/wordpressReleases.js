@@ -0,0 +1,138 @@
+const {
+  isOfflineMode,
+  resolveMirrorArtifact,
+  getCoreSlug,
+  LOCALE_PATTERN,
+  DEFAULT_LOCALE,
+} = require("./artifactMirror");
+
+const VERSION_CHECK_URL = "https://api.wordpress.org/core/version-check/1.7/";
+const STABLE_CHECK_URL = "https://api.wordpress.org/core/stable-check/1.0/";
+const TRANSLATIONS_URL = "https://api.wordpress.org/translations/core/1.0/";
+
+// Release numbers as wordpress.org publishes them: 6.5, 6.5.2
+const VERSION_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+
+const releaseError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fetches JSON from the wordpress.org API. A failed lookup is an error,
+ * never a guess.
+ * @param {string} url - API URL
+ * @param {string} what - What is being looked up, for the error message
+ * @returns {Promise<object>}
+ */
+async function fetchJson(url, what) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    throw releaseError(
+      `Could not look up ${what} on wordpress.org: ${error.message}`,
+      "RELEASE_LOOKUP_FAILED"
+    );
+  }
+}
+
+const getDownloadLink = (version, locale) =>
+  locale === DEFAULT_LOCALE
+    ? `https://wordpress.org/wordpress-${version}.zip`
+    : `https://downloads.wordpress.org/release/${locale}/wordpress-${version}.zip`;
+
+/**
+ * Looks up a WordPress core release on wordpress.org.
+ * @param {object} [release] - { version, locale }; a missing version or
+ *   "latest" resolves to the current release
+ * @returns {Promise<object>} - { version, locale, downloadLink, checksumUrl }
+ */
+async function getCoreRelease({ version, locale = DEFAULT_LOCALE } = {}) {
+  if (!version || version === "latest") {
+    const data = await fetchJson(
+      `${VERSION_CHECK_URL}?locale=${encodeURIComponent(locale)}`,
+      "the latest WordPress release"
+    );
+    const offer = (data.offers || []).find(
+      (o) => o.response === "upgrade" && o.locale === locale
+    );
+    if (!offer) {
+      throw releaseError(
+        `No current WordPress release is available in ${locale}`,
+        "INVALID_RELEASE"
+      );
+    }
+    version = offer.version;
+  }
+  const downloadLink = getDownloadLink(version, locale);
+  // wordpress.org publishes a SHA-1 next to every release archive
+  return { version, locale, downloadLink, checksumUrl: `${downloadLink}.sha1` };
+}
+
+/**
+ * Checks that a WordPress version and locale requested for a job exist:
+ * against wordpress.org, or against the mirror in offline mode.
+ * @param {object} [release] - { version, locale }, both optional
+ * @returns {Promise<object>} - { version, locale }; version stays null when
+ *   none was requested, so the job deploys the release current at upload
+ */
+async function validateCoreRelease({ version, locale } = {}) {
+  version = version && version !== "latest" ? String(version) : null;
+  locale = locale ? String(locale) : DEFAULT_LOCALE;
+
+  if (version && !VERSION_PATTERN.test(version)) {
+    throw releaseError(
+      `Invalid WordPress version: ${version}`,
+      "INVALID_RELEASE"
+    );
+  }
+  if (!LOCALE_PATTERN.test(locale)) {
+    throw releaseError(`Invalid locale: ${locale}`, "INVALID_RELEASE");
+  }
+
+  if (isOfflineMode()) {
+    try {
+      resolveMirrorArtifact({
+        kind: "core",
+        slug: getCoreSlug(locale),
+        version: version || "latest",
+      });
+    } catch (error) {
+      throw releaseError(error.message, "INVALID_RELEASE");
+    }
+    return { version, locale };
+  }
+
+  if (version) {
+    const releases = await fetchJson(STABLE_CHECK_URL, "WordPress releases");
+    if (!releases[version]) {
+      throw releaseError(
+        `WordPress ${version} is not a published release`,
+        "INVALID_RELEASE"
+      );
+    }
+  }
+
+  if (locale !== DEFAULT_LOCALE) {
+    const target = version || (await getCoreRelease({ locale })).version;
+    const data = await fetchJson(
+      `${TRANSLATIONS_URL}?version=${encodeURIComponent(target)}`,
+      `WordPress ${target} translations`
+    );
+    if (!(data.translations || []).some((t) => t.language === locale)) {
+      throw releaseError(
+        `WordPress ${target} is not available in ${locale}`,
+        "INVALID_RELEASE"
+      );
+    }
+  }
+
+  return { version, locale };
+}
+
+module.exports = { getCoreRelease, validateCoreRelease };
@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Room for two of the 400-byte artifacts below, not three
+const MAX_BYTES = 1000;
+
+let dataDir;
+let cache;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-cache-"));
+  Object.assign(process.env, {
+    SQLITE_PATH: path.join(dataDir, "deployer.db"),
+    ARTIFACT_CACHE_DIR: path.join(dataDir, "artifacts"),
+    ARTIFACT_CACHE_MAX_MB: String(MAX_BYTES / (1024 * 1024)),
+  });
+  cache = require("../services/artifactCache");
+});
+
+after(() => {
+  require("../services/storage").getStorage().close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const sha256 = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+/**
+ * Fetches a plugin through the cache, "downloading" the given content.
+ * Each call is a little later than the one before, so their last use is
+ * ordered.
+ * @param {string} slug - Plugin slug
+ * @param {string} content - File content
+ * @returns {Promise<object>} - What getArtifact returns
+ */
+const fetchPlugin = async (slug, content) => {
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  return cache.getArtifact(
+    {
+      kind: "plugin",
+      slug,
+      version: "1.0",
+      url: `https://example.com/${slug}`,
+    },
+    async (destPath) => fs.writeFileSync(destPath, content)
+  );
+};
+
+const cachedSlugs = () =>
+  cache
+    .listArtifacts()
+    .artifacts.map((artifact) => artifact.slug)
+    .sort();
+
+test("evicts the least recently used artifacts an upload is not using", async () => {
+  const content = {
+    alpha: "a".repeat(400),
+    beta: "b".repeat(400),
+    gamma: "c".repeat(400),
+    epsilon: "e".repeat(400),
+  };
+
+  // alpha is the oldest, but an upload is still using it
+  const alpha = await fetchPlugin("alpha", content.alpha);
+  (await fetchPlugin("beta", content.beta)).release();
+  (await fetchPlugin("gamma", content.gamma)).release();
+  assert.deepEqual(cachedSlugs(), ["alpha", "gamma"]);
+
+  // Blobs are stored by content hash; beta's went with its last entry
+  const blobsPath = path.join(dataDir, "artifacts/blobs");
+  assert.deepEqual(
+    fs.readdirSync(blobsPath).sort(),
+    [sha256(content.alpha), sha256(content.gamma)].sort()
+  );
+  assert.equal(alpha.path, path.join(blobsPath, sha256(content.alpha)));
+  assert.equal(alpha.sha256, sha256(content.alpha));
+  assert.equal(fs.readFileSync(alpha.path, "utf8"), content.alpha);
+
+  // The same content under another key shares the blob and its bytes
+  const delta = await fetchPlugin("delta", content.gamma);
+  delta.release();
+  assert.equal(delta.path, path.join(blobsPath, sha256(content.gamma)));
+  const listing = cache.listArtifacts();
+  assert.equal(listing.totalBytes, 800);
+  assert.equal(listing.maxBytes, MAX_BYTES);
+  assert.deepEqual(
+    listing.artifacts
+      .filter((artifact) => artifact.inUse)
+      .map((artifact) => artifact.slug),
+    ["alpha"]
+  );
+
+  // Once released, alpha is the first to go
+  alpha.release();
+  (await fetchPlugin("epsilon", content.epsilon)).release();
+  assert.deepEqual(cachedSlugs(), ["delta", "epsilon", "gamma"]);
+  assert.ok(!fs.existsSync(alpha.path));
+
+  // A hit is served from the cache and counted
+  const hit = await fetchPlugin("gamma", "never downloaded");
+  hit.release();
+  assert.equal(hit.cached, true);
+  assert.equal(fs.readFileSync(hit.path, "utf8"), content.gamma);
+});
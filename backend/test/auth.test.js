@@ -0,0 +1,141 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let usersDir;
+let auth;
+
+before(() => {
+  usersDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-users-"));
+  process.env.USERS_DIR = usersDir;
+  auth = require("../services/auth");
+});
+
+after(() => {
+  fs.rmSync(usersDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs a middleware against a request and records how it answered.
+ * @param {Function} middleware - Express middleware
+ * @param {object} req - Request fields the middleware reads; it may set
+ *   req.user
+ * @returns {object} - { next, status, body }; next is true when it passed
+ */
+const run = (middleware, req) => {
+  const result = { next: false, status: null, body: null };
+  const res = {
+    status: (code) => {
+      result.status = code;
+      return res;
+    },
+    json: (body) => {
+      result.body = body;
+      return res;
+    },
+  };
+  req.headers = req.headers || {};
+  middleware(req, res, () => {
+    result.next = true;
+  });
+  return result;
+};
+
+test("lets each role through routes that need it or a lower one", () => {
+  // Rows: the caller's role; columns: the role the route requires
+  const expected = {
+    viewer: { viewer: true, operator: false, admin: false },
+    operator: { viewer: true, operator: true, admin: false },
+    admin: { viewer: true, operator: true, admin: true },
+  };
+  for (const role of auth.ROLES) {
+    for (const required of auth.ROLES) {
+      const result = run(auth.requireRole(required), { user: { role } });
+      assert.equal(
+        result.next,
+        expected[role][required],
+        `${role} on ${required}`
+      );
+      if (!result.next) {
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, {
+          error: "Insufficient permissions",
+          required,
+          role,
+        });
+      }
+    }
+  }
+
+  const anonymous = run(auth.requireRole("viewer"), {});
+  assert.equal(anonymous.next, false);
+  assert.equal(anonymous.status, 401);
+  const unknown = run(auth.requireRole("viewer"), { user: { role: "guest" } });
+  assert.equal(unknown.status, 403);
+});
+
+test("authenticates sessions until they are logged out", () => {
+  const user = auth.createUser({
+    username: "operator",
+    password: "operator-password",
+    role: "operator",
+  });
+  assert.equal(auth.login("operator", "wrong-password"), null);
+  assert.equal(auth.login("nobody", "operator-password"), null);
+
+  const { token } = auth.login("operator", "operator-password");
+  const bearer = run(auth.authenticate, {
+    headers: { authorization: `Bearer ${token}` },
+  });
+  assert.equal(bearer.next, true);
+  const cookie = run(auth.authenticate, {
+    headers: { cookie: `theme=dark; wpd_session=${token}` },
+  });
+  assert.equal(cookie.next, true);
+
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  run(auth.authenticate, req);
+  assert.deepEqual(req.user, {
+    id: user.id,
+    username: "operator",
+    role: "operator",
+  });
+
+  auth.logout(token);
+  assert.equal(
+    run(auth.authenticate, { headers: { authorization: `Bearer ${token}` } })
+      .status,
+    401
+  );
+});
+
+test("authenticates API keys until they are revoked", () => {
+  const user = auth.createUser({
+    username: "ci",
+    password: "ci-password",
+    role: "viewer",
+  });
+  const { key, apiKey } = auth.createApiKey(user.id, "CI");
+  assert.equal(apiKey.hash, undefined);
+  assert.ok(
+    !fs
+      .readFileSync(path.join(usersDir, `${user.id}.json`), "utf8")
+      .includes(key)
+  );
+
+  for (const headers of [
+    { "x-api-key": key },
+    { authorization: `Bearer ${key}` },
+  ]) {
+    const result = run(auth.authenticate, { headers });
+    assert.equal(result.next, true);
+  }
+  assert.ok(auth.getUser(user.id).apiKeys[0].lastUsedAt);
+
+  auth.revokeApiKey(user.id, apiKey.id);
+  const revoked = run(auth.authenticate, { headers: { "x-api-key": key } });
+  assert.equal(revoked.status, 401);
+  assert.equal(run(auth.authenticate, {}).status, 401);
+});
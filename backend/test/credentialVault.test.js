@@ -0,0 +1,132 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const OLD_KEY = "old-master-key";
+const NEW_KEY = "new-master-key";
+
+let dataDir;
+let storage;
+let vault;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-vault-"));
+  process.env.SQLITE_PATH = path.join(dataDir, "deployer.db");
+  // Loaded after SQLITE_PATH is set: the storage is opened on first use
+  vault = require("../services/credentialVault");
+  storage = require("../services/storage").getStorage();
+});
+
+after(() => {
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const CREDENTIAL = {
+  id: "cred-1",
+  host: "cpanel.example.com",
+  username: "cpuser",
+  password: "cpanel-password",
+  apiToken: "U7HMR63FHY282DQZ4H5BIH16JLYSO01M",
+};
+
+test("seals a credential and unseals it with the same key", () => {
+  const record = vault.sealCredential(CREDENTIAL, OLD_KEY);
+  assert.equal(record.password, undefined);
+  assert.equal(record.apiToken, undefined);
+  assert.equal(record.hasPassword, true);
+  assert.equal(record.hasApiToken, true);
+  assert.ok(!JSON.stringify(record).includes(CREDENTIAL.password));
+
+  assert.deepEqual(vault.unsealCredential(record, OLD_KEY), {
+    ...CREDENTIAL,
+    hasPassword: true,
+    hasApiToken: true,
+  });
+  assert.deepEqual(vault.toPublicCredential(record), {
+    id: "cred-1",
+    host: "cpanel.example.com",
+    username: "cpuser",
+    hasPassword: true,
+    hasApiToken: true,
+  });
+});
+
+test("names the master key as the problem when it does not match", () => {
+  const envelope = vault.encryptSecret("secret", OLD_KEY);
+  assert.throws(() => vault.decryptSecret(envelope, NEW_KEY), {
+    message:
+      "Secret was encrypted with a different master key. Check CREDENTIAL_MASTER_KEY.",
+  });
+
+  // A tampered envelope fails authentication rather than decrypting
+  const tampered = {
+    ...envelope,
+    data: Buffer.from("other").toString("base64"),
+  };
+  assert.throws(() => vault.decryptSecret(tampered, OLD_KEY));
+});
+
+test("rotates credentials and job secrets to a new master key", () => {
+  storage.saveCredential(vault.sealCredential(CREDENTIAL, OLD_KEY));
+  storage.saveJob({
+    id: "job-1",
+    status: "installed",
+    dbPass: vault.encryptSecret("database-password", OLD_KEY),
+    adminPassword: vault.encryptSecret("admin-password", OLD_KEY),
+  });
+
+  assert.equal(vault.rotateMasterKey(OLD_KEY, NEW_KEY), 1);
+
+  const record = storage.getCredential("cred-1");
+  assert.equal(
+    vault.unsealCredential(record, NEW_KEY).password,
+    "cpanel-password"
+  );
+  assert.throws(() => vault.unsealCredential(record, OLD_KEY));
+  const job = storage.getJob("job-1");
+  assert.equal(vault.decryptSecret(job.dbPass, NEW_KEY), "database-password");
+  assert.equal(
+    vault.decryptSecret(job.adminPassword, NEW_KEY),
+    "admin-password"
+  );
+});
+
+test("aborts a rotation with the wrong old key before writing anything", () => {
+  const stored = {
+    credential: storage.getCredential("cred-1"),
+    job: storage.getJob("job-1"),
+  };
+
+  assert.throws(() => vault.rotateMasterKey("wrong-key", "another-key"), {
+    message: /different master key/,
+  });
+  assert.deepEqual(storage.getCredential("cred-1"), stored.credential);
+  assert.deepEqual(storage.getJob("job-1"), stored.job);
+  assert.throws(() => vault.rotateMasterKey(NEW_KEY, NEW_KEY), {
+    message: "The new master key must differ from the current one",
+  });
+});
+
+test("encrypts database passwords jobs kept in the clear", () => {
+  storage.saveJob({
+    id: "job-2",
+    status: "waiting-for-db",
+    dbPass: "plain-database-password",
+    dbInstructions: {
+      databaseUser: "cpuser_wp",
+      databasePassword: "plain-database-password",
+    },
+  });
+
+  assert.equal(vault.migratePlaintextJobSecrets(NEW_KEY), 1);
+  const job = storage.getJob("job-2");
+  assert.equal(
+    vault.decryptSecret(job.dbPass, NEW_KEY),
+    "plain-database-password"
+  );
+  assert.deepEqual(job.dbInstructions, { databaseUser: "cpuser_wp" });
+  assert.equal(vault.migratePlaintextJobSecrets(NEW_KEY), 0);
+});
@@ -0,0 +1,341 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { decryptSecret } = require("../services/credentialVault");
+const { startDeployer } = require("./support/deployer");
+const { startMockCpanel } = require("./support/mockCpanel");
+const { startMockFtp } = require("./support/mockFtp");
+
+const CPANEL_USER = "cpuser";
+const CPANEL_PASSWORD = "cpanel-password";
+const API_TOKEN = "U7HMR63FHY282DQZ4H5BIH16JLYSO01M";
+const LOGO = Buffer.from("89504e470d0a1a0a", "hex");
+
+let deployer;
+let cpanel;
+let ftp;
+
+before(async () => {
+  deployer = await startDeployer();
+  cpanel = await startMockCpanel({
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    apiToken: API_TOKEN,
+    domains: [
+      {
+        domain: "example.com",
+        type: "main_domain",
+        documentRoot: `/home/${CPANEL_USER}/public_html`,
+      },
+      {
+        domain: "existing.com",
+        type: "addon_domain",
+        documentRoot: `/home/${CPANEL_USER}/existing.com`,
+      },
+    ],
+  });
+  // cPanel creates a domain's document root when the domain is added
+  const ftpHome = path.join(deployer.dataDir, "ftp-home");
+  ["public_html", "existing.com"].forEach((dir) =>
+    fs.mkdirSync(path.join(ftpHome, dir), { recursive: true })
+  );
+  ftp = await startMockFtp({
+    root: ftpHome,
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+  });
+});
+
+after(async () => {
+  await Promise.all([deployer, cpanel, ftp].map((s) => s && s.close()));
+});
+
+const cpanelLogin = (overrides = {}) => ({
+  host: "127.0.0.1",
+  port: cpanel.port,
+  username: CPANEL_USER,
+  password: CPANEL_PASSWORD,
+  ...overrides,
+});
+
+const saveCredential = async () => {
+  const { status, body } = await deployer.request(
+    "POST",
+    "/save-credentials",
+    cpanelLogin({ transport: { protocol: "ftp", port: ftp.port } })
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.credentialId;
+};
+
+const createJob = async (domain) => {
+  const form = new FormData();
+  Object.entries({
+    template: "astra",
+    domain,
+    email: "owner@example.com",
+    phone: "+1 555 0100",
+    address: "1 Main Street",
+    title: "Example Site",
+  }).forEach(([name, value]) => form.append(name, value));
+  form.append("logo", new Blob([LOGO], { type: "image/png" }), "logo.png");
+  const { status, body } = await deployer.request("POST", "/deploy", form);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.jobId;
+};
+
+// cPanel calls made after a point, as "Module::func"
+const callsSince = (start, module) =>
+  cpanel.calls
+    .slice(start)
+    .filter((call) => !module || call.module === module)
+    .map((call) => `${call.module}::${call.func}`);
+
+test("rejects a wrong cPanel password", async () => {
+  const validation = await deployer.request(
+    "POST",
+    "/validate-credentials",
+    cpanelLogin({ password: "wrong-password" })
+  );
+  assert.equal(validation.status, 400);
+  assert.equal(validation.body.cpanel.message, "Invalid username or password");
+
+  const saved = await deployer.request(
+    "POST",
+    "/save-credentials",
+    cpanelLogin({
+      password: "wrong-password",
+      transport: { protocol: "ftp", port: ftp.port },
+    })
+  );
+  assert.equal(saved.status, 400);
+  assert.equal(saved.body.error, "Invalid credentials");
+  const { body } = await deployer.request("GET", "/credentials");
+  assert.deepEqual(body.credentials, []);
+});
+
+test("reports cPanel API access that the host disabled", async (t) => {
+  cpanel.apiAccess = false;
+  t.after(() => {
+    cpanel.apiAccess = true;
+  });
+
+  const { status, body } = await deployer.request(
+    "POST",
+    "/validate-credentials",
+    cpanelLogin()
+  );
+  assert.equal(status, 400);
+  assert.equal(
+    body.cpanel.message,
+    "cPanel API access is disabled or restricted"
+  );
+});
+
+test("validates a credential with an API token instead of a password", async () => {
+  const { status, body } = await deployer.request(
+    "POST",
+    "/validate-credentials",
+    cpanelLogin({ password: undefined, apiToken: API_TOKEN })
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.cpanel.valid, true);
+  assert.equal(body.ftp.success, true);
+
+  // FTP still logs in with the password, so the token alone is not saved
+  const saved = await deployer.request(
+    "POST",
+    "/save-credentials",
+    cpanelLogin({
+      password: undefined,
+      apiToken: API_TOKEN,
+      transport: { protocol: "ftp", port: ftp.port },
+    })
+  );
+  assert.equal(saved.status, 400);
+  assert.equal(
+    saved.body.error,
+    "FTP uploads need the account password alongside the API token, or SFTP key authentication"
+  );
+});
+
+test("deploys a site: database on cPanel, files over FTP", async () => {
+  const credentialId = await saveCredential();
+  const jobId = await createJob("example.com");
+  const start = cpanel.calls.length;
+
+  const queued = await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["awaiting-install", "failed"].includes(current.status)
+  );
+  assert.equal(job.status, "awaiting-install", job.error);
+
+  // Domain lookup, then the database, then the FTP account
+  assert.deepEqual(callsSince(start, "DomainInfo"), [
+    "DomainInfo::list_domains",
+    "DomainInfo::single_domain_data",
+  ]);
+  assert.deepEqual(callsSince(start, "Mysql"), [
+    "Mysql::create_database",
+    "Mysql::create_user",
+    "Mysql::set_privileges_on_database",
+  ]);
+  assert.deepEqual(callsSince(start, "Ftp"), ["Ftp::list_ftp"]);
+
+  const [createDatabase] = cpanel.callsTo("Mysql", "create_database");
+  const [createUser] = cpanel.callsTo("Mysql", "create_user");
+  assert.equal(job.dbName, `${CPANEL_USER}_${createDatabase.args.name}`);
+  assert.equal(job.dbUser, `${CPANEL_USER}_${createUser.args.name}`);
+  // The password is in wp-config.php, not in the API's view of the job,
+  // and is stored encrypted
+  const stored = deployer.readJob(jobId);
+  assert.equal(typeof stored.dbPass, "object");
+  const dbPass = decryptSecret(stored.dbPass);
+  assert.equal(createUser.args.password, dbPass);
+  assert.equal(job.dbPass, undefined);
+  assert.deepEqual(cpanel.privileges, [
+    { user: job.dbUser, database: job.dbName, privileges: "ALL" },
+  ]);
+  assert.deepEqual([...cpanel.databases], [job.dbName]);
+  assert.deepEqual(
+    job.compensations.map((entry) => entry.action),
+    ["drop-database", "delete-database-user", "remove-uploaded-files"]
+  );
+
+  const site = "/public_html";
+  const uploaded = [
+    `${site}/install.php`,
+    `${site}/job-info.json`,
+    `${site}/wordpress.zip`,
+    `${site}/wp-config.php`,
+    `${site}/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip`,
+    `${site}/wp-content/plugins/all-in-one-wp-migration.zip`,
+    `${site}/wp-content/themes/astra.zip`,
+    `${site}/wp-content/uploads/${job.logo}`,
+  ];
+  assert.deepEqual(ftp.files(site), uploaded);
+  assert.deepEqual(ftp.files("/.wp-deployer"), [
+    `/.wp-deployer/manifests/${jobId}.json`,
+  ]);
+  assert.deepEqual(Object.keys(job.uploadManifest.files).sort(), uploaded);
+
+  // Archives come from the mirror byte for byte
+  assert.deepEqual(
+    ftp.read(`${site}/wordpress.zip`),
+    fs.readFileSync(deployer.mirror.wordpress)
+  );
+  assert.deepEqual(
+    ftp.read(`${site}/wp-content/themes/astra.zip`),
+    fs.readFileSync(deployer.mirror.astra)
+  );
+  assert.deepEqual(
+    ftp.read(`${site}/wp-content/plugins/all-in-one-wp-migration.zip`),
+    fs.readFileSync(deployer.mirror["all-in-one-wp-migration"])
+  );
+  assert.deepEqual(ftp.read(`${site}/wp-content/uploads/${job.logo}`), LOGO);
+  assert.deepEqual(
+    ftp.read(`${site}/install.php`),
+    fs.readFileSync(path.join(__dirname, "../../deploy-scripts/install.php"))
+  );
+
+  const wpConfig = ftp.read(`${site}/wp-config.php`).toString();
+  assert.match(wpConfig, new RegExp(`'DB_NAME', '${job.dbName}'`));
+  assert.match(wpConfig, new RegExp(`'DB_USER', '${job.dbUser}'`));
+  assert.ok(wpConfig.includes(`'DB_PASSWORD', '${dbPass}'`));
+  assert.doesNotMatch(wpConfig, /put your unique phrase here/);
+
+  const jobInfo = JSON.parse(ftp.read(`${site}/job-info.json`));
+  assert.equal(jobInfo.domain, "example.com");
+  assert.equal(jobInfo.dbName, job.dbName);
+  assert.equal(jobInfo.dbPass, dbPass);
+  // Only what install.php reads is left in the web root
+  for (const field of ["credentialId", "uploadManifest", "compensations"]) {
+    assert.equal(jobInfo[field], undefined, field);
+  }
+
+  // The generated files, with the database password, are not kept locally
+  const tempDir = path.join(__dirname, "../temp");
+  assert.ok(!fs.existsSync(path.join(tempDir, `wp-config-${jobId}.php`)));
+  assert.ok(!fs.existsSync(path.join(tempDir, `job-info-${jobId}.json`)));
+});
+
+test("rolls back the database when the document root holds a site", async () => {
+  fs.writeFileSync(path.join(ftp.root, "existing.com/index.html"), "<h1>");
+  const credentialId = await saveCredential();
+  const jobId = await createJob("existing.com");
+  const start = cpanel.calls.length;
+
+  await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  const job = await deployer.waitForJob(
+    jobId,
+    (current) => (current.rollbacks || []).length > 0
+  );
+
+  assert.equal(job.status, "failed");
+  assert.match(
+    job.error,
+    /\/existing\.com already holds files \(index\.html\)/
+  );
+  assert.equal(job.rollbacks[0].status, "complete");
+
+  // Undone newest first: the user, then the database
+  const mysql = cpanel.calls
+    .slice(start)
+    .filter((call) => call.module === "Mysql");
+  assert.deepEqual(
+    mysql.map((call) => call.func),
+    [
+      "create_database",
+      "create_user",
+      "set_privileges_on_database",
+      "delete_user",
+      "delete_database",
+    ]
+  );
+  assert.equal(mysql[3].args.name, mysql[2].args.user);
+  assert.equal(mysql[4].args.name, mysql[2].args.database);
+  assert.ok(!cpanel.databases.has(mysql[2].args.database));
+  assert.ok(!cpanel.users.has(mysql[2].args.user));
+
+  // The site that was there is left alone
+  assert.deepEqual(ftp.files("/existing.com"), ["/existing.com/index.html"]);
+  assert.equal(job.dbName, undefined);
+  assert.deepEqual(job.compensations, []);
+});
+
+test("keeps a manual setup's database password out of logs and job views", async () => {
+  const credentialId = await saveCredential();
+  const jobId = await createJob("example.com");
+  // A failed API call falls back to setting the database up by hand
+  cpanel.failNext("Mysql", "create_database", "Access denied");
+
+  await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["waiting-for-db", "failed"].includes(current.status)
+  );
+  assert.equal(job.status, "waiting-for-db", job.error);
+  assert.equal(job.dbInstructions.databaseUser, job.dbUser);
+  assert.equal(job.dbInstructions.databasePassword, undefined);
+
+  const stored = deployer.readJob(jobId);
+  assert.equal(stored.dbInstructions.databasePassword, undefined);
+  const dbPass = decryptSecret(stored.dbPass);
+  const { body: logs } = await deployer.request("GET", `/jobs/${jobId}/logs`);
+  assert.match(logs, /Manual database setup required/);
+  // Stored events are what GET /jobs/:jobId/events replays
+  const events = JSON.stringify(
+    require("../services/jobStore").readJobLog(jobId)
+  );
+  assert.ok(!events.includes(dbPass));
+});
@@ -0,0 +1,202 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { decryptSecret } = require("../services/credentialVault");
+const { startDeployer } = require("./support/deployer");
+const { startMockDirectAdmin } = require("./support/mockDirectAdmin");
+const { startMockFtp } = require("./support/mockFtp");
+
+const DA_USER = "dauser";
+const DA_PASSWORD = "directadmin-password";
+const LOGIN_KEY = "Q2Ykc3B5WnVKbVJ0cE5wUWRmM3Y";
+const SITE = "/domains/example.com/public_html";
+
+let deployer;
+let directAdmin;
+let ftp;
+
+before(async () => {
+  deployer = await startDeployer();
+  directAdmin = await startMockDirectAdmin({
+    username: DA_USER,
+    password: DA_PASSWORD,
+    loginKey: LOGIN_KEY,
+    domains: [
+      { domain: "example.com", subdomains: ["blog"] },
+      { domain: "other.com", pointers: ["alias.com"] },
+    ],
+  });
+  // DirectAdmin creates a domain's public_html when the domain is added
+  const ftpHome = path.join(deployer.dataDir, "ftp-home");
+  fs.mkdirSync(path.join(ftpHome, SITE), { recursive: true });
+  ftp = await startMockFtp({
+    root: ftpHome,
+    username: DA_USER,
+    password: DA_PASSWORD,
+  });
+});
+
+after(async () => {
+  await Promise.all([deployer, directAdmin, ftp].map((s) => s && s.close()));
+});
+
+const directAdminLogin = (overrides = {}) => ({
+  provider: "directadmin",
+  host: "127.0.0.1",
+  port: directAdmin.port,
+  username: DA_USER,
+  password: DA_PASSWORD,
+  apiToken: LOGIN_KEY,
+  transport: { protocol: "ftp", port: ftp.port },
+  ...overrides,
+});
+
+const createJob = async (domain) => {
+  const form = new FormData();
+  Object.entries({
+    template: "astra",
+    domain,
+    email: "owner@example.com",
+    phone: "+1 555 0100",
+    address: "1 Main Street",
+    title: "Example Site",
+  }).forEach(([name, value]) => form.append(name, value));
+  form.append(
+    "logo",
+    new Blob([Buffer.from("89504e470d0a1a0a", "hex")], { type: "image/png" }),
+    "logo.png"
+  );
+  const { status, body } = await deployer.request("POST", "/deploy", form);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.jobId;
+};
+
+test("refuses an unknown hosting provider", async () => {
+  const { status, body } = await deployer.request(
+    "POST",
+    "/validate-credentials",
+    directAdminLogin({ provider: "plesk" })
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown hosting provider: plesk/);
+});
+
+test("rejects a wrong DirectAdmin login key", async () => {
+  const { status, body } = await deployer.request(
+    "POST",
+    "/validate-credentials",
+    directAdminLogin({ apiToken: "wrong-key" })
+  );
+  assert.equal(status, 400);
+  assert.equal(body.provider, "directadmin");
+  assert.equal(body.cpanel.message, "Invalid username or login key");
+});
+
+test("deploys to DirectAdmin and rolls the deployment back", async () => {
+  const saved = await deployer.request(
+    "POST",
+    "/save-credentials",
+    directAdminLogin()
+  );
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  const { credentialId } = saved.body;
+  const { body: listed } = await deployer.request("GET", "/credentials");
+  const credential = listed.credentials.find((c) => c.id === credentialId);
+  assert.equal(credential.provider, "directadmin");
+  assert.equal(credential.apiToken, undefined);
+
+  const jobId = await createJob("example.com");
+  const queued = await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["awaiting-install", "failed"].includes(current.status)
+  );
+  assert.equal(job.status, "awaiting-install", job.error);
+
+  // One call creates the database and its user, both prefixed
+  const [create] = directAdmin.calls.filter(
+    (call) => call.args.action === "create"
+  );
+  assert.equal(create.command, "CMD_API_DATABASES");
+  assert.equal(create.method, "POST");
+  assert.equal(job.dbName, `${DA_USER}_${create.args.name}`);
+  assert.equal(job.dbUser, `${DA_USER}_${create.args.user}`);
+  assert.equal(
+    create.args.passwd,
+    decryptSecret(deployer.readJob(jobId).dbPass)
+  );
+  assert.deepEqual(
+    [...directAdmin.databases.get(job.dbName).users.keys()],
+    [job.dbUser]
+  );
+
+  assert.equal(job.documentRoot, SITE);
+  assert.ok(ftp.files(SITE).includes(`${SITE}/wordpress.zip`));
+  assert.match(
+    ftp.read(`${SITE}/wp-config.php`).toString(),
+    new RegExp(`'DB_USER', '${job.dbUser}'`)
+  );
+
+  const rolledBack = await deployer.request("POST", `/jobs/${jobId}/rollback`, {
+    reason: "Test",
+  });
+  assert.equal(rolledBack.status, 200, JSON.stringify(rolledBack.body));
+  assert.equal(rolledBack.body.rollback.status, "complete");
+  assert.deepEqual(
+    rolledBack.body.rollback.actions.map((action) => action.action),
+    ["remove-uploaded-files", "delete-database-user", "drop-database"]
+  );
+  assert.equal(directAdmin.databases.size, 0);
+  assert.deepEqual(ftp.files(SITE), []);
+});
+
+test("refuses a domain that only points to another one", async () => {
+  const saved = await deployer.request(
+    "POST",
+    "/save-credentials",
+    directAdminLogin()
+  );
+  const jobId = await createJob("alias.com");
+  await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId: saved.body.credentialId,
+    force: true,
+  });
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["awaiting-install", "failed"].includes(current.status)
+  );
+
+  assert.equal(job.status, "failed");
+  assert.equal(
+    job.error,
+    "alias.com points to other.com and has no document root of its own"
+  );
+  assert.equal(job.dbName, undefined);
+});
+
+test("keeps a manual setup's database password out of the job log", async () => {
+  const saved = await deployer.request(
+    "POST",
+    "/save-credentials",
+    directAdminLogin()
+  );
+  const jobId = await createJob("example.com");
+  directAdmin.failNext("CMD_API_DATABASES", "You cannot create databases");
+  await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId: saved.body.credentialId,
+    force: true,
+  });
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["waiting-for-db", "failed"].includes(current.status)
+  );
+  assert.equal(job.status, "waiting-for-db", job.error);
+  assert.equal(job.dbInstructions.databasePassword, undefined);
+
+  const dbPass = decryptSecret(deployer.readJob(jobId).dbPass);
+  const { body: logs } = await deployer.request("GET", `/jobs/${jobId}/logs`);
+  assert.match(logs, /open MySQL Management and create database/);
+  assert.ok(!logs.includes(dbPass));
+});
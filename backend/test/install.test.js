@@ -0,0 +1,439 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { startDeployer } = require("./support/deployer");
+const { startMockCpanel } = require("./support/mockCpanel");
+const { startMockFtp } = require("./support/mockFtp");
+const { startMockInstaller } = require("./support/mockInstaller");
+
+const CPANEL_USER = "cpuser";
+const CPANEL_PASSWORD = "cpanel-password";
+const ADMIN_USER = "admin-1a2b3c4d";
+const ADMIN_PASSWORD = "x8#Kq2!vLm9@Tz4p";
+const DOMAINS = [
+  "example.com",
+  "second.com",
+  "third.com",
+  "fourth.com",
+  "fifth.com",
+  "sixth.com",
+  "seventh.com",
+  "eighth.com",
+  "ninth.com",
+];
+
+// Where each domain's files are uploaded, as the FTP login sees it
+const siteDir = (domain) =>
+  domain === "example.com" ? "/public_html" : `/${domain}`;
+
+let deployer;
+let cpanel;
+let ftp;
+let installer;
+
+// What install.php reports when everything works
+const installs = async (report) => {
+  await report({
+    type: "step",
+    step: "core",
+    status: "ok",
+    message: "WordPress core unpacked",
+  });
+  await report({
+    type: "step",
+    step: "core-install",
+    status: "ok",
+    message: "WordPress core installed",
+  });
+  return report({
+    type: "result",
+    status: "installed",
+    adminUser: ADMIN_USER,
+    adminPassword: ADMIN_PASSWORD,
+  });
+};
+
+before(async () => {
+  deployer = await startDeployer();
+  // Where install.php on the sites reports to
+  process.env.DEPLOYER_PUBLIC_URL = `${deployer.baseUrl}/`;
+  cpanel = await startMockCpanel({
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    domains: DOMAINS.map((domain) => ({
+      domain,
+      type: domain === "example.com" ? "main_domain" : "addon_domain",
+      documentRoot: `/home/${CPANEL_USER}${siteDir(domain)}`,
+    })),
+  });
+  const ftpHome = path.join(deployer.dataDir, "ftp-home");
+  DOMAINS.forEach((domain) =>
+    fs.mkdirSync(path.join(ftpHome, siteDir(domain)), { recursive: true })
+  );
+  ftp = await startMockFtp({
+    root: ftpHome,
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+  });
+  installer = startMockInstaller({
+    readJobInfo: (domain) =>
+      JSON.parse(ftp.read(`${siteDir(domain)}/job-info.json`)),
+  });
+});
+
+after(async () => {
+  if (installer) {
+    installer.restore();
+  }
+  delete process.env.DEPLOYER_PUBLIC_URL;
+  await Promise.all([deployer, cpanel, ftp].map((s) => s && s.close()));
+});
+
+// Deploys a new job to a domain and waits until the install has ended
+const deploy = async (domain) => {
+  const saved = await deployer.request("POST", "/save-credentials", {
+    host: "127.0.0.1",
+    port: cpanel.port,
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    transport: { protocol: "ftp", port: ftp.port },
+  });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+  const form = new FormData();
+  Object.entries({
+    template: "astra",
+    domain,
+    email: "owner@example.com",
+    phone: "+1 555 0100",
+    address: "1 Main Street",
+    title: "Example Site",
+  }).forEach(([name, value]) => form.append(name, value));
+  form.append(
+    "logo",
+    new Blob([Buffer.from("89504e470d0a1a0a", "hex")], { type: "image/png" }),
+    "logo.png"
+  );
+  const created = await deployer.request("POST", "/deploy", form);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { jobId } = created.body;
+
+  const queued = await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId: saved.body.credentialId,
+    force: true,
+  });
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+  return deployer.waitForJob(jobId, (job) =>
+    ["installed", "install-failed", "failed"].includes(job.status)
+  );
+};
+
+test("runs install.php and installs the job from its signed reports", async (t) => {
+  installer.onInstall = installs;
+  t.after(() => {
+    installer.onInstall = async () => {};
+  });
+
+  const job = await deploy("example.com");
+  assert.equal(job.status, "installed", job.error);
+  assert.deepEqual(
+    job.history.slice(-3).map((entry) => [entry.to, entry.actor]),
+    [
+      ["uploading", "deploy-worker"],
+      ["installing", "deploy-worker"],
+      ["installed", "install.php"],
+    ]
+  );
+  assert.deepEqual(
+    job.installSteps.map((entry) => [entry.step, entry.status]),
+    [
+      ["core", "ok"],
+      ["core-install", "ok"],
+    ]
+  );
+  // The token is used up by the result
+  assert.equal(deployer.readJob(job.id).installToken, undefined);
+
+  // The host only ever sees the token's hash
+  const [run] = installer.runs;
+  assert.equal(run.domain, "example.com");
+  const jobInfoText = ftp.read("/public_html/job-info.json").toString();
+  const jobInfo = JSON.parse(jobInfoText);
+  assert.equal(
+    jobInfo.installTokenHash,
+    crypto.createHash("sha256").update(run.token).digest("hex")
+  );
+  assert.equal(
+    jobInfo.installReportUrl,
+    `${deployer.baseUrl}/jobs/${job.id}/install-report`
+  );
+  assert.ok(!jobInfoText.includes(run.token));
+  assert.equal(jobInfo.installToken, undefined);
+
+  const credentials = await deployer.request(
+    "GET",
+    `/jobs/${job.id}/admin-credentials`
+  );
+  assert.equal(credentials.status, 200, JSON.stringify(credentials.body));
+  assert.equal(credentials.body.username, ADMIN_USER);
+  assert.equal(credentials.body.password, ADMIN_PASSWORD);
+  assert.notEqual(deployer.readJob(job.id).adminPassword, ADMIN_PASSWORD);
+  assert.equal(job.adminPassword, undefined);
+  assert.equal(job.installTokenHash, undefined);
+
+  const logs = await deployer.request(
+    "GET",
+    `/jobs/${job.id}/logs?step=installing`
+  );
+  const messages = logs.body
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).message);
+  assert.ok(messages.includes("WordPress core installed"), messages.join("\n"));
+
+  // A report sent again once the install is over is refused
+  const replay = await installer.send(jobInfo.installReportUrl, run.token, {
+    type: "result",
+    status: "failed",
+  });
+  assert.equal(replay.status, 409);
+});
+
+test("refuses install reports that are not signed with the job's token", async (t) => {
+  const replies = {};
+  installer.onInstall = async (report, jobInfo) => {
+    replies.forged = await installer.send(
+      jobInfo.installReportUrl,
+      crypto.randomBytes(32).toString("hex"),
+      { type: "result", status: "failed", message: "Forged" }
+    );
+    replies.invalid = await report({ type: "step", status: "done" });
+    replies.result = await installs(report);
+  };
+  t.after(() => {
+    installer.onInstall = async () => {};
+  });
+
+  const job = await deploy("second.com");
+  await installer.idle();
+  assert.equal(replies.forged.status, 401);
+  assert.equal(
+    replies.forged.body.details,
+    "Install report signature does not match"
+  );
+  assert.equal(replies.invalid.status, 400);
+  assert.deepEqual(replies.result, {
+    status: 200,
+    body: { jobId: job.id, status: "installed" },
+  });
+  assert.equal(job.status, "installed", job.error);
+});
+
+test("leaves a site whose install.php reported an error at install-failed", async (t) => {
+  installer.onInstall = async (report) => {
+    await report({
+      type: "step",
+      step: "core-install",
+      status: "ok",
+      message: "WordPress core installed",
+    });
+    await report({
+      type: "step",
+      step: "template",
+      status: "error",
+      message: "Template import failed",
+    });
+    await report({
+      type: "result",
+      status: "failed",
+      message: "install.php finished with errors: Template import failed",
+      adminUser: ADMIN_USER,
+      adminPassword: ADMIN_PASSWORD,
+    });
+  };
+  t.after(() => {
+    installer.onInstall = async () => {};
+  });
+
+  const job = await deploy("third.com");
+  assert.equal(job.status, "install-failed");
+  assert.equal(
+    job.error,
+    "install.php finished with errors: Template import failed"
+  );
+  assert.equal(job.history.at(-1).actor, "install.php");
+
+  // Nothing is rolled back, so the site can be looked at
+  assert.equal(job.rollbacks, undefined);
+  assert.ok(ftp.files("/third.com").includes("/third.com/wp-config.php"));
+  assert.ok(cpanel.databases.has(job.dbName));
+
+  // The admin user was created before the failure
+  const credentials = await deployer.request(
+    "GET",
+    `/jobs/${job.id}/admin-credentials`
+  );
+  assert.equal(credentials.body.username, ADMIN_USER);
+
+  // install.php ran, so it is not started again
+  const retry = await deployer.request("POST", `/jobs/${job.id}/install`);
+  assert.equal(retry.status, 409);
+});
+
+test("starts install.php again once the site can be reached", async (t) => {
+  installer.unreachable = true;
+  t.after(() => {
+    installer.unreachable = false;
+    installer.onInstall = async () => {};
+  });
+
+  const failed = await deploy("fourth.com");
+  assert.equal(failed.status, "install-failed");
+  assert.match(
+    failed.error,
+    /^Could not reach install\.php \(https:\/\/fourth\.com\/install\.php: getaddrinfo ENOTFOUND fourth\.com\)/
+  );
+  assert.equal(failed.history.at(-1).actor, "deploy-worker");
+
+  installer.unreachable = false;
+  installer.onInstall = installs;
+  const started = await deployer.request("POST", `/jobs/${failed.id}/install`);
+  assert.equal(started.status, 202, JSON.stringify(started.body));
+  assert.equal(started.body.status, "installing");
+
+  const job = await deployer.waitForJob(
+    failed.id,
+    (current) => current.status !== "installing"
+  );
+  assert.equal(job.status, "installed", job.error);
+  assert.deepEqual(
+    job.history.slice(-3).map((entry) => entry.to),
+    ["install-failed", "installing", "installed"]
+  );
+});
+
+test("does not retry over HTTP when HTTPS fails once the site is reached", async (t) => {
+  t.after(() => {
+    installer.httpsError = null;
+  });
+  const cases = [
+    {
+      domain: "fifth.com",
+      error: new TypeError("fetch failed", {
+        cause: Object.assign(new Error("certificate has expired"), {
+          code: "CERT_HAS_EXPIRED",
+        }),
+      }),
+      message:
+        "Could not run https://fifth.com/install.php: certificate has expired",
+    },
+    {
+      domain: "sixth.com",
+      error: new DOMException(
+        "The operation was aborted due to timeout",
+        "TimeoutError"
+      ),
+      message: "https://sixth.com/install.php did not answer within 2 minutes",
+    },
+  ];
+
+  for (const { domain, error, message } of cases) {
+    installer.httpsError = error;
+    const job = await deploy(domain);
+    assert.equal(job.status, "install-failed");
+    assert.equal(job.error, message);
+    // The token never went out over plain HTTP
+    assert.deepEqual(
+      installer.runs.filter((run) => run.domain === domain),
+      []
+    );
+  }
+});
+
+test("runs install.php over HTTP only when the fallback is turned on", async (t) => {
+  installer.httpsError = new TypeError("fetch failed", {
+    cause: Object.assign(new Error("connect ECONNREFUSED 203.0.113.10:443"), {
+      code: "ECONNREFUSED",
+    }),
+  });
+  t.after(() => {
+    installer.httpsError = null;
+    installer.onInstall = async () => {};
+    delete process.env.INSTALL_HTTP_FALLBACK;
+  });
+
+  const refused = await deploy("seventh.com");
+  assert.equal(refused.status, "install-failed");
+  assert.match(
+    refused.error,
+    /^Could not reach install\.php \(https:\/\/seventh\.com\/install\.php: connect ECONNREFUSED/
+  );
+  // The token never went out over plain HTTP
+  assert.deepEqual(
+    installer.runs.filter((run) => run.domain === "seventh.com"),
+    []
+  );
+
+  process.env.INSTALL_HTTP_FALLBACK = "true";
+  installer.onInstall = installs;
+  const job = await deploy("eighth.com");
+  assert.equal(job.status, "installed", job.error);
+  assert.deepEqual(
+    installer.runs
+      .filter((run) => run.domain === "eighth.com")
+      .map((run) => run.scheme),
+    ["http"]
+  );
+});
+
+test("frees the queue once install.php starts and fails it if no result comes", async (t) => {
+  process.env.INSTALL_TIMEOUT_MINUTES = "0.05";
+  let finish;
+  const reported = new Promise((resolve) => {
+    finish = resolve;
+  });
+  installer.onInstall = async (report) => {
+    await report({
+      type: "step",
+      step: "core",
+      status: "ok",
+      message: "WordPress core unpacked",
+    });
+    finish();
+  };
+  t.after(() => {
+    installer.onInstall = async () => {};
+    delete process.env.INSTALL_TIMEOUT_MINUTES;
+  });
+
+  const pending = deploy("ninth.com");
+  await reported;
+  await installer.idle();
+  const { body } = await deployer.request("GET", "/jobs?domain=ninth.com");
+  const [{ id }] = body.jobs;
+  // The worker is done with the job while install.php is still running
+  const installing = await deployer.waitForJob(
+    id,
+    (job) => job.installDeadline || job.status !== "installing"
+  );
+  assert.equal(installing.status, "installing");
+  const queue = await deployer.request("GET", "/queue");
+  assert.ok(
+    !JSON.stringify(queue.body).includes(id),
+    JSON.stringify(queue.body)
+  );
+
+  const job = await pending;
+  assert.equal(job.status, "install-failed");
+  assert.equal(job.error, "install.php did not report a result in time");
+  assert.equal(job.installDeadline, undefined);
+  assert.deepEqual(
+    job.history.slice(-2).map((entry) => [entry.to, entry.actor]),
+    [
+      ["installing", "deploy-worker"],
+      ["install-failed", "deploy-worker"],
+    ]
+  );
+});
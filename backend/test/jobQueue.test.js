@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let queueDir;
+let jobQueue;
+
+before(() => {
+  queueDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-queue-"));
+  process.env.QUEUE_DIR = queueDir;
+  // Two deployments were running when the server stopped
+  const running = (jobId) => ({
+    jobId,
+    credentialId: "cred-1",
+    accountKey: jobId,
+    resume: false,
+    requestedBy: null,
+    status: "running",
+    enqueuedAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+  });
+  fs.writeFileSync(
+    path.join(queueDir, "queue.json"),
+    JSON.stringify({ entries: [running("uploading"), running("installing")] })
+  );
+  jobQueue = require("../services/jobQueue");
+});
+
+after(() => {
+  fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+test("retries interrupted jobs unless onRequeue drops them", async () => {
+  const started = [];
+  const requeued = [];
+  const done = new Promise((resolve) => {
+    jobQueue.startQueueWorkers(
+      async (entry) => {
+        started.push(entry.jobId);
+        resolve();
+      },
+      {
+        onRequeue: (entry) => {
+          requeued.push(entry.jobId);
+          return entry.jobId !== "installing";
+        },
+      }
+    );
+  });
+  await done;
+
+  assert.deepEqual(requeued, ["uploading", "installing"]);
+  assert.deepEqual(started, ["uploading"]);
+  assert.equal(jobQueue.getQueuePosition("installing"), null);
+  const saved = JSON.parse(
+    fs.readFileSync(path.join(queueDir, "queue.json"), "utf8")
+  );
+  assert.ok(!saved.entries.some((entry) => entry.jobId === "installing"));
+});
@@ -0,0 +1,375 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const logger = { info() {}, warn() {}, error() {} };
+const CREDENTIALS = { provider: "stub", host: "host.example.com" };
+
+let dataDir;
+let rollback;
+let siteBackup;
+let PROVIDERS;
+
+// What the stub provider was asked to undo, and which calls fail
+let calls;
+let failing;
+
+const stubProvider = {
+  type: "stub",
+  label: "Stub",
+  removeDomain: async (credentials, created) => {
+    calls.push(`remove-domain ${created.domain}`);
+  },
+  dropDatabase: async (credentials, dbName) => {
+    calls.push(`drop-database ${dbName}`);
+    if (failing.has("drop-database")) {
+      throw new Error(`Cannot drop ${dbName}`);
+    }
+  },
+  deleteDatabaseUser: async (credentials, dbUser) => {
+    calls.push(`delete-database-user ${dbUser}`);
+  },
+};
+
+/**
+ * In-memory file transport with the methods the rollback and backups use.
+ * Missing paths fail with code 550, as on FTP.
+ */
+const server = { files: new Map(), dirs: new Set() };
+const missing = (remote) =>
+  Object.assign(new Error(`${remote}: No such file`), { code: 550 });
+const stubClient = {
+  list: async (remote) => {
+    if (!server.dirs.has(remote)) {
+      throw missing(remote);
+    }
+    const children = new Map();
+    for (const dir of server.dirs) {
+      if (path.posix.dirname(dir) === remote && dir !== remote) {
+        children.set(path.posix.basename(dir), { isDirectory: true });
+      }
+    }
+    for (const [file, content] of server.files) {
+      if (path.posix.dirname(file) === remote) {
+        children.set(path.posix.basename(file), {
+          isDirectory: false,
+          size: content.length,
+        });
+      }
+    }
+    return [...children].map(([name, entry]) => ({ name, ...entry }));
+  },
+  downloadTo: async (local, remote) => {
+    if (!server.files.has(remote)) {
+      throw missing(remote);
+    }
+    fs.writeFileSync(local, server.files.get(remote));
+  },
+  uploadFrom: async (local, remote) => {
+    server.files.set(remote, fs.readFileSync(local));
+  },
+  ensureDir: async (remote) => {
+    server.dirs.add(remote);
+  },
+  remove: async (remote) => {
+    if (!server.files.delete(remote)) {
+      throw missing(remote);
+    }
+  },
+  removeDir: async (remote) => {
+    if (!server.dirs.has(remote)) {
+      throw missing(remote);
+    }
+    for (const dir of server.dirs) {
+      if (dir === remote || dir.startsWith(`${remote}/`)) {
+        server.dirs.delete(dir);
+      }
+    }
+    for (const file of server.files.keys()) {
+      if (file.startsWith(`${remote}/`)) {
+        server.files.delete(file);
+      }
+    }
+  },
+  close: () => {},
+};
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-rollback-"));
+  Object.assign(process.env, {
+    SQLITE_PATH: path.join(dataDir, "deployer.db"),
+    BACKUP_DIR: path.join(dataDir, "backups"),
+  });
+  fs.mkdirSync(process.env.BACKUP_DIR);
+  ({ PROVIDERS } = require("../services/providers"));
+  PROVIDERS.stub = stubProvider;
+  // Replaced before jobRollback takes its own reference to it
+  require("../services/fileTransport").connectTransport = async () =>
+    stubClient;
+  rollback = require("../services/jobRollback");
+  siteBackup = require("../services/siteBackup");
+});
+
+after(() => {
+  delete PROVIDERS.stub;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  calls = [];
+  failing = new Set();
+  server.files.clear();
+  server.dirs.clear();
+});
+
+/**
+ * A failed job that created a domain, a database and its user, in that
+ * order, with the compensations its deployment registered.
+ * @returns {object} - Job record
+ */
+const provisionedJob = () => {
+  const jobData = {
+    id: "job-1",
+    status: "failed",
+    domain: "site.example.com",
+    createdDomain: { domain: "site.example.com", type: "addon" },
+    documentRoot: "/public_html/site",
+    domainType: "addon",
+    dbName: "cpuser_site",
+    dbUser: "cpuser_wp",
+    dbPass: "sealed-password",
+    uploadManifest: { files: {} },
+  };
+  rollback.registerCompensation(
+    jobData,
+    "remove-domain",
+    jobData.createdDomain
+  );
+  rollback.registerCompensation(jobData, "drop-database", {
+    dbName: jobData.dbName,
+  });
+  rollback.registerCompensation(jobData, "delete-database-user", {
+    dbUser: jobData.dbUser,
+  });
+  return jobData;
+};
+
+test("registering the same action twice keeps the first entry", () => {
+  const jobData = provisionedJob();
+  const [first] = jobData.compensations;
+  rollback.registerCompensation(jobData, "remove-domain", {
+    domain: "site.example.com",
+    type: "addon",
+  });
+  assert.equal(jobData.compensations.length, 3);
+  assert.equal(jobData.compensations[0], first);
+  assert.equal(first.step, "failed");
+
+  rollback.registerCompensation(jobData, "drop-database", {
+    dbName: "cpuser_other",
+  });
+  assert.equal(jobData.compensations.length, 4);
+});
+
+test("undoes the steps newest first and forgets what each one recorded", async () => {
+  const jobData = provisionedJob();
+  const changes = [];
+  const result = await rollback.rollbackJob(jobData, CREDENTIALS, {
+    actor: "admin",
+    reason: "Deploy failed",
+    logger,
+    onChange: (record) => changes.push(record.actions.length),
+  });
+
+  assert.deepEqual(calls, [
+    "delete-database-user cpuser_wp",
+    "drop-database cpuser_site",
+    "remove-domain site.example.com",
+  ]);
+  assert.equal(result.status, "complete");
+  assert.equal(result.actor, "admin");
+  assert.equal(result.reason, "Deploy failed");
+  assert.deepEqual(
+    result.actions.map((action) => [action.action, action.status]),
+    [
+      ["delete-database-user", "done"],
+      ["drop-database", "done"],
+      ["remove-domain", "done"],
+    ]
+  );
+  assert.deepEqual(changes, [1, 2, 3, 3]);
+  assert.deepEqual(jobData.compensations, []);
+  assert.deepEqual(jobData.rollbacks, [result]);
+  for (const field of [
+    "createdDomain",
+    "documentRoot",
+    "domainType",
+    "dbName",
+    "dbUser",
+    "dbPass",
+  ]) {
+    assert.equal(jobData[field], undefined, field);
+  }
+  assert.equal(jobData.domain, "site.example.com");
+  assert.deepEqual(jobData.uploadManifest, { files: {} });
+});
+
+test("keeps a failed action registered and marks the rollback incomplete", async () => {
+  const jobData = provisionedJob();
+  failing.add("drop-database");
+  const first = await rollback.rollbackJob(jobData, CREDENTIALS, { logger });
+
+  // The actions around the failed one still ran
+  assert.deepEqual(calls, [
+    "delete-database-user cpuser_wp",
+    "drop-database cpuser_site",
+    "remove-domain site.example.com",
+  ]);
+  assert.equal(first.status, "incomplete");
+  const failed = first.actions.find((action) => action.status === "failed");
+  assert.equal(failed.action, "drop-database");
+  assert.equal(failed.error, "Cannot drop cpuser_site");
+  assert.deepEqual(
+    jobData.compensations.map((entry) => entry.action),
+    ["drop-database"]
+  );
+  // Only the undone steps' fields are forgotten
+  assert.equal(jobData.dbName, "cpuser_site");
+  assert.equal(jobData.dbUser, undefined);
+  assert.equal(jobData.dbPass, undefined);
+  assert.equal(jobData.createdDomain, undefined);
+
+  // A later rollback retries just what is left
+  calls = [];
+  failing.clear();
+  const second = await rollback.rollbackJob(jobData, CREDENTIALS, { logger });
+  assert.deepEqual(calls, ["drop-database cpuser_site"]);
+  assert.equal(second.status, "complete");
+  assert.equal(jobData.dbName, undefined);
+  assert.deepEqual(jobData.compensations, []);
+  assert.deepEqual(
+    jobData.rollbacks.map((record) => record.status),
+    ["incomplete", "complete"]
+  );
+  assert.equal(rollback.isRollingBack(jobData.id), false);
+});
+
+test("removes uploaded files and restores the site they replaced", async () => {
+  const remotePath = "/public_html/site";
+  server.dirs.add(remotePath);
+  server.dirs.add(`${remotePath}/images`);
+  server.files.set(`${remotePath}/index.html`, Buffer.from("old site"));
+  server.files.set(`${remotePath}/images/logo.png`, Buffer.from("logo"));
+
+  const jobData = { id: "job-2", status: "failed", uploadManifest: {} };
+  const entries = await siteBackup.findExistingContent(
+    stubClient,
+    remotePath,
+    jobData
+  );
+  const backup = await siteBackup.backupSite(
+    stubClient,
+    remotePath,
+    entries,
+    jobData,
+    logger
+  );
+  jobData.backups = [backup];
+  rollback.registerCompensation(jobData, "restore-backup", {
+    backupId: backup.id,
+  });
+  await siteBackup.removeExistingContent(
+    stubClient,
+    remotePath,
+    entries,
+    logger
+  );
+
+  // The deployment's upload, over the emptied document root
+  server.dirs.add(`${remotePath}/wp-content`);
+  server.files.set(`${remotePath}/wp-content/theme.css`, Buffer.from("css"));
+  server.files.set(`${remotePath}/index.php`, Buffer.from("<?php"));
+  jobData.uploadManifest = { files: { [`${remotePath}/index.php`]: {} } };
+  rollback.registerCompensation(jobData, "remove-uploaded-files", {
+    remotePath,
+  });
+
+  const result = await rollback.rollbackJob(jobData, CREDENTIALS, {
+    actor: "admin",
+    logger,
+  });
+  assert.equal(result.status, "complete");
+  assert.deepEqual(
+    result.actions.map((action) => [action.action, action.details.files]),
+    [
+      ["remove-uploaded-files", 1],
+      ["restore-backup", 2],
+    ]
+  );
+  assert.deepEqual([...server.files.keys()].sort(), [
+    `${remotePath}/images/logo.png`,
+    `${remotePath}/index.html`,
+  ]);
+  assert.equal(
+    server.files.get(`${remotePath}/index.html`).toString(),
+    "old site"
+  );
+  assert.equal(jobData.uploadManifest, undefined);
+  assert.equal(backup.restores.length, 1);
+  assert.equal(backup.restores[0].actor, "admin");
+  assert.equal(backup.restores[0].files, 2);
+});
+
+test("does not restore a backup that is gone or no longer matches", async () => {
+  const remotePath = "/public_html/site";
+  server.dirs.add(remotePath);
+  server.files.set(`${remotePath}/index.html`, Buffer.from("old site"));
+  const jobData = { id: "job-3", status: "failed" };
+  const backup = await siteBackup.backupSite(
+    stubClient,
+    remotePath,
+    await siteBackup.findExistingContent(stubClient, remotePath, jobData),
+    jobData,
+    logger
+  );
+  jobData.backups = [backup];
+  rollback.registerCompensation(jobData, "restore-backup", {
+    backupId: backup.id,
+  });
+  rollback.registerCompensation(jobData, "restore-backup", {
+    backupId: "not-recorded",
+  });
+  server.files.clear();
+
+  const archivePath = siteBackup.getBackupArchivePath(backup);
+  fs.appendFileSync(archivePath, "tampered");
+  await assert.rejects(siteBackup.restoreBackup(stubClient, backup, logger), {
+    code: "BACKUP_INTEGRITY",
+  });
+  const tampered = await rollback.rollbackJob(jobData, CREDENTIALS, {
+    logger,
+  });
+  assert.equal(tampered.status, "incomplete");
+  assert.deepEqual(
+    tampered.actions.map((action) => action.error),
+    [
+      "Backup not-recorded is not recorded on the job",
+      `Backup archive ${backup.archive} does not match its recorded SHA-256`,
+    ]
+  );
+
+  fs.rmSync(archivePath);
+  await assert.rejects(siteBackup.restoreBackup(stubClient, backup, logger), {
+    code: "BACKUP_NOT_FOUND",
+  });
+  const gone = await rollback.rollbackJob(jobData, CREDENTIALS, { logger });
+  assert.equal(gone.status, "incomplete");
+
+  // Nothing was uploaded, nothing was counted as restored, and both
+  // actions stay registered for a later rollback
+  assert.equal(server.files.size, 0);
+  assert.equal(backup.restores, undefined);
+  assert.equal(jobData.compensations.length, 2);
+});
@@ -0,0 +1,156 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let dataDir;
+let machine;
+let jobEvents;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-states-"));
+  // Published state events are stored with the job's log
+  process.env.SQLITE_PATH = path.join(dataDir, "deployer.db");
+  machine = require("../services/jobStateMachine");
+  jobEvents = require("../services/jobEvents");
+});
+
+after(() => {
+  require("../services/storage").getStorage().close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// [from, to, allowed]
+const TRANSITIONS = [
+  ["created", "queued", true],
+  ["queued", "domain-provisioning", true],
+  ["queued", "db-provisioning", true],
+  ["domain-provisioning", "db-provisioning", true],
+  ["db-provisioning", "waiting-for-db", true],
+  ["db-provisioning", "backing-up", true],
+  ["backing-up", "downloading-artifacts", true],
+  ["downloading-artifacts", "uploading", true],
+  ["uploading", "awaiting-install", true],
+  ["uploading", "installing", true],
+  ["installing", "installed", true],
+  ["installing", "install-failed", true],
+  ["install-failed", "installing", true],
+  ["awaiting-install", "installed", true],
+  ["installed", "verified", true],
+  ["waiting-for-db", "queued", true],
+  ["uploading", "failed", true],
+  ["failed", "queued", true],
+  ["verified", "decommissioned", true],
+  // Jobs saved with the old status name
+  ["uploaded", "installed", true],
+  ["created", "uploading", false],
+  ["created", "failed", false],
+  ["queued", "installed", false],
+  ["waiting-for-db", "uploading", false],
+  ["uploading", "verified", false],
+  ["awaiting-install", "verified", false],
+  ["install-failed", "queued", false],
+  ["installed", "queued", false],
+  ["verified", "failed", false],
+  ["failed", "installed", false],
+  ["decommissioned", "queued", false],
+  ["decommissioned", "failed", false],
+];
+
+test("allows only the transitions of the job lifecycle", () => {
+  for (const [from, to, allowed] of TRANSITIONS) {
+    const jobData = { id: "job-1", status: from };
+    assert.equal(
+      machine.canTransition(jobData, to),
+      allowed,
+      `${from} → ${to}`
+    );
+    if (allowed) {
+      machine.assertTransition(jobData, to);
+    } else {
+      assert.throws(() => machine.assertTransition(jobData, to), {
+        code: "ILLEGAL_TRANSITION",
+        message: `Illegal job transition: ${machine.getJobState(
+          jobData
+        )} → ${to}`,
+      });
+    }
+  }
+
+  assert.throws(
+    () => machine.assertTransition({ status: "queued" }, "paused"),
+    { code: "ILLEGAL_TRANSITION", message: "Unknown job state: paused" }
+  );
+  // A job without a status has just been created
+  assert.equal(machine.getJobState({}), "created");
+  assert.equal(machine.getJobState({ status: "uploaded" }), "awaiting-install");
+});
+
+test("records each transition in the history and publishes it", () => {
+  const jobData = { id: "job-2", status: "created" };
+  const events = [];
+  const unsubscribe = jobEvents.subscribeToJob("job-2", (event) =>
+    events.push(event)
+  );
+
+  machine.transitionJob(jobData, "queued", {
+    actor: "operator",
+    reason: "Deploy requested",
+  });
+  machine.transitionJob(jobData, "db-provisioning");
+  assert.throws(() => machine.transitionJob(jobData, "verified"), {
+    code: "ILLEGAL_TRANSITION",
+  });
+  unsubscribe();
+
+  assert.equal(jobData.status, "db-provisioning");
+  assert.equal(jobData.statusChangedAt, jobData.history[1].at);
+  assert.deepEqual(
+    jobData.history.map(({ from, to, actor, reason }) => ({
+      from,
+      to,
+      actor,
+      reason,
+    })),
+    [
+      {
+        from: "created",
+        to: "queued",
+        actor: "operator",
+        reason: "Deploy requested",
+      },
+      { from: "queued", to: "db-provisioning", actor: "system", reason: null },
+    ]
+  );
+
+  // The refused transition published nothing
+  const expected = [
+    {
+      type: "state",
+      from: "created",
+      to: "queued",
+      actor: "operator",
+      reason: "Deploy requested",
+    },
+    {
+      type: "state",
+      from: "queued",
+      to: "db-provisioning",
+      actor: "system",
+      reason: null,
+    },
+  ];
+  const pick = ({ type, from, to, actor, reason }) => ({
+    type,
+    from,
+    to,
+    actor,
+    reason,
+  });
+  assert.deepEqual(events.map(pick), expected);
+  assert.deepEqual(
+    require("../services/jobStore").readJobLog("job-2").map(pick),
+    expected
+  );
+});
@@ -0,0 +1,320 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startDeployer } = require("./support/deployer");
+const { startMockCpanel } = require("./support/mockCpanel");
+const { startMockFtp } = require("./support/mockFtp");
+const { startMockSsh } = require("./support/mockSsh");
+
+const CPANEL_USER = "cpuser";
+const CPANEL_PASSWORD = "cpanel-password";
+const LOGO = Buffer.from("89504e470d0a1a0a", "hex");
+
+let deployer;
+let cpanel;
+let ssh;
+let ftp;
+
+/**
+ * Answers the commands the deployer runs as a host with wp on its PATH
+ * would, without running anything.
+ * @param {string} command - Shell command
+ * @returns {object} - { stdout, stderr, code }
+ */
+const wpCliHost = (command) => {
+  if (command === "pwd") {
+    // The mock SFTP server shows the home directory as "/"
+    return { stdout: "/\n" };
+  }
+  if (command === "php") {
+    return {
+      stdout: JSON.stringify({
+        php: "8.2.12",
+        extensions: { zip: true, mysqli: true, curl: true, mbstring: true },
+        shellExec: false,
+      }),
+    };
+  }
+  if (command.startsWith("command -v wp")) {
+    return { stdout: "/usr/local/bin/wp\n" };
+  }
+  if (command.includes("wp core install")) {
+    return { stdout: "Success: WordPress installed successfully.\n" };
+  }
+  if (command.includes("wp media import")) {
+    return { stdout: "42\n" };
+  }
+  return {};
+};
+
+before(async () => {
+  deployer = await startDeployer();
+  cpanel = await startMockCpanel({
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    domains: [
+      {
+        domain: "example.com",
+        type: "main_domain",
+        documentRoot: `/home/${CPANEL_USER}/public_html`,
+      },
+      {
+        domain: "second.com",
+        type: "addon_domain",
+        documentRoot: `/home/${CPANEL_USER}/second.com`,
+      },
+    ],
+  });
+  const sshHome = path.join(deployer.dataDir, "ssh-home");
+  ["public_html", "second.com"].forEach((dir) =>
+    fs.mkdirSync(path.join(sshHome, dir), { recursive: true })
+  );
+  ssh = await startMockSsh({
+    root: sshHome,
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    onExec: wpCliHost,
+  });
+  ftp = await startMockFtp({
+    root: path.join(deployer.dataDir, "ftp-home"),
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+  });
+});
+
+after(async () => {
+  await Promise.all([deployer, cpanel, ssh, ftp].map((s) => s && s.close()));
+});
+
+const saveCredential = async (transport) => {
+  const { status, body } = await deployer.request("POST", "/save-credentials", {
+    host: "127.0.0.1",
+    port: cpanel.port,
+    username: CPANEL_USER,
+    password: CPANEL_PASSWORD,
+    transport,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.credentialId;
+};
+
+const createJob = async (domain) => {
+  const form = new FormData();
+  Object.entries({
+    template: "astra",
+    domain,
+    email: "owner@example.com",
+    phone: "+1 555 0100",
+    address: "1 Main Street",
+    title: "Example Site",
+    installMode: "ssh",
+  }).forEach(([name, value]) => form.append(name, value));
+  form.append("logo", new Blob([LOGO], { type: "image/png" }), "logo.png");
+  const { status, body } = await deployer.request("POST", "/deploy", form);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.jobId;
+};
+
+// Commands run after a point, without the cd into the document root
+const commandsSince = (start) =>
+  ssh.commands
+    .slice(start)
+    .map(({ command }) => command.replace(/^cd '[^']*' && /, ""));
+
+test("refuses to install over SSH with an FTP credential", async () => {
+  const credentialId = await saveCredential({
+    protocol: "ftp",
+    port: ftp.port,
+  });
+  const jobId = await createJob("example.com");
+
+  const { status, body } = await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  assert.equal(status, 409);
+  assert.equal(
+    body.details,
+    "Installing over SSH needs a credential that uploads over SFTP"
+  );
+});
+
+test("checks PHP and WP-CLI over SSH before an SSH install", async () => {
+  const credentialId = await saveCredential({
+    protocol: "sftp",
+    port: ssh.port,
+  });
+  const jobId = await createJob("example.com");
+  const start = ssh.commands.length;
+
+  const { status, body } = await deployer.request(
+    "POST",
+    `/jobs/${jobId}/preflight`,
+    { credentialId }
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  const checks = Object.fromEntries(
+    body.preflight.checks.map((check) => [check.id, check])
+  );
+  assert.equal(checks.ssh.status, "pass", checks.ssh.message);
+  assert.equal(checks.php.status, "pass", checks.php.message);
+  assert.match(checks.php.message, /^PHP 8\.2\.12 .*\(command line\)$/);
+  assert.equal(checks["wp-cli"].status, "pass", checks["wp-cli"].message);
+  assert.match(commandsSince(start).join("\n"), /^php$/m);
+
+  // The probe runs on the command line; nothing goes in the web root
+  assert.deepEqual(ssh.files("/public_html"), []);
+});
+
+test("installs WordPress with WP-CLI over SSH", async () => {
+  const credentialId = await saveCredential({
+    protocol: "sftp",
+    port: ssh.port,
+  });
+  const jobId = await createJob("example.com");
+  const start = ssh.commands.length;
+
+  const queued = await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+  const job = await deployer.waitForJob(jobId, (current) =>
+    ["installed", "failed"].includes(current.status)
+  );
+  assert.equal(job.status, "installed", job.error);
+  assert.deepEqual(job.history.map((entry) => entry.to).slice(-3), [
+    "uploading",
+    "installing",
+    "installed",
+  ]);
+
+  // No installer is left in the web root to be run again
+  const site = "/public_html";
+  assert.deepEqual(ssh.files(site), [
+    `${site}/wordpress.zip`,
+    `${site}/wp-config.php`,
+    `${site}/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip`,
+    `${site}/wp-content/plugins/all-in-one-wp-migration.zip`,
+    `${site}/wp-content/themes/astra.zip`,
+    `${site}/wp-content/uploads/${job.logo}`,
+  ]);
+
+  const commands = commandsSince(start);
+  assert.deepEqual(commands.slice(0, 3), [
+    "pwd",
+    "command -v wp || true",
+    "php -- wordpress.zip",
+  ]);
+  assert.match(
+    commands[3],
+    /^wp core install --url='https:\/\/example\.com' --title='Example Site' --admin_user='admin-[0-9a-f]{8}' --admin_email='owner@example\.com' --skip-email --prompt=admin_password$/
+  );
+  assert.match(commands[4], /^wp plugin install .* --activate --force/);
+  assert.match(
+    commands[5],
+    /^wp theme install 'wp-content\/themes\/astra\.zip' --activate/
+  );
+  assert.equal(
+    commands[6],
+    `wp media import 'wp-content/uploads/${job.logo}' --title='Site Logo' --porcelain`
+  );
+  assert.equal(commands[7], "wp theme mod set custom_logo 42");
+  assert.equal(
+    commands.filter((command) => command.startsWith("wp search-replace"))
+      .length,
+    7
+  );
+  assert.ok(
+    commands.includes(
+      "wp search-replace 'winmill-equipment.com' 'example.com' --skip-columns=guid --report-changed-only"
+    )
+  );
+
+  // The core is unpacked by the script piped to php
+  const [unpack, coreInstall] = ssh.commands.slice(start + 2);
+  assert.equal(
+    unpack.stdin,
+    fs.readFileSync(
+      path.join(__dirname, "../../deploy-scripts/unpack-core.php"),
+      "utf8"
+    )
+  );
+
+  // The admin password only went over stdin
+  const credentials = await deployer.request(
+    "GET",
+    `/jobs/${jobId}/admin-credentials`
+  );
+  assert.equal(credentials.status, 200, JSON.stringify(credentials.body));
+  assert.equal(credentials.body.loginUrl, "https://example.com/wp-login.php");
+  assert.match(commands[3], new RegExp(`'${credentials.body.username}'`));
+  assert.equal(coreInstall.stdin, `${credentials.body.password}\n`);
+  assert.notEqual(
+    deployer.readJob(jobId).adminPassword,
+    credentials.body.password
+  );
+  assert.ok(
+    ssh.commands.every(
+      ({ command }) => !command.includes(credentials.body.password)
+    )
+  );
+
+  // WP-CLI's output is in the job log as it was printed
+  const logs = await deployer.request(
+    "GET",
+    `/jobs/${jobId}/logs?step=installing`
+  );
+  assert.equal(logs.status, 200);
+  const messages = logs.body
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).message);
+  assert.ok(
+    messages.includes("Success: WordPress installed successfully."),
+    messages.join("\n")
+  );
+});
+
+test("fails the job and removes the files when WP-CLI fails", async (t) => {
+  ssh.onExec = (command) =>
+    command.includes("wp core install")
+      ? {
+          stderr: "Error: Error establishing a database connection.\n",
+          code: 1,
+        }
+      : wpCliHost(command);
+  t.after(() => {
+    ssh.onExec = wpCliHost;
+  });
+  const credentialId = await saveCredential({
+    protocol: "sftp",
+    port: ssh.port,
+  });
+  const jobId = await createJob("second.com");
+
+  await deployer.request("POST", `/upload/${jobId}`, {
+    credentialId,
+    force: true,
+  });
+  const job = await deployer.waitForJob(
+    jobId,
+    (current) => (current.rollbacks || []).length > 0
+  );
+
+  assert.equal(job.status, "failed");
+  assert.equal(
+    job.error,
+    "WordPress core install failed (exit code 1): Error: Error establishing a database connection."
+  );
+  assert.equal(job.rollbacks[0].status, "complete");
+  assert.deepEqual(ssh.files("/second.com"), []);
+  assert.equal(deployer.readJob(jobId).adminPassword, undefined);
+
+  const { status } = await deployer.request(
+    "GET",
+    `/jobs/${jobId}/admin-credentials`
+  );
+  assert.equal(status, 404);
+});
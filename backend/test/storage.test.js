@@ -0,0 +1,190 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { createJsonStorage } = require("../services/storage/jsonStorage");
+const { createSqliteStorage } = require("../services/storage/sqliteStorage");
+const { importJsonStorage } = require("../services/storage/jsonImporter");
+const { migrations } = require("../services/storage/migrations");
+
+let dataDir;
+const opened = [];
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-storage-"));
+});
+
+after(() => {
+  opened.forEach((storage) => storage.close());
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// The directories of the JSON layout, under a directory of their own
+const jsonPaths = (name) => ({
+  jobsPath: path.join(dataDir, name, "jobs"),
+  credentialsPath: path.join(dataDir, name, "credentials"),
+  templatesPath: path.join(dataDir, name, "templates"),
+  artifactsPath: path.join(dataDir, name, "artifacts"),
+});
+
+const DRIVERS = {
+  json: (name) => createJsonStorage(jsonPaths(name)),
+  sqlite: (name) => {
+    const storage = createSqliteStorage(path.join(dataDir, `${name}.db`));
+    opened.push(storage);
+    return storage;
+  },
+};
+
+const job = (id, fields) => ({
+  id,
+  domain: "example.com",
+  status: "queued",
+  timestamp: "2026-01-01T00:00:00.000Z",
+  ...fields,
+});
+
+for (const [driver, open] of Object.entries(DRIVERS)) {
+  test(`${driver} driver stores jobs, their logs and credentials`, () => {
+    const storage = open(`records-${driver}`);
+    assert.equal(storage.driver, driver);
+
+    storage.saveJob(job("job-1"));
+    storage.saveJob(
+      job("job-2", {
+        domain: "other.com",
+        status: "installed",
+        timestamp: "2026-01-02T00:00:00.000Z",
+      })
+    );
+    storage.saveJob(job("job-1", { status: "uploading" }));
+    assert.equal(storage.getJob("job-1").status, "uploading");
+    assert.equal(storage.getJob("missing"), null);
+    // Newest first
+    assert.deepEqual(
+      storage.listJobs().map((jobData) => jobData.id),
+      ["job-2", "job-1"]
+    );
+    assert.deepEqual(
+      storage.listJobs({ status: "uploading" }).map((jobData) => jobData.id),
+      ["job-1"]
+    );
+    assert.deepEqual(
+      storage.listJobs({ domain: "other.com" }).map((jobData) => jobData.id),
+      ["job-2"]
+    );
+
+    storage.appendJobLog("job-1", { id: 1, message: "first" });
+    storage.appendJobLog("job-1", { id: 2, message: "second" });
+    assert.deepEqual(
+      storage.readJobLog("job-1").map((entry) => entry.message),
+      ["first", "second"]
+    );
+
+    storage.saveCredential({ id: "cred-1", host: "example.com" });
+    assert.deepEqual(storage.getCredential("cred-1"), {
+      id: "cred-1",
+      host: "example.com",
+    });
+    assert.equal(storage.deleteCredential("cred-1"), true);
+    assert.deepEqual(storage.listCredentials(), []);
+
+    // Deleting a job takes its log with it
+    assert.equal(storage.deleteJob("job-1"), true);
+    assert.equal(storage.deleteJob("job-1"), false);
+    assert.deepEqual(storage.readJobLog("job-1"), []);
+  });
+}
+
+test("only the SQLite driver rolls back a failed transaction", () => {
+  const failing = (storage) => () =>
+    storage.transaction(() => {
+      storage.saveJob(job("job-1"));
+      throw new Error("Failed halfway");
+    });
+
+  const sqlite = DRIVERS.sqlite("transaction");
+  assert.throws(failing(sqlite), { message: "Failed halfway" });
+  assert.equal(sqlite.getJob("job-1"), null);
+
+  // The JSON driver only groups the calls: what ran before the error stays
+  const json = DRIVERS.json("transaction");
+  assert.throws(failing(json), { message: "Failed halfway" });
+  assert.equal(json.getJob("job-1").id, "job-1");
+});
+
+test("applies the migrations a database has not seen yet", () => {
+  const dbPath = path.join(dataDir, "migrate.db");
+  // A database left at the first schema version, with a job in it
+  const db = new Database(dbPath);
+  db.exec(migrations[0]);
+  db.pragma("user_version = 1");
+  db.prepare(
+    "INSERT INTO jobs (id, domain, status, timestamp, data) VALUES (?, ?, ?, ?, ?)"
+  ).run(
+    "job-1",
+    "example.com",
+    "installed",
+    "2026-01-01T00:00:00.000Z",
+    JSON.stringify(job("job-1", { status: "installed" }))
+  );
+  db.close();
+
+  const storage = createSqliteStorage(dbPath);
+  assert.equal(storage.getJob("job-1").status, "installed");
+  // Tables of the later migrations are there
+  storage.saveArtifact({ key: "core/wordpress/6.5.2", sha256: "a", size: 1 });
+  assert.equal(storage.listArtifacts().length, 1);
+  storage.saveAuditRecord({ id: "audit-1", action: "x", at: "2026-01-01" });
+  assert.equal(storage.listAuditRecords().length, 1);
+  storage.close();
+
+  const migrated = new Database(dbPath);
+  assert.equal(
+    migrated.pragma("user_version", { simple: true }),
+    migrations.length
+  );
+  migrated.close();
+
+  // Opening it again applies nothing more
+  const reopened = createSqliteStorage(dbPath);
+  assert.equal(reopened.listArtifacts().length, 1);
+  reopened.close();
+});
+
+test("imports the JSON files into a new database once", () => {
+  const paths = jsonPaths("import");
+  const source = createJsonStorage(paths);
+  source.saveJob(job("job-1", { status: "installed" }));
+  source.appendJobLog("job-1", { id: 1, message: "Deployed" });
+  source.saveCredential({ id: "cred-1", host: "example.com" });
+  source.saveAuditRecord({
+    id: "audit-1",
+    action: "admin-credentials.read",
+    jobId: "job-1",
+    at: "2026-01-01T00:00:00.000Z",
+  });
+
+  const storage = DRIVERS.sqlite("import");
+  const summary = importJsonStorage(storage, paths);
+  assert.equal(summary.jobs, 1);
+  assert.equal(summary.credentials, 1);
+  assert.deepEqual(storage.getJob("job-1"), source.getJob("job-1"));
+  assert.deepEqual(storage.readJobLog("job-1"), source.readJobLog("job-1"));
+  assert.deepEqual(storage.listCredentials(), source.listCredentials());
+  assert.deepEqual(storage.listAuditRecords(), source.listAuditRecords());
+  assert.deepEqual(storage.getMeta("json-import"), summary);
+
+  // A second run finds the import recorded and copies nothing again, even
+  // records added to the files since
+  source.saveJob(job("job-2"));
+  assert.equal(importJsonStorage(storage, paths), null);
+  assert.equal(storage.getJob("job-2"), null);
+  assert.equal(storage.readJobLog("job-1").length, 1);
+
+  // The files are left in place, and a JSON target is never imported into
+  assert.equal(source.getJob("job-1").id, "job-1");
+  assert.equal(importJsonStorage(source, paths), null);
+});
@@ -0,0 +1,204 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const { once } = require("events");
+
+const BACKEND_DIR = path.join(__dirname, "../..");
+const REPO_DIR = path.join(BACKEND_DIR, "..");
+
+const ADMIN = { username: "admin", password: "admin-password" };
+
+// Archives in the offline mirror; the bytes are checked after upload
+const MIRRORED = [
+  { kind: "core", slug: "wordpress", version: "6.5.2" },
+  { kind: "plugin", slug: "all-in-one-wp-migration", version: "7.81" },
+  { kind: "theme", slug: "astra", version: "4.6.1" },
+];
+
+// The parts of wp-config-sample.php the uploader fills in
+const WP_CONFIG_SAMPLE = `<?php
+define( 'DB_NAME', 'database_name_here' );
+define( 'DB_USER', 'username_here' );
+define( 'DB_PASSWORD', 'password_here' );
+define( 'DB_HOST', 'localhost' );
+
+define( 'AUTH_KEY',         'put your unique phrase here' );
+define( 'SECURE_AUTH_KEY',  'put your unique phrase here' );
+define( 'LOGGED_IN_KEY',    'put your unique phrase here' );
+define( 'NONCE_KEY',        'put your unique phrase here' );
+define( 'AUTH_SALT',        'put your unique phrase here' );
+define( 'SECURE_AUTH_SALT', 'put your unique phrase here' );
+define( 'LOGGED_IN_SALT',   'put your unique phrase here' );
+define( 'NONCE_SALT',       'put your unique phrase here' );
+
+$table_prefix = 'wp_';
+`;
+
+// Files a deploy reads from the working copy that are not in git. They
+// are created for the run when missing and removed again afterwards.
+const LOCAL_ASSETS = [
+  {
+    file: path.join(BACKEND_DIR, "wordpress-core/wp-config-sample.php"),
+    content: WP_CONFIG_SAMPLE,
+  },
+  {
+    file: path.join(
+      BACKEND_DIR,
+      "plugins/all-in-one-wp-migration-unlimited-extension.zip"
+    ),
+    content: "All-in-One WP Migration Unlimited Extension",
+  },
+];
+
+/**
+ * Starts the deployer's HTTP API and queue workers in this process, with
+ * its database, queue, caches and offline mirror in a temporary
+ * directory. Deploys never contact wordpress.org.
+ * @returns {Promise<object>} - { dataDir, baseUrl, mirror, request(),
+ *   waitForJob(), readJob(), close() }
+ */
+async function startDeployer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-deployer-test-"));
+  const mirrorDir = path.join(dataDir, "mirror");
+  Object.assign(process.env, {
+    SQLITE_PATH: path.join(dataDir, "deployer.db"),
+    QUEUE_DIR: path.join(dataDir, "queue"),
+    USERS_DIR: path.join(dataDir, "users"),
+    ARTIFACT_CACHE_DIR: path.join(dataDir, "artifacts"),
+    BACKUP_DIR: path.join(dataDir, "backups"),
+    ARTIFACT_MIRROR_DIR: mirrorDir,
+    OFFLINE_MODE: "true",
+    CREDENTIAL_MASTER_KEY: "test-master-key",
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password,
+    // The mock cPanel server has a self-signed certificate
+    NODE_TLS_REJECT_UNAUTHORIZED: "0",
+  });
+
+  const mirror = {};
+  for (const artifact of MIRRORED) {
+    const file = path.join(
+      mirrorDir,
+      artifact.kind,
+      artifact.slug,
+      `${artifact.version}.zip`
+    );
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${artifact.slug} ${artifact.version}`);
+    mirror[artifact.slug] = file;
+  }
+
+  const createdAssets = LOCAL_ASSETS.filter(({ file }) => !fs.existsSync(file));
+  for (const { file, content } of createdAssets) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  // Logos are stored here by POST /deploy
+  const uploadsDir = path.join(REPO_DIR, "uploads");
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const logos = [];
+
+  // The test runner reads results from stdout; the deployer's own logging
+  // goes to stderr so it cannot garble them
+  for (const method of ["log", "info", "debug"]) {
+    console[method] = (...args) =>
+      process.stderr.write(`${util.format(...args)}\n`);
+  }
+
+  const { startServer } = require("../../index");
+  const server = startServer(0);
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(ADMIN),
+  });
+  const { token } = await login.json();
+
+  /**
+   * Calls the deployer's API as the admin user.
+   * @param {string} method - HTTP method
+   * @param {string} route - e.g. "/save-credentials"
+   * @param {object|FormData} [body] - JSON body, or a multipart form
+   * @returns {Promise<object>} - { status, body }; body is a string for
+   *   responses that are not JSON
+   */
+  const request = async (method, route, body) => {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body && !(body instanceof FormData)) {
+      headers["Content-Type"] = "application/json";
+    }
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body instanceof FormData ? body : body && JSON.stringify(body),
+    });
+    // Job logs come back as JSON lines or plain text
+    const isJson = /^application\/json/.test(
+      response.headers.get("content-type") || ""
+    );
+    const result = {
+      status: response.status,
+      body: isJson ? await response.json() : await response.text(),
+    };
+    const logo = result.body.jobData && result.body.jobData.logo;
+    if (logo) {
+      logos.push(path.join(uploadsDir, logo));
+    }
+    return result;
+  };
+
+  /**
+   * Polls a job until it satisfies a condition.
+   * @param {string} jobId - Job ID
+   * @param {Function} done - Called with the job; true stops polling
+   * @param {number} [timeout] - Milliseconds before giving up
+   * @returns {Promise<object>} - The job
+   */
+  const waitForJob = async (jobId, done, timeout = 30000) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const { body } = await request("GET", `/jobs/${jobId}`);
+      if (done(body.job)) {
+        return body.job;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Job ${jobId} is still ${body.job.status} after ${timeout} ms`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  };
+
+  /**
+   * Reads a job as it is stored, secrets included; GET /jobs/:jobId
+   * leaves them out.
+   * @param {string} jobId - Job ID
+   * @returns {object} - Job record
+   */
+  const readJob = (jobId) => require("../../services/jobStore").getJob(jobId);
+
+  const close = async () => {
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+    require("../../services/storage").getStorage().close();
+    logos.forEach((file) => fs.rmSync(file, { force: true }));
+    for (const { file } of createdAssets) {
+      fs.rmSync(file, { force: true });
+      if (!fs.readdirSync(path.dirname(file)).length) {
+        fs.rmdirSync(path.dirname(file));
+      }
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { dataDir, baseUrl, mirror, request, waitForJob, readJob, close };
+}
+
+module.exports = { startDeployer };
@@ -0,0 +1,251 @@
+const https = require("https");
+const { key, cert } = require("./tls");
+
+/**
+ * Starts a fake cPanel server for the end-to-end tests. It answers the
+ * UAPI calls the deployer makes (Mysql, Ftp, DomainInfo, cpanel_info) on
+ * both /execute/ and /json-api/uapi/, and the API 2 calls rollback uses,
+ * keeping databases and users in memory like cPanel does. Requests with
+ * the wrong password or API token get 401; with apiAccess set to false
+ * every request gets 403.
+ * @param {object} [options]
+ * @param {string} [options.username] - cPanel user, also the DB prefix
+ * @param {string} [options.password] - Password accepted with Basic auth
+ * @param {string} [options.apiToken] - Token accepted as "cpanel user:token"
+ * @param {object[]} [options.domains] - { domain, type, documentRoot };
+ *   type is "main_domain", "addon_domain", "sub_domain" or "parked_domain"
+ * @returns {Promise<object>} - { port, calls, databases, users,
+ *   privileges, apiAccess, callsTo(), failNext(), close() }
+ */
+async function startMockCpanel(options = {}) {
+  const {
+    username = "cpuser",
+    password = "cpanel-password",
+    apiToken = null,
+  } = options;
+  const homeDir = `/home/${username}`;
+  const domains = options.domains || [
+    {
+      domain: "example.com",
+      type: "main_domain",
+      documentRoot: `${homeDir}/public_html`,
+    },
+  ];
+  const prefixed = (name) =>
+    name.startsWith(`${username}_`) ? name : `${username}_${name}`;
+
+  const mock = {
+    port: null,
+    apiAccess: true,
+    // Every authenticated call: { api, module, func, args }
+    calls: [],
+    databases: new Set(),
+    // Database user name -> password
+    users: new Map(),
+    // { user, database, privileges }
+    privileges: [],
+    failures: new Map(),
+  };
+
+  /**
+   * Calls made to one function, in order.
+   * @param {string} module - e.g. "Mysql"
+   * @param {string} [func] - e.g. "create_database"; all of the module's
+   *   calls without it
+   * @returns {object[]} - { api, module, func, args }
+   */
+  mock.callsTo = (module, func) =>
+    mock.calls.filter(
+      (call) => call.module === module && (!func || call.func === func)
+    );
+
+  /**
+   * Makes the next call to a function fail the way cPanel reports errors.
+   * @param {string} module - e.g. "Mysql"
+   * @param {string} func - e.g. "create_user"
+   * @param {string} message - Error message cPanel returns
+   */
+  mock.failNext = (module, func, message) => {
+    mock.failures.set(`${module}::${func}`, message);
+  };
+
+  const findDomain = (name) =>
+    domains.find(
+      (entry) => entry.domain.toLowerCase() === String(name).toLowerCase()
+    );
+  const domainData = (entry) => ({
+    domain: entry.domain,
+    documentroot: entry.documentRoot,
+    homedir: homeDir,
+    type: entry.type,
+  });
+  const ofType = (type) => domains.filter((entry) => entry.type === type);
+
+  // UAPI functions: each returns the call's data or throws its error
+  const uapi = {
+    cpanel_info: {
+      get_user_information: () => ({ user: username, home: homeDir }),
+    },
+    Mysql: {
+      create_database: ({ name }) => {
+        if (mock.databases.has(prefixed(name))) {
+          throw new Error(`The database "${prefixed(name)}" already exists.`);
+        }
+        mock.databases.add(prefixed(name));
+        return null;
+      },
+      create_user: (args) => {
+        if (mock.users.has(prefixed(args.name))) {
+          throw new Error(`The user "${prefixed(args.name)}" already exists.`);
+        }
+        mock.users.set(prefixed(args.name), args.password);
+        return null;
+      },
+      set_privileges_on_database: (args) => {
+        if (!mock.users.has(args.user)) {
+          throw new Error(`The user "${args.user}" does not exist.`);
+        }
+        if (!mock.databases.has(args.database)) {
+          throw new Error(`The database "${args.database}" does not exist.`);
+        }
+        mock.privileges.push({
+          user: args.user,
+          database: args.database,
+          privileges: args.privileges,
+        });
+        return null;
+      },
+      delete_database: ({ name }) => {
+        if (!mock.databases.delete(name)) {
+          throw new Error(`The database "${name}" does not exist.`);
+        }
+        return null;
+      },
+      delete_user: ({ name }) => {
+        if (!mock.users.delete(name)) {
+          throw new Error(`The user "${name}" does not exist.`);
+        }
+        return null;
+      },
+      list_databases: () =>
+        [...mock.databases].map((database) => ({ database })),
+      list_users: () => [...mock.users.keys()].map((user) => ({ user })),
+    },
+    Ftp: {
+      list_ftp: () => [{ user: username, type: "main", homedir: homeDir }],
+    },
+    DomainInfo: {
+      list_domains: () => ({
+        main_domain: ofType("main_domain")[0].domain,
+        addon_domains: ofType("addon_domain").map((entry) => entry.domain),
+        sub_domains: ofType("sub_domain").map((entry) => entry.domain),
+        parked_domains: ofType("parked_domain").map((entry) => entry.domain),
+      }),
+      single_domain_data: ({ domain }) => {
+        const entry = findDomain(domain);
+        if (!entry) {
+          throw new Error(`The domain "${domain}" does not exist.`);
+        }
+        return domainData(entry);
+      },
+      domains_data: () => ({
+        main_domain: domainData(ofType("main_domain")[0]),
+        addon_domains: ofType("addon_domain").map(domainData),
+        sub_domains: ofType("sub_domain").map(domainData),
+      }),
+    },
+  };
+
+  // API 2 functions, answered with cPanel's { cpanelresult } envelope
+  const api2 = {
+    SubDomain: { delsubdomain: () => null },
+    AddonDomain: { deladdondomain: () => null },
+  };
+
+  const run = (api, functions, module, func, args) => {
+    mock.calls.push({ api, module, func, args });
+    const failure = mock.failures.get(`${module}::${func}`);
+    if (failure) {
+      mock.failures.delete(`${module}::${func}`);
+      throw new Error(failure);
+    }
+    const handler = (functions[module] || {})[func];
+    if (!handler) {
+      throw new Error(`Unknown function ${module}::${func}`);
+    }
+    return handler(args);
+  };
+
+  const isAuthorized = (header = "") => {
+    if (apiToken && header === `cpanel ${username}:${apiToken}`) {
+      return true;
+    }
+    const basic = Buffer.from(`${username}:${password}`).toString("base64");
+    return !!password && header === `Basic ${basic}`;
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type":
+        typeof body === "string" ? "text/html" : "application/json",
+    });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  };
+
+  const server = https.createServer({ key, cert }, (req, res) => {
+    const url = new URL(req.url, "https://localhost");
+    const args = Object.fromEntries(url.searchParams);
+
+    if (!mock.apiAccess) {
+      return send(res, 403, "<html>API access is disabled</html>");
+    }
+    if (!isAuthorized(req.headers.authorization)) {
+      return send(res, 401, "<html>Access denied</html>");
+    }
+
+    if (url.pathname === "/json-api/cpanel") {
+      const module = args.cpanel_jsonapi_module;
+      const func = args.cpanel_jsonapi_func;
+      try {
+        const data = run("api2", api2, module, func, args);
+        return send(res, 200, {
+          cpanelresult: { module, func, data: [{ result: 1, data }] },
+        });
+      } catch (error) {
+        return send(res, 200, {
+          cpanelresult: {
+            module,
+            func,
+            data: [{ result: 0, reason: error.message }],
+          },
+        });
+      }
+    }
+
+    const match = url.pathname.match(
+      /^\/(?:execute|json-api\/uapi)\/([A-Za-z_]+)\/([a-z_]+)$/
+    );
+    if (!match) {
+      // The credential check probes /execute/ and /json-api/ themselves
+      return send(res, 200, { status: 1, errors: null, data: null });
+    }
+    try {
+      const data = run("uapi", uapi, match[1], match[2], args);
+      send(res, 200, { status: 1, errors: null, messages: null, data });
+    } catch (error) {
+      send(res, 200, { status: 0, errors: [error.message], data: null });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mock.port = server.address().port;
+
+  mock.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  return mock;
+}
+
+module.exports = { startMockCpanel };
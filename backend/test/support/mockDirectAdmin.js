@@ -0,0 +1,160 @@
+const https = require("https");
+const { key, cert } = require("./tls");
+
+/**
+ * Starts a fake DirectAdmin server for the end-to-end tests. It answers
+ * the CMD_API commands the deployer sends with URL-encoded replies like
+ * DirectAdmin's, keeping databases and their users in memory. Requests
+ * with the wrong password or login key get 401.
+ * @param {object} [options]
+ * @param {string} [options.username] - DirectAdmin user, also the DB prefix
+ * @param {string} [options.password] - Password accepted with Basic auth
+ * @param {string} [options.loginKey] - Login key accepted in its place
+ * @param {object[]} [options.domains] - { domain, subdomains, pointers }
+ * @returns {Promise<object>} - { port, calls, databases, failNext(),
+ *   close() }
+ */
+async function startMockDirectAdmin(options = {}) {
+  const {
+    username = "dauser",
+    password = "directadmin-password",
+    loginKey = null,
+  } = options;
+  const domains = options.domains || [{ domain: "example.com" }];
+  const prefixed = (name) => `${username}_${name}`;
+
+  const mock = {
+    port: null,
+    // Every authenticated call: { command, method, args }
+    calls: [],
+    // Database name -> { users: Map of user -> password }
+    databases: new Map(),
+    failures: new Map(),
+  };
+
+  /**
+   * Makes the next call to a command fail the way DirectAdmin reports
+   * errors.
+   * @param {string} command - e.g. "CMD_API_DATABASES"
+   * @param {string} text - Error text DirectAdmin returns
+   */
+  mock.failNext = (command, text) => {
+    mock.failures.set(command, text);
+  };
+
+  const list = (values) => values.map((value) => ["list[]", value]);
+  const fail = (text, details) => [
+    ["error", "1"],
+    ["text", text],
+    ["details", details],
+  ];
+
+  // Each command returns the reply's fields as [name, value] pairs
+  const commands = {
+    CMD_API_SHOW_USER_CONFIG: () => [
+      ["username", username],
+      ["domain", domains[0].domain],
+      ["quota", "unlimited"],
+    ],
+    CMD_API_SHOW_USER_USAGE: () => [["quota", "12.5"]],
+    CMD_API_SHOW_DOMAINS: () => list(domains.map((entry) => entry.domain)),
+    CMD_API_SUBDOMAINS: ({ domain }) => {
+      const entry = domains.find((item) => item.domain === domain);
+      return list((entry && entry.subdomains) || []);
+    },
+    CMD_API_DOMAIN_POINTER: ({ domain }) => {
+      const entry = domains.find((item) => item.domain === domain);
+      return ((entry && entry.pointers) || []).map((name) => [name, "alias"]);
+    },
+    CMD_API_DATABASES: (args) => {
+      if (args.action === "create") {
+        const name = prefixed(args.name);
+        if (mock.databases.has(name)) {
+          return fail("Unable to create database", `${name} already exists`);
+        }
+        mock.databases.set(name, {
+          users: new Map([[prefixed(args.user), args.passwd]]),
+        });
+        return [
+          ["error", "0"],
+          ["text", "Database Created"],
+        ];
+      }
+      if (args.action === "delete") {
+        if (!mock.databases.delete(args.select0)) {
+          return fail("Unable to delete database", `${args.select0} not found`);
+        }
+        return [
+          ["error", "0"],
+          ["text", "Database Deleted"],
+        ];
+      }
+      return list([...mock.databases.keys()]);
+    },
+    CMD_API_DB_USER: (args) => {
+      const database = mock.databases.get(args.name);
+      if (!database) {
+        return fail("Unable to find database", `${args.name} not found`);
+      }
+      if (args.action === "delete") {
+        database.users.delete(args.select0);
+        return [
+          ["error", "0"],
+          ["text", "User Deleted"],
+        ];
+      }
+      return list([...database.users.keys()]);
+    },
+  };
+
+  const isAuthorized = (header = "") =>
+    [password, loginKey]
+      .filter(Boolean)
+      .some(
+        (secret) =>
+          header ===
+          `Basic ${Buffer.from(`${username}:${secret}`).toString("base64")}`
+      );
+
+  const server = https.createServer({ key, cert }, (req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "https://localhost");
+      const args = Object.fromEntries(
+        req.method === "GET" ? url.searchParams : new URLSearchParams(body)
+      );
+      if (!isAuthorized(req.headers.authorization)) {
+        res.writeHead(401, { "Content-Type": "text/plain" });
+        return res.end("Unauthorized");
+      }
+
+      const command = url.pathname.slice(1);
+      mock.calls.push({ command, method: req.method, args });
+      const handler = commands[command];
+      const failure = mock.failures.get(command);
+      mock.failures.delete(command);
+      let fields;
+      if (failure) {
+        fields = fail(failure, command);
+      } else {
+        fields = handler ? handler(args) : fail("Unknown command", command);
+      }
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end(new URLSearchParams(fields).toString());
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mock.port = server.address().port;
+  mock.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  return mock;
+}
+
+module.exports = { startMockDirectAdmin };
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const FtpSrv = require("ftp-srv");
+
+// ftp-srv logs through bunyan; the tests only want the deployer's output
+const silentLog = {
+  child: () => silentLog,
+  trace() {},
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Starts an FTP server on a free local port for the end-to-end tests,
+ * serving a directory as the account's home, as cPanel's FTP login does.
+ * @param {object} options
+ * @param {string} options.root - Local directory the login sees as "/"
+ * @param {string} options.username - Accepted user
+ * @param {string} options.password - Accepted password
+ * @returns {Promise<object>} - { port, root, files(), read(), close() }
+ */
+async function startMockFtp({ root, username, password }) {
+  const server = new FtpSrv({
+    url: "ftp://127.0.0.1:0",
+    pasv_url: "127.0.0.1",
+    anonymous: false,
+    log: silentLog,
+  });
+  server.on("login", (login, resolve, reject) => {
+    if (login.username === username && login.password === password) {
+      resolve({ root });
+    } else {
+      reject(new Error("Login incorrect"));
+    }
+  });
+  await server.listen();
+
+  /**
+   * Lists every file under a directory of the FTP home.
+   * @param {string} [dir] - Directory as seen over FTP, e.g. "/public_html"
+   * @returns {string[]} - FTP paths, sorted
+   */
+  const files = (dir = "/") => {
+    const local = path.join(root, dir);
+    if (!fs.existsSync(local)) {
+      return [];
+    }
+    return fs
+      .readdirSync(local, { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) =>
+        path.posix.join(
+          dir,
+          path
+            .relative(local, path.join(entry.path, entry.name))
+            .split(path.sep)
+            .join("/")
+        )
+      )
+      .sort();
+  };
+
+  return {
+    port: server.server.address().port,
+    root,
+    files,
+    read: (file) => fs.readFileSync(path.join(root, file)),
+    close: () => server.close(),
+  };
+}
+
+module.exports = { startMockFtp };
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+
+/**
+ * Stands in for install.php on the deployed sites, which the tests cannot
+ * reach: the deployer's requests to <scheme>://<domain>/install.php are
+ * answered in the test process, by replacing the global fetch. Like
+ * install.php, the stand-in checks the posted token against job-info.json,
+ * answers 202 once it has accepted it and then reports, signed with it.
+ * @param {object} options
+ * @param {Function} options.readJobInfo - Called with the domain; returns
+ *   the job-info.json uploaded for it
+ * @param {Function} [options.onInstall] - Called with (report, jobInfo) on
+ *   each run; report(payload) sends one report and resolves to the reply
+ * @returns {object} - { runs, onInstall, unreachable, httpsError, send(),
+ *   idle(), restore() }
+ */
+function startMockInstaller({ readJobInfo, onInstall }) {
+  const realFetch = globalThis.fetch;
+  const installer = {
+    // Every request that reached the stand-in: { scheme, domain, token }
+    runs: [],
+    onInstall: onInstall || (async () => {}),
+    // When true, the sites cannot be resolved
+    unreachable: false,
+    // Error requests over HTTPS fail with instead, if any
+    httpsError: null,
+  };
+  // Installs still reporting after their request was answered
+  const pending = new Set();
+
+  /**
+   * Waits until every accepted install has sent its last report.
+   * @returns {Promise<void>}
+   */
+  installer.idle = async () => {
+    await Promise.all(pending);
+  };
+
+  /**
+   * Sends a report the way install.php does.
+   * @param {string} url - installReportUrl
+   * @param {string} token - Key for the signature
+   * @param {object} payload - Report
+   * @returns {Promise<object>} - { status, body }
+   */
+  installer.send = async (url, token, payload) => {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .createHmac("sha256", token)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    const response = await realFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Install-Timestamp": timestamp,
+        "X-Install-Signature": `sha256=${signature}`,
+      },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  globalThis.fetch = async (url, options = {}) => {
+    const match = /^(https?):\/\/([^/]+)\/install\.php$/.exec(String(url));
+    if (!match) {
+      return realFetch(url, options);
+    }
+    const [, scheme, domain] = match;
+    if (installer.unreachable) {
+      throw new TypeError("fetch failed", {
+        cause: Object.assign(new Error(`getaddrinfo ENOTFOUND ${domain}`), {
+          code: "ENOTFOUND",
+        }),
+      });
+    }
+    if (installer.httpsError && scheme === "https") {
+      throw installer.httpsError;
+    }
+
+    const token = new URLSearchParams(String(options.body)).get("token");
+    installer.runs.push({ scheme, domain, token });
+    const jobInfo = readJobInfo(domain);
+    const hash = crypto
+      .createHash("sha256")
+      .update(token || "")
+      .digest("hex");
+    if (hash !== jobInfo.installTokenHash) {
+      return new Response("Invalid install token", { status: 403 });
+    }
+
+    const run = new Promise((resolve) => setImmediate(resolve))
+      .then(() =>
+        installer.onInstall(
+          (payload) => installer.send(jobInfo.installReportUrl, token, payload),
+          jobInfo
+        )
+      )
+      .finally(() => pending.delete(run));
+    pending.add(run);
+    return new Response("Install started\n", {
+      status: 202,
+      headers: { "Content-Type": "text/plain" },
+    });
+  };
+
+  installer.restore = () => {
+    globalThis.fetch = realFetch;
+  };
+  return installer;
+}
+
+module.exports = { startMockInstaller };
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  Server,
+  utils: { generateKeyPairSync, sftp: sftpUtils },
+} = require("ssh2");
+
+const { STATUS_CODE, flagsToString } = sftpUtils;
+
+/**
+ * SFTP attributes of a local file.
+ * @param {fs.Stats} stats - From fs.statSync
+ * @returns {object} - { mode, uid, gid, size, atime, mtime }
+ */
+const toAttrs = (stats) => ({
+  mode: stats.mode,
+  uid: 1000,
+  gid: 1000,
+  size: stats.size,
+  atime: Math.floor(stats.atimeMs / 1000),
+  mtime: Math.floor(stats.mtimeMs / 1000),
+});
+
+/**
+ * Starts an SSH server on a free local port for the end-to-end tests. Its
+ * SFTP subsystem serves a directory as the account's home, like the mock
+ * FTP server. Commands are not run: each is recorded with what was sent
+ * on its stdin, and answered by onExec.
+ * @param {object} options
+ * @param {string} options.root - Local directory the login sees as "/"
+ * @param {string} options.username - Accepted user
+ * @param {string} options.password - Accepted password
+ * @param {Function} [options.onExec] - Called with (command, stdin);
+ *   returns { stdout, stderr, code }, by default an empty success
+ * @returns {Promise<object>} - { port, commands, files(), read(), close() }
+ */
+async function startMockSsh({ root, username, password, onExec }) {
+  const mock = {
+    port: null,
+    // Every command run: { command, stdin }
+    commands: [],
+    onExec: onExec || (() => ({})),
+  };
+
+  const resolve = (remotePath) =>
+    path.join(root, path.posix.normalize(`/${remotePath}`));
+
+  /**
+   * Answers the SFTP requests the deployer's client makes.
+   * @param {object} sftp - Server side of an SFTP session
+   */
+  const serveSftp = (sftp) => {
+    const handles = new Map();
+    let nextHandle = 0;
+    const openHandle = (value) => {
+      const handle = Buffer.alloc(4);
+      handle.writeUInt32BE(nextHandle++);
+      handles.set(handle.toString("hex"), value);
+      return handle;
+    };
+    const getHandle = (handle) => handles.get(handle.toString("hex"));
+
+    // Runs a request, answering with the error's status if it throws
+    const answer = (reqid, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        sftp.status(
+          reqid,
+          error.code === "ENOENT"
+            ? STATUS_CODE.NO_SUCH_FILE
+            : STATUS_CODE.FAILURE,
+          error.message
+        );
+      }
+    };
+    const ok = (reqid) => sftp.status(reqid, STATUS_CODE.OK);
+
+    sftp
+      .on("REALPATH", (reqid, remotePath) =>
+        answer(reqid, () => {
+          const filename = path.posix.normalize(`/${remotePath}`);
+          sftp.name(reqid, [{ filename, longname: filename, attrs: {} }]);
+        })
+      )
+      .on("STAT", (reqid, remotePath) =>
+        answer(reqid, () =>
+          sftp.attrs(reqid, toAttrs(fs.statSync(resolve(remotePath))))
+        )
+      )
+      .on("LSTAT", (reqid, remotePath) =>
+        answer(reqid, () =>
+          sftp.attrs(reqid, toAttrs(fs.lstatSync(resolve(remotePath))))
+        )
+      )
+      .on("FSTAT", (reqid, handle) =>
+        answer(reqid, () =>
+          sftp.attrs(reqid, toAttrs(fs.fstatSync(getHandle(handle).fd)))
+        )
+      )
+      .on("OPEN", (reqid, remotePath, flags) =>
+        answer(reqid, () => {
+          const fd = fs.openSync(resolve(remotePath), flagsToString(flags));
+          sftp.handle(reqid, openHandle({ fd }));
+        })
+      )
+      .on("WRITE", (reqid, handle, offset, data) =>
+        answer(reqid, () => {
+          fs.writeSync(getHandle(handle).fd, data, 0, data.length, offset);
+          ok(reqid);
+        })
+      )
+      .on("READ", (reqid, handle, offset, length) =>
+        answer(reqid, () => {
+          const buffer = Buffer.alloc(length);
+          const read = fs.readSync(
+            getHandle(handle).fd,
+            buffer,
+            0,
+            length,
+            offset
+          );
+          if (!read) {
+            return sftp.status(reqid, STATUS_CODE.EOF);
+          }
+          sftp.data(reqid, buffer.subarray(0, read));
+        })
+      )
+      .on("OPENDIR", (reqid, remotePath) =>
+        answer(reqid, () => {
+          const dir = resolve(remotePath);
+          const entries = fs.readdirSync(dir).map((name) => {
+            const stats = fs.lstatSync(path.join(dir, name));
+            const type = stats.isDirectory() ? "d" : "-";
+            return {
+              filename: name,
+              longname: `${type}rw-r--r-- 1 ${username} ${username} ${stats.size} Jan 1 00:00 ${name}`,
+              attrs: toAttrs(stats),
+            };
+          });
+          sftp.handle(reqid, openHandle({ entries }));
+        })
+      )
+      .on("READDIR", (reqid, handle) => {
+        const dir = getHandle(handle);
+        if (!dir.entries.length) {
+          return sftp.status(reqid, STATUS_CODE.EOF);
+        }
+        sftp.name(reqid, dir.entries.splice(0));
+      })
+      .on("CLOSE", (reqid, handle) =>
+        answer(reqid, () => {
+          const { fd } = getHandle(handle);
+          handles.delete(handle.toString("hex"));
+          if (fd !== undefined) {
+            fs.closeSync(fd);
+          }
+          ok(reqid);
+        })
+      )
+      .on("MKDIR", (reqid, remotePath) =>
+        answer(reqid, () => {
+          fs.mkdirSync(resolve(remotePath));
+          ok(reqid);
+        })
+      )
+      .on("RMDIR", (reqid, remotePath) =>
+        answer(reqid, () => {
+          fs.rmdirSync(resolve(remotePath));
+          ok(reqid);
+        })
+      )
+      .on("REMOVE", (reqid, remotePath) =>
+        answer(reqid, () => {
+          fs.unlinkSync(resolve(remotePath));
+          ok(reqid);
+        })
+      )
+      .on("RENAME", (reqid, from, to) =>
+        answer(reqid, () => {
+          fs.renameSync(resolve(from), resolve(to));
+          ok(reqid);
+        })
+      )
+      .on("SETSTAT", ok)
+      .on("FSETSTAT", ok);
+  };
+
+  const clients = new Set();
+  const server = new Server(
+    { hostKeys: [generateKeyPairSync("ed25519").private] },
+    (client) => {
+      clients.add(client);
+      client
+        .on("authentication", (ctx) => {
+          if (
+            ctx.method === "password" &&
+            ctx.username === username &&
+            ctx.password === password
+          ) {
+            return ctx.accept();
+          }
+          ctx.reject(["password"]);
+        })
+        .on("ready", () => {
+          client.on("session", (accept) => {
+            const session = accept();
+            session.on("sftp", (acceptSftp) => serveSftp(acceptSftp()));
+            session.on("exec", (acceptExec, reject, { command }) => {
+              const stream = acceptExec();
+              let stdin = "";
+              stream.on("data", (chunk) => {
+                stdin += chunk;
+              });
+              // Answered once the client has sent all of its input
+              stream.on("end", () => {
+                mock.commands.push({ command, stdin });
+                const {
+                  stdout = "",
+                  stderr = "",
+                  code = 0,
+                } = mock.onExec(command, stdin);
+                stream.write(stdout);
+                stream.stderr.write(stderr);
+                stream.exit(code);
+                stream.end();
+              });
+            });
+          });
+        })
+        .on("close", () => clients.delete(client))
+        .on("error", () => {});
+    }
+  );
+
+  await new Promise((resolveListen) =>
+    server.listen(0, "127.0.0.1", resolveListen)
+  );
+  mock.port = server.address().port;
+
+  /**
+   * Lists every file under a directory of the SFTP home.
+   * @param {string} [dir] - Directory as seen over SFTP, e.g. "/public_html"
+   * @returns {string[]} - SFTP paths, sorted
+   */
+  mock.files = (dir = "/") => {
+    const local = resolve(dir);
+    if (!fs.existsSync(local)) {
+      return [];
+    }
+    return fs
+      .readdirSync(local, { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) =>
+        path.posix.join(
+          dir,
+          path
+            .relative(local, path.join(entry.path, entry.name))
+            .split(path.sep)
+            .join("/")
+        )
+      )
+      .sort();
+  };
+  mock.read = (file) => fs.readFileSync(resolve(file));
+  mock.close = () =>
+    new Promise((resolveClose) => {
+      server.close(() => resolveClose());
+      clients.forEach((client) => client.end());
+    });
+  return mock;
+}
+
+module.exports = { startMockSsh };
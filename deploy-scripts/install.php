@@ -1,4 +1,115 @@
 <?php
+// Installs WordPress from the files the deployer uploaded, as job-info.json
+// describes. When the deployer runs this script it POSTs the job's one-time
+// token, which must match installTokenHash. The request is answered as
+// soon as the token is accepted; every step is then reported to
+// installReportUrl, signed with the token, and the admin login goes back
+// the same way instead of being shown on the page.
+
+// === Step 0: Read Job Info and check the install token ===
+$jobInfoPath = __DIR__ . '/job-info.json';
+if (!file_exists($jobInfoPath)) {
+    http_response_code(404);
+    exit('Error: job-info.json not found; this site may already be installed');
+}
+$jobData = json_decode(file_get_contents($jobInfoPath), true);
+if (json_last_error() !== JSON_ERROR_NONE) {
+    http_response_code(500);
+    exit('Error: Could not decode job-info.json. ' . json_last_error_msg());
+}
+
+$installToken = '';
+if (!empty($jobData['installTokenHash'])) {
+    $installToken = (string) ($_POST['token'] ?? '');
+    if (!hash_equals($jobData['installTokenHash'], hash('sha256', $installToken))) {
+        http_response_code(403);
+        exit('Invalid install token');
+    }
+    // Tell the deployer the token was accepted and carry on without it:
+    // the install is followed through the reports
+    set_time_limit(0);
+    ignore_user_abort(true);
+    $accepted = "Install started\n";
+    http_response_code(202);
+    header('Content-Type: text/plain');
+    header('Content-Length: ' . strlen($accepted));
+    header('Connection: close');
+    echo $accepted;
+    if (function_exists('fastcgi_finish_request')) {
+        fastcgi_finish_request();
+    } else {
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        flush();
+    }
+    // The page below has no reader any more
+    ob_start(function () {
+        return '';
+    });
+}
+$reportUrl = $installToken ? ($jobData['installReportUrl'] ?? '') : '';
+$stepErrors = [];
+
+// Sends a report to the deployer, signed with the install token
+function send_report($payload)
+{
+    global $reportUrl, $installToken;
+    if (!$reportUrl) {
+        return;
+    }
+    $body = json_encode($payload);
+    $timestamp = (string) time();
+    $headers = [
+        'Content-Type: application/json',
+        'X-Install-Timestamp: ' . $timestamp,
+        'X-Install-Signature: sha256=' . hash_hmac('sha256', $timestamp . '.' . $body, $installToken),
+    ];
+    if (function_exists('curl_init')) {
+        $ch = curl_init($reportUrl);
+        curl_setopt_array($ch, [
+            CURLOPT_POST => true,
+            CURLOPT_POSTFIELDS => $body,
+            CURLOPT_HTTPHEADER => $headers,
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_TIMEOUT => 15,
+        ]);
+        curl_exec($ch);
+        curl_close($ch);
+    } else {
+        @file_get_contents($reportUrl, false, stream_context_create(['http' => [
+            'method' => 'POST',
+            'header' => implode("\r\n", $headers),
+            'content' => $body,
+            'timeout' => 15,
+            'ignore_errors' => true,
+        ]]));
+    }
+}
+
+// Reports a finished step: status is ok, warning or error
+function report_step($step, $status, $message)
+{
+    global $stepErrors;
+    if ($status === 'error') {
+        $stepErrors[] = $message;
+    }
+    send_report(['type' => 'step', 'step' => $step, 'status' => $status, 'message' => $message]);
+}
+
+// Stops the install, reporting why. The token is used up either way.
+function fail_install($step, $message)
+{
+    global $installToken, $jobInfoPath;
+    echo "<p style=\"color:red;\">❌ " . htmlspecialchars($message) . "</p>";
+    report_step($step, 'error', $message);
+    send_report(['type' => 'result', 'status' => 'failed', 'message' => $message]);
+    if ($installToken) {
+        @unlink($jobInfoPath);
+    }
+    exit;
+}
+
 // Auto-extract wordpress.zip if wp-load.php is missing
 if (!file_exists(__DIR__ . '/wp-load.php') && file_exists(__DIR__ . '/wordpress.zip')) {
     $zip = new ZipArchive;
@@ -16,7 +127,7 @@ if (!file_exists(__DIR__ . '/wp-load.php') && file_exists(__DIR__ . '/wordpress.
             rmdir(__DIR__ . '/wordpress');
         }
     } else {
-        die('Failed to extract wordpress.zip');
+        fail_install('core', 'Failed to extract wordpress.zip');
     }
 }
 
@@ -53,33 +164,18 @@ if (!file_exists($wpLoad) && file_exists($wordpressZip)) {
         unlink($wordpressZip);
         echo "<p>🗑️ Cleaned up wordpress.zip.</p>";
     } else {
-        echo "<p style=\"color:red;\">❌ Could not open wordpress.zip for extraction.</p>";
-        exit;
+        fail_install('core', 'Could not open wordpress.zip for extraction');
     }
 }
 
 // After extraction, check again for wp-load.php
 if (!file_exists($wpLoad)) {
-    echo "<p style=\"color:red;\">❌ wp-load.php still not found after extraction. Aborting.</p>";
-    exit;
+    fail_install('core', 'wp-load.php still not found after extraction');
 }
+report_step('core', 'ok', 'WordPress core unpacked');
 
-// === Step 1: Read Job Info ===
-$jobInfoPath = BASE_PATH . '/job-info.json';
-$jobData = [];
-
-if (file_exists($jobInfoPath)) {
-    $jobInfoContent = file_get_contents($jobInfoPath);
-    $jobData = json_decode($jobInfoContent, true);
-    if (json_last_error() !== JSON_ERROR_NONE) {
-        echo "<p style=\"color:red;\">Error: Could not decode job-info.json. " . json_last_error_msg() . "</p>";
-        exit;
-    }
-    echo "<p>✅ Job info loaded successfully.</p>";
-} else {
-    echo "<p style=\"color:red;\">Error: job-info.json not found at $jobInfoPath</p>";
-    exit;
-}
+// === Step 1: Job Info was read before anything else ===
+echo "<p>✅ Job info loaded successfully.</p>";
 
 // Extract data from jobInfo
 $domain = $jobData['domain'] ?? '';
@@ -90,14 +186,16 @@ $db_password = $jobData['dbPass'] ?? '';
 $site_title = 'New WordPress Site on ' . $domain; // Dynamic site title
 $admin_username = 'admin-' . substr(md5(uniqid(rand(), true)), 0, 8); // Generate a random admin username
 $template_filename = $jobData['template'] . '.wpress' ?? '';
+$wp_locale = $jobData['wpLocale'] ?? 'en_US'; // Matches the WordPress build that was uploaded
 
 // Basic validation of critical data
 if (empty($domain) || empty($admin_email) || empty($db_name) || empty($db_user) || empty($db_password) || empty($template_filename)) {
-    echo "<p style=\"color:red;\">Error: Missing critical job data required for installation.</p>";
-    echo "<pre>";
-    print_r($jobData);
-    echo "</pre>";
-    exit;
+    if (!$reportUrl) {
+        echo "<pre>";
+        print_r($jobData);
+        echo "</pre>";
+    }
+    fail_install('job-info', 'Missing critical job data required for installation');
 }
 
 // Extract All-in-One WP Migration plugin BEFORE loading WordPress
@@ -162,22 +260,27 @@ $admin_password = wp_generate_password(16, true, true); // Generate a strong pas
 $install_result = wp_install(
     (string)$site_title, // Site Title
     (string)$admin_username, // Admin Username
-    (string)$admin_password, // Admin Password
     (string)$admin_email, // Admin Email
     true, // Public blog (search engines can see it)
-    '' // Site URL (wp_install uses HTTP_HOST if empty)
+    '', // Deprecated
+    (string)$admin_password, // Admin Password
+    $wp_locale === 'en_US' ? '' : (string)$wp_locale // Site language
 );
 
 if ((is_object($install_result) && is_wp_error($install_result)) || (is_array($install_result) && isset($install_result['errors']))) {
-    echo "<p style=\"color:red;\">❌ WordPress installation failed.";
+    $install_error = 'WordPress installation failed.';
     if (is_object($install_result) && method_exists($install_result, 'get_error_message')) {
-        echo ' ' . $install_result->get_error_message();
+        $install_error .= ' ' . $install_result->get_error_message();
     } elseif (is_array($install_result) && isset($install_result['errors'])) {
-        echo ' ' . print_r($install_result['errors'], true);
+        $install_error .= ' ' . print_r($install_result['errors'], true);
     }
-    echo "</p>";
-    exit;
+    ob_end_clean();
+    fail_install('core-install', $install_error);
 } else {
+    report_step('core-install', 'ok', 'WordPress core installed');
+}
+if (!$reportUrl) {
+    // Opened by hand; the deployer gets the login in its final report
     echo "<p>✅ WordPress core installed successfully!</p>";
     echo "<p>Login with:
         <br><strong>Username:</strong> <code style=\"background:#e6e6e6; padding:2px 5px; border-radius:3px;\">{$admin_username}</code>
@@ -212,8 +315,10 @@ if (file_exists($plugin_zip_path)) {
 
         if (is_wp_error($activated)) {
             echo "<p style=\"color:red;\">❌ Failed to activate All-in-One WP Migration plugin: " . $activated->get_error_message() . "</p>";
+            report_step('plugins', 'error', 'Failed to activate All-in-One WP Migration: ' . $activated->get_error_message());
         } else {
             echo "<p>✅ All-in-One WP Migration plugin activated.</p>";
+            report_step('plugins', 'ok', 'All-in-One WP Migration activated');
 
             // === Unzip and activate Unlimited Extension ===
             $unlimited_zip_path = BASE_PATH . '/wp-content/plugins/all-in-one-wp-migration-unlimited-extension.zip';
@@ -261,6 +366,7 @@ if (file_exists($plugin_zip_path)) {
                         $activated2 = activate_plugin($unlimited_main_file);
                         if (is_wp_error($activated2)) {
                             echo "<p style=\"color:red;\">❌ Failed to activate Unlimited Extension: " . $activated2->get_error_message() . "</p>";
+                            report_step('plugins', 'warning', 'Failed to activate the Unlimited Extension: ' . $activated2->get_error_message());
                             echo "<pre>";
                             print_r($activated2);
                             echo "</pre>";
@@ -298,6 +404,7 @@ if (file_exists($plugin_zip_path)) {
                     echo "<p>✅ WP-CLI downloaded to $wp_cli_phar</p>";
                 } else {
                     echo "<p style=\"color:red;\">❌ Failed to download WP-CLI. Please check your server's internet access.</p>";
+                    report_step('wp-cli', 'error', 'Failed to download WP-CLI');
                 }
             }
 
@@ -320,14 +427,17 @@ if (file_exists($plugin_zip_path)) {
                     echo "<pre>{$output}</pre>";
                     if (strpos($output, 'Success') !== false) {
                         echo "<p>✅ Template imported successfully!</p>";
+                        report_step('template', 'ok', 'Template imported');
                         unlink($wpress_file_path);
                         echo "<p>🗑️ Cleaned up template.wpress file. File is kept for debugging.</p>";
                     } else {
                         echo "<p style=\"color:red;\">❌ Template import failed!</p>";
+                        report_step('template', 'error', 'Template import failed: ' . trim((string) $output));
                         echo "<p style=\"color:red;\">Please check the WP-CLI output above for details or try manual import.</p>";
                     }
                 } else {
                     echo "<p style=\"color:red;\">❌ Template .wpress file not found at {$wpress_file_path}</p>";
+                    report_step('template', 'error', 'Template .wpress file not found');
                 }
             } else {
                 echo "<p style=\"color:red;\">❌ WP-CLI not available. Please install it manually.</p>";
@@ -337,9 +447,11 @@ if (file_exists($plugin_zip_path)) {
         }
     } else {
         echo "<p style=\"color:red;\">❌ Could not open All-in-One WP Migration ZIP file.</p>";
+        report_step('plugins', 'error', 'Could not open the All-in-One WP Migration zip');
     }
 } else {
     echo "<p style=\"color:red;\">❌ All-in-One WP Migration ZIP file not found at {$plugin_zip_path}</p>";
+    report_step('plugins', 'error', 'All-in-One WP Migration zip not found');
 }
 
 // === Step 5: Automate Logo Update ===
@@ -373,11 +485,14 @@ if ($logo_file && file_exists($logo_file)) {
         $output = shell_exec($cmd2 . ' 2>&1');
         echo "<pre>$output</pre>";
         echo "<p>✅ Logo updated successfully! Attachment ID: $logo_id</p>";
+        report_step('logo', 'ok', "Logo set (attachment $logo_id)");
     } else {
         echo "<p style='color:red;'>❌ Failed to import logo file. Check the file path and permissions.</p>";
+        report_step('logo', 'warning', 'Failed to import the logo');
     }
 } else {
     echo "<p style='color:red;'>❌ Logo file not found. Please check your deployment or job-info.json.</p>";
+    report_step('logo', 'warning', 'Logo file not found');
 }
 // --- End Step 5 ---
 
@@ -412,6 +527,7 @@ run_replace('winmill-equipment.com', NEW_DOMAIN, 'Domain');
 run_replace('Winmill Equipment', NEW_TITLE, 'Title/Brand', '--regex');
 run_replace('WINMILL EQUIPMENT', NEW_TITLE, 'Title/Brand (uppercase)', '--regex');
 run_replace('winmill equipment', NEW_TITLE, 'Title/Brand (lowercase)', '--regex');
+report_step('search-replace', 'ok', 'Site details filled in');
 
 // === Step 7: Clean up job-info.json ===
 if (file_exists($jobInfoPath)) {
@@ -426,3 +542,15 @@ if (file_exists(__FILE__)) {
     unlink(__FILE__);
     echo "<p>🗑️ Cleaned up install.php. This script has self-destructed.</p>";
 }
+
+// === Step 9: Tell the deployer how it went ===
+$result = [
+    'type' => 'result',
+    'status' => $stepErrors ? 'failed' : 'installed',
+    'adminUser' => $admin_username,
+    'adminPassword' => $admin_password,
+];
+if ($stepErrors) {
+    $result['message'] = 'install.php finished with errors: ' . implode('; ', $stepErrors);
+}
+send_report($result);
@@ -0,0 +1,26 @@
+<?php
+// Pre-flight probe: reports what install.php needs from the host's PHP.
+// Uploaded under a random name by POST /jobs/:jobId/preflight and removed
+// right after it has been fetched. For jobs installed over SSH it is piped
+// to the php command line instead.
+header('Content-Type: application/json');
+header('Cache-Control: no-store');
+
+$disabled = array_filter(array_map('trim', explode(',', (string) ini_get('disable_functions'))));
+
+echo json_encode(array(
+    'php' => PHP_VERSION,
+    'extensions' => array(
+        // install.php extracts WordPress and the plugins itself
+        'zip' => class_exists('ZipArchive'),
+        'mysqli' => extension_loaded('mysqli'),
+        'curl' => extension_loaded('curl'),
+        'mbstring' => extension_loaded('mbstring'),
+    ),
+    // The template import runs through WP-CLI
+    'shellExec' => function_exists('shell_exec') && !in_array('shell_exec', $disabled, true),
+    'memoryLimit' => ini_get('memory_limit'),
+));
+
+// Do not outlive the check if the deployer cannot delete the file
+@unlink(__FILE__);
@@ -0,0 +1,48 @@
+<?php
+// Unpacks the uploaded WordPress core into the directory it is run in.
+// Used by SSH installs, which pipe this script to the host's php CLI:
+//   php -- wordpress.zip
+// The archive holds a wordpress/ directory; its contents are moved up,
+// merged into wp-content/ that the uploads already created, and the
+// archive is removed.
+
+$archive = $argv[1] ?? 'wordpress.zip';
+
+if (file_exists('wp-load.php') && !file_exists($archive)) {
+    echo "WordPress core is already unpacked\n";
+    exit(0);
+}
+
+function move_into($from, $to)
+{
+    foreach (scandir($from) as $file) {
+        if ($file === '.' || $file === '..') {
+            continue;
+        }
+        if (is_dir("$from/$file") && is_dir("$to/$file")) {
+            move_into("$from/$file", "$to/$file");
+        } elseif (!rename("$from/$file", "$to/$file")) {
+            fwrite(STDERR, "Could not move $from/$file to $to/$file\n");
+            exit(1);
+        }
+    }
+    rmdir($from);
+}
+
+$zip = new ZipArchive;
+if ($zip->open($archive) !== TRUE) {
+    fwrite(STDERR, "Could not open $archive\n");
+    exit(1);
+}
+if (!$zip->extractTo('.')) {
+    fwrite(STDERR, "Could not extract $archive\n");
+    exit(1);
+}
+$zip->close();
+
+if (is_dir('wordpress')) {
+    move_into('wordpress', '.');
+}
+unlink($archive);
+
+echo "WordPress core unpacked\n";
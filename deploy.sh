@@ -26,6 +26,10 @@ sudo npm install -g pm2
 echo "📦 Installing Nginx..."
 sudo apt install nginx -y
 
+# Install SQLite CLI (used by the backup script)
+echo "📦 Installing SQLite..."
+sudo apt install sqlite3 -y
+
 # Install UFW firewall
 echo "🔒 Setting up firewall..."
 sudo ufw allow ssh
@@ -52,6 +56,7 @@ npm install
 
 # Create necessary directories
 echo "📁 Creating necessary directories..."
+mkdir -p /var/www/wordpress-deployer/data
 mkdir -p /var/www/wordpress-deployer/jobs
 mkdir -p /var/www/wordpress-deployer/credentials
 mkdir -p /var/www/wordpress-deployer/uploads
@@ -190,6 +195,13 @@ DATE=$(date +%Y%m%d_%H%M%S)
 
 mkdir -p $BACKUP_DIR
 
+# Backup the database (jobs, logs, credentials) with a consistent snapshot
+if [ -f /var/www/wordpress-deployer/data/deployer.db ]; then
+  sqlite3 /var/www/wordpress-deployer/data/deployer.db ".backup '$BACKUP_DIR/deployer_$DATE.db'"
+  tar -czf $BACKUP_DIR/deployer_$DATE.tar.gz -C $BACKUP_DIR deployer_$DATE.db
+  rm $BACKUP_DIR/deployer_$DATE.db
+fi
+
 # Backup jobs and credentials
 tar -czf $BACKUP_DIR/jobs_$DATE.tar.gz -C /var/www/wordpress-deployer jobs/
 tar -czf $BACKUP_DIR/credentials_$DATE.tar.gz -C /var/www/wordpress-deployer credentials/